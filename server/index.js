@@ -4,9 +4,29 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const fontkit = require('fontkit');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const QRCode = require('qrcode');
 const app = express();
 
+// The server runs behind a hosting proxy, so client addresses (for rate limits
+// and the audit log) come from X-Forwarded-For. TRUST_PROXY is the number of
+// proxies in front, a list of their addresses, or false when clients connect directly.
+const TRUST_PROXY = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY)
+  ? Number(TRUST_PROXY)
+  : ({ true: true, false: false })[TRUST_PROXY] ?? TRUST_PROXY);
+
 // Basic Middleware
+// Offline sync uploads whole batches of bills; everything else stays small
+app.use('/api/sync/bills', express.json({ limit: '1mb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -20,7 +40,8 @@ app.use(cors({
     'https://billing-server-gaha.onrender.com'
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 }));
 
@@ -40,8 +61,14 @@ app.use(limiter);
 const dbUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/billing_system';
 let isConnecting = false; // Prevent multiple connection attempts
 
-console.log('Attempting to connect to MongoDB...');
-console.log('URI:', dbUri.replace(/\/\/.*@/, '//***:***@')); // Hide credentials in logs
+// Tests require this file for its helpers; connecting, background jobs and
+// listening only happen when it is run as the server
+const isMainModule = require.main === module;
+
+if (isMainModule) {
+  console.log('Attempting to connect to MongoDB...');
+  console.log('URI:', dbUri.replace(/\/\/.*@/, '//***:***@')); // Hide credentials in logs
+}
 
 const connectToMongoDB = async (uri, isFallback = false) => {
   if (isConnecting) {
@@ -73,29 +100,31 @@ const connectToMongoDB = async (uri, isFallback = false) => {
 };
 
 // Initial connection
-connectToMongoDB(dbUri).catch(err => {
-  console.error('❌ MongoDB connection error:', err.message);
+if (isMainModule) {
+  connectToMongoDB(dbUri).catch(err => {
+    console.error('❌ MongoDB connection error:', err.message);
   
-  if (err.code === 'ECONNREFUSED') {
-    console.log('🔧 Connection refused. Possible solutions:');
-    console.log('   1. Check if MongoDB is running (for local)');
-    console.log('   2. Verify network connection (for Atlas)');
-    console.log('   3. Check MongoDB Atlas credentials and IP whitelist');
-    console.log('   4. Try using local MongoDB as fallback');
-  }
+    if (err.code === 'ECONNREFUSED') {
+      console.log('🔧 Connection refused. Possible solutions:');
+      console.log('   1. Check if MongoDB is running (for local)');
+      console.log('   2. Verify network connection (for Atlas)');
+      console.log('   3. Check MongoDB Atlas credentials and IP whitelist');
+      console.log('   4. Try using local MongoDB as fallback');
+    }
   
-  // Try to continue with local MongoDB as fallback
-  if (!dbUri.includes('localhost')) {
-    console.log('🔄 Attempting fallback to local MongoDB...');
-    const localUri = 'mongodb://localhost:27017/billing_system';
-    connectToMongoDB(localUri, true).catch(localErr => {
-      console.error('❌ Local MongoDB also failed:', localErr.message);
-      console.log('💡 Please ensure MongoDB is installed and running locally');
-      console.log('   - Run: mongod');
-      console.log('   - Or install: npm install -g mongodb');
-    });
-  }
-});
+    // Try to continue with local MongoDB as fallback
+    if (!dbUri.includes('localhost')) {
+      console.log('🔄 Attempting fallback to local MongoDB...');
+      const localUri = 'mongodb://localhost:27017/billing_system';
+      connectToMongoDB(localUri, true).catch(localErr => {
+        console.error('❌ Local MongoDB also failed:', localErr.message);
+        console.log('💡 Please ensure MongoDB is installed and running locally');
+        console.log('   - Run: mongod');
+        console.log('   - Or install: npm install -g mongodb');
+      });
+    }
+  });
+}
 
 // Connection monitoring
 mongoose.connection.on('connected', () => {
@@ -130,22 +159,136 @@ mongoose.connection.on('disconnected', () => {
   }, 5000); // Retry after 5 seconds
 });
 
+// GST Configuration
+// Rates follow the GST slabs; exempt covers nil-rated and exempt goods
+const TAX_CATEGORIES = {
+  exempt: { rate: 0, label: 'Exempt / Nil rated' },
+  gst5: { rate: 5, label: 'GST 5%' },
+  gst12: { rate: 12, label: 'GST 12%' },
+  gst18: { rate: 18, label: 'GST 18%' },
+  gst28: { rate: 28, label: 'GST 28%' }
+};
+
+// State code of the shop's GST registration (33 = Tamil Nadu)
+const SHOP_STATE_CODE = process.env.SHOP_STATE_CODE || '33';
+
+const DISCOUNT_TYPES = ['percent', 'flat'];
+const PAYMENT_MODES = ['cash', 'upi', 'card'];
+const MESSAGE_CHANNELS = ['sms', 'whatsapp'];
+const MESSAGE_LANGUAGES = ['ta', 'en'];
+// simulated marks messages the fake provider kept instead of delivering
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'simulated', 'failed', 'skipped'];
+
+// Units of sale. Fractional units (sold by weight or volume) take quantities
+// to 3 decimals, e.g. 0.25 kg; the rest are counted in whole units.
+const UNITS = {
+  pcs: { label: 'Piece', fractional: false },
+  packet: { label: 'Packet', fractional: false },
+  kg: { label: 'Kilogram', fractional: true },
+  g: { label: 'Gram', fractional: false },
+  l: { label: 'Litre', fractional: true },
+  ml: { label: 'Millilitre', fractional: false }
+};
+const FRACTIONAL_UNITS = Object.keys(UNITS).filter(unit => UNITS[unit].fractional);
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+// Number with at most 3 decimals, otherwise NaN; sign and unit are checked by the caller
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  if (value === null || value === '' || !Number.isFinite(quantity)) return NaN;
+  return Math.abs(roundQuantity(quantity) - quantity) < 1e-9 ? roundQuantity(quantity) : NaN;
+};
+
+const quantityFitsUnit = (quantity, unit) =>
+  Number.isInteger(quantity) || FRACTIONAL_UNITS.includes(unit);
+
+const QUANTITY_DECIMALS = {
+  validator: (value) => Math.abs(roundQuantity(value) - value) < 1e-9,
+  message: 'Quantity can have at most 3 decimals'
+};
+
+const QUANTITY_FIELD = {
+  type: Number,
+  required: true,
+  min: [0.001, 'Quantity must be positive'],
+  validate: QUANTITY_DECIMALS
+};
+
 // Database Models
 const Counter = mongoose.model('Counter', new mongoose.Schema({
   _id: { type: String, required: true },
   seq: { type: Number, default: 0 }
 }));
 
+// Outlets. Stock, bills and reports are kept per store; MAIN is built in.
+const DEFAULT_STORE_ID = 'MAIN';
+
+const Store = mongoose.model('Store', new mongoose.Schema({
+  _id: { type: String, uppercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  address: { type: String, trim: true },
+  phone: { type: String, trim: true },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+}));
+
+// Used until the owner saves the MAIN store; holds all stock from before stores
+const DEFAULT_STORE = {
+  _id: DEFAULT_STORE_ID,
+  name: 'Main store',
+  active: true
+};
+
+const Category = mongoose.model('Category', new mongoose.Schema({
+  name: { type: String, required: true, trim: true, unique: true },
+  nameTamil: { type: String, trim: true },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+}));
+
 const productSchema = new mongoose.Schema({
   _id: { type: Number },
   name: { type: String, required: true, trim: true },
   nameTamil: { type: String, required: true, trim: true },
+  categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+  // Price and stock are per unit; see UNITS
+  unit: { type: String, enum: Object.keys(UNITS), default: 'pcs' },
+  barcode: { type: String, trim: true },
+  sku: { type: String, trim: true, uppercase: true },
+  // Variants such as pack sizes are products of their own under one parent
+  parentId: { type: Number, ref: 'Product', default: null },
+  variantName: { type: String, trim: true },
   price: { type: Number, required: true, min: 0 },
+  // Total across all stores; storeStock has the split
   stock: { type: Number, default: 0, min: 0 },
+  storeStock: [{
+    _id: false,
+    store: { type: String, required: true },
+    stock: { type: Number, default: 0, min: 0 },
+    // Set when a low-stock alert fires for this store, cleared once its stock is
+    // back above minStockLevel or the level changes
+    lowStockAlertedAt: { type: Date, default: null }
+  }],
   minStockLevel: { type: Number, default: 5 },
+  hsnCode: { type: String, trim: true },
+  taxCategory: { type: String, enum: Object.keys(TAX_CATEGORIES), default: 'exempt' },
+  priceIncludesTax: { type: Boolean, default: true },
+  // Weighted average purchase cost, updated on every goods receipt
+  costPrice: { type: Number, min: 0 },
+  lastCostPrice: { type: Number, min: 0 },
   createdAt: { type: Date, default: Date.now }
+}, {
+  // updatedAt drives the offline sync delta feed
+  timestamps: true
 });
 
+productSchema.index({ updatedAt: 1, _id: 1 });
+productSchema.index({ barcode: 1 }, { unique: true, partialFilterExpression: { barcode: { $type: 'string' } } });
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+productSchema.index({ parentId: 1 });
+
 productSchema.pre('save', async function(next) {
   if (this._id) return next();
   
@@ -164,24 +307,131 @@ productSchema.pre('save', async function(next) {
 
 const Product = mongoose.model('Product', productSchema);
 
+// Price history. Every price a product has had, from effectiveFrom until the next
+// applied change; scheduled entries are applied by the price change job when due.
+const priceChangeSchema = new mongoose.Schema({
+  productId: { type: Number, ref: 'Product', required: true },
+  price: { type: Number, required: true, min: 0 },
+  previousPrice: { type: Number, min: 0 },
+  effectiveFrom: { type: Date, required: true },
+  status: { type: String, enum: ['scheduled', 'applied', 'cancelled'], default: 'scheduled' },
+  source: { type: String, enum: ['product-created', 'product-update', 'price-change'], default: 'price-change' },
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: String,
+  createdAt: { type: Date, default: Date.now },
+  appliedAt: Date,
+  cancelledAt: Date
+});
+
+priceChangeSchema.index({ productId: 1, effectiveFrom: 1 });
+priceChangeSchema.index({ status: 1, effectiveFrom: 1 });
+
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+
+// Deleted product IDs, so offline clients can drop them from their cache
+const DeletedProduct = mongoose.model('DeletedProduct', new mongoose.Schema({
+  _id: { type: Number },
+  deletedAt: { type: Date, default: Date.now }
+}));
+
 const billSchema = new mongoose.Schema({
   billNumber: { type: String, unique: true },
+  // Numbering series the bill number was taken from; see BillSeries
+  series: { type: String, default: 'DEFAULT' },
+  store: { type: String, default: DEFAULT_STORE_ID },
   items: [{
     productId: { type: Number, ref: 'Product', required: true },
     nameTamil: { type: String, required: true },
-    quantity: { 
-      type: Number, 
-      required: true, 
-      min: [1, 'Quantity must be at least 1'],
-      validate: {
-        validator: Number.isInteger,
-        message: 'Quantity must be an integer'
-      }
-    },
+    quantity: QUANTITY_FIELD,
+    unit: { type: String, default: 'pcs' },
+    listPrice: { type: Number, min: 0 },
     price: { type: Number, required: true, min: 0 },
-    total: { type: Number, required: true, min: 0 }
+    // Purchase cost per unit at the time of sale, for margin reports
+    costPrice: { type: Number, min: 0 },
+    grossAmount: { type: Number, min: 0 },
+    discountType: { type: String, enum: DISCOUNT_TYPES },
+    discountValue: { type: Number, min: 0 },
+    lineDiscount: { type: Number, default: 0, min: 0 },
+    billDiscount: { type: Number, default: 0, min: 0 },
+    netAmount: { type: Number, min: 0 },
+    hsnCode: { type: String },
+    taxCategory: { type: String, enum: Object.keys(TAX_CATEGORIES), default: 'exempt' },
+    taxRate: { type: Number, default: 0, min: 0 },
+    taxableValue: { type: Number, min: 0 },
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+    returnedQuantity: { type: Number, default: 0, min: 0 }
+  }],
+  supplyType: { type: String, enum: ['intra-state', 'inter-state'], default: 'intra-state' },
+  placeOfSupply: { type: String, default: SHOP_STATE_CODE },
+  customerGstin: { type: String, trim: true, uppercase: true },
+  grossTotal: { type: Number, min: 0 },
+  discountTotal: { type: Number, default: 0, min: 0 },
+  couponCode: { type: String },
+  // Audit of every discount and price override applied to the bill
+  discounts: [{
+    _id: false,
+    scope: { type: String, enum: ['price-override', 'line', 'bill', 'coupon', 'loyalty'], required: true },
+    lineIndex: Number,
+    productId: Number,
+    discountType: { type: String, enum: DISCOUNT_TYPES },
+    value: Number,
+    maxDiscount: Number,
+    minBillAmount: Number,
+    couponCode: String,
+    reason: String,
+    listPrice: Number,
+    price: Number,
+    amount: { type: Number, required: true },
+    appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    appliedByName: String,
+    appliedAt: { type: Date, default: Date.now }
+  }],
+  taxableTotal: { type: Number, min: 0 },
+  cgstTotal: { type: Number, default: 0, min: 0 },
+  sgstTotal: { type: Number, default: 0, min: 0 },
+  igstTotal: { type: Number, default: 0, min: 0 },
+  taxTotal: { type: Number, default: 0, min: 0 },
+  taxSummary: [{
+    _id: false,
+    taxRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
   }],
+  roundOff: { type: Number, default: 0 },
   grandTotal: { type: Number, required: true, min: 0 },
+  payments: [{
+    mode: { type: String, enum: PAYMENT_MODES, required: true },
+    kind: { type: String, enum: ['payment', 'refund'], default: 'payment' },
+    amount: { type: Number, required: true, min: 0 },
+    reference: { type: String, trim: true },
+    ledgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'LedgerEntry' },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receivedByName: String,
+    receivedAt: { type: Date, default: Date.now }
+  }],
+  amountPaid: { type: Number, default: 0 },
+  balanceDue: { type: Number, default: 0 },
+  loyaltyPointsEarned: { type: Number, default: 0 },
+  loyaltyPointsRedeemed: { type: Number, default: 0 },
+  paymentStatus: { type: String, enum: ['paid', 'partial', 'unpaid'], default: 'paid' },
+  // Voided bills are kept for the audit trail and bill number sequence
+  status: { type: String, enum: ['active', 'void'], default: 'active' },
+  voidReason: { type: String, trim: true },
+  voidedAt: Date,
+  voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  voidedByName: String,
+  returnedTotal: { type: Number, default: 0, min: 0 },
+  // Offline counters send their own bill ID so re-uploading a batch is safe
+  clientId: { type: String, trim: true },
+  syncedAt: Date,
+  // Set when an archived bill is restored; retention leaves it alone until then
+  retentionHoldUntil: { type: Date, default: null },
   customerName: { type: String, trim: true },
   mobileNumber: { 
     type: String, 
@@ -196,21 +446,113 @@ const billSchema = new mongoose.Schema({
   date: { type: Date, default: Date.now }
 });
 
+// Bill Numbering
+// Each counter or branch can bill from its own series. A number is
+// prefix + period + sequence, e.g. B2-1020260017 for bill 17 of October 2026.
+const BILL_RESET_PERIODS = ['daily', 'monthly', 'financial-year', 'never'];
+
+const billSeriesSchema = new mongoose.Schema({
+  _id: { type: String, uppercase: true, trim: true },
+  name: { type: String, required: true, trim: true },
+  prefix: { type: String, default: '', trim: true },
+  resetPeriod: { type: String, enum: BILL_RESET_PERIODS, default: 'daily' },
+  // Minimum sequence digits; numbers grow past it instead of wrapping
+  padding: { type: Number, default: 3, min: 1, max: 10 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const BillSeries = mongoose.model('BillSeries', billSeriesSchema);
+
+// Used until the owner saves their own DEFAULT series; matches the original
+// DDMMYYYY001 numbers and counters so numbering carries on unchanged
+const DEFAULT_BILL_SERIES = {
+  _id: 'DEFAULT',
+  name: 'Main counter',
+  prefix: '',
+  resetPeriod: 'daily',
+  padding: 3,
+  active: true
+};
+
+// businessDay is the YYYY-MM-DD trading day, so late-night bills keep their day's numbers
+const billPeriodKey = (resetPeriod, businessDay) => {
+  const [year, month, day] = businessDay.split('-');
+
+  switch (resetPeriod) {
+    case 'daily':
+      return `${day}${month}${year}`;
+    case 'monthly':
+      return `${month}${year}`;
+    case 'financial-year': {
+      // Indian financial year runs April to March, e.g. 2627 for 2026-27
+      const startYear = Number(month) >= 4 ? Number(year) : Number(year) - 1;
+      return `${String(startYear).slice(-2)}${String(startYear + 1).slice(-2)}`;
+    }
+    default:
+      return '';
+  }
+};
+
+const billCounterId = (series, periodKey) => {
+  const parts = series._id === 'DEFAULT' ? ['billNumber'] : ['billNumber', series._id];
+  if (periodKey) parts.push(periodKey);
+  return parts.join('_');
+};
+
+const formatBillNumber = (series, periodKey, seq) =>
+  `${series.prefix}${periodKey}${String(seq).padStart(series.padding, '0')}`;
+
+const getBillSeries = async (code) => {
+  const id = String(code || 'DEFAULT').trim().toUpperCase();
+  const series = await BillSeries.findById(id).lean();
+  if (series) return series;
+  return id === 'DEFAULT' ? DEFAULT_BILL_SERIES : null;
+};
+
+// Takes the next number from the series counter; used for saving and reserving.
+// Inside a bill's session the number is only used up if the bill commits.
+const takeBillNumber = async (series, date = new Date(), session) => {
+  const periodKey = billPeriodKey(series.resetPeriod, businessDayOf(date, await getBusinessClock()));
+  const counter = await Counter.findByIdAndUpdate(
+    { _id: billCounterId(series, periodKey) },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return formatBillNumber(series, periodKey, counter.seq);
+};
+
+// Whether a client-sent number is one the series has handed out: its prefix,
+// a period key and a sequence no higher than that period's counter
+const billNumberIssued = async (series, billNumber, session) => {
+  if (!billNumber.startsWith(series.prefix)) return false;
+  const periodLength = billPeriodKey(series.resetPeriod, '2000-01-01').length;
+  const rest = billNumber.slice(series.prefix.length);
+  const periodKey = rest.slice(0, periodLength);
+  const seq = rest.slice(periodLength);
+  if (!/^\d*$/.test(periodKey) || !/^\d+$/.test(seq) || seq.length < series.padding) return false;
+
+  const counter = await Counter.findById(billCounterId(series, periodKey)).session(session).lean();
+  return Boolean(counter) && Number(seq) >= 1 && Number(seq) <= counter.seq;
+};
+
+// Reads the counter without moving it, so the number can be taken by someone else
+const previewBillNumber = async (series, date = new Date()) => {
+  const periodKey = billPeriodKey(series.resetPeriod, businessDayOf(date, await getBusinessClock()));
+  const counter = await Counter.findById(billCounterId(series, periodKey)).lean();
+  return formatBillNumber(series, periodKey, (counter ? counter.seq : 0) + 1);
+};
+
 billSchema.pre('save', async function(next) {
   if (!this.billNumber) {
     try {
-      const today = new Date();
-      const day = String(today.getDate()).padStart(2, '0');
-      const month = String(today.getMonth() + 1).padStart(2, '0');
-      const year = today.getFullYear().toString();
-      const todayKey = `${day}${month}${year}`;
-
-      const counter = await Counter.findByIdAndUpdate(
-        { _id: `billNumber_${todayKey}` },
-        { $inc: { seq: 1 } },
-        { new: true, upsert: true }
-      );
-      this.billNumber = `${todayKey}${counter.seq.toString().padStart(3, '0')}`;
+      const series = await getBillSeries(this.series);
+      if (!series) throw billingError(`Unknown bill series ${this.series}`, 'INVALID_BILL_SERIES');
+      this.series = series._id;
+      // Numbered by the business day of the sale, so offline bills synced
+      // after midnight or a period boundary keep their own day's series
+      this.billNumber = await takeBillNumber(series, this.date, this.$session());
       next();
     } catch (err) {
       next(err);
@@ -220,8 +562,70 @@ billSchema.pre('save', async function(next) {
   }
 });
 
+billSchema.index({ clientId: 1 }, { unique: true, sparse: true });
+billSchema.index({ store: 1, date: 1 });
+
 const Bill = mongoose.model('Bill', billSchema);
 
+// Bills that count towards sales; old bills have no status field
+const ACTIVE_BILL_FILTER = { status: { $ne: 'void' } };
+
+// Sales return against a bill; refunds only the returned lines
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: { type: String, unique: true },
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', required: true, index: true },
+  billNumber: String,
+  // Store of the original bill; returned goods go back into its stock
+  store: { type: String, default: DEFAULT_STORE_ID },
+  customerName: String,
+  mobileNumber: String,
+  items: [{
+    _id: false,
+    lineIndex: { type: Number, required: true },
+    productId: { type: Number, ref: 'Product', required: true },
+    nameTamil: String,
+    quantity: QUANTITY_FIELD,
+    price: Number,
+    taxRate: { type: Number, default: 0 },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: { type: Number, required: true }
+  }],
+  taxableTotal: { type: Number, default: 0 },
+  cgstTotal: { type: Number, default: 0 },
+  sgstTotal: { type: Number, default: 0 },
+  igstTotal: { type: Number, default: 0 },
+  total: { type: Number, required: true, min: 0 },
+  // Part of the refund that cleared the customer's dues on the bill
+  adjustedAgainstDues: { type: Number, default: 0 },
+  refundedAmount: { type: Number, default: 0 },
+  refundMode: { type: String, enum: PAYMENT_MODES },
+  reason: { type: String, required: true, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: String,
+  date: { type: Date, default: Date.now }
+});
+
+creditNoteSchema.pre('save', async function(next) {
+  if (this.creditNoteNumber) return next();
+
+  try {
+    const counter = await Counter.findByIdAndUpdate(
+      { _id: 'creditNote' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.creditNoteNumber = `CN-${counter.seq.toString().padStart(5, '0')}`;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
 const contactSchema = new mongoose.Schema({
   name: { type: String, required: true },
   mobileNumber: { 
@@ -235,811 +639,10132 @@ const contactSchema = new mongoose.Schema({
       message: 'Mobile number must be 10 digits'
     }
   },
-  lastUsed: { type: Date, default: Date.now }
+  email: { type: String, trim: true, lowercase: true },
+  address: { type: String, trim: true },
+  notes: { type: String, trim: true },
+  // Date of the customer's latest bill
+  lastUsed: { type: Date, default: Date.now },
+  // Amount the customer owes across all credit bills
+  outstandingBalance: { type: Number, default: 0 },
+  // Points balance; every change is a LoyaltyEntry
+  loyaltyPoints: { type: Number, default: 0, min: 0 },
+  // Bill messages are not sent to customers who opted out
+  messagingOptOut: { type: Boolean, default: false },
+  messagingOptOutAt: Date,
+  // Overrides the shop's default message language and channel when set
+  language: { type: String, enum: MESSAGE_LANGUAGES },
+  channel: { type: String, enum: MESSAGE_CHANNELS }
 });
 
 const Contact = mongoose.model('Contact', contactSchema);
 
-// Helper Functions
-const validateProductData = (data) => {
-  const errors = [];
-  if (!data.name) errors.push('Product name is required');
-  if (!data.nameTamil) errors.push('Tamil product name is required');
-  if (!data.price || isNaN(data.price)) errors.push('Valid price is required');
-  return errors;
-};
+// Customer credit ledger: positive amounts add to what the customer owes
+const ledgerEntrySchema = new mongoose.Schema({
+  mobileNumber: { type: String, required: true, index: true },
+  entryType: { type: String, enum: ['charge', 'payment', 'adjustment'], required: true },
+  amount: { type: Number, required: true },
+  balanceAfter: { type: Number, required: true },
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' },
+  billNumber: String,
+  payments: [{
+    _id: false,
+    mode: { type: String, enum: PAYMENT_MODES },
+    amount: Number,
+    reference: String
+  }],
+  allocations: [{
+    _id: false,
+    billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' },
+    billNumber: String,
+    amount: Number
+  }],
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  date: { type: Date, default: Date.now }
+});
 
-// API Routes
-// Health check and keep-alive endpoints
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    success: true, 
-    message: 'Server is healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+// Loyalty points ledger: positive points are earned, negative are spent
+const loyaltyEntrySchema = new mongoose.Schema({
+  mobileNumber: { type: String, required: true, index: true },
+  entryType: { type: String, enum: ['earn', 'redeem', 'reversal', 'adjustment'], required: true },
+  points: { type: Number, required: true },
+  balanceAfter: { type: Number, required: true },
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' },
+  billNumber: String,
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  date: { type: Date, default: Date.now }
 });
 
-app.get('/api/keep-alive', (req, res) => {
-  res.json({ 
-    success: true, 
-    message: 'Connection kept alive',
-    timestamp: new Date().toISOString()
-  });
+const LoyaltyEntry = mongoose.model('LoyaltyEntry', loyaltyEntrySchema);
+
+const STOCK_MOVEMENT_REASONS = [
+  'opening-balance',
+  'sale',
+  'bill-edit',
+  'bill-delete',
+  'restock',
+  'manual-correction',
+  'reconciliation',
+  'purchase-receipt',
+  'bill-void',
+  'sales-return',
+  'transfer-out',
+  'transfer-in'
+];
+
+// Append-only stock ledger; balanceAfter is Product.stock right after the movement
+// and storeBalanceAfter is the stock left at the store that moved
+const stockMovementSchema = new mongoose.Schema({
+  productId: { type: Number, ref: 'Product', required: true },
+  store: { type: String, default: DEFAULT_STORE_ID },
+  reason: { type: String, enum: STOCK_MOVEMENT_REASONS, required: true },
+  quantity: { type: Number, required: true },
+  balanceAfter: { type: Number, required: true },
+  storeBalanceAfter: Number,
+  refType: { type: String, enum: ['Bill', 'Product', 'PurchaseOrder', 'CreditNote', 'StockTransfer'] },
+  refId: { type: String },
+  refNumber: { type: String },
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: String,
+  date: { type: Date, default: Date.now }
 });
 
-app.get('/api/products/search', async (req, res) => {
-  try {
-    const { name } = req.query;
-    if (!name) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Product name is required' 
-      });
-    }
+stockMovementSchema.index({ productId: 1, date: 1 });
 
-    const products = await Product.find({
-      $or: [
-        { name: { $regex: name, $options: 'i' } },
-        { nameTamil: { $regex: name, $options: 'i' } }
-      ]
-    }).limit(10);
+const blockMovementChanges = function() {
+  throw new Error('Stock movements are immutable');
+};
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], blockMovementChanges);
+stockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], blockMovementChanges);
 
-    res.json({
-      success: true,
-      products
-    });
-  } catch (err) {
-    res.status(500).json({ 
-      success: false,
-      message: 'Search failed',
-      error: err.message 
-    });
-  }
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+// Stock moved between stores; each line is a transfer-out and transfer-in movement
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: { type: String, unique: true },
+  fromStore: { type: String, required: true },
+  toStore: { type: String, required: true },
+  items: [{
+    _id: false,
+    productId: { type: Number, ref: 'Product', required: true },
+    nameTamil: String,
+    quantity: QUANTITY_FIELD
+  }],
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: String,
+  date: { type: Date, default: Date.now }
 });
 
-// Product Management
-app.get('/api/products', async (req, res) => {
+stockTransferSchema.pre('save', async function(next) {
+  if (this.transferNumber) return next();
+
   try {
-    // Add lean() for faster queries and only select needed fields
-    const products = await Product.find()
-      .select('_id name nameTamil price stock minStockLevel')
-      .lean()
-      .sort({ _id: 1 });
-    res.json(products);
+    const counter = await Counter.findByIdAndUpdate(
+      { _id: 'stockTransfer' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.transferNumber = `ST-${counter.seq.toString().padStart(5, '0')}`;
+    next();
   } catch (err) {
-    console.error('Error fetching products:', err);
-    res.status(500).json({ 
-      success: false,
-      message: 'Failed to fetch products', 
-      error: err.message 
-    });
+    next(err);
   }
 });
-app.put('/api/products/update-by-name', async (req, res) => {
-  try {
-    const { name, newData } = req.body;
-    
-    if (!name || !newData) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Product name and update data are required' 
-      });
-    }
 
-    const product = await Product.findOneAndUpdate(
-      { 
-        $or: [
-          { name: name },
-          { nameTamil: name }
-        ]
-      },
-      newData,
-      { new: true }
-    );
+const StockTransfer = mongoose.model('StockTransfer', stockTransferSchema);
 
-    if (!product) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Product not found' 
-      });
+// Local outbox of low-stock alerts, also a delivery log for the webhook notifier
+const stockAlertSchema = new mongoose.Schema({
+  productId: { type: Number, ref: 'Product', required: true },
+  nameTamil: String,
+  store: String,
+  // Stock at that store when the alert fired
+  stock: Number,
+  minStockLevel: Number,
+  refType: String,
+  refId: String,
+  refNumber: String,
+  notifier: String,
+  status: { type: String, enum: ['pending', 'delivered', 'failed', 'acknowledged'], default: 'pending' },
+  error: String,
+  acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  acknowledgedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const StockAlert = mongoose.model('StockAlert', stockAlertSchema);
+
+const supplierSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  contactPerson: { type: String, trim: true },
+  mobileNumber: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return !v || /^\d{10}$/.test(v);
+      },
+      message: 'Mobile number must be 10 digits'
     }
+  },
+  email: { type: String, trim: true, lowercase: true },
+  gstin: { type: String, trim: true, uppercase: true },
+  address: { type: String, trim: true },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
 
-    res.json({
-      success: true,
-      message: 'Product updated successfully',
-      product
-    });
-  } catch (err) {
-    res.status(500).json({ 
-      success: false,
-      message: 'Update failed',
-      error: err.message 
-    });
-  }
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partially-received', 'received', 'cancelled'];
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: { type: String, unique: true },
+  supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true },
+  supplierName: String,
+  // Store the goods are delivered to
+  store: { type: String, default: DEFAULT_STORE_ID },
+  status: { type: String, enum: PURCHASE_ORDER_STATUSES, default: 'draft' },
+  items: [{
+    _id: false,
+    productId: { type: Number, ref: 'Product', required: true },
+    nameTamil: String,
+    quantityOrdered: QUANTITY_FIELD,
+    quantityReceived: { type: Number, default: 0, min: 0, validate: QUANTITY_DECIMALS },
+    costPrice: { type: Number, required: true, min: 0 }
+  }],
+  receipts: [{
+    invoiceNumber: { type: String, trim: true },
+    note: { type: String, trim: true },
+    items: [{
+      _id: false,
+      productId: Number,
+      quantity: Number,
+      costPrice: Number
+    }],
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receivedByName: String,
+    receivedAt: { type: Date, default: Date.now }
+  }],
+  totalCost: { type: Number, default: 0 },
+  expectedDate: Date,
+  note: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
 });
-app.post('/api/products', async (req, res) => {
-  try {
-    const errors = validateProductData(req.body);
-    if (errors.length > 0) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Validation failed', 
-        errors 
-      });
-    }
 
-    const product = new Product({
-      name: req.body.name,
-      nameTamil: req.body.nameTamil,
-      price: req.body.price
-    });
+purchaseOrderSchema.pre('save', async function(next) {
+  if (this.poNumber) return next();
 
-    await product.save();
-    res.status(201).json({
-      success: true,
-      message: 'Product created successfully',
-      product
-    });
+  try {
+    const counter = await Counter.findByIdAndUpdate(
+      { _id: 'purchaseOrder' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.poNumber = `PO-${counter.seq.toString().padStart(5, '0')}`;
+    next();
   } catch (err) {
-    res.status(400).json({ 
-      success: false,
-      message: 'Failed to create product', 
-      error: err.message 
-    });
+    next(err);
   }
 });
 
-app.post('/api/products/stock/bulk', async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
 
-  try {
-    const { updates } = req.body;
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, trim: true, uppercase: true },
+  description: { type: String, trim: true },
+  discountType: { type: String, enum: DISCOUNT_TYPES, required: true },
+  value: { type: Number, required: true, min: 0 },
+  maxDiscount: { type: Number, min: 0 },
+  minBillAmount: { type: Number, min: 0 },
+  validFrom: { type: Date, default: Date.now },
+  validTo: { type: Date },
+  usageLimit: { type: Number, min: 1 },
+  usedCount: { type: Number, default: 0, min: 0 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
 
-    if (!updates || !Array.isArray(updates)) {
-      await session.abortTransaction();
-      return res.status(400).json({ 
-        success: false,
-        message: 'Updates array is required' 
-      });
-    }
+const Coupon = mongoose.model('Coupon', couponSchema);
 
-    const bulkOperations = [];
+const ROLES = {
+  OWNER: 'owner',
+  CASHIER: 'cashier',
+  STOCK_KEEPER: 'stock-keeper'
+};
+
+const userSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  name: { type: String, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: Object.values(ROLES), required: true },
+  // Staff assigned to a store bill and run the register only there; owners are never bound
+  store: { type: String, uppercase: true, trim: true, default: null },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.passwordHash;
+  return user;
+};
+
+const User = mongoose.model('User', userSchema);
+
+// Shop-wide settings stored as one document per key; see SETTING_DEFAULTS
+const Setting = mongoose.model('Setting', new mongoose.Schema({
+  _id: { type: String, required: true },
+  value: { type: mongoose.Schema.Types.Mixed, default: {} },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+}));
+
+// Short-lived locks so only one server instance runs a scheduled job at a time
+const Lock = mongoose.model('Lock', new mongoose.Schema({
+  _id: { type: String, required: true },
+  owner: { type: String, required: true },
+  acquiredAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}));
+
+// Bills moved out of the live collection by the retention job, stored as-is
+const archivedBillSchema = new mongoose.Schema({
+  archivePeriod: { type: String, index: true },
+  archivedAt: { type: Date, default: Date.now }
+}, { strict: false });
+
+const ArchivedBill = mongoose.model('ArchivedBill', archivedBillSchema);
+
+const retentionRunSchema = new mongoose.Schema({
+  trigger: { type: String, enum: ['schedule', 'manual', 'restore'], required: true },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  target: String,
+  cutoffDate: Date,
+  periods: [{
+    _id: false,
+    period: String,
+    billCount: Number,
+    location: String
+  }],
+  status: { type: String, enum: ['running', 'completed', 'skipped', 'failed'], default: 'running' },
+  error: String,
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: Date
+});
+
+const RetentionRun = mongoose.model('RetentionRun', retentionRunSchema);
+
+// Responses to write requests sent with an Idempotency-Key, kept so client
+// retries replay the original result instead of repeating the write
+const idempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  route: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['pending', 'completed'], default: 'pending' },
+  statusCode: Number,
+  // Response body as sent, with its content type
+  contentType: String,
+  body: String,
+  lockedUntil: Date,
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+idempotencyKeySchema.index({ key: 1, userId: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+// Cash register day for one store: opened with a cash float and closed with the
+// cash counted in the drawer. Closing keeps the Z-report and locks the day's
+// bills until an owner reopens it.
+const dayCloseSchema = new mongoose.Schema({
+  // Business day (YYYY-MM-DD) in the shop's time zone
+  day: { type: String, required: true },
+  store: { type: String, default: DEFAULT_STORE_ID },
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  openingFloat: { type: Number, default: 0, min: 0 },
+  openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  openedByName: String,
+  openedAt: { type: Date, default: Date.now },
+  zReportNumber: String,
+  expectedCash: Number,
+  countedCash: { type: Number, min: 0 },
+  variance: Number,
+  note: { type: String, trim: true },
+  report: mongoose.Schema.Types.Mixed,
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedByName: String,
+  closedAt: Date,
+  reopenings: [{
+    _id: false,
+    reason: { type: String, required: true },
+    zReportNumber: String,
+    countedCash: Number,
+    variance: Number,
+    reopenedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reopenedByName: String,
+    reopenedAt: { type: Date, default: Date.now }
+  }]
+});
+
+dayCloseSchema.index({ day: 1, store: 1 }, { unique: true });
+
+const DayClose = mongoose.model('DayClose', dayCloseSchema);
+
+// Outgoing customer message and its delivery log; the queue worker sends
+// queued messages and retries failures with backoff
+const messageSchema = new mongoose.Schema({
+  channel: { type: String, enum: MESSAGE_CHANNELS, required: true },
+  to: { type: String, required: true, index: true },
+  language: { type: String, enum: MESSAGE_LANGUAGES, default: 'ta' },
+  template: { type: String, required: true },
+  text: { type: String, required: true },
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', index: true },
+  billNumber: String,
+  status: { type: String, enum: MESSAGE_STATUSES, default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  // A send that crashes mid-way is picked up again after this
+  lockedUntil: Date,
+  provider: String,
+  providerMessageId: String,
+  lastError: String,
+  sentAt: Date,
+  events: [{
+    _id: false,
+    status: String,
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+messageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+// Public read-only link to one bill's receipt. The URL carries an HMAC of the
+// link ID and expiry, and the link stops working once revoked or expired.
+const receiptLinkSchema = new mongoose.Schema({
+  billId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', required: true, index: true },
+  billNumber: String,
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedByName: String,
+  viewCount: { type: Number, default: 0 },
+  lastViewedAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdByName: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const ReceiptLink = mongoose.model('ReceiptLink', receiptLinkSchema);
+
+// One entry per write request: who sent it, from where, and what it changed.
+// diff holds only the fields that changed; bill changes also keep the whole
+// bill as saved, which makes up its revision history.
+const auditLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  username: String,
+  role: String,
+  method: { type: String, required: true },
+  // Route pattern such as /api/bills/:id; path is the URL actually requested
+  route: String,
+  path: { type: String, required: true },
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  changes: [{
+    _id: false,
+    entity: { type: String, required: true },
+    // Product IDs are numbers and bill IDs ObjectIds, so both are kept as text
+    entityId: { type: String, required: true },
+    label: String,
+    action: { type: String, required: true },
+    diff: [{
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    snapshot: mongoose.Schema.Types.Mixed
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ 'changes.entity': 1, 'changes.entityId': 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// Helper Functions
+const validateProductData = (data) => {
+  const errors = [];
+  if (!data.name) errors.push(fieldError('name', 'Product name is required', 'REQUIRED_FIELD'));
+  if (!data.nameTamil) errors.push(fieldError('nameTamil', 'Tamil product name is required', 'REQUIRED_FIELD'));
+  if (!data.price || isNaN(data.price)) {
+    errors.push(fieldError('price', 'Valid price is required', data.price === undefined ? 'REQUIRED_FIELD' : 'INVALID_VALUE'));
+  }
+  if (data.taxCategory !== undefined && !TAX_CATEGORIES[data.taxCategory]) {
+    errors.push(fieldError('taxCategory', `Tax category must be one of: ${Object.keys(TAX_CATEGORIES).join(', ')}`));
+  }
+  if (data.hsnCode !== undefined && !/^\d{4}(\d{2})?(\d{2})?$/.test(data.hsnCode)) {
+    errors.push(fieldError('hsnCode', 'HSN/SAC code must be 4, 6 or 8 digits', 'INVALID_FORMAT'));
+  }
+  errors.push(...validateCatalogueFields(data));
+  return errors;
+};
+
+// Catalogue fields, also checked when a product is updated
+const validateCatalogueFields = (data) => {
+  const errors = [];
+  if (data.unit !== undefined && !UNITS[data.unit]) {
+    errors.push(fieldError('unit', `Unit must be one of: ${Object.keys(UNITS).join(', ')}`));
+  }
+  if (data.barcode !== undefined && data.barcode !== null && !/^[A-Za-z0-9-]{4,32}$/.test(data.barcode)) {
+    errors.push(fieldError('barcode', 'Barcode must be 4-32 letters, digits or dashes', 'INVALID_FORMAT'));
+  }
+  if (data.sku !== undefined && data.sku !== null && !/^[A-Za-z0-9_-]{2,32}$/.test(data.sku)) {
+    errors.push(fieldError('sku', 'SKU must be 2-32 letters, digits, dashes or underscores', 'INVALID_FORMAT'));
+  }
+  if (data.categoryId !== undefined && data.categoryId !== null && !mongoose.isValidObjectId(data.categoryId)) {
+    errors.push(fieldError('categoryId', 'Invalid category', 'INVALID_ID'));
+  }
+  if (data.parentId !== undefined && data.parentId !== null &&
+    (!Number.isInteger(Number(data.parentId)) || Number(data.parentId) <= 0)) {
+    errors.push(fieldError('parentId', 'Invalid parent product', 'INVALID_ID'));
+  }
+  return errors;
+};
+
+// Category must exist, and a variant's parent must be a product that is not a variant itself
+const validateCatalogueLinks = async (data, productId) => {
+  const errors = [];
+  if (data.categoryId && !(await Category.exists({ _id: data.categoryId }))) {
+    errors.push(fieldError('categoryId', 'Category not found', 'NOT_FOUND'));
+  }
+  if (data.parentId) {
+    const parent = await Product.findById(Number(data.parentId)).select('parentId').lean();
+    if (!parent || parent._id === productId) errors.push(fieldError('parentId', 'Parent product not found', 'NOT_FOUND'));
+    else if (parent.parentId) errors.push(fieldError('parentId', 'Variants cannot have variants of their own'));
+  }
+  return errors;
+};
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Dates and Time Zones
+// Reports take calendar days (YYYY-MM-DD) in a given IANA time zone, so a day
+// means the shop's day rather than the server's or UTC's. The shop's own zone
+// and the hour its trading day starts live in the business setting.
+const DEFAULT_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// How far the zone's wall clock is ahead of UTC at the given instant
+const timeZoneOffsetMs = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant a YYYY-MM-DD day starts in the zone (at hour, if the day starts later
+// than midnight); the second pass settles DST changes
+const zonedStartOfDay = (day, timeZone, hour = 0) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, date, hour);
+  const firstPass = guess - timeZoneOffsetMs(new Date(guess), timeZone);
+  return new Date(guess - timeZoneOffsetMs(new Date(firstPass), timeZone));
+};
+
+const shiftDay = (day, days) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+};
+
+// 29 February has no twin in the year before, so it maps to the 28th
+const sameDayLastYear = (day) => {
+  const shifted = `${Number(day.slice(0, 4)) - 1}${day.slice(4)}`;
+  return shifted.endsWith('-02-29') ? shifted.replace('-02-29', '-02-28') : shifted;
+};
+
+// YYYY-MM-DD of the trading day an instant belongs to; before dayStartHour it
+// still counts towards the previous day
+const businessDayOf = (date, { timeZone, dayStartHour = 0 }) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(new Date(date).getTime() - dayStartHour * 3600000));
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rejects days such as 2025-02-30 that Date would roll over into March
+const isCalendarDay = (day) => DAY_PATTERN.test(day || '') && !isNaN(Date.parse(day)) && shiftDay(day, 0) === day;
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive) and optional ?timezone=, as a
+// half-open [startDate, endDate) range of instants
+const parseDayRange = ({ from, to, timezone }, { defaultTimeZone = DEFAULT_TIMEZONE, dayStartHour = 0 } = {}) => {
+  const timeZone = timezone || defaultTimeZone;
+  if (!isValidTimeZone(timeZone)) {
+    throw billingError(`Unknown time zone ${timeZone}`, 'INVALID_TIMEZONE');
+  }
+  if (!isCalendarDay(from) || !isCalendarDay(to) || from > to) {
+    throw billingError('From and to must be dates (YYYY-MM-DD) with from on or before to', 'INVALID_DATE_RANGE');
+  }
+
+  return {
+    from,
+    to,
+    timeZone,
+    dayStartHour,
+    startDate: zonedStartOfDay(from, timeZone, dayStartHour),
+    endDate: zonedStartOfDay(shiftDay(to, 1), timeZone, dayStartHour),
+    days: Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1
+  };
+};
+
+const getBusinessClock = async () => {
+  const { timeZone, dayStartHour } = await getSetting('business');
+  return { timeZone, dayStartHour };
+};
+
+// parseDayRange in the shop's time zone and trading day unless ?timezone= overrides the zone
+const businessDayRange = async (query) => {
+  const clock = await getBusinessClock();
+  return parseDayRange(query, { defaultTimeZone: clock.timeZone, dayStartHour: clock.dayStartHour });
+};
+
+// Works out where the supply is taxed: a different state means IGST instead of CGST + SGST
+const resolvePlaceOfSupply = ({ placeOfSupply, customerGstin }) => {
+  if (customerGstin && !/^\d{2}[A-Z0-9]{13}$/i.test(customerGstin)) {
+    throw new Error('Customer GSTIN must be 15 characters starting with the state code');
+  }
+
+  const stateCode = placeOfSupply || (customerGstin ? customerGstin.slice(0, 2) : SHOP_STATE_CODE);
+  if (!/^\d{2}$/.test(stateCode)) {
+    throw new Error('Place of supply must be a 2 digit state code');
+  }
+
+  return {
+    placeOfSupply: stateCode,
+    supplyType: stateCode === SHOP_STATE_CODE ? 'intra-state' : 'inter-state'
+  };
+};
+
+// Pricing errors carry an errorType so routes can report them like other bill errors
+const billingError = (message, errorType) => {
+  const err = new Error(message);
+  err.errorType = errorType;
+  return err;
+};
+
+const calculateDiscount = ({ discountType, value, maxDiscount }, amount) => {
+  const numericValue = Number(value);
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw billingError(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`, 'INVALID_DISCOUNT');
+  }
+  if (isNaN(numericValue) || numericValue < 0) {
+    throw billingError('Discount value must be a positive number', 'INVALID_DISCOUNT');
+  }
+  if (discountType === 'percent' && numericValue > 100) {
+    throw billingError('Percentage discount cannot exceed 100', 'INVALID_DISCOUNT');
+  }
+
+  let discount = discountType === 'percent' ? amount * numericValue / 100 : numericValue;
+  if (maxDiscount) discount = Math.min(discount, maxDiscount);
+  return roundMoney(Math.min(discount, amount));
+};
+
+// Applies GST to a line's net amount, rounding each component to paise
+const applyLineTax = (line, product, supplyType) => {
+  const taxCategory = product.taxCategory || 'exempt';
+  const taxRate = TAX_CATEGORIES[taxCategory].rate;
+  const includesTax = product.priceIncludesTax !== false;
+
+  const taxableValue = includesTax
+    ? roundMoney(line.netAmount * 100 / (100 + taxRate))
+    : line.netAmount;
+  const taxAmount = includesTax
+    ? roundMoney(line.netAmount - taxableValue)
+    : roundMoney(taxableValue * taxRate / 100);
+
+  let cgst = 0;
+  let sgst = 0;
+  let igst = 0;
+  if (supplyType === 'inter-state') {
+    igst = taxAmount;
+  } else {
+    cgst = roundMoney(taxAmount / 2);
+    sgst = roundMoney(taxAmount - cgst);
+  }
+
+  return {
+    ...line,
+    hsnCode: product.hsnCode,
+    taxCategory,
+    taxRate,
+    taxableValue,
+    cgst,
+    sgst,
+    igst,
+    total: roundMoney(taxableValue + taxAmount)
+  };
+};
+
+// Discounts the person billing chooses, as opposed to coupons and loyalty points
+const MANUAL_DISCOUNT_SCOPES = ['price-override', 'line', 'bill'];
+
+// Largest manual discount, as a percentage of the bill at list prices, the
+// user may give; undefined for owners, who are not limited
+const manualDiscountLimit = (user, discountSettings) => {
+  if (!user || user.role === ROLES.OWNER) return undefined;
+  return user.role === ROLES.CASHIER ? discountSettings.cashierMaxPercent : 0;
+};
+
+// Prices bill lines: price overrides and line discounts first, then bill-level
+// discounts spread across lines by value, then GST on what remains.
+// Overrides may only lower the price, and manual discounts together may not
+// exceed maxManualPercent of the bill at list prices.
+// Returns the bill items and an audit entry for every discount or override applied.
+const priceBillItems = (entries, { supplyType, billDiscounts = [], appliedBy, maxManualPercent } = {}) => {
+  const appliedAt = new Date();
+  const actor = appliedBy ? { appliedBy: appliedBy._id, appliedByName: appliedBy.username } : {};
+  const discounts = [];
+
+  const lines = entries.map(({ product, quantity, price, discountType, discountValue }, index) => {
+    const listPrice = product.price;
+    const unitPrice = price !== undefined && price !== null ? Number(price) : listPrice;
+    if (isNaN(unitPrice) || unitPrice < 0) {
+      throw billingError(`Invalid price override at position ${index}`, 'INVALID_PRICE');
+    }
+    if (unitPrice > listPrice) {
+      throw billingError(`Price override at position ${index} is above the list price of ${listPrice}`, 'INVALID_PRICE');
+    }
+
+    if (unitPrice !== listPrice) {
+      discounts.push({
+        scope: 'price-override',
+        lineIndex: index,
+        productId: product._id,
+        listPrice,
+        price: unitPrice,
+        amount: roundMoney((listPrice - unitPrice) * quantity),
+        ...actor,
+        appliedAt
+      });
+    }
+
+    const grossAmount = roundMoney(quantity * unitPrice);
+    const lineDiscount = discountType
+      ? calculateDiscount({ discountType, value: discountValue }, grossAmount)
+      : 0;
+
+    if (lineDiscount > 0) {
+      discounts.push({
+        scope: 'line',
+        lineIndex: index,
+        productId: product._id,
+        discountType,
+        value: Number(discountValue),
+        amount: lineDiscount,
+        ...actor,
+        appliedAt
+      });
+    }
+
+    return {
+      productId: product._id,
+      nameTamil: product.nameTamil,
+      quantity,
+      unit: product.unit || 'pcs',
+      listPrice,
+      price: unitPrice,
+      costPrice: product.costPrice,
+      grossAmount,
+      discountType: lineDiscount > 0 ? discountType : undefined,
+      discountValue: lineDiscount > 0 ? Number(discountValue) : undefined,
+      lineDiscount,
+      billDiscount: 0
+    };
+  });
+
+  for (const adjustment of billDiscounts) {
+    const subtotal = roundMoney(lines.reduce(
+      (sum, line) => sum + line.grossAmount - line.lineDiscount - line.billDiscount, 0
+    ));
+
+    if (adjustment.minBillAmount && subtotal < adjustment.minBillAmount) {
+      throw billingError(
+        `Coupon ${adjustment.couponCode} requires a minimum bill of ${adjustment.minBillAmount}`,
+        'COUPON_MIN_AMOUNT_NOT_MET'
+      );
+    }
+
+    const amount = calculateDiscount(adjustment, subtotal);
+    if (amount <= 0 || subtotal <= 0) continue;
+
+    // Spread the discount by line value; the largest line absorbs rounding, as
+    // a small one could end up discounted below zero
+    const lineNets = lines.map(line => line.grossAmount - line.lineDiscount - line.billDiscount);
+    const largest = lineNets.indexOf(Math.max(...lineNets));
+    let remaining = amount;
+    lines.forEach((line, index) => {
+      if (index === largest) return;
+      const share = roundMoney(amount * lineNets[index] / subtotal);
+      line.billDiscount = roundMoney(line.billDiscount + share);
+      remaining = roundMoney(remaining - share);
+    });
+    lines[largest].billDiscount = roundMoney(lines[largest].billDiscount + remaining);
+
+    discounts.push({
+      scope: adjustment.scope,
+      discountType: adjustment.discountType,
+      value: Number(adjustment.value),
+      maxDiscount: adjustment.maxDiscount,
+      minBillAmount: adjustment.minBillAmount,
+      couponCode: adjustment.couponCode,
+      reason: adjustment.reason,
+      amount,
+      appliedBy: adjustment.appliedBy || actor.appliedBy,
+      appliedByName: adjustment.appliedByName || actor.appliedByName,
+      appliedAt: adjustment.appliedAt || appliedAt
+    });
+  }
+
+  if (maxManualPercent !== undefined) {
+    const listTotal = entries.reduce((sum, { product, quantity }) => sum + product.price * quantity, 0);
+    const manualTotal = roundMoney(discounts
+      .filter(discount => MANUAL_DISCOUNT_SCOPES.includes(discount.scope))
+      .reduce((sum, discount) => sum + discount.amount, 0));
+    if (manualTotal > roundMoney(listTotal * maxManualPercent / 100)) {
+      throw billingError(
+        `Discounts of ${manualTotal} are more than the ${maxManualPercent}% of the bill you may give`,
+        'DISCOUNT_LIMIT_EXCEEDED'
+      );
+    }
+  }
+
+  const items = lines.map((line, index) => applyLineTax({
+    ...line,
+    netAmount: roundMoney(line.grossAmount - line.lineDiscount - line.billDiscount)
+  }, entries[index].product, supplyType));
+
+  return { items, discounts };
+};
+
+// Looks up a coupon and claims one use of it inside the bill's transaction
+const redeemCoupon = async (code, session) => {
+  const now = new Date();
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      code: String(code).trim().toUpperCase(),
+      active: true,
+      validFrom: { $lte: now },
+      $and: [
+        { $or: [{ validTo: null }, { validTo: { $gte: now } }] },
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!coupon) {
+    throw billingError(`Coupon ${code} is invalid, expired or fully used`, 'INVALID_COUPON');
+  }
+
+  return coupon;
+};
+
+const couponAdjustment = (coupon) => ({
+  scope: 'coupon',
+  couponCode: coupon.code,
+  discountType: coupon.discountType,
+  value: coupon.value,
+  maxDiscount: coupon.maxDiscount,
+  minBillAmount: coupon.minBillAmount
+});
+
+// Points spent as a flat bill discount, after any coupon
+const loyaltyAdjustment = async (mobileNumber, redeemPoints, loyalty, session) => {
+  const points = Number(redeemPoints);
+  if (!loyalty.enabled) {
+    throw billingError('Loyalty points are not enabled', 'LOYALTY_DISABLED');
+  }
+  if (!Number.isInteger(points) || points <= 0) {
+    throw billingError('Points to redeem must be a whole number', 'INVALID_POINTS');
+  }
+  if (points < loyalty.minRedeemPoints) {
+    throw billingError(`At least ${loyalty.minRedeemPoints} points must be redeemed at a time`, 'INVALID_POINTS');
+  }
+
+  const contact = await Contact.findOne({ mobileNumber }).session(session).lean();
+  if (!contact || contact.loyaltyPoints < points) {
+    throw billingError(
+      `Customer has ${contact ? contact.loyaltyPoints : 0} loyalty points, not ${points}`,
+      'INSUFFICIENT_POINTS'
+    );
+  }
+
+  return {
+    scope: 'loyalty',
+    discountType: 'flat',
+    value: roundMoney(points * loyalty.pointValue),
+    reason: `${points} loyalty points`
+  };
+};
+
+// Totals the bill lines, groups tax per rate and rounds the payable amount to the rupee
+const summarizeBillTax = (lines) => {
+  const byRate = {};
+  const totals = { taxableTotal: 0, cgstTotal: 0, sgstTotal: 0, igstTotal: 0 };
+  let lineTotal = 0;
+  let grossTotal = 0;
+  let discountTotal = 0;
+
+  for (const line of lines) {
+    grossTotal = roundMoney(grossTotal + line.grossAmount);
+    discountTotal = roundMoney(discountTotal + line.lineDiscount + line.billDiscount);
+
+    const entry = byRate[line.taxRate] ||
+      (byRate[line.taxRate] = { taxRate: line.taxRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 });
+    entry.taxableValue = roundMoney(entry.taxableValue + line.taxableValue);
+    entry.cgst = roundMoney(entry.cgst + line.cgst);
+    entry.sgst = roundMoney(entry.sgst + line.sgst);
+    entry.igst = roundMoney(entry.igst + line.igst);
+
+    totals.taxableTotal = roundMoney(totals.taxableTotal + line.taxableValue);
+    totals.cgstTotal = roundMoney(totals.cgstTotal + line.cgst);
+    totals.sgstTotal = roundMoney(totals.sgstTotal + line.sgst);
+    totals.igstTotal = roundMoney(totals.igstTotal + line.igst);
+    lineTotal = roundMoney(lineTotal + line.total);
+  }
+
+  const grandTotal = Math.round(lineTotal);
+
+  return {
+    grossTotal,
+    discountTotal,
+    ...totals,
+    taxTotal: roundMoney(totals.cgstTotal + totals.sgstTotal + totals.igstTotal),
+    taxSummary: Object.values(byRate).sort((a, b) => a.taxRate - b.taxRate),
+    roundOff: roundMoney(grandTotal - lineTotal),
+    grandTotal
+  };
+};
+
+// Stores
+const getStore = async (code) => {
+  const id = String(code || DEFAULT_STORE_ID).trim().toUpperCase();
+  const store = await Store.findById(id).lean();
+  if (store) return store;
+  return id === DEFAULT_STORE_ID ? DEFAULT_STORE : null;
+};
+
+// Resolves a store code from a request, rejecting unknown or closed stores
+const requireStore = async (code) => {
+  const store = await getStore(code);
+  if (!store || !store.active) {
+    throw billingError(`Unknown or inactive store ${code}`, 'INVALID_STORE');
+  }
+  return store;
+};
+
+// Store a request works in: staff bound to a store get theirs and may not pick
+// another; owners and unbound staff get the one asked for
+const storeForUser = (user, code) => {
+  if (!user || user.role === ROLES.OWNER || !user.store) return code;
+  if (code && String(code).trim().toUpperCase() !== user.store) {
+    throw billingError(`You can only work in store ${user.store}`, 'STORE_NOT_ALLOWED');
+  }
+  return user.store;
+};
+
+// Bills and credit notes from before stores have no store and belong to MAIN
+const storeFilter = (store) => (store === DEFAULT_STORE_ID
+  ? { store: { $in: [DEFAULT_STORE_ID, null] } }
+  : { store });
+
+// ?store= on list and report routes; without it they cover every store
+const storeScope = (code) => (code ? storeFilter(String(code).trim().toUpperCase()) : {});
+
+// Products that predate stores keep all their stock in the default store
+const storeStockOf = (product, store) => {
+  const entry = (product.storeStock || []).find(row => row.store === store);
+  if (entry) return entry.stock;
+  return (!product.storeStock || product.storeStock.length === 0) && store === DEFAULT_STORE_ID
+    ? product.stock
+    : 0;
+};
+
+// Gives the product a storeStock row for the store, moving pre-store stock into MAIN first
+const ensureStoreStockRow = async (product, store, session) => {
+  if (!product.storeStock || product.storeStock.length === 0) {
+    await Product.updateOne(
+      { _id: product._id, stock: product.stock, 'storeStock.0': { $exists: false } },
+      { $set: { storeStock: [{ store: DEFAULT_STORE_ID, stock: product.stock }] } },
+      { session }
+    );
+  }
+  await Product.updateOne(
+    { _id: product._id, 'storeStock.store': { $ne: store } },
+    { $push: { storeStock: { store, stock: 0 } } },
+    { session }
+  );
+};
+
+// Changes a product's stock at one store, and its total with it, and records
+// the movement in the stock ledger. Decrements only apply when that store has
+// enough stock.
+const applyStockChange = async ({
+  productId, store = DEFAULT_STORE_ID, quantity, reason, ref, note, user, session
+}) => {
+  const storeMatch = quantity < 0 ? { store, stock: { $gte: -quantity } } : { store };
+  const unitMatch = Number.isInteger(quantity) ? {} : { unit: { $in: FRACTIONAL_UNITS } };
+  const takeStock = () => Product.findOneAndUpdate(
+    { _id: productId, ...unitMatch, storeStock: { $elemMatch: storeMatch } },
+    { $inc: { stock: quantity, 'storeStock.$.stock': quantity } },
+    { new: true, session }
+  );
+
+  let product = await takeStock();
+
+  if (!product) {
+    const existing = await Product.findById(productId).select('nameTamil unit stock storeStock').session(session);
+    if (!existing) throw billingError(`Product ${productId} not found`, 'PRODUCT_NOT_FOUND');
+    if (!quantityFitsUnit(quantity, existing.unit)) {
+      throw billingError(`${existing.nameTamil} is counted in whole ${existing.unit || 'pcs'}`, 'INVALID_QUANTITY');
+    }
+
+    if (!existing.storeStock.some(row => row.store === store)) {
+      await ensureStoreStockRow(existing, store, session);
+      product = await takeStock();
+    }
+
+    if (!product) {
+      throw billingError(
+        `Insufficient stock for ${existing.nameTamil} (Available: ${storeStockOf(existing, store)}, Requested: ${-quantity})`,
+        'INSUFFICIENT_STOCK'
+      );
+    }
+  }
+
+  // Re-arm the store's low-stock alert once its stock is back above the minimum
+  const alertedRow = product.storeStock.find(row => row.store === store);
+  if (quantity > 0 && alertedRow.lowStockAlertedAt && alertedRow.stock > product.minStockLevel) {
+    await Product.updateOne(
+      { _id: product._id, 'storeStock.store': store },
+      { $set: { 'storeStock.$.lowStockAlertedAt': null } },
+      { session }
+    );
+  }
+
+  // Fractional $inc can leave float noise (0.30000000000000004); snap back to 3 decimals
+  if (!Number.isInteger(quantity)) {
+    const storeRow = product.storeStock.find(row => row.store === store);
+    if (roundQuantity(product.stock) !== product.stock || roundQuantity(storeRow.stock) !== storeRow.stock) {
+      product = await Product.findOneAndUpdate(
+        { _id: product._id, 'storeStock.store': store },
+        { $set: { stock: roundQuantity(product.stock), 'storeStock.$.stock': roundQuantity(storeRow.stock) } },
+        { new: true, session }
+      );
+    }
+  }
+
+  const [movement] = await StockMovement.create([{
+    productId: product._id,
+    store,
+    reason,
+    quantity,
+    balanceAfter: product.stock,
+    storeBalanceAfter: storeStockOf(product, store),
+    refType: ref && ref.type,
+    refId: ref && ref.id && ref.id.toString(),
+    refNumber: ref && ref.number,
+    note,
+    createdBy: user && user._id,
+    createdByName: user && user.username
+  }], { session });
+
+  return { product, movement };
+};
+
+// Writes one product's ledger correction. The product is read, compared and
+// touched in one transaction, so a sale changing the same product meanwhile
+// makes one of the two retry instead of the correction counting half a sale.
+// Returns the discrepancy fixed, or null if there was none by then.
+const fixProductLedger = async (productId, user) => {
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(async () => {
+      const product = await Product.findById(productId).select('stock').session(session).lean();
+      const [entry] = await StockMovement.aggregate([
+        { $match: { productId } },
+        { $group: { _id: null, ledgerStock: { $sum: '$quantity' } } }
+      ]).session(session);
+      if (!product) return null;
+
+      const ledgerStock = entry ? roundQuantity(entry.ledgerStock) : 0;
+      const difference = roundQuantity(product.stock - ledgerStock);
+      if (difference === 0) return null;
+
+      // Rewriting the stock bumps updatedAt, which is what makes a concurrent sale conflict
+      await Product.updateOne({ _id: productId }, { $set: { stock: product.stock } }, { session });
+      const reason = entry ? 'reconciliation' : 'opening-balance';
+      await StockMovement.create([{
+        productId,
+        reason,
+        quantity: difference,
+        balanceAfter: product.stock,
+        refType: 'Product',
+        refId: String(productId),
+        note: entry ? 'Ledger reconciled to product stock' : 'Stock on hand when the ledger started',
+        createdBy: user && user._id,
+        createdByName: user ? user.username : 'system'
+      }], { session });
+
+      return { productStock: product.stock, ledgerStock, difference, reason };
+    });
+  } finally {
+    session.endSession();
+  }
+};
+
+// Compares each product's stock with its ledger. With fix enabled, products that
+// predate the ledger get an opening balance and any drift gets a reconciliation entry.
+const reconcileStockLedger = async ({ fix = false, user } = {}) => {
+  const [products, ledger] = await Promise.all([
+    Product.find().select('_id name nameTamil stock').lean(),
+    StockMovement.aggregate([
+      { $sort: { date: 1, _id: 1 } },
+      {
+        $group: {
+          _id: '$productId',
+          ledgerStock: { $sum: '$quantity' },
+          lastBalance: { $last: '$balanceAfter' },
+          movementCount: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const ledgerByProduct = new Map(ledger.map(entry => [entry._id, entry]));
+  const discrepancies = [];
+
+  for (const product of products) {
+    const entry = ledgerByProduct.get(product._id);
+    const ledgerStock = entry ? roundQuantity(entry.ledgerStock) : 0;
+    const difference = roundQuantity(product.stock - ledgerStock);
+    if (difference === 0) continue;
+
+    // What a sale in flight left half-counted is checked again before it is fixed
+    const discrepancy = fix
+      ? await fixProductLedger(product._id, user)
+      : { productStock: product.stock, ledgerStock, difference, reason: entry ? 'reconciliation' : 'opening-balance' };
+    if (discrepancy) {
+      discrepancies.push({ productId: product._id, nameTamil: product.nameTamil, ...discrepancy });
+    }
+  }
+
+  return {
+    checkedAt: new Date(),
+    productCount: products.length,
+    discrepancyCount: discrepancies.length,
+    fixed: fix,
+    discrepancies
+  };
+};
+
+// Update for edited product fields. A new minimum level re-arms the low-stock
+// alerts at every store; run checkLowStock once the change is saved.
+const productFieldsUpdate = (fields) => (fields.minStockLevel === undefined
+  ? { $set: fields }
+  : { $set: { ...fields, 'storeStock.$[].lowStockAlertedAt': null } });
+
+// Low-stock notifiers, chosen with LOW_STOCK_NOTIFIER. Each receives the saved
+// alert and returns once delivered; throwing marks the alert as failed.
+const lowStockNotifiers = {
+  outbox: async () => {},
+  webhook: async (alert) => {
+    const url = process.env.LOW_STOCK_WEBHOOK_URL;
+    if (!url) throw new Error('LOW_STOCK_WEBHOOK_URL is not set');
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        event: 'product.low_stock',
+        alertId: alert._id,
+        productId: alert.productId,
+        nameTamil: alert.nameTamil,
+        store: alert.store,
+        stock: alert.stock,
+        minStockLevel: alert.minStockLevel,
+        reference: alert.refNumber,
+        createdAt: alert.createdAt
+      }),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) throw new Error(`Webhook responded with ${response.status}`);
+  }
+};
+
+// Fires one alert per product and store whose stock there is now at or below
+// the product's minimum level. Runs after the change commits and never fails the request.
+const checkLowStock = async (productIds, ref = {}) => {
+  const notifierName = process.env.LOW_STOCK_NOTIFIER || 'outbox';
+  const notify = lowStockNotifiers[notifierName] || lowStockNotifiers.outbox;
+
+  for (const productId of new Set(productIds)) {
+    try {
+      let product = await Product.findById(productId).select('nameTamil stock storeStock minStockLevel').lean();
+      if (!product) continue;
+      if (product.storeStock.length === 0) {
+        await ensureStoreStockRow(product, DEFAULT_STORE_ID);
+        product = await Product.findById(productId).select('nameTamil stock storeStock minStockLevel').lean();
+      }
+
+      for (const row of product.storeStock) {
+        if (row.lowStockAlertedAt || row.stock > product.minStockLevel) continue;
+
+        // Claimed in one update so two sales crossing the level together alert once
+        const claim = await Product.updateOne(
+          {
+            _id: productId,
+            minStockLevel: product.minStockLevel,
+            storeStock: {
+              $elemMatch: { store: row.store, lowStockAlertedAt: null, stock: { $lte: product.minStockLevel } }
+            }
+          },
+          { $set: { 'storeStock.$.lowStockAlertedAt': new Date() } }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        const alert = await StockAlert.create({
+          productId: product._id,
+          nameTamil: product.nameTamil,
+          store: row.store,
+          stock: row.stock,
+          minStockLevel: product.minStockLevel,
+          refType: ref.type,
+          refId: ref.id && ref.id.toString(),
+          refNumber: ref.number,
+          notifier: notifierName
+        });
+
+        try {
+          await notify(alert);
+          if (notifierName !== 'outbox') {
+            await StockAlert.updateOne({ _id: alert._id }, { $set: { status: 'delivered' } });
+          }
+        } catch (notifyError) {
+          await StockAlert.updateOne(
+            { _id: alert._id },
+            { $set: { status: 'failed', error: notifyError.message } }
+          );
+        }
+      }
+    } catch (err) {
+      console.error(`Low-stock check failed for product ${productId}:`, err.message);
+    }
+  }
+};
+
+// Job Locks
+const INSTANCE_ID = crypto.randomUUID();
+
+// Takes the named lock unless another instance holds an unexpired one
+const acquireLock = async (name, ttlMs) => {
+  const now = new Date();
+  try {
+    await Lock.findOneAndUpdate(
+      { _id: name, $or: [{ expiresAt: { $lt: now } }, { owner: INSTANCE_ID }] },
+      { $set: { owner: INSTANCE_ID, acquiredAt: now, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+const releaseLock = (name) => Lock.deleteOne({ _id: name, owner: INSTANCE_ID });
+
+// Validates tenders and stamps them with who received them
+const normalizePayments = (payments, user) => {
+  if (!Array.isArray(payments)) {
+    throw billingError('Payments must be an array', 'INVALID_PAYMENT');
+  }
+
+  return payments.map((payment, index) => {
+    const amount = roundMoney(Number(payment.amount));
+    if (!PAYMENT_MODES.includes(payment.mode)) {
+      throw billingError(
+        `Payment mode at position ${index} must be one of: ${PAYMENT_MODES.join(', ')}`,
+        'INVALID_PAYMENT'
+      );
+    }
+    if (isNaN(amount) || amount <= 0) {
+      throw billingError(`Invalid payment amount at position ${index}`, 'INVALID_PAYMENT');
+    }
+
+    return {
+      mode: payment.mode,
+      kind: 'payment',
+      amount,
+      reference: payment.reference,
+      receivedBy: user && user._id,
+      receivedByName: user && user.username,
+      receivedAt: new Date()
+    };
+  });
+};
+
+const summarizePayments = (payments, grandTotal) => {
+  const amountPaid = roundMoney(payments.reduce(
+    (sum, payment) => sum + (payment.kind === 'refund' ? -payment.amount : payment.amount), 0
+  ));
+  const balanceDue = roundMoney(Math.max(grandTotal - amountPaid, 0));
+
+  let paymentStatus = 'paid';
+  if (balanceDue > 0) paymentStatus = amountPaid > 0 ? 'partial' : 'unpaid';
+
+  return { amountPaid, balanceDue, paymentStatus };
+};
+
+// Moves a customer's outstanding balance and records why in the ledger
+const postLedgerEntry = async ({
+  entryId, mobileNumber, customerName, entryType, amount, bill, payments, allocations, note, user, session
+}) => {
+  const contact = await Contact.findOneAndUpdate(
+    { mobileNumber },
+    {
+      $setOnInsert: { name: customerName || mobileNumber },
+      $inc: { outstandingBalance: amount }
+    },
+    { new: true, upsert: true, session }
+  );
+
+  const [entry] = await LedgerEntry.create([{
+    _id: entryId,
+    mobileNumber,
+    entryType,
+    amount,
+    balanceAfter: roundMoney(contact.outstandingBalance),
+    billId: bill && bill._id,
+    billNumber: bill && bill.billNumber,
+    payments,
+    allocations,
+    note,
+    createdBy: user && user._id
+  }], { session });
+
+  return entry;
+};
+
+// Moves a customer's loyalty points and records why. Spending more points than
+// the customer has fails with INSUFFICIENT_POINTS.
+const postLoyaltyEntry = async ({ mobileNumber, customerName, entryType, points, bill, note, user, session }) => {
+  const contact = await Contact.findOneAndUpdate(
+    points < 0 ? { mobileNumber, loyaltyPoints: { $gte: -points } } : { mobileNumber },
+    {
+      $setOnInsert: { name: customerName || mobileNumber },
+      $inc: { loyaltyPoints: points }
+    },
+    { new: true, upsert: points >= 0, session }
+  );
+  if (!contact) {
+    throw billingError(`Customer ${mobileNumber} does not have ${-points} loyalty points`, 'INSUFFICIENT_POINTS');
+  }
+
+  const [entry] = await LoyaltyEntry.create([{
+    mobileNumber,
+    entryType,
+    points,
+    balanceAfter: contact.loyaltyPoints,
+    billId: bill && bill._id,
+    billNumber: bill && bill.billNumber,
+    note,
+    createdBy: user && user._id
+  }], { session });
+
+  return entry;
+};
+
+const pointsEarnedOn = (grandTotal, loyalty) =>
+  (loyalty.enabled ? Math.floor(grandTotal / loyalty.spendPerPoint) : 0);
+
+// Takes back points a bill earned, as far as the customer still has them
+const reverseEarnedPoints = async ({ mobileNumber, points, bill, note, user, session }) => {
+  const contact = await Contact.findOne({ mobileNumber }).session(session).lean();
+  const available = Math.min(points, contact ? contact.loyaltyPoints : 0);
+  if (available <= 0) return null;
+  return postLoyaltyEntry({ mobileNumber, entryType: 'reversal', points: -available, bill, note, user, session });
+};
+
+// Barcode first, then SKU (SKUs are stored upper-case)
+const findProductByCode = (code, session) => {
+  const value = String(code).trim();
+  return Product.findOne({ $or: [{ barcode: value }, { sku: value.toUpperCase() }] }).session(session || null);
+};
+
+// Records a price that takes effect now, e.g. from a product edit
+const recordPriceChange = ({ productId, price, previousPrice, source, note, user, session }) => {
+  const now = new Date();
+  return PriceChange.create([{
+    productId,
+    price,
+    previousPrice,
+    effectiveFrom: now,
+    status: 'applied',
+    source,
+    note,
+    createdBy: user && user._id,
+    createdByName: user && user.username,
+    appliedAt: now
+  }], { session });
+};
+
+// Builds a lookup of the catalogue price in force for the given products at any
+// time. Before a product's first recorded change its previousPrice applies;
+// products with no history fall back to their current price.
+const loadPriceTimeline = async (productIds) => {
+  const [changes, products] = await Promise.all([
+    PriceChange.find({ productId: { $in: productIds }, status: 'applied' })
+      .sort({ effectiveFrom: 1, _id: 1 })
+      .lean(),
+    Product.find({ _id: { $in: productIds } }).select('price').lean()
+  ]);
+
+  const timeline = new Map();
+  for (const change of changes) {
+    if (!timeline.has(change.productId)) timeline.set(change.productId, []);
+    timeline.get(change.productId).push(change);
+  }
+  const currentPrices = new Map(products.map(product => [product._id, product.price]));
+
+  return (productId, at) => {
+    const history = timeline.get(productId) || [];
+    let inForce;
+    for (const change of history) {
+      if (change.effectiveFrom > at) break;
+      inForce = change;
+    }
+    if (inForce) return inForce.price;
+    if (history.length > 0 && history[0].previousPrice !== undefined) return history[0].previousPrice;
+    return currentPrices.has(productId) ? currentPrices.get(productId) : null;
+  };
+};
+
+// Applies scheduled price changes that are due, oldest first. Each change is
+// claimed from scheduled before the product is touched, so one cancelled in the
+// meantime is skipped, and the claim and the new price commit together.
+const applyDuePriceChanges = async () => {
+  const due = await PriceChange.find({ status: 'scheduled', effectiveFrom: { $lte: new Date() } })
+    .select('_id')
+    .sort({ effectiveFrom: 1, _id: 1 })
+    .lean();
+
+  let applied = 0;
+  for (const { _id } of due) {
+    const session = await mongoose.startSession();
+    try {
+      const wasApplied = await session.withTransaction(async () => {
+        const change = await PriceChange.findOneAndUpdate(
+          { _id, status: 'scheduled' },
+          { $set: { status: 'applied', appliedAt: new Date() } },
+          { new: true, session }
+        );
+        if (!change) return false;
+
+        const product = await Product.findById(change.productId).select('price').session(session);
+        if (!product) {
+          change.status = 'cancelled';
+          change.appliedAt = undefined;
+          change.cancelledAt = new Date();
+          change.note = [change.note, 'Product deleted before the change was due'].filter(Boolean).join('; ');
+          await change.save({ session });
+          return false;
+        }
+
+        change.previousPrice = product.price;
+        await Product.updateOne({ _id: product._id }, { $set: { price: change.price } }, { session });
+        await change.save({ session });
+        return true;
+      });
+      if (wasApplied) applied++;
+    } finally {
+      session.endSession();
+    }
+  }
+  return applied;
+};
+
+// Prices, validates and saves a bill and deducts its stock inside the caller's
+// transaction. Rejections are billingErrors; INVALID_ITEM errors carry the
+// item position and, for stock or catalogue problems, a more specific conflict.
+const createBill = async (data, { user, session, date, clientId, syncedAt }) => {
+  const {
+    billNumber, items, customerName, mobileNumber, placeOfSupply, customerGstin,
+    discountType, discountValue, discountReason, couponCode, redeemPoints, payments
+  } = data;
+
+  const series = await getBillSeries(data.series);
+  if (!series || !series.active) {
+    throw billingError(`Unknown or inactive bill series ${data.series}`, 'INVALID_BILL_SERIES');
+  }
+  const store = await requireStore(storeForUser(user, data.store));
+
+  // Offline bills carry their sale time, which may fall in a day already closed
+  const closedDay = await findClosedDay({ date: date || new Date(), store: store._id }, session);
+  if (closedDay) {
+    throw billingError(`Day ${closedDay.day} is closed; an owner must reopen it before bills can be added`, 'DAY_CLOSED');
+  }
+
+  // A client-sent number must have been reserved from this series
+  if (billNumber && !await billNumberIssued(series, String(billNumber), session)) {
+    throw billingError(`Bill number ${billNumber} was not issued by series ${series._id}`, 'INVALID_BILL_NUMBER');
+  }
+
+  // A number already on a bill means this repeats that bill, e.g. a retry sent
+  // without an Idempotency-Key; renumbering it would bill and take stock twice
+  if (billNumber && await Bill.findOne({ billNumber: String(billNumber) }).select('_id').session(session)) {
+    throw billingError(`Bill number ${billNumber} is already used by another bill`, 'DUPLICATE_BILL_NUMBER');
+  }
+
+  // Validate required fields
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw billingError('At least one bill item is required', 'NO_ITEMS');
+  }
+
+  if (!customerName || !mobileNumber) {
+    throw billingError('Customer name and mobile number are required', 'MISSING_CUSTOMER_INFO');
+  }
+
+  // Validate mobile number format
+  if (!/^\d{10}$/.test(mobileNumber)) {
+    throw billingError('Mobile number must be 10 digits', 'INVALID_MOBILE_NUMBER');
+  }
+
+  let supply;
+  try {
+    supply = resolvePlaceOfSupply({ placeOfSupply, customerGstin });
+  } catch (supplyError) {
+    throw billingError(supplyError.message, 'INVALID_PLACE_OF_SUPPLY');
+  }
+
+  const pricingEntries = [];
+  const stockDeductions = [];
+  const productCache = {};
+
+  const itemError = (message, index, conflict) =>
+    Object.assign(billingError(message, 'INVALID_ITEM'), { itemIndex: index, conflict });
+
+  // Process each item with detailed validation
+  for (const [index, item] of items.entries()) {
+    let productId = parseInt(item.productId);
+    const quantity = parseQuantity(item.quantity);
+
+    // Scanned items may send a barcode or SKU instead of the product ID
+    if (item.productId === undefined && item.barcode) {
+      const scanned = await findProductByCode(item.barcode, session);
+      if (!scanned) {
+        throw itemError(`No product with barcode ${item.barcode} at position ${index}`, index, 'PRODUCT_NOT_FOUND');
+      }
+      productId = scanned._id;
+      productCache[productId] = productCache[productId] || scanned;
+    }
+
+    if (isNaN(productId) || productId <= 0) {
+      throw itemError(`Invalid product ID at position ${index}`, index);
+    }
+
+    if (isNaN(quantity) || quantity <= 0) {
+      throw itemError(`Invalid quantity at position ${index}`, index);
+    }
+
+    // Check product cache first
+    let product = productCache[productId];
+    if (!product) {
+      product = await Product.findOne({ _id: productId }).session(session);
+      if (!product) {
+        throw itemError(`Product ${productId} not found at position ${index}`, index, 'PRODUCT_NOT_FOUND');
+      }
+      productCache[productId] = product;
+    }
+
+    if (!quantityFitsUnit(quantity, product.unit)) {
+      throw itemError(`${product.nameTamil} is sold in whole ${product.unit} at position ${index}`, index);
+    }
+
+    const available = storeStockOf(product, store._id);
+    if (available < quantity) {
+      throw itemError(
+        `Insufficient stock for ${product.nameTamil} (Available: ${available}, Requested: ${quantity}) at position ${index}`,
+        index,
+        'INSUFFICIENT_STOCK'
+      );
+    }
+
+    pricingEntries.push({
+      product,
+      quantity,
+      price: item.price,
+      discountType: item.discountType,
+      discountValue: item.discountValue
+    });
+
+    stockDeductions.push({ productId: product._id, quantity });
+  }
+
+  // Apply price overrides, discounts, coupon and loyalty points, then GST
+  const loyalty = await getSetting('loyalty');
+  const billDiscounts = [];
+  if (discountType) {
+    billDiscounts.push({ scope: 'bill', discountType, value: discountValue, reason: discountReason });
+  }
+  if (couponCode) {
+    billDiscounts.push(couponAdjustment(await redeemCoupon(couponCode, session)));
+  }
+  if (redeemPoints) {
+    billDiscounts.push(await loyaltyAdjustment(mobileNumber, redeemPoints, loyalty, session));
+  }
+
+  const pricing = priceBillItems(pricingEntries, {
+    supplyType: supply.supplyType,
+    billDiscounts,
+    appliedBy: user,
+    maxManualPercent: manualDiscountLimit(user, await getSetting('discounts'))
+  });
+
+  // Only the points the discount actually used are spent
+  const loyaltyDiscount = pricing.discounts.find(discount => discount.scope === 'loyalty');
+  const pointsRedeemed = loyaltyDiscount
+    ? Math.min(Number(redeemPoints), Math.ceil(roundMoney(loyaltyDiscount.amount / loyalty.pointValue)))
+    : 0;
+
+  // Bills without payment details are treated as paid in full by cash
+  const billTotals = summarizeBillTax(pricing.items);
+  const billPayments = payments === undefined
+    ? normalizePayments([{ mode: 'cash', amount: billTotals.grandTotal }], user)
+    : normalizePayments(payments, user);
+
+  const paymentTotals = summarizePayments(billPayments, billTotals.grandTotal);
+  if (paymentTotals.amountPaid > billTotals.grandTotal) {
+    throw billingError(
+      `Payments (${paymentTotals.amountPaid}) exceed the bill total (${billTotals.grandTotal})`,
+      'OVERPAYMENT'
+    );
+  }
+
+  // Create and save the bill
+  const bill = new Bill({
+    billNumber,
+    series: series._id,
+    store: store._id,
+    items: pricing.items,
+    ...supply,
+    customerGstin,
+    couponCode: couponCode ? String(couponCode).trim().toUpperCase() : undefined,
+    discounts: pricing.discounts,
+    ...billTotals,
+    payments: billPayments,
+    ...paymentTotals,
+    loyaltyPointsEarned: pointsEarnedOn(billTotals.grandTotal, loyalty),
+    loyaltyPointsRedeemed: pointsRedeemed,
+    customerName,
+    mobileNumber,
+    clientId,
+    syncedAt,
+    date
+  });
+
+  const savedBill = await bill.save({ session });
+
+  // Deduct stock through the ledger, referencing the saved bill
+  for (const deduction of stockDeductions) {
+    await applyStockChange({
+      ...deduction,
+      store: store._id,
+      quantity: -deduction.quantity,
+      reason: 'sale',
+      ref: { type: 'Bill', id: savedBill._id, number: savedBill.billNumber },
+      user,
+      session
+    });
+  }
+
+  // Whatever is left unpaid goes on the customer's credit ledger
+  if (paymentTotals.balanceDue > 0) {
+    await postLedgerEntry({
+      mobileNumber,
+      customerName,
+      entryType: 'charge',
+      amount: paymentTotals.balanceDue,
+      bill: savedBill,
+      note: 'Credit sale',
+      user,
+      session
+    });
+  }
+
+  // Create the contact on the first bill and keep lastUsed at the latest one
+  await Contact.updateOne(
+    { mobileNumber },
+    { $setOnInsert: { name: customerName }, $max: { lastUsed: savedBill.date } },
+    { upsert: true, session }
+  );
+
+  if (pointsRedeemed > 0) {
+    await postLoyaltyEntry({
+      mobileNumber,
+      entryType: 'redeem',
+      points: -pointsRedeemed,
+      bill: savedBill,
+      note: `Discount of ${loyaltyDiscount.amount}`,
+      user,
+      session
+    });
+  }
+  if (savedBill.loyaltyPointsEarned > 0) {
+    await postLoyaltyEntry({
+      mobileNumber,
+      entryType: 'earn',
+      points: savedBill.loyaltyPointsEarned,
+      bill: savedBill,
+      user,
+      session
+    });
+  }
+
+  return { bill: savedBill, stockDeductions };
+};
+
+// Authentication
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET is not set, using a random secret. Tokens will be invalid after restart.');
+}
+
+const issueToken = (user) => jwt.sign(
+  { sub: user._id.toString(), username: user.username, role: user.role },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN }
+);
+
+const validateUserData = (data, { requirePassword = true } = {}) => {
+  const errors = [];
+  if (requirePassword && !data.username) errors.push(fieldError('username', 'Username is required', 'REQUIRED_FIELD'));
+  if ((requirePassword || data.password !== undefined) &&
+    (typeof data.password !== 'string' || data.password.length < 8)) {
+    errors.push(fieldError('password', 'Password must be at least 8 characters', 'OUT_OF_RANGE'));
+  }
+  if (data.role !== undefined && !Object.values(ROLES).includes(data.role)) {
+    errors.push(fieldError('role', `Role must be one of: ${Object.values(ROLES).join(', ')}`));
+  }
+  return errors;
+};
+
+// Verifies the bearer token and attaches the active user to req.user
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      errorType: 'UNAUTHORIZED'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(payload.sub)
+      .select('_id username name role store active')
+      .lean();
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'User account is inactive or no longer exists',
+        errorType: 'UNAUTHORIZED'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token',
+      errorType: 'UNAUTHORIZED'
+    });
+  }
+};
+
+// Restricts a route to the given roles (owner is always allowed)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+      errorType: 'UNAUTHORIZED'
+    });
+  }
+
+  if (req.user.role !== ROLES.OWNER && !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action',
+      errorType: 'FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+// Idempotency
+// Retries with the same key inside the window get the stored response back
+const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000;
+// A pending key whose request never finished (crash, restart) can be retried after this
+const IDEMPOTENCY_PENDING_MS = 2 * 60 * 1000;
+
+// Key order independent JSON so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Must run after authorize; requests without the header go through unchanged
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+
+  if (!key.trim() || key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be between 1 and 255 characters',
+      errorType: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const route = `${req.method} ${req.path}`;
+  const requestHash = crypto.createHash('sha256')
+    .update(`${route}\n${stableStringify(req.body ?? {})}`)
+    .digest('hex');
+  const now = new Date();
+
+  let record;
+  try {
+    record = await IdempotencyKey.findOneAndUpdate(
+      {
+        key,
+        userId: req.user._id,
+        $or: [{ expiresAt: { $lt: now } }, { status: 'pending', lockedUntil: { $lt: now }, requestHash }]
+      },
+      {
+        $set: {
+          route,
+          requestHash,
+          status: 'pending',
+          lockedUntil: new Date(now.getTime() + IDEMPOTENCY_PENDING_MS),
+          createdAt: now,
+          expiresAt: new Date(now.getTime() + IDEMPOTENCY_WINDOW_MS)
+        },
+        $unset: { statusCode: 1, contentType: 1, body: 1 }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err.code !== 11000) return next(err);
+
+    // Someone already holds this key: replay, wait, or reject
+    const existing = await IdempotencyKey.findOne({ key, userId: req.user._id }).lean();
+    if (!existing) return next(err);
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'This Idempotency-Key was already used with a different request',
+        errorType: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    if (existing.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed',
+        errorType: 'REQUEST_IN_PROGRESS'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    if (existing.contentType) res.set('Content-Type', existing.contentType);
+    return res.status(existing.statusCode).send(existing.body);
+  }
+
+  // Store the outcome before the response goes out, so a retry that arrives as
+  // soon as the client sees it is replayed instead of told it is in progress.
+  // res.json and res.send both finish in res.end, as does res.status().end().
+  // Server errors release the key so the client can retry; everything else is
+  // replayed as-is.
+  const originalEnd = res.end.bind(res);
+  res.end = (chunk, encoding, callback) => {
+    res.end = originalEnd;
+    const body = chunk === undefined || chunk === null || typeof chunk === 'function'
+      ? ''
+      : Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined).toString('utf8');
+    const save = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            status: 'completed',
+            statusCode: res.statusCode,
+            contentType: res.get('Content-Type'),
+            body
+          },
+          $unset: { lockedUntil: 1 }
+        }
+      );
+    save
+      .catch(err => console.error('Failed to store idempotent response:', err))
+      .finally(() => originalEnd(chunk, encoding, callback));
+    return res;
+  };
+
+  next();
+};
+
+// Audit Trail
+// Every write request under /api is logged once it has been answered.
+// Handlers describe what they changed with auditChange after their writes
+// commit, so the changes are kept even if the response is an error.
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Bookkeeping fields that change on every save
+const AUDIT_IGNORED_FIELDS = ['_id', '__v', 'updatedAt'];
+
+// Plain JSON copy of a document, so dates and IDs store and compare as text
+const auditValue = (doc) => (doc ? JSON.parse(JSON.stringify(doc)) : null);
+
+// Top-level fields that differ; arrays such as bill items compare as a whole
+const auditDiff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !AUDIT_IGNORED_FIELDS.includes(field))
+    .filter(field => stableStringify((before || {})[field]) !== stableStringify((after || {})[field]))
+    .map(field => ({ field, before: (before || {})[field], after: (after || {})[field] }));
+};
+
+// Adds a change to the request's audit entry; before is null for something
+// created and after is null for something deleted
+const auditChange = (req, { entity, entityId, label, action, before, after }) => {
+  if (!req.auditChanges) return;
+
+  const beforeValue = auditValue(before);
+  const afterValue = auditValue(after);
+  const snapshot = entity === 'Bill' && afterValue ? afterValue : undefined;
+  req.auditChanges.push({
+    entity,
+    entityId: String(entityId),
+    label,
+    action,
+    // A new bill's snapshot already shows every field
+    diff: beforeValue || !snapshot ? auditDiff(beforeValue, afterValue) : [],
+    snapshot
+  });
+};
+
+// Audit entry for a stock ledger movement, as the store's stock before and after
+const auditStockChange = (req, { product, movement }) => {
+  const stockField = `storeStock.${movement.store}`;
+  auditChange(req, {
+    entity: 'Product',
+    entityId: product._id,
+    label: product.name,
+    action: movement.reason,
+    before: { [stockField]: roundQuantity(movement.storeBalanceAfter - movement.quantity) },
+    after: { [stockField]: movement.storeBalanceAfter }
+  });
+};
+
+// Must run after authenticate. Logging never holds up or fails the request.
+const auditTrail = (req, res, next) => {
+  if (!AUDITED_METHODS.includes(req.method)) return next();
+
+  req.auditChanges = [];
+  res.on('finish', () => {
+    AuditLog.create({
+      userId: req.user && req.user._id,
+      username: req.user && req.user.username,
+      role: req.user && req.user.role,
+      method: req.method,
+      route: req.route ? req.route.path : undefined,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes: req.auditChanges
+    }).catch(err => console.error('Failed to write audit log:', err.message));
+  });
+
+  next();
+};
+
+// Request Validation
+// Routes declare the params, query and body they accept with the field rules
+// below, and validate() answers 400 before the handler runs, listing every
+// problem with its path and errorType. Fields a route does not declare are
+// rejected. Numbers may be sent as text, as form clients do; booleans only in
+// the query, where ?includeVoid=true is the only way to send one.
+const field = {
+  any: (options) => ({ type: 'any', ...options }),
+  string: (options) => ({ type: 'string', ...options }),
+  number: (options) => ({ type: 'number', ...options }),
+  integer: (options) => ({ type: 'number', integer: true, ...options }),
+  boolean: (options) => ({ type: 'boolean', ...options }),
+  objectId: (options) => ({ type: 'objectId', ...options }),
+  // Anything new Date() reads, e.g. an ISO timestamp
+  date: (options) => ({ type: 'date', ...options }),
+  // Calendar day, YYYY-MM-DD
+  day: (options) => ({ type: 'day', ...options }),
+  oneOf: (values, options) => ({ type: 'oneOf', values, ...options }),
+  array: (items, options) => ({ type: 'array', items, ...options }),
+  object: (fields, options) => ({ type: 'object', fields, ...options })
+};
+
+// Shared by many routes
+const OBJECT_ID_PARAMS = { id: field.objectId() };
+const PRODUCT_ID_PARAMS = { id: field.integer({ min: 1 }) };
+const PAGE_QUERY = { page: field.integer({ min: 1 }), limit: field.integer({ min: 1 }) };
+const DAY_RANGE_QUERY = { from: field.day(), to: field.day(), timezone: field.string() };
+const MOBILE_NUMBER = field.string({ pattern: /^\d{10}$/, format: '10 digits' });
+const STORE_CODE = field.string({ max: 20 });
+
+// Numbers as sent, or as text; anything else is NaN
+const fieldNumber = (value) => {
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+};
+
+// Checks value against rule, adding { location, path, message, errorType }
+// to errors for each problem
+const checkField = (rule, value, location, path, errors) => {
+  const fail = (errorType, problem, at = path) => errors.push({ location, path: at, message: `${at || location} ${problem}`, errorType });
+  const childPath = (key) => (path ? `${path}.${key}` : key);
+
+  if (value === undefined || (rule.required && typeof value === 'string' && value.trim() === '')) {
+    if (rule.required) fail('REQUIRED_FIELD', 'is required');
+    return;
+  }
+  if (value === null) {
+    if (!rule.nullable) fail('INVALID_TYPE', 'cannot be null');
+    return;
+  }
+
+  // Lengths and counts are described with their unit, e.g. "at least 8 characters"
+  const describe = (limit, unit) => (unit ? `${limit} ${unit}${limit === 1 ? '' : 's'}` : limit);
+  const checkRange = (size, unit, verb = 'be') => {
+    if (rule.min !== undefined && size < rule.min) fail('OUT_OF_RANGE', `must ${verb} at least ${describe(rule.min, unit)}`);
+    else if (rule.max !== undefined && size > rule.max) fail('OUT_OF_RANGE', `must ${verb} at most ${describe(rule.max, unit)}`);
+    else if (rule.positive && size <= 0) fail('OUT_OF_RANGE', 'must be more than 0');
+  };
+
+  switch (rule.type) {
+    case 'any':
+      break;
+    case 'string': {
+      if (typeof value !== 'string') return fail('INVALID_TYPE', 'must be text');
+      // trim is for fields the handler saves trimmed
+      const text = rule.trim ? value.trim() : value;
+      checkRange(text.length, 'character', 'have');
+      if (rule.pattern && !rule.pattern.test(text)) fail('INVALID_FORMAT', `must be ${rule.format}`);
+      break;
+    }
+    case 'number': {
+      const number = fieldNumber(value);
+      if (!Number.isFinite(number)) return fail('INVALID_TYPE', 'must be a number');
+      if (rule.integer && !Number.isInteger(number)) return fail('INVALID_TYPE', 'must be a whole number');
+      checkRange(number);
+      break;
+    }
+    case 'boolean':
+      if (![true, false].includes(value) && (location === 'body' || !['true', 'false'].includes(value))) {
+        fail('INVALID_TYPE', 'must be true or false');
+      }
+      break;
+    case 'objectId':
+      if (typeof value !== 'string' || !/^[0-9a-f]{24}$/i.test(value)) fail('INVALID_ID', 'must be a valid ID');
+      break;
+    case 'date':
+      if (!['string', 'number'].includes(typeof value) || isNaN(new Date(value).getTime())) {
+        fail('INVALID_DATE', 'must be a date');
+      }
+      break;
+    case 'day':
+      if (!isCalendarDay(value)) fail('INVALID_DATE', 'must be a date (YYYY-MM-DD)');
+      break;
+    case 'oneOf':
+      if (!rule.values.includes(value)) fail('INVALID_VALUE', `must be one of: ${rule.values.join(', ')}`);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail('INVALID_TYPE', 'must be a list');
+      checkRange(value.length, 'item', 'have');
+      value.forEach((item, index) => checkField(rule.items, item, location, `${path}[${index}]`, errors));
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value) || Buffer.isBuffer(value)) {
+        return fail('INVALID_TYPE', 'must be an object');
+      }
+      for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(rule.fields, key)) fail('UNKNOWN_FIELD', 'is not allowed', childPath(key));
+      }
+      for (const [key, fieldRule] of Object.entries(rule.fields)) {
+        checkField(fieldRule, value[key], location, childPath(key), errors);
+      }
+      break;
+    default:
+      throw new Error(`Unknown field type ${rule.type}`);
+  }
+};
+
+// schema is { params, query, body }, each a map of field rules (or one rule,
+// e.g. for a raw body). A part may also be a function of the request, for
+// bodies whose shape depends on the params. Parts left out must be empty.
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  for (const location of ['params', 'query', 'body']) {
+    const declared = typeof schema[location] === 'function' ? schema[location](req) : schema[location];
+    const rule = declared && typeof declared.type === 'string' ? declared : field.object(declared || {});
+    let value = req[location] ?? {};
+    // An empty query value (?store=) is the same as leaving it out
+    if (location === 'query') value = Object.fromEntries(Object.entries(value).filter(([, item]) => item !== ''));
+    checkField(rule, value, location, '', errors);
+  }
+
+  if (errors.length > 0) return sendValidationErrors(res, errors);
+  next();
+};
+
+// Problems found by a handler's own checks (links to other records, rules
+// across fields) take the same { location, path, message, errorType } shape
+const fieldError = (path, message, errorType = 'INVALID_VALUE', location = 'body') =>
+  ({ location, path, message, errorType });
+
+// Errors from checks on a nested object, e.g. the newData of a product update
+const nestErrors = (errors, parent) => errors.map(error => ({ ...error, path: `${parent}.${error.path}` }));
+
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errorType: 'VALIDATION_FAILED',
+  errors
+});
+
+// API Routes
+// Health check and keep-alive endpoints
+app.get('/api/health', validate({}), (req, res) => {
+  res.json({ 
+    success: true, 
+    message: 'Server is healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+app.get('/api/keep-alive', validate({}), (req, res) => {
+  res.json({ 
+    success: true, 
+    message: 'Connection kept alive',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Claimed by the one setup request allowed to create the owner, so two
+// requests racing past the user count cannot both create one
+const SETUP_MARKER_ID = 'owner-setup';
+
+// Creates the first owner account; disabled once any user exists
+// Logged like any write, with the new owner as the user
+app.post('/api/auth/setup', auditTrail, validate({
+  body: {
+    username: field.string({ required: true, max: 50 }),
+    name: field.string({ max: 100 }),
+    password: field.string({ required: true, min: 8, max: 128 })
+  }
+}), async (req, res) => {
+  try {
+    const userCount = await User.estimatedDocumentCount();
+    if (userCount > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Setup has already been completed',
+        errorType: 'SETUP_COMPLETED'
+      });
+    }
+
+    const errors = validateUserData(req.body);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    try {
+      await Counter.create({ _id: SETUP_MARKER_ID, seq: 1 });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      return res.status(403).json({
+        success: false,
+        message: 'Setup has already been completed',
+        errorType: 'SETUP_COMPLETED'
+      });
+    }
+
+    const user = new User({
+      username: req.body.username,
+      name: req.body.name,
+      passwordHash: await bcrypt.hash(req.body.password, 10),
+      role: ROLES.OWNER
+    });
+    try {
+      await user.save();
+    } catch (err) {
+      // Let setup be tried again
+      await Counter.deleteOne({ _id: SETUP_MARKER_ID });
+      throw err;
+    }
+    req.user = user;
+    auditChange(req, { entity: 'User', entityId: user._id, label: user.username, action: 'create', after: user });
+
+    res.status(201).json({
+      success: true,
+      message: 'Owner account created successfully',
+      token: issueToken(user),
+      user
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Setup failed',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/auth/login', validate({
+  body: {
+    username: field.string({ required: true }),
+    password: field.string({ required: true })
+  }
+}), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = await User.findOne({ username: String(username).toLowerCase() });
+    const passwordMatches = user && await bcrypt.compare(String(password), user.passwordHash);
+
+    if (!passwordMatches || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid username or password',
+        errorType: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      token: issueToken(user),
+      user
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: err.message
+    });
+  }
+});
+
+// Every /api route registered below this point requires a valid token
+app.use('/api', authenticate);
+app.use('/api', auditTrail);
+
+app.get('/api/auth/me', validate({}), (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
+// Settings
+const SETTING_DEFAULTS = {
+  // Bills older than retainMonths whole months are archived, then removed from
+  // the live collection. Off until the owner turns it on. archiveTarget is
+  // 'collection' or 'file' (gzipped NDJSON under archiveDir in ARCHIVE_ROOT).
+  retention: {
+    enabled: false,
+    retainMonths: 3,
+    archiveTarget: 'collection',
+    archiveDir: 'archive',
+    restoreHoldDays: 30
+  },
+  // Printed on invoices and receipts
+  shop: {
+    name: 'Raja Snacks',
+    nameTamil: '',
+    address: '',
+    phone: '',
+    email: '',
+    gstin: '',
+    footer: 'Thank you! Visit again',
+    footerTamil: ''
+  },
+  // Customers earn a point for every spendPerPoint rupees on a bill and can
+  // spend points as a discount worth pointValue rupees each
+  loyalty: {
+    enabled: true,
+    spendPerPoint: 100,
+    pointValue: 1,
+    minRedeemPoints: 0
+  },
+  // Price overrides, line and bill discounts a cashier may give together, as a
+  // percentage of the bill at list prices. Owners are not limited.
+  discounts: {
+    cashierMaxPercent: 10
+  },
+  // Bill messages to customers; the provider itself is chosen with MESSAGING_PROVIDER
+  // and messaging cannot be turned on until one is configured
+  messaging: {
+    enabled: false,
+    sendOnBill: true,
+    // Adds a signed receipt link (see Receipt Links) to bill messages
+    includeReceiptLink: true,
+    channel: 'sms',
+    language: 'ta',
+    maxAttempts: 5
+  },
+  // Days, bill number periods and retention months follow the shop's clock.
+  // dayStartHour moves the end of a trading day past midnight, e.g. 3 for a
+  // shop open until 3am.
+  business: {
+    timeZone: DEFAULT_TIMEZONE,
+    dayStartHour: 0
+  }
+};
+
+// Field rules for each setting's PUT body
+const SETTING_FIELDS = {
+  retention: {
+    enabled: field.boolean(),
+    retainMonths: field.integer({ min: 1 }),
+    archiveTarget: field.oneOf(['collection', 'file']),
+    archiveDir: field.string({ min: 1, max: 200, trim: true }),
+    restoreHoldDays: field.integer({ min: 0 })
+  },
+  shop: {
+    ...Object.fromEntries(Object.keys(SETTING_DEFAULTS.shop).map(name => [name, field.string({ max: 500 })])),
+    gstin: field.string({ pattern: /^(\d{2}[A-Z0-9]{13})?$/i, format: '15 characters starting with the state code' })
+  },
+  loyalty: {
+    enabled: field.boolean(),
+    spendPerPoint: field.number({ positive: true }),
+    pointValue: field.number({ positive: true }),
+    minRedeemPoints: field.integer({ min: 0 })
+  },
+  discounts: {
+    cashierMaxPercent: field.number({ min: 0, max: 100 })
+  },
+  messaging: {
+    enabled: field.boolean(),
+    sendOnBill: field.boolean(),
+    includeReceiptLink: field.boolean(),
+    channel: field.oneOf(MESSAGE_CHANNELS),
+    language: field.oneOf(MESSAGE_LANGUAGES),
+    maxAttempts: field.integer({ min: 1, max: 10 })
+  },
+  business: {
+    timeZone: field.string({ max: 100 }),
+    dayStartHour: field.integer({ min: 0, max: 23 })
+  }
+};
+
+// Checks the field rules cannot make, on a body that passed them
+const SETTING_CHECKS = {
+  retention: (value) => {
+    const errors = [];
+    if (value.archiveTarget === 'file' && !ARCHIVE_ROOT) {
+      errors.push(fieldError('archiveTarget', 'archiveTarget file needs ARCHIVE_ROOT set to a persistent disk on the server'));
+    }
+    if (value.archiveDir !== undefined &&
+      (path.isAbsolute(value.archiveDir) || path.normalize(value.archiveDir).split(path.sep)[0] === '..')) {
+      errors.push(fieldError('archiveDir', 'archiveDir must be a folder inside ARCHIVE_ROOT, given relative to it', 'INVALID_FORMAT'));
+    }
+    return errors;
+  },
+  messaging: (value) => (value.enabled === true && !messagingProvider
+    ? [fieldError('enabled', 'enabled needs a messaging provider; set MESSAGING_PROVIDER first')]
+    : []),
+  business: (value) => (value.timeZone !== undefined && !isValidTimeZone(value.timeZone)
+    ? [fieldError('timeZone', 'timeZone must be an IANA time zone such as Asia/Kolkata', 'INVALID_FORMAT')]
+    : [])
+};
+
+const getSetting = async (key) => {
+  const setting = await Setting.findById(key).lean();
+  return { ...SETTING_DEFAULTS[key], ...(setting ? setting.value : {}) };
+};
+
+app.get('/api/settings/:key', authorize(ROLES.OWNER), validate({ params: { key: field.string() } }), async (req, res) => {
+  try {
+    if (!SETTING_DEFAULTS[req.params.key]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown setting'
+      });
+    }
+
+    res.json({
+      success: true,
+      key: req.params.key,
+      value: await getSetting(req.params.key)
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch setting',
+      error: err.message
+    });
+  }
+});
+
+// Partial update: only the fields sent are changed
+app.put('/api/settings/:key', authorize(ROLES.OWNER), validate({
+  params: { key: field.string() },
+  // Unknown keys are left to the handler, which answers 404
+  body: (req) => (Object.hasOwn(SETTING_FIELDS, req.params.key) ? SETTING_FIELDS[req.params.key] : field.any())
+}), async (req, res) => {
+  try {
+    const { key } = req.params;
+    if (!Object.hasOwn(SETTING_FIELDS, key)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown setting'
+      });
+    }
+
+    // Numbers may arrive as text; settings keep them as numbers
+    const fields = SETTING_FIELDS[key];
+    const changes = Object.fromEntries(Object.entries(req.body).map(([name, fieldValue]) =>
+      [name, fields[name].type === 'number' ? fieldNumber(fieldValue) : fieldValue]));
+    const errors = SETTING_CHECKS[key] ? SETTING_CHECKS[key](changes) : [];
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const before = await getSetting(key);
+    const value = { ...before, ...changes };
+    await Setting.findByIdAndUpdate(
+      key,
+      { $set: { value, updatedBy: req.user._id, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    auditChange(req, { entity: 'Setting', entityId: key, label: key, action: 'update', before, after: value });
+
+    res.json({
+      success: true,
+      message: 'Setting updated successfully',
+      key,
+      value
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update setting',
+      error: err.message
+    });
+  }
+});
+
+// User Management
+app.get('/api/users', authorize(ROLES.OWNER), validate({}), async (req, res) => {
+  try {
+    const users = await User.find()
+      .select('-passwordHash')
+      .lean()
+      .sort({ createdAt: 1 });
+    res.json({
+      success: true,
+      users
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/users', authorize(ROLES.OWNER), validate({
+  body: {
+    username: field.string({ required: true, max: 50 }),
+    name: field.string({ max: 100 }),
+    password: field.string({ required: true, min: 8, max: 128 }),
+    role: field.oneOf(Object.values(ROLES), { required: true }),
+    store: { ...STORE_CODE, nullable: true }
+  }
+}), async (req, res) => {
+  try {
+    const errors = validateUserData(req.body);
+    if (!req.body.role) errors.push(fieldError('role', 'Role is required', 'REQUIRED_FIELD'));
+    if (req.body.store && !(await getStore(req.body.store))) {
+      errors.push(fieldError('store', `Store ${req.body.store} not found`, 'NOT_FOUND'));
+    }
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const user = new User({
+      username: req.body.username,
+      name: req.body.name,
+      passwordHash: await bcrypt.hash(req.body.password, 10),
+      role: req.body.role,
+      store: req.body.store || null
+    });
+    await user.save();
+    auditChange(req, { entity: 'User', entityId: user._id, label: user.username, action: 'create', after: user });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      user
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Username already exists',
+        errorType: 'DUPLICATE_USERNAME'
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create user',
+      error: err.message
+    });
+  }
+});
+
+app.put('/api/users/:id', authorize(ROLES.OWNER), validate({
+  params: OBJECT_ID_PARAMS,
+  body: {
+    name: field.string({ max: 100 }),
+    password: field.string({ min: 8, max: 128 }),
+    role: field.oneOf(Object.values(ROLES)),
+    store: { ...STORE_CODE, nullable: true },
+    active: field.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const errors = validateUserData(req.body, { requirePassword: false });
+    if (req.body.store && !(await getStore(req.body.store))) {
+      errors.push(fieldError('store', `Store ${req.body.store} not found`, 'NOT_FOUND'));
+    }
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Keep at least one active owner so the shop can't lock itself out
+    const demotesOwner = user.role === ROLES.OWNER &&
+      ((req.body.role && req.body.role !== ROLES.OWNER) || req.body.active === false);
+    if (demotesOwner) {
+      const activeOwners = await User.countDocuments({ role: ROLES.OWNER, active: true });
+      if (activeOwners <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one active owner is required',
+          errorType: 'LAST_OWNER'
+        });
+      }
+    }
+
+    const before = auditValue(user);
+    if (req.body.name !== undefined) user.name = req.body.name;
+    if (req.body.role !== undefined) user.role = req.body.role;
+    if (req.body.store !== undefined) user.store = req.body.store || null;
+    if (req.body.active !== undefined) user.active = Boolean(req.body.active);
+    if (req.body.password !== undefined) {
+      user.passwordHash = await bcrypt.hash(req.body.password, 10);
+    }
+    await user.save();
+    // The hash is never logged; a new password shows in the action instead
+    auditChange(req, {
+      entity: 'User',
+      entityId: user._id,
+      label: user.username,
+      action: req.body.password !== undefined ? 'update-password' : 'update',
+      before,
+      after: user
+    });
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update user',
+      error: err.message
+    });
+  }
+});
+
+app.get('/api/products/search', validate({ query: { name: field.string({ max: 100 }), barcode: field.string({ max: 32 }) } }), async (req, res) => {
+  try {
+    const { name, barcode } = req.query;
+    if (!name && !barcode) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Product name or barcode is required' 
+      });
+    }
+
+    // A scanned barcode is an exact match only
+    if (barcode) {
+      const scanned = await findProductByCode(barcode);
+      return res.json({
+        success: true,
+        products: scanned ? [scanned] : []
+      });
+    }
+
+    // Typed text matches names first; a product whose barcode or SKU is exactly
+    // the text is added after them, so a name that looks like a code still finds itself
+    const [products, coded] = await Promise.all([
+      Product.find({
+        $or: [
+          { name: { $regex: name, $options: 'i' } },
+          { nameTamil: { $regex: name, $options: 'i' } }
+        ]
+      }).limit(10),
+      findProductByCode(name)
+    ]);
+    if (coded && !products.some(product => product._id === coded._id)) products.push(coded);
+
+    res.json({
+      success: true,
+      products
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Search failed',
+      error: err.message 
+    });
+  }
+});
+
+// Product Management
+app.get('/api/products', validate({ query: { categoryId: field.objectId() } }), async (req, res) => {
+  try {
+    // Add lean() for faster queries and only select needed fields
+    const filter = {};
+    if (req.query.categoryId) {
+      filter.categoryId = req.query.categoryId;
+    }
+
+    const products = await Product.find(filter)
+      .select('_id name nameTamil price stock minStockLevel hsnCode taxCategory priceIncludesTax categoryId unit barcode sku parentId variantName')
+      .lean()
+      .sort({ _id: 1 });
+    res.json(products);
+  } catch (err) {
+    console.error('Error fetching products:', err);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to fetch products', 
+      error: err.message 
+    });
+  }
+});
+app.get('/api/products/barcode/:code', validate({ params: { code: field.string({ max: 32 }) } }), async (req, res) => {
+  try {
+    const product = await findProductByCode(req.params.code).lean();
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'No product with this barcode or SKU'
+      });
+    }
+
+    res.json({
+      success: true,
+      product
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Barcode lookup failed',
+      error: err.message
+    });
+  }
+});
+
+// A product with its variants; asking for a variant returns its whole family
+app.get('/api/products/:id/variants', validate({ params: PRODUCT_ID_PARAMS }), async (req, res) => {
+  try {
+    const product = await Product.findById(parseInt(req.params.id)).lean();
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const parent = product.parentId
+      ? await Product.findById(product.parentId).lean()
+      : product;
+    const variants = parent
+      ? await Product.find({ parentId: parent._id }).sort({ _id: 1 }).lean()
+      : [];
+
+    res.json({
+      success: true,
+      parent,
+      variants
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch variants',
+      error: err.message
+    });
+  }
+});
+
+// Price History
+app.get('/api/products/:id/price-history', validate({ params: PRODUCT_ID_PARAMS }), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const product = await Product.findById(productId).select('name nameTamil price').lean();
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const history = await PriceChange.find({ productId })
+      .sort({ effectiveFrom: -1, _id: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      product,
+      history
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch price history',
+      error: err.message
+    });
+  }
+});
+
+// Catalogue price in force at ?at (defaults to now)
+app.get('/api/products/:id/price', validate({ params: PRODUCT_ID_PARAMS, query: { at: field.date() } }), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+
+    if (!await Product.exists({ _id: productId })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const priceAt = await loadPriceTimeline([productId]);
+    res.json({
+      success: true,
+      productId,
+      at,
+      price: priceAt(productId, at)
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up price',
+      error: err.message
+    });
+  }
+});
+
+// Changes the price now, or at effectiveFrom if that is in the future
+app.post('/api/products/:id/price-changes', authorize(ROLES.STOCK_KEEPER), validate({
+  params: PRODUCT_ID_PARAMS,
+  body: {
+    price: field.number({ required: true, min: 0 }),
+    effectiveFrom: field.date(),
+    note: field.string({ max: 500 })
+  }
+}), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const { price, effectiveFrom, note } = req.body;
+    const newPrice = roundMoney(Number(price));
+    const effectiveAt = effectiveFrom ? new Date(effectiveFrom) : new Date();
+
+    const product = await Product.findById(productId).select('name price');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const change = new PriceChange({
+      productId,
+      price: newPrice,
+      effectiveFrom: effectiveAt,
+      source: 'price-change',
+      note,
+      createdBy: req.user._id,
+      createdByName: req.user.username
+    });
+
+    if (effectiveAt <= new Date()) {
+      change.previousPrice = product.price;
+      change.status = 'applied';
+      change.appliedAt = new Date();
+      change.effectiveFrom = change.appliedAt;
+
+      // The price and its history row are saved together
+      const session = await mongoose.startSession();
+      try {
+        session.startTransaction();
+        await Product.updateOne({ _id: productId }, { $set: { price: newPrice } }, { session });
+        await change.save({ session });
+        await session.commitTransaction();
+      } catch (err) {
+        if (session.inTransaction()) await session.abortTransaction();
+        throw err;
+      } finally {
+        session.endSession();
+      }
+    } else {
+      await change.save();
+    }
+    if (change.status === 'applied') {
+      auditChange(req, {
+        entity: 'Product',
+        entityId: productId,
+        label: product.name,
+        action: 'price-change',
+        before: { price: product.price },
+        after: { price: newPrice }
+      });
+    } else {
+      auditChange(req, { entity: 'PriceChange', entityId: change._id, label: product.name, action: 'schedule', after: change });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: change.status === 'applied' ? 'Price updated successfully' : 'Price change scheduled',
+      priceChange: change
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change price',
+      error: err.message
+    });
+  }
+});
+
+app.get('/api/price-changes/scheduled', authorize(ROLES.STOCK_KEEPER), validate({}), async (req, res) => {
+  try {
+    const priceChanges = await PriceChange.find({ status: 'scheduled' })
+      .sort({ effectiveFrom: 1 })
+      .lean();
+    res.json({
+      success: true,
+      priceChanges
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scheduled price changes',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/price-changes/:id/cancel', authorize(ROLES.STOCK_KEEPER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const change = await PriceChange.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!change) {
+      return res.status(404).json({
+        success: false,
+        message: 'No scheduled price change with this ID'
+      });
+    }
+    auditChange(req, {
+      entity: 'PriceChange',
+      entityId: change._id,
+      label: String(change.productId),
+      action: 'cancel',
+      before: { status: 'scheduled' },
+      after: { status: change.status, cancelledAt: change.cancelledAt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Price change cancelled',
+      priceChange: change
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel price change',
+      error: err.message
+    });
+  }
+});
+
+// Categories
+app.get('/api/categories', validate({ query: { includeInactive: field.boolean() } }), async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+    const categories = await Category.find(filter).sort({ name: 1 }).lean();
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch categories',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/categories', authorize(ROLES.STOCK_KEEPER), validate({
+  body: {
+    name: field.string({ required: true, max: 100 }),
+    nameTamil: field.string({ max: 100 })
+  }
+}), async (req, res) => {
+  try {
+    const { name, nameTamil } = req.body;
+    const category = await Category.create({ name, nameTamil });
+    auditChange(req, { entity: 'Category', entityId: category._id, label: category.name, action: 'create', after: category });
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Category already exists',
+        errorType: 'DUPLICATE_CATEGORY'
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create category',
+      error: err.message
+    });
+  }
+});
+
+app.put('/api/categories/:id', authorize(ROLES.STOCK_KEEPER), validate({
+  params: OBJECT_ID_PARAMS,
+  body: {
+    name: field.string({ min: 1, max: 100 }),
+    nameTamil: field.string({ max: 100 }),
+    active: field.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const fields = {};
+    for (const key of ['name', 'nameTamil', 'active']) {
+      if (req.body[key] !== undefined) fields[key] = req.body[key];
+    }
+
+    const before = await Category.findById(req.params.id).lean();
+    const category = before &&
+      await Category.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    auditChange(req, { entity: 'Category', entityId: category._id, label: category.name, action: 'update', before, after: category });
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Category already exists',
+        errorType: 'DUPLICATE_CATEGORY'
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update category',
+      error: err.message
+    });
+  }
+});
+
+// Units products can be sold in
+app.get('/api/units', validate({}), (req, res) => {
+  res.json({
+    success: true,
+    units: Object.entries(UNITS).map(([code, unit]) => ({ code, ...unit }))
+  });
+});
+
+// Product fields a client may set; formats and links are checked by
+// validateCatalogueFields and validateCatalogueLinks. Stock is set through the ledger.
+const PRODUCT_FIELDS = {
+  name: field.string({ min: 1, max: 200 }),
+  nameTamil: field.string({ min: 1, max: 200 }),
+  price: field.number({ min: 0 }),
+  hsnCode: field.string({ max: 8 }),
+  taxCategory: field.oneOf(Object.keys(TAX_CATEGORIES)),
+  priceIncludesTax: field.boolean(),
+  categoryId: field.objectId({ nullable: true }),
+  unit: field.oneOf(Object.keys(UNITS)),
+  barcode: field.string({ max: 32, nullable: true }),
+  sku: field.string({ max: 32, nullable: true }),
+  parentId: field.integer({ min: 1, nullable: true }),
+  variantName: field.string({ max: 100 }),
+  minStockLevel: field.number({ min: 0 }),
+  stock: field.number({ min: 0 }),
+  store: STORE_CODE
+};
+
+app.put('/api/products/update-by-name', authorize(ROLES.STOCK_KEEPER), validate({
+  body: {
+    name: field.string({ required: true }),
+    newData: field.object(PRODUCT_FIELDS, { required: true })
+  }
+}), async (req, res) => {
+  try {
+    const { name, newData } = req.body;
+
+    // Stock changes go through the stock ledger as a manual correction,
+    // setting the stock held at newData.store (MAIN if not given)
+    const { stock, store: storeCode, ...fields } = newData;
+
+    const existingProduct = await Product.findOne({ $or: [{ name: name }, { nameTamil: name }] }).lean();
+    if (!existingProduct) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Product not found' 
+      });
+    }
+    const catalogueErrors = validateCatalogueFields(fields);
+    if (catalogueErrors.length === 0) {
+      catalogueErrors.push(...await validateCatalogueLinks(fields, existingProduct._id));
+    }
+    if (catalogueErrors.length > 0) return sendValidationErrors(res, nestErrors(catalogueErrors, 'newData'));
+
+    let store;
+    try {
+      store = await requireStore(storeCode);
+    } catch (storeError) {
+      return res.status(400).json({
+        success: false,
+        message: storeError.message,
+        errorType: storeError.errorType
+      });
+    }
+
+    // The field update, its price history and the stock correction are saved together
+    const session = await mongoose.startSession();
+    let product;
+    try {
+      session.startTransaction();
+      // The product looked up above, as long as it has not changed since; a
+      // concurrent edit answers 409 rather than being diffed against stale fields
+      product = await Product.findOneAndUpdate(
+        { _id: existingProduct._id, updatedAt: existingProduct.updatedAt ?? null },
+        productFieldsUpdate(fields),
+        { new: true, session }
+      );
+
+      if (!product) {
+        await session.abortTransaction();
+        return res.status(409).json({ 
+          success: false,
+          message: 'Product was changed by someone else, try again',
+          errorType: 'PRODUCT_CHANGED'
+        });
+      }
+
+      if (product.price !== existingProduct.price) {
+        await recordPriceChange({
+          productId: product._id,
+          price: product.price,
+          previousPrice: existingProduct.price,
+          source: 'product-update',
+          user: req.user,
+          session
+        });
+      }
+
+      const currentStock = storeStockOf(product, store._id);
+      if (stock !== undefined && !isNaN(stock) && Number(stock) !== currentStock) {
+        ({ product } = await applyStockChange({
+          productId: product._id,
+          store: store._id,
+          quantity: Number(stock) - currentStock,
+          reason: 'manual-correction',
+          ref: { type: 'Product', id: product._id },
+          note: 'Stock set through product update',
+          user: req.user,
+          session
+        }));
+      }
+
+      await session.commitTransaction();
+    } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
+      throw err;
+    } finally {
+      session.endSession();
+    }
+    auditChange(req, { entity: 'Product', entityId: product._id, label: product.name, action: 'update', before: existingProduct, after: product });
+    checkLowStock([product._id], { type: 'Product', id: product._id });
+
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      product
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      success: false,
+      message: 'Update failed',
+      error: err.message 
+    });
+  }
+});
+app.post('/api/products', authorize(ROLES.STOCK_KEEPER), validate({
+  body: {
+    ...PRODUCT_FIELDS,
+    name: field.string({ required: true, max: 200 }),
+    nameTamil: field.string({ required: true, max: 200 }),
+    price: field.number({ required: true, min: 0 })
+  }
+}), async (req, res) => {
+  try {
+    const errors = validateProductData(req.body);
+    if (errors.length === 0) errors.push(...await validateCatalogueLinks(req.body));
+
+    const openingStock = req.body.stock === undefined ? 0 : parseQuantity(req.body.stock);
+    if (isNaN(openingStock) || openingStock < 0 || !quantityFitsUnit(openingStock, req.body.unit || 'pcs')) {
+      errors.push(fieldError('stock', 'Stock must be a number of at least 0 in the product unit'));
+    }
+
+    let store;
+    try {
+      store = await requireStore(req.body.store);
+    } catch (storeError) {
+      errors.push(fieldError('store', storeError.message, 'NOT_FOUND'));
+    }
+
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    let product = new Product({
+      name: req.body.name,
+      nameTamil: req.body.nameTamil,
+      price: req.body.price,
+      hsnCode: req.body.hsnCode,
+      taxCategory: req.body.taxCategory,
+      priceIncludesTax: req.body.priceIncludesTax,
+      categoryId: req.body.categoryId,
+      unit: req.body.unit,
+      barcode: req.body.barcode || undefined,
+      sku: req.body.sku || undefined,
+      parentId: req.body.parentId ? Number(req.body.parentId) : null,
+      variantName: req.body.variantName,
+      minStockLevel: req.body.minStockLevel
+    });
+
+    // The product, its first price history row and its opening stock are saved together
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      await product.save({ session });
+      await recordPriceChange({
+        productId: product._id,
+        price: product.price,
+        source: 'product-created',
+        user: req.user,
+        session
+      });
+
+      // Opening stock goes through the ledger like any other stock change
+      if (openingStock > 0) {
+        ({ product } = await applyStockChange({
+          productId: product._id,
+          store: store._id,
+          quantity: openingStock,
+          reason: 'opening-balance',
+          ref: { type: 'Product', id: product._id },
+          note: 'Stock on hand when the product was added',
+          user: req.user,
+          session
+        }));
+      }
+      await session.commitTransaction();
+    } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
+      throw err;
+    } finally {
+      session.endSession();
+    }
+    auditChange(req, { entity: 'Product', entityId: product._id, label: product.name, action: 'create', after: product });
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      product
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Barcode or SKU is already used by another product',
+        errorType: 'DUPLICATE_PRODUCT_CODE'
+      });
+    }
+    res.status(400).json({ 
+      success: false,
+      message: 'Failed to create product', 
+      error: err.message 
+    });
+  }
+});
+
+app.post('/api/products/stock/bulk', authorize(ROLES.STOCK_KEEPER), validate({
+  body: {
+    updates: field.array(field.object({
+      productId: field.integer({ required: true, min: 1 }),
+      quantity: field.number({ required: true }),
+      note: field.string({ max: 500 })
+    }), { required: true }),
+    reason: field.oneOf(['restock', 'manual-correction']),
+    note: field.string({ max: 500 }),
+    store: STORE_CODE
+  }
+}), idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { updates } = req.body;
+    const reason = req.body.reason || 'restock';
+
+    let store;
+    try {
+      store = await requireStore(req.body.store);
+    } catch (storeError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: storeError.message,
+        errorType: storeError.errorType
+      });
+    }
+
+    const results = [];
+    const stockChanges = [];
+
+    for (const update of updates) {
+      const productId = parseInt(update.productId);
+      const quantity = parseQuantity(update.quantity);
+
+      if (isNaN(productId) || isNaN(quantity)) {
+        results.push({
+          productId,
+          status: 'failed',
+          message: 'Invalid product ID or quantity'
+        });
+        continue;
+      }
+
+      try {
+        const stockChange = await applyStockChange({
+          productId,
+          store: store._id,
+          quantity,
+          reason,
+          ref: { type: 'Product', id: productId },
+          note: update.note || req.body.note,
+          user: req.user,
+          session
+        });
+        const { product } = stockChange;
+        stockChanges.push(stockChange);
+
+        results.push({
+          productId,
+          productName: product.nameTamil,
+          newStock: product.stock,
+          storeStock: storeStockOf(product, store._id),
+          status: 'success',
+          message: 'Stock updated successfully'
+        });
+      } catch (stockError) {
+        if (!stockError.errorType) throw stockError;
+        results.push({
+          productId,
+          status: 'failed',
+          message: stockError.message
+        });
+      }
+    }
+
+    const response = {
+      success: true,
+      message: 'Bulk update processed',
+      results
+    };
+
+    await session.commitTransaction();
+    for (const stockChange of stockChanges) auditStockChange(req, stockChange);
+    res.json(response);
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('Bulk update error:', err);
+    res.status(400).json({ 
+      success: false,
+      message: 'Failed to process bulk update',
+      error: err.message 
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Products at or below their minimum stock level at a store, one row per
+// product and store, biggest shortfall first; ?store= for one store
+app.get('/api/products/low-stock', authorize(ROLES.STOCK_KEEPER), validate({ query: { store: STORE_CODE } }), async (req, res) => {
+  try {
+    const store = req.query.store ? String(req.query.store).trim().toUpperCase() : null;
+    const products = await Product.aggregate([
+      // Products that predate stores hold everything in the default store
+      {
+        $addFields: {
+          rows: {
+            $cond: [
+              { $gt: [{ $size: { $ifNull: ['$storeStock', []] } }, 0] },
+              '$storeStock',
+              [{ store: DEFAULT_STORE_ID, stock: '$stock' }]
+            ]
+          }
+        }
+      },
+      { $unwind: '$rows' },
+      ...(store ? [{ $match: { 'rows.store': store } }] : []),
+      { $match: { $expr: { $lte: ['$rows.stock', '$minStockLevel'] } } },
+      {
+        $project: {
+          _id: 1,
+          name: 1,
+          nameTamil: 1,
+          store: '$rows.store',
+          stock: '$rows.stock',
+          minStockLevel: 1,
+          shortfall: { $subtract: ['$minStockLevel', '$rows.stock'] },
+          lowStockAlertedAt: { $ifNull: ['$rows.lowStockAlertedAt', null] }
+        }
+      },
+      { $sort: { shortfall: -1, _id: 1, store: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      count: products.length,
+      products
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch low-stock products',
+      error: err.message
+    });
+  }
+});
+
+// Reorder suggestions from average daily sales over a window (default 30 days),
+// net of goods returned in the window. Reorder point covers the supplier lead time; the order brings stock up to
+// cover lead time plus coverDays, always keeping minStockLevel in hand.
+// ?store= works from that store's stock and sales; without it, from the totals.
+app.get('/api/products/reorder-suggestions', authorize(ROLES.STOCK_KEEPER), validate({
+  query: {
+    store: STORE_CODE,
+    windowDays: field.integer({ min: 1 }),
+    leadTimeDays: field.integer({ min: 0 }),
+    coverDays: field.integer({ min: 0 }),
+    all: field.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const windowDays = parseInt(req.query.windowDays) || parseInt(process.env.REORDER_WINDOW_DAYS) || 30;
+    const leadTimeDays = req.query.leadTimeDays !== undefined ? parseInt(req.query.leadTimeDays) : 7;
+    const coverDays = req.query.coverDays !== undefined ? parseInt(req.query.coverDays) : 14;
+
+    // The last windowDays whole business days, so every day in the average is complete
+    const clock = await getBusinessClock();
+    const today = businessDayOf(new Date(), clock);
+    const since = zonedStartOfDay(shiftDay(today, -windowDays), clock.timeZone, clock.dayStartHour);
+    const until = zonedStartOfDay(today, clock.timeZone, clock.dayStartHour);
+    const store = req.query.store ? String(req.query.store).trim().toUpperCase() : null;
+    const inStore = storeScope(store);
+
+    const [products, sales, returns] = await Promise.all([
+      Product.find()
+        .select('_id name nameTamil stock storeStock minStockLevel')
+        .lean(),
+      Bill.aggregate([
+        { $match: { ...ACTIVE_BILL_FILTER, ...inStore, date: { $gte: since, $lt: until } } },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.productId', quantitySold: { $sum: '$items.quantity' } } }
+      ]),
+      CreditNote.aggregate([
+        { $match: { ...inStore, date: { $gte: since, $lt: until } } },
+        { $unwind: '$items' },
+        { $group: { _id: '$items.productId', quantityReturned: { $sum: '$items.quantity' } } }
+      ])
+    ]);
+
+    const soldByProduct = new Map(sales.map(entry => [entry._id, entry.quantitySold]));
+    const returnedByProduct = new Map(returns.map(entry => [entry._id, entry.quantityReturned]));
+
+    const suggestions = products.map(product => {
+      const quantitySold = Math.max(
+        roundQuantity((soldByProduct.get(product._id) || 0) - (returnedByProduct.get(product._id) || 0)),
+        0
+      );
+      const stock = store ? storeStockOf(product, store) : product.stock;
+      const dailyVelocity = quantitySold / windowDays;
+      const reorderPoint = Math.ceil(dailyVelocity * leadTimeDays) + product.minStockLevel;
+      const targetStock = Math.ceil(dailyVelocity * (leadTimeDays + coverDays)) + product.minStockLevel;
+
+      return {
+        productId: product._id,
+        name: product.name,
+        nameTamil: product.nameTamil,
+        stock,
+        minStockLevel: product.minStockLevel,
+        quantitySold,
+        dailyVelocity: roundMoney(dailyVelocity),
+        daysOfStockLeft: dailyVelocity > 0 ? roundMoney(stock / dailyVelocity) : null,
+        reorderPoint,
+        suggestedQuantity: roundQuantity(Math.max(targetStock - stock, 0))
+      };
+    })
+      .filter(suggestion => req.query.all === 'true' ||
+        (suggestion.stock <= suggestion.reorderPoint && suggestion.suggestedQuantity > 0))
+      .sort((a, b) => (a.daysOfStockLeft ?? Infinity) - (b.daysOfStockLeft ?? Infinity));
+
+    res.json({
+      success: true,
+      parameters: { store, windowDays, leadTimeDays, coverDays },
+      suggestions
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reorder suggestions',
+      error: err.message
+    });
+  }
+});
+
+app.get('/api/stock-alerts', authorize(ROLES.STOCK_KEEPER), validate({ query: { status: field.oneOf(['pending', 'delivered', 'failed', 'acknowledged']) } }), async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const alerts = await StockAlert.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({
+      success: true,
+      alerts
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock alerts',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/stock-alerts/:id/acknowledge', authorize(ROLES.STOCK_KEEPER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const before = await StockAlert.findById(req.params.id).lean();
+    const alert = before && await StockAlert.findByIdAndUpdate(
+      req.params.id,
+      { $set: { status: 'acknowledged', acknowledgedBy: req.user._id, acknowledgedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock alert not found'
+      });
+    }
+    auditChange(req, { entity: 'StockAlert', entityId: alert._id, label: alert.nameTamil, action: 'acknowledge', before, after: alert });
+
+    res.json({
+      success: true,
+      message: 'Stock alert acknowledged',
+      alert
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge stock alert',
+      error: err.message
+    });
+  }
+});
+
+// Stock card: opening balance, movements and closing balance for a date range
+app.get('/api/products/:id/stock-card', authorize(ROLES.STOCK_KEEPER), validate({ params: PRODUCT_ID_PARAMS, query: { from: field.day(), to: field.day() } }), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const product = await Product.findById(productId)
+      .select('_id name nameTamil stock')
+      .lean();
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { from, to } = req.query;
+    const clock = await getBusinessClock();
+    const dateFilter = {};
+    if (from) dateFilter.$gte = zonedStartOfDay(from, clock.timeZone, clock.dayStartHour);
+    if (to) dateFilter.$lt = zonedStartOfDay(shiftDay(to, 1), clock.timeZone, clock.dayStartHour);
+
+    const [previous, movements] = await Promise.all([
+      dateFilter.$gte
+        ? StockMovement.findOne({ productId, date: { $lt: dateFilter.$gte } })
+          .sort({ date: -1, _id: -1 })
+          .lean()
+        : null,
+      StockMovement.find({
+        productId,
+        ...(Object.keys(dateFilter).length > 0 ? { date: dateFilter } : {})
+      })
+        .sort({ date: 1, _id: 1 })
+        .lean()
+    ]);
+
+    const openingBalance = previous ? previous.balanceAfter : 0;
+    const closingBalance = movements.length > 0
+      ? movements[movements.length - 1].balanceAfter
+      : openingBalance;
+
+    const totals = movements.reduce((acc, movement) => {
+      if (movement.quantity > 0) acc.inward = roundQuantity(acc.inward + movement.quantity);
+      else acc.outward = roundQuantity(acc.outward - movement.quantity);
+      return acc;
+    }, { inward: 0, outward: 0 });
+
+    res.json({
+      success: true,
+      product,
+      period: { from: dateFilter.$gte || null, to: dateFilter.$lt ? new Date(dateFilter.$lt.getTime() - 1) : null },
+      openingBalance,
+      ...totals,
+      closingBalance,
+      movements
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock card',
+      error: err.message
+    });
+  }
+});
+
+// Ledger vs Product.stock check; GET only reports, POST with fix writes corrections
+let lastStockReconciliation = null;
+
+app.get('/api/stock/reconcile', authorize(ROLES.STOCK_KEEPER), validate({}), async (req, res) => {
+  try {
+    const report = await reconcileStockLedger();
+    res.json({
+      success: true,
+      report,
+      lastRun: lastStockReconciliation
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile stock',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/stock/reconcile', authorize(ROLES.OWNER), validate({ body: { fix: field.boolean() } }), async (req, res) => {
+  try {
+    const report = await reconcileStockLedger({ fix: Boolean(req.body.fix), user: req.user });
+    lastStockReconciliation = report;
+    if (report.fixed) {
+      // Each correction moves the ledger to the product's stock
+      for (const discrepancy of report.discrepancies) {
+        auditChange(req, {
+          entity: 'Product',
+          entityId: discrepancy.productId,
+          label: discrepancy.nameTamil,
+          action: discrepancy.reason,
+          before: { ledgerStock: discrepancy.ledgerStock },
+          after: { ledgerStock: discrepancy.productStock }
+        });
+      }
+    }
+    res.json({
+      success: true,
+      message: report.fixed ? 'Stock ledger reconciled' : 'Stock ledger checked',
+      report
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile stock',
+      error: err.message
+    });
+  }
+});
+
+// Store Management
+const validateStoreData = (data, { partial = false } = {}) => {
+  const errors = [];
+  if (!partial && !/^[A-Za-z0-9_-]{1,20}$/.test(data.code || '')) {
+    errors.push(fieldError('code', 'Store code must be 1-20 letters, digits, dashes or underscores', 'INVALID_FORMAT'));
+  }
+  if (!partial && !data.name) errors.push(fieldError('name', 'Store name is required', 'REQUIRED_FIELD'));
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push(fieldError('active', 'Active must be true or false', 'INVALID_TYPE'));
+  }
+  return errors;
+};
+
+const STORE_FIELDS = ['name', 'address', 'phone', 'active'];
+
+const pickStoreFields = (data) => STORE_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+app.get('/api/stores', authorize(ROLES.CASHIER), validate({}), async (req, res) => {
+  try {
+    const stores = await Store.find().sort({ _id: 1 }).lean();
+    if (!stores.some(store => store._id === DEFAULT_STORE_ID)) stores.unshift(DEFAULT_STORE);
+
+    res.json({
+      success: true,
+      stores
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stores',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/stores', authorize(ROLES.OWNER), validate({
+  body: {
+    code: field.string({ required: true, max: 20 }),
+    name: field.string({ required: true, max: 100 }),
+    address: field.string({ max: 500 }),
+    phone: field.string({ max: 20 }),
+    active: field.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const errors = validateStoreData(req.body);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const code = req.body.code.toUpperCase();
+    if (code === DEFAULT_STORE_ID) {
+      return res.status(409).json({
+        success: false,
+        message: 'Use PUT to change the main store',
+        errorType: 'DUPLICATE_STORE'
+      });
+    }
+
+    const store = new Store({
+      _id: code,
+      ...pickStoreFields(req.body),
+      createdBy: req.user._id
+    });
+    await store.save();
+    auditChange(req, { entity: 'Store', entityId: store._id, label: store.name, action: 'create', after: store });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store created successfully',
+      store
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Store code already exists',
+        errorType: 'DUPLICATE_STORE'
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create store',
+      error: err.message
+    });
+  }
+});
+
+// The main store is saved on its first edit
+app.put('/api/stores/:code', authorize(ROLES.OWNER), validate({
+  params: { code: STORE_CODE },
+  body: {
+    name: field.string({ min: 1, max: 100 }),
+    address: field.string({ max: 500 }),
+    phone: field.string({ max: 20 }),
+    active: field.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const errors = validateStoreData(req.body, { partial: true });
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const code = req.params.code.toUpperCase();
+    const existing = await getStore(code);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const fields = pickStoreFields(req.body);
+    if (code === DEFAULT_STORE_ID && fields.active === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'The main store cannot be deactivated'
+      });
+    }
+
+    const defaults = Object.fromEntries(STORE_FIELDS
+      .filter(key => fields[key] === undefined && existing[key] !== undefined)
+      .map(key => [key, existing[key]]));
+    const store = await Store.findByIdAndUpdate(
+      code,
+      { $set: fields, $setOnInsert: defaults },
+      { new: true, upsert: true, runValidators: true }
+    );
+    auditChange(req, { entity: 'Store', entityId: store._id, label: store.name, action: 'update', before: existing, after: store });
+
+    res.json({
+      success: true,
+      message: 'Store updated successfully',
+      store
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update store',
+      error: err.message
+    });
+  }
+});
+
+// Stock on hand at one store
+app.get('/api/stores/:code/stock', authorize(ROLES.STOCK_KEEPER), validate({ params: { code: STORE_CODE } }), async (req, res) => {
+  try {
+    const store = await getStore(req.params.code);
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const products = await Product.find()
+      .select('name nameTamil stock storeStock minStockLevel')
+      .sort({ _id: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      store: store._id,
+      products: products.map(product => ({
+        _id: product._id,
+        name: product.name,
+        nameTamil: product.nameTamil,
+        stock: storeStockOf(product, store._id),
+        totalStock: product.stock,
+        minStockLevel: product.minStockLevel
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch store stock',
+      error: err.message
+    });
+  }
+});
+
+// Moves stock between stores in one transaction; totals are unchanged
+app.post('/api/stock/transfers', authorize(ROLES.STOCK_KEEPER), validate({
+  body: {
+    fromStore: STORE_CODE,
+    toStore: STORE_CODE,
+    items: field.array(field.object({
+      productId: field.integer({ required: true, min: 1 }),
+      quantity: field.number({ required: true, positive: true })
+    }), { required: true, min: 1 }),
+    note: field.string({ max: 500 })
+  }
+}), idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { fromStore, toStore, items, note } = req.body;
+
+    let from;
+    let to;
+    try {
+      from = await requireStore(fromStore);
+      to = await requireStore(toStore);
+    } catch (storeError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: storeError.message,
+        errorType: storeError.errorType
+      });
+    }
+
+    if (from._id === to._id) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'Source and destination stores must differ',
+        errorType: 'INVALID_STORE'
+      });
+    }
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'At least one transfer item is required',
+        errorType: 'NO_ITEMS'
+      });
+    }
+
+    const transfer = new StockTransfer({
+      fromStore: from._id,
+      toStore: to._id,
+      items: [],
+      note,
+      createdBy: req.user._id,
+      createdByName: req.user.username
+    });
+    const stockChanges = [];
+
+    for (const [index, item] of items.entries()) {
+      const productId = parseInt(item.productId);
+      const quantity = parseQuantity(item.quantity);
+
+      if (isNaN(productId) || isNaN(quantity) || quantity <= 0) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Invalid product ID or quantity at position ${index}`,
+          errorType: 'INVALID_ITEM',
+          itemIndex: index
+        });
+      }
+
+      const ref = { type: 'StockTransfer', id: transfer._id };
+      try {
+        const out = await applyStockChange({
+          productId, store: from._id, quantity: -quantity, reason: 'transfer-out', ref, note, user: req.user, session
+        });
+        const into = await applyStockChange({
+          productId, store: to._id, quantity, reason: 'transfer-in', ref, note, user: req.user, session
+        });
+        stockChanges.push(out, into);
+        transfer.items.push({ productId, nameTamil: out.product.nameTamil, quantity });
+      } catch (stockError) {
+        if (!stockError.errorType) throw stockError;
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: stockError.message,
+          errorType: stockError.errorType,
+          itemIndex: index
+        });
+      }
+    }
+
+    await transfer.save({ session });
+    await session.commitTransaction();
+    auditChange(req, { entity: 'StockTransfer', entityId: transfer._id, label: `${from._id} to ${to._id}`, action: 'create', after: transfer });
+    for (const stockChange of stockChanges) auditStockChange(req, stockChange);
+    checkLowStock(transfer.items.map(item => item.productId), { type: 'StockTransfer', id: transfer._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock transferred successfully',
+      transfer
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('Stock transfer error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transfer stock',
+      error: err.message
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Recent transfers, optionally those into or out of ?store
+app.get('/api/stock/transfers', authorize(ROLES.STOCK_KEEPER), validate({ query: { store: STORE_CODE, limit: field.integer({ min: 1 }) } }), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.store) {
+      const store = String(req.query.store).trim().toUpperCase();
+      filter.$or = [{ fromStore: store }, { toStore: store }];
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const transfers = await StockTransfer.find(filter)
+      .sort({ date: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      transfers
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock transfers',
+      error: err.message
+    });
+  }
+});
+
+// Supplier Management
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'mobileNumber', 'email', 'gstin', 'address', 'active'];
+
+const pickSupplierFields = (data) => SUPPLIER_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+const SUPPLIER_FIELD_RULES = {
+  name: field.string({ min: 1, max: 200 }),
+  contactPerson: field.string({ max: 100 }),
+  // Suppliers may have no mobile number on record
+  mobileNumber: field.string({ pattern: /^(\d{10})?$/, format: '10 digits' }),
+  email: field.string({ max: 200 }),
+  gstin: field.string({ max: 15 }),
+  address: field.string({ max: 500 }),
+  active: field.boolean()
+};
+
+app.get('/api/suppliers', authorize(ROLES.STOCK_KEEPER), validate({ query: { includeInactive: field.boolean() } }), async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+    const suppliers = await Supplier.find(filter)
+      .lean()
+      .sort({ name: 1 });
+    res.json({
+      success: true,
+      suppliers
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppliers',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/suppliers', authorize(ROLES.STOCK_KEEPER), validate({ body: { ...SUPPLIER_FIELD_RULES, name: field.string({ required: true, max: 200 }) } }), async (req, res) => {
+  try {
+    const supplier = new Supplier(pickSupplierFields(req.body));
+    await supplier.save();
+    auditChange(req, { entity: 'Supplier', entityId: supplier._id, label: supplier.name, action: 'create', after: supplier });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      supplier
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create supplier',
+      error: err.message
+    });
+  }
+});
+
+app.put('/api/suppliers/:id', authorize(ROLES.STOCK_KEEPER), validate({ params: OBJECT_ID_PARAMS, body: SUPPLIER_FIELD_RULES }), async (req, res) => {
+  try {
+    const before = await Supplier.findById(req.params.id).lean();
+    const supplier = before && await Supplier.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickSupplierFields(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    auditChange(req, { entity: 'Supplier', entityId: supplier._id, label: supplier.name, action: 'update', before, after: supplier });
+
+    res.json({
+      success: true,
+      message: 'Supplier updated successfully',
+      supplier
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update supplier',
+      error: err.message
+    });
+  }
+});
+
+// Purchase Orders
+// Resolves PO lines against the catalogue; throws with the offending position
+const buildPurchaseOrderItems = async (items) => {
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw billingError('At least one purchase order item is required', 'NO_ITEMS');
+  }
+
+  const lines = [];
+  for (const [index, item] of items.entries()) {
+    const productId = parseInt(item.productId);
+    const quantityOrdered = parseQuantity(item.quantity);
+    const costPrice = Number(item.costPrice);
+
+    if (isNaN(quantityOrdered) || quantityOrdered <= 0) {
+      throw billingError(`Invalid quantity at position ${index}`, 'INVALID_ITEM');
+    }
+    if (isNaN(costPrice) || costPrice < 0) {
+      throw billingError(`Invalid cost price at position ${index}`, 'INVALID_ITEM');
+    }
+    if (lines.some(line => line.productId === productId)) {
+      throw billingError(`Product ${productId} is listed more than once`, 'INVALID_ITEM');
+    }
+
+    const product = await Product.findById(productId).select('_id nameTamil').lean();
+    if (!product) {
+      throw billingError(`Product ${item.productId} not found at position ${index}`, 'INVALID_ITEM');
+    }
+
+    lines.push({ productId, nameTamil: product.nameTamil, quantityOrdered, costPrice: roundMoney(costPrice) });
+  }
+
+  return lines;
+};
+
+const PURCHASE_ORDER_ITEMS = field.array(field.object({
+  productId: field.integer({ required: true, min: 1 }),
+  quantity: field.number({ required: true, positive: true }),
+  costPrice: field.number({ required: true, min: 0 })
+}), { min: 1 });
+
+const purchaseOrderTotal = (items) => roundMoney(
+  items.reduce((sum, item) => sum + item.quantityOrdered * item.costPrice, 0)
+);
+
+app.get('/api/purchase-orders', authorize(ROLES.STOCK_KEEPER), validate({ query: { status: field.oneOf(PURCHASE_ORDER_STATUSES), supplierId: field.objectId() } }), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.supplierId) filter.supplierId = req.query.supplierId;
+
+    const purchaseOrders = await PurchaseOrder.find(filter)
+      .select('-receipts')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json({
+      success: true,
+      purchaseOrders
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders',
+      error: err.message
+    });
+  }
+});
+
+app.get('/api/purchase-orders/:id', authorize(ROLES.STOCK_KEEPER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).lean();
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      purchaseOrder
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/purchase-orders', authorize(ROLES.STOCK_KEEPER), validate({
+  body: {
+    supplierId: field.objectId({ required: true }),
+    items: { ...PURCHASE_ORDER_ITEMS, required: true },
+    expectedDate: field.date({ nullable: true }),
+    note: field.string({ max: 500 }),
+    status: field.oneOf(['draft', 'ordered']),
+    store: STORE_CODE
+  }
+}), async (req, res) => {
+  try {
+    const { supplierId, items, expectedDate, note, status = 'draft', store: storeCode } = req.body;
+
+    const supplier = await Supplier.findOne({ _id: supplierId, active: true }).lean();
+    if (!supplier) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid active supplier is required',
+        errorType: 'INVALID_SUPPLIER'
+      });
+    }
+
+    let lines;
+    let store;
+    try {
+      store = await requireStore(storeCode);
+      lines = await buildPurchaseOrderItems(items);
+    } catch (itemError) {
+      if (!itemError.errorType) throw itemError;
+      return res.status(400).json({
+        success: false,
+        message: itemError.message,
+        errorType: itemError.errorType
+      });
+    }
+
+    const purchaseOrder = new PurchaseOrder({
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      store: store._id,
+      status,
+      items: lines,
+      totalCost: purchaseOrderTotal(lines),
+      expectedDate,
+      note,
+      createdBy: req.user._id
+    });
+    await purchaseOrder.save();
+    auditChange(req, { entity: 'PurchaseOrder', entityId: purchaseOrder._id, label: purchaseOrder.poNumber, action: 'create', after: purchaseOrder });
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      purchaseOrder
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create purchase order',
+      error: err.message
+    });
+  }
+});
+
+// Edit lines or mark as ordered; only allowed before any goods arrive
+app.put('/api/purchase-orders/:id', authorize(ROLES.STOCK_KEEPER), validate({
+  params: OBJECT_ID_PARAMS,
+  body: {
+    items: PURCHASE_ORDER_ITEMS,
+    expectedDate: field.date({ nullable: true }),
+    note: field.string({ max: 500 }),
+    status: field.oneOf(['draft', 'ordered'])
+  }
+}), async (req, res) => {
+  try {
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!['draft', 'ordered'].includes(purchaseOrder.status) || purchaseOrder.receipts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Purchase order is ${purchaseOrder.status} and can no longer be edited`,
+        errorType: 'PURCHASE_ORDER_LOCKED'
+      });
+    }
+
+    const before = auditValue(purchaseOrder);
+    if (req.body.status !== undefined) purchaseOrder.status = req.body.status;
+
+    if (req.body.items !== undefined) {
+      try {
+        purchaseOrder.items = await buildPurchaseOrderItems(req.body.items);
+      } catch (itemError) {
+        if (!itemError.errorType) throw itemError;
+        return res.status(400).json({
+          success: false,
+          message: itemError.message,
+          errorType: itemError.errorType
+        });
+      }
+      purchaseOrder.totalCost = purchaseOrderTotal(purchaseOrder.items);
+    }
+
+    if (req.body.expectedDate !== undefined) purchaseOrder.expectedDate = req.body.expectedDate;
+    if (req.body.note !== undefined) purchaseOrder.note = req.body.note;
+    await purchaseOrder.save();
+    auditChange(req, { entity: 'PurchaseOrder', entityId: purchaseOrder._id, label: purchaseOrder.poNumber, action: 'update', before, after: purchaseOrder });
+
+    res.json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      purchaseOrder
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update purchase order',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/purchase-orders/:id/cancel', authorize(ROLES.STOCK_KEEPER), validate({ params: OBJECT_ID_PARAMS, body: { reason: field.string({ max: 500 }) } }), async (req, res) => {
+  try {
+    const before = await PurchaseOrder.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['draft', 'ordered'] }, receipts: { $size: 0 } },
+      { $set: { status: 'cancelled', note: req.body.reason || undefined } }
+    ).lean();
+
+    if (!before) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only draft or ordered purchase orders with no receipts can be cancelled',
+        errorType: 'PURCHASE_ORDER_LOCKED'
+      });
+    }
+    const purchaseOrder = await PurchaseOrder.findById(before._id);
+    auditChange(req, { entity: 'PurchaseOrder', entityId: purchaseOrder._id, label: purchaseOrder.poNumber, action: 'cancel', before, after: purchaseOrder });
+
+    res.json({
+      success: true,
+      message: 'Purchase order cancelled',
+      purchaseOrder
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to cancel purchase order',
+      error: err.message
+    });
+  }
+});
+
+// Goods received: adds the received quantities to stock, keeps the weighted
+// average cost per product and moves the PO to partially received or received
+app.post('/api/purchase-orders/:id/receive', authorize(ROLES.STOCK_KEEPER), validate({
+  params: OBJECT_ID_PARAMS,
+  body: {
+    items: field.array(field.object({
+      productId: field.integer({ required: true, min: 1 }),
+      quantity: field.number({ required: true, positive: true }),
+      costPrice: field.number({ min: 0 })
+    }), { required: true, min: 1 }),
+    invoiceNumber: field.string({ max: 50 }),
+    note: field.string({ max: 500 })
+  }
+}), idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { items, invoiceNumber, note } = req.body;
+
+    const purchaseOrder = await PurchaseOrder.findById(req.params.id).session(session);
+    if (!purchaseOrder) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (!['ordered', 'partially-received'].includes(purchaseOrder.status)) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: `Cannot receive goods against a ${purchaseOrder.status} purchase order`,
+        errorType: 'PURCHASE_ORDER_LOCKED'
+      });
+    }
+
+    const before = auditValue(purchaseOrder);
+    const receiptItems = [];
+    for (const [index, item] of items.entries()) {
+      const productId = parseInt(item.productId);
+      const quantity = parseQuantity(item.quantity);
+      const line = purchaseOrder.items.find(poItem => poItem.productId === productId);
+
+      if (!line) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Product ${item.productId} is not on this purchase order`,
+          errorType: 'INVALID_ITEM',
+          itemIndex: index
+        });
+      }
+
+      const outstanding = roundQuantity(line.quantityOrdered - line.quantityReceived);
+      if (isNaN(quantity) || quantity <= 0 || quantity > outstanding) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Received quantity for ${line.nameTamil} must be more than 0 and at most ${outstanding}`,
+          errorType: 'INVALID_ITEM',
+          itemIndex: index
+        });
+      }
+
+      // Supplier invoices sometimes differ from the PO; the invoiced cost wins
+      const costPrice = item.costPrice !== undefined ? roundMoney(Number(item.costPrice)) : line.costPrice;
+      if (isNaN(costPrice) || costPrice < 0) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Invalid cost price at position ${index}`,
+          errorType: 'INVALID_ITEM',
+          itemIndex: index
+        });
+      }
+
+      line.quantityReceived = roundQuantity(line.quantityReceived + quantity);
+      receiptItems.push({ productId, quantity, costPrice });
+    }
+
+    const stockChanges = [];
+    for (const receiptItem of receiptItems) {
+      const stockChange = await applyStockChange({
+        productId: receiptItem.productId,
+        store: purchaseOrder.store || DEFAULT_STORE_ID,
+        quantity: receiptItem.quantity,
+        reason: 'purchase-receipt',
+        ref: { type: 'PurchaseOrder', id: purchaseOrder._id, number: purchaseOrder.poNumber },
+        note: invoiceNumber ? `Supplier invoice ${invoiceNumber}` : undefined,
+        user: req.user,
+        session
+      });
+      const { product } = stockChange;
+      stockChanges.push(stockChange);
+
+      const previousStock = Math.max(product.stock - receiptItem.quantity, 0);
+      const previousCost = product.costPrice !== undefined ? product.costPrice : receiptItem.costPrice;
+      const averageCost = (previousStock * previousCost + receiptItem.quantity * receiptItem.costPrice) /
+        (previousStock + receiptItem.quantity);
+
+      await Product.updateOne(
+        { _id: product._id },
+        { $set: { costPrice: roundMoney(averageCost), lastCostPrice: receiptItem.costPrice } },
+        { session }
+      );
+    }
+
+    purchaseOrder.receipts.push({
+      invoiceNumber,
+      note,
+      items: receiptItems,
+      receivedBy: req.user._id,
+      receivedByName: req.user.username
+    });
+    purchaseOrder.status = purchaseOrder.items.every(line => line.quantityReceived >= line.quantityOrdered)
+      ? 'received'
+      : 'partially-received';
+    await purchaseOrder.save({ session });
+
+    await session.commitTransaction();
+    auditChange(req, { entity: 'PurchaseOrder', entityId: purchaseOrder._id, label: purchaseOrder.poNumber, action: 'receive', before, after: purchaseOrder });
+    for (const stockChange of stockChanges) auditStockChange(req, stockChange);
+
+    res.json({
+      success: true,
+      message: purchaseOrder.status === 'received'
+        ? 'All goods received'
+        : 'Goods partially received',
+      purchaseOrder
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('Goods receipt error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive goods',
+      error: err.message
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Billing System
+// Bill fields a client sends; createBill checks products, stock and discounts.
+// Items name a product by ID or by a scanned barcode or SKU.
+const BILL_ITEM = field.object({
+  productId: field.integer({ min: 1 }),
+  barcode: field.string({ max: 32 }),
+  quantity: field.number({ required: true, positive: true }),
+  price: field.number({ min: 0 }),
+  discountType: field.oneOf(DISCOUNT_TYPES, { nullable: true }),
+  discountValue: field.number({ min: 0 })
+});
+
+const BILL_FIELDS = {
+  billNumber: field.string({ max: 50 }),
+  series: field.string({ max: 20 }),
+  store: STORE_CODE,
+  items: field.array(BILL_ITEM, { required: true, min: 1 }),
+  customerName: field.string({ required: true, max: 100 }),
+  mobileNumber: { ...MOBILE_NUMBER, required: true },
+  placeOfSupply: field.string({ pattern: /^\d{2}$/, format: 'a 2 digit state code' }),
+  customerGstin: field.string({ max: 15 }),
+  discountType: field.oneOf(DISCOUNT_TYPES, { nullable: true }),
+  discountValue: field.number({ min: 0 }),
+  discountReason: field.string({ max: 200 }),
+  couponCode: field.string({ max: 50 }),
+  redeemPoints: field.integer({ min: 0 }),
+  payments: field.array(field.object({
+    mode: field.oneOf(PAYMENT_MODES, { required: true }),
+    amount: field.number({ required: true, positive: true }),
+    reference: field.string({ max: 100 })
+  }))
+};
+
+// Bill errors that are about the state of other records rather than the request
+const BILL_CONFLICTS = ['DAY_CLOSED', 'DUPLICATE_BILL_NUMBER'];
+
+// Enhanced Billing Endpoint with better error handling
+app.post('/api/bills', authorize(ROLES.CASHIER), validate({ body: BILL_FIELDS }), idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  
+  try {
+    const { bill: savedBill, stockDeductions } = await createBill(req.body, { user: req.user, session });
+
+    await session.commitTransaction();
+    auditChange(req, { entity: 'Bill', entityId: savedBill._id, label: savedBill.billNumber, action: 'create', after: savedBill });
+
+    checkLowStock(
+      stockDeductions.map(deduction => deduction.productId),
+      { type: 'Bill', id: savedBill._id, number: savedBill.billNumber }
+    );
+    queueBillMessage(savedBill, { user: req.user, automatic: true })
+      .catch(err => console.error('Failed to queue bill message:', err.message));
+    
+    return res.status(201).json({
+      success: true,
+      message: 'Bill created successfully',
+      bill: savedBill
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    // Two requests with the same number can both pass the check before either saves
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.billNumber && req.body.billNumber) {
+      err = billingError(`Bill number ${req.body.billNumber} is already used by another bill`, 'DUPLICATE_BILL_NUMBER');
+    }
+    if (err.errorType) {
+      return res.status(BILL_CONFLICTS.includes(err.errorType) ? 409 : 400).json({
+        success: false,
+        message: err.message,
+        errorType: err.errorType,
+        itemIndex: err.itemIndex
+      });
+    }
+    console.error('Bill creation error:', err);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during bill creation',
+      error: err.message,
+      errorType: 'INTERNAL_SERVER_ERROR'
+    });
+  } finally {
+    session.endSession();
+  }
+});
+// Stock Management Endpoint
+// Add this with your other product routes
+app.post('/api/products/stock', authorize(ROLES.STOCK_KEEPER), validate({
+  body: {
+    productId: field.integer({ required: true, min: 1 }),
+    quantity: field.number({ required: true }),
+    reason: field.oneOf(['restock', 'manual-correction']),
+    note: field.string({ max: 500 }),
+    store: STORE_CODE
+  }
+}), idempotent, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { productId, quantity, reason = 'restock', note, store: storeCode } = req.body;
+
+    const stockQuantity = parseQuantity(quantity);
+    if (isNaN(stockQuantity)) {
+      await session.abortTransaction();
+      return sendValidationErrors(res, [fieldError('quantity', QUANTITY_DECIMALS.message, 'INVALID_FORMAT')]);
+    }
+
+    // Update the product through the stock ledger
+    let stockChange;
+    let store;
+    try {
+      store = await requireStore(storeCode);
+      stockChange = await applyStockChange({
+        productId,
+        store: store._id,
+        quantity: stockQuantity,
+        reason,
+        ref: { type: 'Product', id: productId },
+        note,
+        user: req.user,
+        session
+      });
+    } catch (stockError) {
+      if (!stockError.errorType) throw stockError;
+      await session.abortTransaction();
+      return res.status(stockError.errorType === 'PRODUCT_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: stockError.errorType === 'PRODUCT_NOT_FOUND' ? 'Product not found' : stockError.message,
+        errorType: stockError.errorType
+      });
+    }
+
+    await session.commitTransaction();
+    auditStockChange(req, stockChange);
+
+    const { product } = stockChange;
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      product: {
+        _id: product._id,
+        name: product.name,
+        nameTamil: product.nameTamil,
+        stock: product.stock,
+        store: store._id,
+        storeStock: storeStockOf(product, store._id)
+      }
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('Stock update error:', err);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to update stock',
+      error: err.message 
+    });
+  } finally {
+    session.endSession();
+  }
+});
+// Offline Sync
+// Counters that lose connectivity queue bills locally and upload them later,
+// then pull catalogue changes since their last cursor to refresh their cache
+const SYNC_BATCH_LIMIT = 200;
+
+const OFFLINE_BILL = field.object({
+  ...BILL_FIELDS,
+  clientId: field.string({ required: true, max: 100 }),
+  createdAt: field.date({ required: true })
+});
+// Offline bills may not be dated ahead of the server clock by more than this
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const SYNC_PAGE_SIZE = 500;
+// Changes this recent are sent again on the next pull, so writes from
+// transactions that commit after a pull has read past them are not missed
+const SYNC_OVERLAP_MS = 5 * 1000;
+const SYNC_PRODUCT_FIELDS = '_id name nameTamil price stock storeStock minStockLevel hsnCode taxCategory priceIncludesTax ' +
+  'categoryId unit barcode sku parentId variantName updatedAt';
+
+const encodeSyncCursor = ({ at, id }) => Buffer.from(`${at.getTime()}|${id}`).toString('base64url');
+
+const parseSyncCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const at = new Date(Number(time));
+  if (!time || isNaN(at.getTime()) || !Number.isInteger(Number(id))) {
+    throw billingError('Invalid sync cursor', 'INVALID_CURSOR');
+  }
+  return { at, id: Number(id) };
+};
+
+const compareSyncCursors = (a, b) => (a.at - b.at) || (a.id - b.id);
+
+// Products created before updatedAt existed get one so they can be paged
+let productTimestampBackfill = null;
+const backfillProductTimestamps = () => {
+  productTimestampBackfill = productTimestampBackfill || Product.updateMany(
+    { updatedAt: { $exists: false } },
+    { $set: { updatedAt: new Date() } }
+  ).catch(err => {
+    productTimestampBackfill = null;
+    throw err;
+  });
+  return productTimestampBackfill;
+};
+
+// Uploads bills made offline. Bills are applied oldest first, each in its own
+// transaction, and the result for every bill is reported in upload order.
+app.post('/api/sync/bills', authorize(ROLES.CASHIER), validate({
+  // Each bill is checked against OFFLINE_BILL on its own, so one bad bill is
+  // reported without holding up the rest of the queue
+  body: { bills: field.array(field.any()) }
+}), async (req, res) => {
+  try {
+    const { bills } = req.body;
+
+    if (!Array.isArray(bills) || bills.length === 0 || bills.length > SYNC_BATCH_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Send between 1 and ${SYNC_BATCH_LIMIT} bills per batch`,
+        errorType: 'INVALID_SYNC_BATCH'
+      });
+    }
+
+    const syncedAt = new Date();
     const results = [];
+    const queue = bills
+      .map((bill, index) => ({ bill, index, createdAt: new Date(bill && bill.createdAt) }))
+      .sort((a, b) => ((a.createdAt - b.createdAt) || 0) || a.index - b.index);
+
+    for (const { bill, index, createdAt } of queue) {
+      const clientId = bill && typeof bill.clientId === 'string' ? bill.clientId.trim() : '';
+      const result = { index, clientId };
+      results.push(result);
+
+      if (!clientId) {
+        Object.assign(result, { status: 'rejected', errorType: 'INVALID_CLIENT_ID', message: 'clientId is required' });
+        continue;
+      }
+      if (isNaN(createdAt.getTime()) || createdAt - syncedAt > SYNC_CLOCK_SKEW_MS) {
+        Object.assign(result, {
+          status: 'rejected',
+          errorType: 'INVALID_CLIENT_TIMESTAMP',
+          message: 'createdAt must be a valid time that is not in the future'
+        });
+        continue;
+      }
+
+      const errors = [];
+      checkField(OFFLINE_BILL, bill, 'body', `bills[${index}]`, errors);
+      if (errors.length > 0) {
+        Object.assign(result, { status: 'rejected', errorType: 'VALIDATION_FAILED', message: 'Validation failed', errors });
+        continue;
+      }
+
+      // Already uploaded in an earlier batch whose response never arrived
+      const existing = await Bill.findOne({ clientId }).select('billNumber').lean();
+      if (existing) {
+        Object.assign(result, { status: 'duplicate', billId: existing._id, billNumber: existing.billNumber });
+        continue;
+      }
+
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        const { bill: savedBill, stockDeductions } = await createBill(
+          { ...bill, billNumber: undefined },
+          { user: req.user, session, date: createdAt, clientId, syncedAt }
+        );
+        await session.commitTransaction();
+        auditChange(req, { entity: 'Bill', entityId: savedBill._id, label: savedBill.billNumber, action: 'create', after: savedBill });
+
+        Object.assign(result, { status: 'created', billId: savedBill._id, billNumber: savedBill.billNumber });
+        checkLowStock(
+          stockDeductions.map(deduction => deduction.productId),
+          { type: 'Bill', id: savedBill._id, number: savedBill.billNumber }
+        );
+        queueBillMessage(savedBill, { user: req.user, automatic: true })
+          .catch(err => console.error('Failed to queue bill message:', err.message));
+      } catch (err) {
+        await session.abortTransaction();
+
+        if (err.code === 11000 && err.keyPattern && err.keyPattern.clientId) {
+          const duplicate = await Bill.findOne({ clientId }).select('billNumber').lean();
+          Object.assign(result, { status: 'duplicate', billId: duplicate && duplicate._id, billNumber: duplicate && duplicate.billNumber });
+        } else if (err.errorType) {
+          Object.assign(result, {
+            status: 'conflict',
+            errorType: err.conflict || err.errorType,
+            message: err.message,
+            itemIndex: err.itemIndex
+          });
+        } else {
+          console.error(`Offline bill ${clientId} sync error:`, err);
+          Object.assign(result, { status: 'failed', errorType: 'INTERNAL_SERVER_ERROR', message: err.message });
+        }
+      } finally {
+        session.endSession();
+      }
+    }
+
+    results.sort((a, b) => a.index - b.index);
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      summary,
+      results
+    });
+  } catch (err) {
+    console.error('Offline sync error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync offline bills',
+      error: err.message
+    });
+  }
+});
+
+// Product, price and stock changes since ?cursor (omit it for a full download).
+// Apply products as upserts; recent changes can be repeated across pulls.
+app.get('/api/sync/changes', authorize(ROLES.CASHIER), validate({ query: { cursor: field.string({ max: 100 }) } }), async (req, res) => {
+  try {
+    let since = null;
+    try {
+      if (req.query.cursor) since = parseSyncCursor(req.query.cursor);
+    } catch (cursorError) {
+      return res.status(400).json({
+        success: false,
+        message: cursorError.message,
+        errorType: cursorError.errorType
+      });
+    }
+
+    await backfillProductTimestamps();
+    const serverTime = new Date();
+
+    const filter = since
+      ? { $or: [{ updatedAt: { $gt: since.at } }, { updatedAt: since.at, _id: { $gt: since.id } }] }
+      : {};
+    const products = await Product.find(filter)
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(SYNC_PAGE_SIZE + 1)
+      .select(SYNC_PRODUCT_FIELDS)
+      .lean();
+
+    const hasMore = products.length > SYNC_PAGE_SIZE;
+    if (hasMore) products.pop();
+
+    // A fresh download has nothing cached, so deletions only matter with a cursor
+    const deletedProductIds = since
+      ? (await DeletedProduct.find({ deletedAt: { $gt: new Date(since.at.getTime() - SYNC_OVERLAP_MS) } })
+        .select('_id').lean()).map(deleted => deleted._id)
+      : [];
+
+    const last = products.length > 0
+      ? { at: products[products.length - 1].updatedAt, id: products[products.length - 1]._id }
+      : since;
+    let next = last;
+    if (!hasMore) {
+      const settled = { at: new Date(serverTime.getTime() - SYNC_OVERLAP_MS), id: 0 };
+      if (!next || compareSyncCursors(next, settled) > 0) next = settled;
+      if (since && compareSyncCursors(since, next) > 0) next = since;
+    }
+
+    res.json({
+      success: true,
+      products,
+      deletedProductIds,
+      cursor: encodeSyncCursor(next),
+      hasMore,
+      serverTime
+    });
+  } catch (err) {
+    console.error('Sync changes error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch changes',
+      error: err.message
+    });
+  }
+});
+
+// Contact Management
+app.post('/api/contacts', authorize(ROLES.CASHIER), validate({
+  body: {
+    name: field.string({ required: true, max: 100 }),
+    mobileNumber: { ...MOBILE_NUMBER, required: true }
+  }
+}), async (req, res) => {
+  try {
+    const { name, mobileNumber } = req.body;
+
+    const existingContact = await Contact.findOne({ mobileNumber });
+    if (existingContact) {
+      return res.status(200).json({
+        success: true,
+        message: 'Contact already exists',
+        isNew: false
+      });
+    }
+
+    const newContact = new Contact({
+      name,
+      mobileNumber
+    });
+
+    await newContact.save();
+    auditChange(req, { entity: 'Contact', entityId: newContact._id, label: newContact.mobileNumber, action: 'create', after: newContact });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contact saved successfully',
+      isNew: true,
+      contact: newContact
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(200).json({
+        success: true,
+        message: 'Contact already exists',
+        isNew: false
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save contact',
+      error: err.message
+    });
+  }
+});
+// Customers with outstanding credit, largest dues first
+app.get('/api/contacts/dues', authorize(ROLES.CASHIER), validate({}), async (req, res) => {
+  try {
+    const [contacts, openBills] = await Promise.all([
+      Contact.find({ outstandingBalance: { $gt: 0 } })
+        .select('_id name mobileNumber outstandingBalance lastUsed')
+        .sort({ outstandingBalance: -1 })
+        .lean(),
+      Bill.aggregate([
+        { $match: { balanceDue: { $gt: 0 } } },
+        {
+          $group: {
+            _id: '$mobileNumber',
+            openBillCount: { $sum: 1 },
+            oldestDueDate: { $min: '$date' }
+          }
+        }
+      ])
+    ]);
+
+    const billsByMobile = new Map(openBills.map(entry => [entry._id, entry]));
+    const customers = contacts.map(contact => ({
+      ...contact,
+      openBillCount: billsByMobile.has(contact.mobileNumber)
+        ? billsByMobile.get(contact.mobileNumber).openBillCount
+        : 0,
+      oldestDueDate: billsByMobile.has(contact.mobileNumber)
+        ? billsByMobile.get(contact.mobileNumber).oldestDueDate
+        : null
+    }));
+
+    res.json({
+      success: true,
+      totalOutstanding: roundMoney(customers.reduce((sum, c) => sum + c.outstandingBalance, 0)),
+      customers
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer dues',
+      error: err.message
+    });
+  }
+});
+
+// Profile text is saved trimmed; a null language or channel falls back to the messaging setting
+const CONTACT_FIELDS = {
+  name: field.string({ trim: true, min: 1, max: 100 }),
+  email: field.string({ trim: true, max: 200, pattern: /^([^\s@]+@[^\s@]+\.[^\s@]+)?$/, format: 'a valid email address' }),
+  address: field.string({ max: 500 }),
+  notes: field.string({ max: 1000 }),
+  messagingOptOut: field.boolean(),
+  language: field.oneOf(MESSAGE_LANGUAGES, { nullable: true }),
+  channel: field.oneOf(MESSAGE_CHANNELS, { nullable: true })
+};
+
+const pageParams = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Customer profile: spend, visits and what they buy, from their bills
+app.get('/api/contacts/:mobileNumber', authorize(ROLES.CASHIER), validate({ params: { mobileNumber: MOBILE_NUMBER } }), async (req, res) => {
+  try {
+    const { mobileNumber } = req.params;
+    const contact = await Contact.findOne({ mobileNumber }).lean();
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const clock = await getBusinessClock();
+    const [totals, visits, returns, monthly, topProducts, recentBills] = await Promise.all([
+      Bill.aggregate([
+        { $match: { ...ACTIVE_BILL_FILTER, mobileNumber } },
+        {
+          $group: {
+            _id: null,
+            billCount: { $sum: 1 },
+            totalSpent: { $sum: '$grandTotal' },
+            discountTotal: { $sum: { $ifNull: ['$discountTotal', 0] } },
+            firstVisit: { $min: '$date' },
+            lastVisit: { $max: '$date' }
+          }
+        }
+      ]),
+      // Several bills on one business day are one visit
+      Bill.aggregate([
+        { $match: { ...ACTIVE_BILL_FILTER, mobileNumber } },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: '%Y-%m-%d',
+                date: { $subtract: ['$date', clock.dayStartHour * 3600000] },
+                timezone: clock.timeZone
+              }
+            }
+          }
+        },
+        { $count: 'visitCount' }
+      ]),
+      CreditNote.aggregate([
+        { $match: { mobileNumber } },
+        { $group: { _id: null, returnsTotal: { $sum: '$total' } } }
+      ]),
+      Bill.aggregate([
+        { $match: { ...ACTIVE_BILL_FILTER, mobileNumber } },
+        {
+          $group: {
+            _id: {
+              $dateToString: {
+                format: '%Y-%m',
+                date: { $subtract: ['$date', clock.dayStartHour * 3600000] },
+                timezone: clock.timeZone
+              }
+            },
+            billCount: { $sum: 1 },
+            spent: { $sum: '$grandTotal' }
+          }
+        },
+        { $sort: { _id: -1 } },
+        { $limit: 12 },
+        { $project: { _id: 0, month: '$_id', billCount: 1, spent: { $round: ['$spent', 2] } } }
+      ]),
+      Bill.aggregate([
+        { $match: { ...ACTIVE_BILL_FILTER, mobileNumber } },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: '$items.productId',
+            nameTamil: { $last: '$items.nameTamil' },
+            quantity: { $sum: '$items.quantity' },
+            spent: { $sum: '$items.total' },
+            billCount: { $sum: 1 }
+          }
+        },
+        { $sort: { spent: -1 } },
+        { $limit: 5 },
+        { $project: { _id: 0, productId: '$_id', nameTamil: 1, quantity: 1, spent: { $round: ['$spent', 2] }, billCount: 1 } }
+      ]),
+      Bill.find({ mobileNumber })
+        .select('billNumber date grandTotal balanceDue status store')
+        .sort({ date: -1 })
+        .limit(5)
+        .lean()
+    ]);
+
+    const summary = totals[0] || { billCount: 0, totalSpent: 0, discountTotal: 0, firstVisit: null, lastVisit: null };
+    const returnsTotal = returns.length > 0 ? returns[0].returnsTotal : 0;
+    const visitCount = visits.length > 0 ? visits[0].visitCount : 0;
+    const spanDays = summary.firstVisit ? (summary.lastVisit - summary.firstVisit) / 86400000 : 0;
+
+    res.json({
+      success: true,
+      contact,
+      stats: {
+        billCount: summary.billCount,
+        totalSpent: roundMoney(summary.totalSpent),
+        returnsTotal: roundMoney(returnsTotal),
+        lifetimeValue: roundMoney(summary.totalSpent - returnsTotal),
+        averageBill: summary.billCount > 0 ? roundMoney(summary.totalSpent / summary.billCount) : 0,
+        discountTotal: roundMoney(summary.discountTotal),
+        firstVisit: summary.firstVisit,
+        lastVisit: summary.lastVisit,
+        visitCount,
+        // Months shorter than one count as one so new customers aren't inflated
+        visitsPerMonth: visitCount > 0 ? roundMoney(visitCount / Math.max(spanDays / 30.44, 1)) : 0,
+        averageDaysBetweenVisits: visitCount > 1 ? roundMoney(spanDays / (visitCount - 1)) : null,
+        daysSinceLastVisit: summary.lastVisit ? Math.floor((Date.now() - summary.lastVisit) / 86400000) : null
+      },
+      monthly,
+      topProducts,
+      recentBills
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer profile',
+      error: err.message
+    });
+  }
+});
+
+// Updates profile details and message preferences (messagingOptOut, language,
+// channel; null clears a preference). The mobile number identifies the customer
+// and cannot change.
+app.put('/api/contacts/:mobileNumber', authorize(ROLES.CASHIER), validate({ params: { mobileNumber: MOBILE_NUMBER }, body: CONTACT_FIELDS }), async (req, res) => {
+  try {
+    const updates = Object.fromEntries(Object.entries(req.body)
+      .map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value]));
+    if (updates.messagingOptOut !== undefined) {
+      updates.messagingOptOutAt = updates.messagingOptOut ? new Date() : null;
+    }
+
+    const before = await Contact.findOne({ mobileNumber: req.params.mobileNumber }).lean();
+    const contact = before && await Contact.findOneAndUpdate(
+      { mobileNumber: req.params.mobileNumber },
+      { $set: updates },
+      { new: true }
+    ).lean();
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+    auditChange(req, { entity: 'Contact', entityId: contact._id, label: contact.mobileNumber, action: 'update', before, after: contact });
+
+    res.json({
+      success: true,
+      message: 'Contact updated successfully',
+      contact
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update contact',
+      error: err.message
+    });
+  }
+});
+
+// Purchase history, newest first: ?page=&limit=
+app.get('/api/contacts/:mobileNumber/bills', authorize(ROLES.CASHIER), validate({ params: { mobileNumber: MOBILE_NUMBER }, query: { ...PAGE_QUERY, includeVoid: field.boolean() } }), async (req, res) => {
+  try {
+    const { mobileNumber } = req.params;
+    const { page, limit, skip } = pageParams(req.query);
+    const filter = req.query.includeVoid === 'true'
+      ? { mobileNumber }
+      : { ...ACTIVE_BILL_FILTER, mobileNumber };
+
+    const [bills, total] = await Promise.all([
+      Bill.find(filter)
+        .select('billNumber date store items.productId items.nameTamil items.quantity items.unit items.total grandTotal discountTotal amountPaid balanceDue paymentStatus returnedTotal status loyaltyPointsEarned loyaltyPointsRedeemed')
+        .sort({ date: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Bill.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      bills,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase history',
+      error: err.message
+    });
+  }
+});
+
+// Points balance, what it is worth, and the latest point movements
+app.get('/api/contacts/:mobileNumber/loyalty', authorize(ROLES.CASHIER), validate({ params: { mobileNumber: MOBILE_NUMBER }, query: PAGE_QUERY }), async (req, res) => {
+  try {
+    const { mobileNumber } = req.params;
+    const { page, limit, skip } = pageParams(req.query);
+
+    const [contact, loyalty, entries, total] = await Promise.all([
+      Contact.findOne({ mobileNumber }).select('_id name mobileNumber loyaltyPoints').lean(),
+      getSetting('loyalty'),
+      LoyaltyEntry.find({ mobileNumber }).sort({ date: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      LoyaltyEntry.countDocuments({ mobileNumber })
+    ]);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      contact,
+      points: contact.loyaltyPoints,
+      value: roundMoney(contact.loyaltyPoints * loyalty.pointValue),
+      program: loyalty,
+      entries,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch loyalty points',
+      error: err.message
+    });
+  }
+});
+
+// Manual correction of a customer's points, e.g. a goodwill bonus
+app.post('/api/contacts/:mobileNumber/loyalty/adjustments', authorize(ROLES.OWNER), validate({
+  params: { mobileNumber: MOBILE_NUMBER },
+  body: {
+    points: field.integer({ required: true }),
+    note: field.string({ required: true, max: 500 })
+  }
+}), async (req, res) => {
+  try {
+    const points = Number(req.body.points);
+    const note = req.body.note && String(req.body.note).trim();
+    if (!Number.isInteger(points) || points === 0 || !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A whole, non-zero number of points and a note are required',
+        errorType: 'INVALID_POINTS'
+      });
+    }
+
+    const contact = await Contact.findOne({ mobileNumber: req.params.mobileNumber }).select('_id').lean();
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const entry = await postLoyaltyEntry({
+      mobileNumber: req.params.mobileNumber,
+      entryType: 'adjustment',
+      points,
+      note,
+      user: req.user
+    });
+    auditChange(req, {
+      entity: 'Contact',
+      entityId: contact._id,
+      label: req.params.mobileNumber,
+      action: 'loyalty-adjustment',
+      before: { loyaltyPoints: entry.balanceAfter - points },
+      after: { loyaltyPoints: entry.balanceAfter }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Loyalty points adjusted',
+      entry
+    });
+  } catch (err) {
+    if (err.errorType) {
+      return res.status(400).json({
+        success: false,
+        message: err.message,
+        errorType: err.errorType
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust loyalty points',
+      error: err.message
+    });
+  }
+});
+
+// Customer credit ledger with the bills still awaiting payment
+app.get('/api/contacts/:mobileNumber/ledger', authorize(ROLES.CASHIER), validate({ params: { mobileNumber: MOBILE_NUMBER }, query: { limit: field.integer({ min: 1 }) } }), async (req, res) => {
+  try {
+    const { mobileNumber } = req.params;
+    const contact = await Contact.findOne({ mobileNumber })
+      .select('_id name mobileNumber outstandingBalance')
+      .lean();
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    const [entries, openBills] = await Promise.all([
+      LedgerEntry.find({ mobileNumber })
+        .sort({ date: -1 })
+        .limit(Math.min(parseInt(req.query.limit) || 100, 500))
+        .lean(),
+      Bill.find({ mobileNumber, balanceDue: { $gt: 0 } })
+        .select('_id billNumber date grandTotal amountPaid balanceDue paymentStatus')
+        .sort({ date: 1 })
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      contact,
+      openBills,
+      entries
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer ledger',
+      error: err.message
+    });
+  }
+});
+
+// Record a later payment against a customer's dues, oldest bill first
+// unless a specific billId is given
+app.post('/api/contacts/:mobileNumber/settlements', authorize(ROLES.CASHIER), validate({
+  params: { mobileNumber: MOBILE_NUMBER },
+  body: {
+    payments: field.array(field.object({
+      mode: field.oneOf(PAYMENT_MODES, { required: true }),
+      amount: field.number({ required: true, positive: true }),
+      reference: field.string({ max: 100 })
+    }), { required: true, min: 1 }),
+    billId: field.objectId(),
+    note: field.string({ max: 500 })
+  }
+}), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { mobileNumber } = req.params;
+    const { payments, billId, note } = req.body;
+
+    const contact = await Contact.findOne({ mobileNumber }).session(session);
+    if (!contact) {
+      await session.abortTransaction();
+      return res.status(404).json({
+        success: false,
+        message: 'Contact not found'
+      });
+    }
+
+    let tenders;
+    try {
+      tenders = normalizePayments(payments || [], req.user);
+    } catch (paymentError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: paymentError.message,
+        errorType: paymentError.errorType
+      });
+    }
+
+    if (tenders.length === 0) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'At least one payment is required',
+        errorType: 'INVALID_PAYMENT'
+      });
+    }
+
+    const total = roundMoney(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    if (total > roundMoney(contact.outstandingBalance)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Payment (${total}) exceeds the outstanding balance (${roundMoney(contact.outstandingBalance)})`,
+        errorType: 'OVERPAYMENT'
+      });
+    }
+
+    const billFilter = { mobileNumber, balanceDue: { $gt: 0 } };
+    if (billId) billFilter._id = billId;
+    const bills = await Bill.find(billFilter).sort({ date: 1 }).session(session);
+
+    if (billId && (bills.length === 0 || bills[0].balanceDue < total)) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: bills.length === 0
+          ? 'Bill not found or already paid'
+          : `Payment (${total}) exceeds the bill balance (${bills[0].balanceDue})`,
+        errorType: bills.length === 0 ? 'BILL_NOT_FOUND' : 'OVERPAYMENT'
+      });
+    }
+
+    // Split the tenders across bills in order until the money runs out
+    const ledgerEntryId = new mongoose.Types.ObjectId();
+    const remaining = tenders.map(tender => ({ ...tender }));
+    const allocations = [];
+    const paidBills = [];
+
+    const receivedAt = new Date();
+    for (const bill of bills) {
+      const before = auditValue(bill);
+      let needed = bill.balanceDue;
+      let allocated = 0;
+
+      for (const tender of remaining) {
+        if (needed <= 0) break;
+        if (tender.amount <= 0) continue;
+
+        const amount = roundMoney(Math.min(needed, tender.amount));
+        bill.payments.push({ ...tender, amount, ledgerEntryId });
+        tender.amount = roundMoney(tender.amount - amount);
+        needed = roundMoney(needed - amount);
+        allocated = roundMoney(allocated + amount);
+      }
+
+      if (allocated === 0) break;
+
+      // Settled money is counted on today's close for the bill's store
+      const closedDay = await findClosedDay({ date: receivedAt, store: bill.store }, session);
+      if (closedDay) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: `Day ${closedDay.day} is closed; an owner must reopen it before payments can be taken`,
+          errorType: 'DAY_CLOSED'
+        });
+      }
+
+      Object.assign(bill, summarizePayments(bill.payments, bill.grandTotal));
+      await bill.save({ session });
+      allocations.push({ billId: bill._id, billNumber: bill.billNumber, amount: allocated });
+      paidBills.push({ before, bill });
+    }
+
+    const entry = await postLedgerEntry({
+      entryId: ledgerEntryId,
+      mobileNumber,
+      entryType: 'payment',
+      amount: -total,
+      payments: tenders.map(({ mode, amount, reference }) => ({ mode, amount, reference })),
+      allocations,
+      note,
+      user: req.user,
+      session
+    });
+
+    await session.commitTransaction();
+    for (const { before, bill } of paidBills) {
+      auditChange(req, { entity: 'Bill', entityId: bill._id, label: bill.billNumber, action: 'payment', before, after: bill });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      entry,
+      outstandingBalance: entry.balanceAfter
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('Settlement error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment',
+      error: err.message
+    });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Bill Number Series
+const validateBillSeriesData = (data, { partial = false } = {}) => {
+  const errors = [];
+  if (!partial && !/^[A-Za-z0-9_-]{1,20}$/.test(data.code || '')) {
+    errors.push(fieldError('code', 'Series code must be 1-20 letters, digits, dashes or underscores', 'INVALID_FORMAT'));
+  }
+  if (!partial && !data.name) errors.push(fieldError('name', 'Series name is required', 'REQUIRED_FIELD'));
+  if (data.prefix !== undefined && !/^[A-Za-z0-9/-]{0,10}$/.test(data.prefix)) {
+    errors.push(fieldError('prefix', 'Prefix must be up to 10 letters, digits, dashes or slashes', 'INVALID_FORMAT'));
+  }
+  if (data.resetPeriod !== undefined && !BILL_RESET_PERIODS.includes(data.resetPeriod)) {
+    errors.push(fieldError('resetPeriod', `Reset period must be one of: ${BILL_RESET_PERIODS.join(', ')}`));
+  }
+  if (data.padding !== undefined && (!Number.isInteger(data.padding) || data.padding < 1 || data.padding > 10)) {
+    errors.push(fieldError('padding', 'Padding must be a whole number from 1 to 10', 'OUT_OF_RANGE'));
+  }
+  if (data.active !== undefined && typeof data.active !== 'boolean') {
+    errors.push(fieldError('active', 'Active must be true or false', 'INVALID_TYPE'));
+  }
+  return errors;
+};
+
+const BILL_SERIES_FIELDS = ['name', 'prefix', 'resetPeriod', 'padding', 'active'];
+
+const pickBillSeriesFields = (data) => BILL_SERIES_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+// Numbers are all digits after the prefix, so prefixes clash when one is the
+// other followed by a digit: B + 2026... is also B2 + 026.... B and BR cannot
+// spell each other's numbers.
+const billPrefixesOverlap = (a, b) => {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  return longer.startsWith(shorter) && (longer === shorter || /\d/.test(longer[shorter.length]));
+};
+
+// Two series with overlapping prefixes could hand out the same numbers
+const billSeriesPrefixTaken = async (prefix, code) => {
+  const others = await BillSeries.find({ _id: { $ne: code } }).select('prefix').lean();
+  if (code !== 'DEFAULT' && !others.some(other => other._id === 'DEFAULT')) others.push(DEFAULT_BILL_SERIES);
+  return others.some(other => billPrefixesOverlap(prefix, other.prefix || ''));
+};
+
+const billSeriesNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Bill series not found',
+  errorType: 'INVALID_BILL_SERIES'
+});
+
+app.get('/api/bill-series', authorize(ROLES.CASHIER), validate({}), async (req, res) => {
+  try {
+    const series = await BillSeries.find().sort({ _id: 1 }).lean();
+    if (!series.some(entry => entry._id === 'DEFAULT')) series.unshift(DEFAULT_BILL_SERIES);
+
+    res.json({
+      success: true,
+      series
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bill series',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/bill-series', authorize(ROLES.OWNER), validate({
+  body: {
+    code: field.string({ required: true, max: 20 }),
+    name: field.string({ required: true, max: 100 }),
+    prefix: field.string({ max: 10 }),
+    resetPeriod: field.oneOf(BILL_RESET_PERIODS),
+    padding: field.integer({ min: 1, max: 10 }),
+    active: field.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const errors = validateBillSeriesData(req.body);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const code = req.body.code.toUpperCase();
+    const fields = { ...pickBillSeriesFields(req.body), prefix: req.body.prefix || '' };
+    if (code === 'DEFAULT' || await billSeriesPrefixTaken(fields.prefix, code)) {
+      return res.status(409).json({
+        success: false,
+        message: code === 'DEFAULT'
+          ? 'Use PUT to change the default series'
+          : 'Another series uses this prefix or one that overlaps it',
+        errorType: 'DUPLICATE_BILL_SERIES'
+      });
+    }
+
+    const series = new BillSeries({
+      _id: code,
+      ...fields,
+      createdBy: req.user._id
+    });
+    await series.save();
+    auditChange(req, { entity: 'BillSeries', entityId: series._id, label: series.name, action: 'create', after: series });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bill series created successfully',
+      series
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Bill series code already exists',
+        errorType: 'DUPLICATE_BILL_SERIES'
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create bill series',
+      error: err.message
+    });
+  }
+});
+
+// The default series is saved on its first edit
+app.put('/api/bill-series/:code', authorize(ROLES.OWNER), validate({
+  params: { code: field.string({ max: 20 }) },
+  body: {
+    name: field.string({ min: 1, max: 100 }),
+    prefix: field.string({ max: 10 }),
+    resetPeriod: field.oneOf(BILL_RESET_PERIODS),
+    padding: field.integer({ min: 1, max: 10 }),
+    active: field.boolean()
+  }
+}), async (req, res) => {
+  try {
+    const errors = validateBillSeriesData(req.body, { partial: true });
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const code = req.params.code.toUpperCase();
+    const existing = await getBillSeries(code);
+    if (!existing) return billSeriesNotFound(res);
+
+    const fields = pickBillSeriesFields(req.body);
+    if (fields.prefix !== undefined && await billSeriesPrefixTaken(fields.prefix, code)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another series uses this prefix or one that overlaps it',
+        errorType: 'DUPLICATE_BILL_SERIES'
+      });
+    }
+    if (code === 'DEFAULT' && fields.active === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'The default series cannot be deactivated'
+      });
+    }
+
+    // Only the built-in default can be missing here; insert it with its defaults
+    const defaults = Object.fromEntries(BILL_SERIES_FIELDS
+      .filter(key => fields[key] === undefined)
+      .map(key => [key, existing[key]]));
+    const series = await BillSeries.findByIdAndUpdate(
+      code,
+      { $set: fields, $setOnInsert: defaults },
+      { new: true, upsert: true, runValidators: true }
+    );
+    auditChange(req, { entity: 'BillSeries', entityId: series._id, label: series.name, action: 'update', before: existing, after: series });
+
+    res.json({
+      success: true,
+      message: 'Bill series updated successfully',
+      series
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update bill series',
+      error: err.message
+    });
+  }
+});
+
+// What the next bill in the series will probably get; not held for the caller
+app.get('/api/bill-series/:code/preview', authorize(ROLES.CASHIER), validate({ params: { code: field.string({ max: 20 }) } }), async (req, res) => {
+  try {
+    const series = await getBillSeries(req.params.code);
+    if (!series) return billSeriesNotFound(res);
+
+    res.json({
+      success: true,
+      series: series._id,
+      billNumber: await previewBillNumber(series)
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview bill number',
+      error: err.message
+    });
+  }
+});
+
+// Takes a number for the caller to send as billNumber when saving the bill
+app.post('/api/bill-series/:code/reserve', authorize(ROLES.CASHIER), validate({ params: { code: field.string({ max: 20 }) } }), idempotent, async (req, res) => {
+  try {
+    const series = await getBillSeries(req.params.code);
+    if (!series || !series.active) return billSeriesNotFound(res);
+
+    const billNumber = await takeBillNumber(series);
+    auditChange(req, { entity: 'BillSeries', entityId: series._id, label: series.name, action: 'reserve', after: { billNumber } });
+
+    res.status(201).json({
+      success: true,
+      series: series._id,
+      billNumber
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reserve bill number',
+      error: err.message
+    });
+  }
+});
+
+// Kept for older clients; same as previewing ?series (default series if omitted)
+app.get('/api/bills/next-number', authorize(ROLES.CASHIER), validate({ query: { series: field.string({ max: 20 }) } }), async (req, res) => {
+  try {
+    const series = await getBillSeries(req.query.series);
+    if (!series) return billSeriesNotFound(res);
+
+    res.json({
+      success: true,
+      series: series._id,
+      billNumber: await previewBillNumber(series)
+    });
+  } catch (error) {
+    console.error('Error getting next bill number:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get next bill number'
+    });
+  }
+});
+
+// Get bills with date filtering
+app.get('/api/bills', authorize(ROLES.CASHIER), validate({
+  query: {
+    date: field.day(),
+    timezone: field.string(),
+    includeVoid: field.boolean(),
+    store: STORE_CODE
+  }
+}), async (req, res) => {
+  try {
+    const { date } = req.query;
+    
+    let filter = req.query.includeVoid === 'true' ? {} : { ...ACTIVE_BILL_FILTER };
+    Object.assign(filter, storeScope(req.query.store));
+    if (date) {
+      let day;
+      try {
+        day = await businessDayRange({ from: date, to: date, timezone: req.query.timezone });
+      } catch (rangeError) {
+        return res.status(400).json({
+          success: false,
+          message: rangeError.message,
+          errorType: rangeError.errorType
+        });
+      }
+
+      filter.date = { $gte: day.startDate, $lt: day.endDate };
+    }
+    
+    const bills = await Bill.find(filter)
+      .sort({ date: -1 })
+      .lean(); // Use lean() for faster queries
+    
+    res.json({
+      success: true,
+      bills
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bills',
+      error: err.message
+    });
+  }
+});
+// Get daily summary statistics
+app.get('/api/bills/summary', authorize(ROLES.CASHIER), validate({ query: { date: field.day(), timezone: field.string(), store: STORE_CODE } }), async (req, res) => {
+  try {
+    const { date } = req.query;
+    
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date parameter is required'
+      });
+    }
+    
+    let day;
+    try {
+      day = await businessDayRange({ from: date, to: date, timezone: req.query.timezone });
+    } catch (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError.message,
+        errorType: rangeError.errorType
+      });
+    }
+    const { startDate, endDate } = day;
+
+    const scope = storeScope(req.query.store);
+    const [result, returns] = await Promise.all([
+      Bill.aggregate([
+        {
+          $match: {
+            ...ACTIVE_BILL_FILTER,
+            ...scope,
+            date: { $gte: startDate, $lt: endDate }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            totalAmount: { $sum: "$grandTotal" },
+            grossAmount: { $sum: { $ifNull: ["$grossTotal", "$grandTotal"] } },
+            discountAmount: { $sum: { $ifNull: ["$discountTotal", 0] } },
+            netAmount: { $sum: "$grandTotal" },
+            billCount: { $sum: 1 },
+            averageBill: { $avg: "$grandTotal" }
+          }
+        }
+      ]),
+      CreditNote.aggregate([
+        { $match: { ...scope, date: { $gte: startDate, $lt: endDate } } },
+        { $group: { _id: null, returnsAmount: { $sum: "$total" }, returnCount: { $sum: 1 } } }
+      ])
+    ]);
     
-    for (const update of updates) {
-      const productId = parseInt(update.productId);
-      const quantity = parseInt(update.quantity);
+    const summary = result.length > 0 
+      ? result[0] 
+      : { totalAmount: 0, grossAmount: 0, discountAmount: 0, netAmount: 0, billCount: 0, averageBill: 0 };
+
+    // Returns are reported as negatives and taken off the net amount
+    const returnsAmount = returns.length > 0 ? roundMoney(returns[0].returnsAmount) : 0;
+    summary.returnsAmount = -returnsAmount;
+    summary.returnCount = returns.length > 0 ? returns[0].returnCount : 0;
+    summary.netAmount = roundMoney(summary.netAmount - returnsAmount);
+    
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch summary',
+      error: err.message
+    });
+  }
+});
+// In billingserver/server/index.js, add these endpoints:
+
+// Get sales history for analysis
+// ?from=&to=&timezone= picks explicit days (grouped by ?groupBy=day|month);
+// otherwise ?range=week|month|year looks back from today.
+app.get('/api/sales/history', authorize(ROLES.CASHIER), validate({
+  query: {
+    ...DAY_RANGE_QUERY,
+    range: field.oneOf(['week', 'month', 'year']),
+    groupBy: field.oneOf(['day', 'month']),
+    store: STORE_CODE
+  }
+}), async (req, res) => {
+  try {
+    const range = req.query.range || 'month';
+    const clock = await getBusinessClock();
+    let dateMatch;
+    let isYearly;
+    let timeZone = clock.timeZone;
+
+    if (req.query.from || req.query.to) {
+      let days;
+      try {
+        days = parseDayRange(req.query, { defaultTimeZone: clock.timeZone, dayStartHour: clock.dayStartHour });
+      } catch (rangeError) {
+        return res.status(400).json({
+          success: false,
+          message: rangeError.message,
+          errorType: rangeError.errorType
+        });
+      }
+      dateMatch = { $gte: days.startDate, $lt: days.endDate };
+      isYearly = req.query.groupBy === 'month';
+      timeZone = days.timeZone;
+    } else {
+      const today = businessDayOf(new Date(), clock);
+      let startDay;
+
+      if (range === 'week') {
+        startDay = shiftDay(today, -7);
+      } else if (range === 'year') {
+        startDay = sameDayLastYear(today);
+      } else { // month
+        startDay = shiftDay(today, -30);
+      }
+
+      dateMatch = { $gte: zonedStartOfDay(startDay, timeZone, clock.dayStartHour) };
+      isYearly = range === 'year';
+    }
+
+    const scope = storeScope(req.query.store);
+    
+    // Credit notes are merged in as negative amounts on the day they were issued
+    const salesData = await Bill.aggregate([
+      {
+        $match: {
+          ...ACTIVE_BILL_FILTER,
+          ...scope,
+          date: dateMatch
+        }
+      },
+      {
+        $project: {
+          date: 1,
+          grandTotal: 1,
+          grossTotal: { $ifNull: ["$grossTotal", "$grandTotal"] },
+          discountTotal: { $ifNull: ["$discountTotal", 0] },
+          returnTotal: { $literal: 0 },
+          isReturn: { $literal: false }
+        }
+      },
+      {
+        $unionWith: {
+          coll: CreditNote.collection.name,
+          pipeline: [
+            { $match: { ...scope, date: dateMatch } },
+            {
+              $project: {
+                date: 1,
+                grandTotal: { $literal: 0 },
+                grossTotal: { $literal: 0 },
+                discountTotal: { $literal: 0 },
+                returnTotal: { $multiply: ["$total", -1] },
+                isReturn: { $literal: true }
+              }
+            }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: isYearly ? "%Y-%m" : "%Y-%m-%d",
+              // Shifted back so sales before dayStartHour land on the previous day
+              date: { $subtract: ["$date", clock.dayStartHour * 3600000] },
+              timezone: timeZone
+            }
+          },
+          totalSales: { $sum: "$grandTotal" },
+          grossSales: { $sum: "$grossTotal" },
+          discountTotal: { $sum: "$discountTotal" },
+          returnsTotal: { $sum: "$returnTotal" },
+          netSales: { $sum: { $add: ["$grandTotal", "$returnTotal"] } },
+          billCount: { $sum: { $cond: ["$isReturn", 0, 1] } },
+          returnCount: { $sum: { $cond: ["$isReturn", 1, 0] } },
+          averageBill: { $avg: { $cond: ["$isReturn", null, "$grandTotal"] } }
+        }
+      },
+      {
+        $sort: { _id: 1 }
+      },
+      {
+        $project: {
+          _id: 0,
+          date: "$_id",
+          totalSales: 1,
+          grossSales: { $round: ["$grossSales", 2] },
+          discountTotal: { $round: ["$discountTotal", 2] },
+          returnsTotal: { $round: ["$returnsTotal", 2] },
+          netSales: { $round: ["$netSales", 2] },
+          billCount: 1,
+          returnCount: 1,
+          averageBill: { $round: ["$averageBill", 2] }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      salesData
+    });
+  } catch (err) {
+    console.error('Error fetching sales history:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sales history',
+      error: err.message
+    });
+  }
+});
+
+// Sales Analytics
+// Every endpoint takes ?from=&to= (YYYY-MM-DD, inclusive), ?timezone= and ?store=.
+// Sales are bill totals including GST after discounts; returns are taken off.
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Parses the range or answers 400 and returns null
+const analyticsRange = async (req, res) => {
+  try {
+    return await businessDayRange(req.query);
+  } catch (rangeError) {
+    res.status(400).json({
+      success: false,
+      message: rangeError.message,
+      errorType: rangeError.errorType
+    });
+    return null;
+  }
+};
+
+const periodMatch = (range, query) => ({
+  ...storeScope(query.store),
+  date: { $gte: range.startDate, $lt: range.endDate }
+});
+
+// Net quantity and sales per product in the range
+const productSalesTotals = async (range, query) => {
+  const [sold, returned] = await Promise.all([
+    Bill.aggregate([
+      { $match: { ...ACTIVE_BILL_FILTER, ...periodMatch(range, query) } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.productId',
+          nameTamil: { $last: '$items.nameTamil' },
+          quantity: { $sum: '$items.quantity' },
+          revenue: { $sum: '$items.total' },
+          billCount: { $sum: 1 }
+        }
+      }
+    ]),
+    CreditNote.aggregate([
+      { $match: periodMatch(range, query) },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.productId', quantity: { $sum: '$items.quantity' }, revenue: { $sum: '$items.total' } } }
+    ])
+  ]);
+
+  const totals = new Map(sold.map(({ _id, ...row }) => [_id, row]));
+  for (const { _id, quantity, revenue } of returned) {
+    const row = totals.get(_id) || { nameTamil: undefined, quantity: 0, revenue: 0, billCount: 0 };
+    row.quantity -= quantity;
+    row.revenue -= revenue;
+    totals.set(_id, row);
+  }
+  return totals;
+};
+
+// Bills, sales and returns for a whole period
+const periodTotals = async (range, query) => {
+  const [sales, returns] = await Promise.all([
+    Bill.aggregate([
+      { $match: { ...ACTIVE_BILL_FILTER, ...periodMatch(range, query) } },
+      {
+        $group: {
+          _id: null,
+          billCount: { $sum: 1 },
+          grossSales: { $sum: { $ifNull: ['$grossTotal', '$grandTotal'] } },
+          discountTotal: { $sum: { $ifNull: ['$discountTotal', 0] } },
+          sales: { $sum: '$grandTotal' },
+          itemsSold: { $sum: { $sum: '$items.quantity' } }
+        }
+      }
+    ]),
+    CreditNote.aggregate([
+      { $match: periodMatch(range, query) },
+      { $group: { _id: null, returnsTotal: { $sum: '$total' }, returnCount: { $sum: 1 } } }
+    ])
+  ]);
+
+  const { _id, ...totals } = sales[0] || { billCount: 0, grossSales: 0, discountTotal: 0, sales: 0, itemsSold: 0 };
+  const returnsTotal = returns.length > 0 ? returns[0].returnsTotal : 0;
+  return {
+    billCount: totals.billCount,
+    grossSales: roundMoney(totals.grossSales),
+    discountTotal: roundMoney(totals.discountTotal),
+    sales: roundMoney(totals.sales),
+    returnsTotal: roundMoney(returnsTotal),
+    returnCount: returns.length > 0 ? returns[0].returnCount : 0,
+    netSales: roundMoney(totals.sales - returnsTotal),
+    itemsSold: roundQuantity(totals.itemsSold),
+    averageBill: totals.billCount > 0 ? roundMoney(totals.sales / totals.billCount) : 0
+  };
+};
+
+// Best or worst sellers. ?sortBy=revenue|quantity, ?order=top|bottom, ?limit=
+// Bottom lists include catalogue products that did not sell at all.
+app.get('/api/analytics/products', authorize(ROLES.OWNER), validate({
+  query: {
+    ...DAY_RANGE_QUERY,
+    store: STORE_CODE,
+    sortBy: field.oneOf(['revenue', 'quantity']),
+    order: field.oneOf(['top', 'bottom']),
+    limit: field.integer({ min: 1 })
+  }
+}), async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) return;
+
+    const sortBy = req.query.sortBy || 'revenue';
+    const order = req.query.order || 'top';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    const [totals, products] = await Promise.all([
+      productSalesTotals(range, req.query),
+      Product.find().select('name nameTamil categoryId unit').lean()
+    ]);
+
+    const rows = new Map(products.map(product => [product._id, {
+      productId: product._id,
+      name: product.name,
+      nameTamil: product.nameTamil,
+      unit: product.unit || 'pcs',
+      quantity: 0,
+      revenue: 0,
+      billCount: 0
+    }]));
+    for (const [productId, total] of totals) {
+      const row = rows.get(productId) || { productId, nameTamil: total.nameTamil, unit: 'pcs' };
+      rows.set(productId, {
+        ...row,
+        quantity: roundQuantity(total.quantity),
+        revenue: roundMoney(total.revenue),
+        billCount: total.billCount
+      });
+    }
+
+    const direction = order === 'top' ? -1 : 1;
+    const ranked = [...rows.values()]
+      .sort((a, b) => direction * (a[sortBy] - b[sortBy]) || a.productId - b.productId)
+      .slice(0, limit);
+
+    res.json({
+      success: true,
+      period: { from: range.from, to: range.to, timeZone: range.timeZone },
+      sortBy,
+      order,
+      products: ranked
+    });
+  } catch (err) {
+    console.error('Error building product analytics:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build product analytics',
+      error: err.message
+    });
+  }
+});
+
+// Bills and sales by hour of day and weekday, in the requested time zone
+app.get('/api/analytics/heatmap', authorize(ROLES.OWNER), validate({ query: { ...DAY_RANGE_QUERY, store: STORE_CODE } }), async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) return;
+
+    const cells = await Bill.aggregate([
+      { $match: { ...ACTIVE_BILL_FILTER, ...periodMatch(range, req.query) } },
+      {
+        $group: {
+          _id: {
+            weekday: { $isoDayOfWeek: { date: '$date', timezone: range.timeZone } },
+            hour: { $hour: { date: '$date', timezone: range.timeZone } }
+          },
+          billCount: { $sum: 1 },
+          sales: { $sum: '$grandTotal' }
+        }
+      }
+    ]);
+
+    const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, billCount: 0, sales: 0 }));
+    const byWeekday = WEEKDAYS.map((weekday, index) => ({ weekday, isoWeekday: index + 1, billCount: 0, sales: 0 }));
+    const grid = cells.map(({ _id, billCount, sales }) => {
+      byHour[_id.hour].billCount += billCount;
+      byHour[_id.hour].sales += sales;
+      byWeekday[_id.weekday - 1].billCount += billCount;
+      byWeekday[_id.weekday - 1].sales += sales;
+      return { weekday: WEEKDAYS[_id.weekday - 1], hour: _id.hour, billCount, sales: roundMoney(sales) };
+    }).sort((a, b) => WEEKDAYS.indexOf(a.weekday) - WEEKDAYS.indexOf(b.weekday) || a.hour - b.hour);
+
+    byHour.forEach(row => { row.sales = roundMoney(row.sales); });
+    byWeekday.forEach(row => { row.sales = roundMoney(row.sales); });
+
+    res.json({
+      success: true,
+      period: { from: range.from, to: range.to, timeZone: range.timeZone },
+      byHour,
+      byWeekday,
+      cells: grid
+    });
+  } catch (err) {
+    console.error('Error building sales heatmap:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build sales heatmap',
+      error: err.message
+    });
+  }
+});
+
+// Sales per category, using each product's current category
+app.get('/api/analytics/categories', authorize(ROLES.OWNER), validate({ query: { ...DAY_RANGE_QUERY, store: STORE_CODE } }), async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) return;
+
+    const [totals, products, categories] = await Promise.all([
+      productSalesTotals(range, req.query),
+      Product.find().select('categoryId').lean(),
+      Category.find().select('name nameTamil').lean()
+    ]);
+
+    const categoryOf = new Map(products.map(product => [product._id, product.categoryId ? String(product.categoryId) : null]));
+    const rows = new Map();
+    let totalRevenue = 0;
+
+    for (const [productId, total] of totals) {
+      const categoryId = categoryOf.get(productId) || null;
+      if (!rows.has(categoryId)) {
+        const category = categories.find(entry => String(entry._id) === categoryId);
+        rows.set(categoryId, {
+          categoryId,
+          name: category ? category.name : 'Uncategorised',
+          nameTamil: category ? category.nameTamil : undefined,
+          productCount: 0,
+          quantity: 0,
+          revenue: 0
+        });
+      }
+      const row = rows.get(categoryId);
+      row.productCount += 1;
+      row.quantity += total.quantity;
+      row.revenue += total.revenue;
+      totalRevenue += total.revenue;
+    }
+
+    const breakdown = [...rows.values()]
+      .map(row => ({
+        ...row,
+        quantity: roundQuantity(row.quantity),
+        revenue: roundMoney(row.revenue),
+        share: totalRevenue > 0 ? roundMoney(row.revenue / totalRevenue * 100) : 0
+      }))
+      .sort((a, b) => b.revenue - a.revenue);
+
+    res.json({
+      success: true,
+      period: { from: range.from, to: range.to, timeZone: range.timeZone },
+      totalRevenue: roundMoney(totalRevenue),
+      categories: breakdown
+    });
+  } catch (err) {
+    console.error('Error building category breakdown:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build category breakdown',
+      error: err.message
+    });
+  }
+});
+
+// The range against ?against=previous (the same number of days just before)
+// or last-year (the same dates a year earlier)
+app.get('/api/analytics/compare', authorize(ROLES.OWNER), validate({
+  query: {
+    ...DAY_RANGE_QUERY,
+    store: STORE_CODE,
+    against: field.oneOf(['previous', 'last-year'])
+  }
+}), async (req, res) => {
+  try {
+    const range = await analyticsRange(req, res);
+    if (!range) return;
+
+    const against = req.query.against || 'previous';
+
+    const comparison = parseDayRange({
+      from: against === 'previous' ? shiftDay(range.from, -range.days) : sameDayLastYear(range.from),
+      to: against === 'previous' ? shiftDay(range.from, -1) : sameDayLastYear(range.to),
+      timezone: range.timeZone
+    }, { dayStartHour: range.dayStartHour });
+
+    const [current, previous] = await Promise.all([
+      periodTotals(range, req.query),
+      periodTotals(comparison, req.query)
+    ]);
+
+    const changes = Object.fromEntries(Object.keys(current).map(metric => [metric, {
+      change: roundMoney(current[metric] - previous[metric]),
+      changePercent: previous[metric] ? roundMoney((current[metric] - previous[metric]) / Math.abs(previous[metric]) * 100) : null
+    }]));
+
+    res.json({
+      success: true,
+      timeZone: range.timeZone,
+      current: { from: range.from, to: range.to, ...current },
+      previous: { from: comparison.from, to: comparison.to, ...previous },
+      changes
+    });
+  } catch (err) {
+    console.error('Error comparing periods:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare periods',
+      error: err.message
+    });
+  }
+});
+
+// Coupon Management
+const validateCouponData = (data, { partial = false } = {}) => {
+  const errors = [];
+  if (!partial && !data.code) errors.push(fieldError('code', 'Coupon code is required', 'REQUIRED_FIELD'));
+  if (data.code !== undefined && !/^[A-Za-z0-9_-]{3,20}$/.test(data.code)) {
+    errors.push(fieldError('code', 'Coupon code must be 3-20 letters, digits, dashes or underscores', 'INVALID_FORMAT'));
+  }
+  if ((!partial || data.discountType !== undefined) && !DISCOUNT_TYPES.includes(data.discountType)) {
+    errors.push(fieldError('discountType', `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`));
+  }
+  if ((!partial || data.value !== undefined) && (isNaN(data.value) || Number(data.value) <= 0)) {
+    errors.push(fieldError('value', 'Valid discount value is required'));
+  }
+  if (data.discountType === 'percent' && Number(data.value) > 100) {
+    errors.push(fieldError('value', 'Percentage discount cannot exceed 100', 'OUT_OF_RANGE'));
+  }
+  if (data.validFrom && data.validTo && new Date(data.validFrom) > new Date(data.validTo)) {
+    errors.push(fieldError('validTo', 'Valid from date must be before valid to date', 'OUT_OF_RANGE'));
+  }
+  return errors;
+};
+
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minBillAmount',
+  'validFrom', 'validTo', 'usageLimit', 'active'
+];
+
+const pickCouponFields = (data) => COUPON_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+// Limits and dates may be cleared with null
+const COUPON_FIELD_RULES = {
+  code: field.string({ max: 20 }),
+  description: field.string({ max: 200 }),
+  discountType: field.oneOf(DISCOUNT_TYPES),
+  value: field.number({ positive: true }),
+  maxDiscount: field.number({ min: 0, nullable: true }),
+  minBillAmount: field.number({ min: 0, nullable: true }),
+  validFrom: field.date({ nullable: true }),
+  validTo: field.date({ nullable: true }),
+  usageLimit: field.integer({ min: 1, nullable: true }),
+  active: field.boolean()
+};
+
+app.get('/api/coupons', authorize(ROLES.OWNER), validate({}), async (req, res) => {
+  try {
+    const coupons = await Coupon.find()
+      .lean()
+      .sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      coupons
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/coupons', authorize(ROLES.OWNER), validate({
+  body: {
+    ...COUPON_FIELD_RULES,
+    code: field.string({ required: true, max: 20 }),
+    discountType: field.oneOf(DISCOUNT_TYPES, { required: true }),
+    value: field.number({ required: true, positive: true })
+  }
+}), async (req, res) => {
+  try {
+    const errors = validateCouponData(req.body);
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id
+    });
+    await coupon.save();
+    auditChange(req, { entity: 'Coupon', entityId: coupon._id, label: coupon.code, action: 'create', after: coupon });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon code already exists',
+        errorType: 'DUPLICATE_COUPON'
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: 'Failed to create coupon',
+      error: err.message
+    });
+  }
+});
+
+app.put('/api/coupons/:id', authorize(ROLES.OWNER), validate({ params: OBJECT_ID_PARAMS, body: COUPON_FIELD_RULES }), async (req, res) => {
+  try {
+    const errors = validateCouponData(req.body, { partial: true });
+    if (errors.length > 0) return sendValidationErrors(res, errors);
+
+    const before = await Coupon.findById(req.params.id).lean();
+    const coupon = before && await Coupon.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickCouponFields(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+    auditChange(req, { entity: 'Coupon', entityId: coupon._id, label: coupon.code, action: 'update', before, after: coupon });
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (err) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to update coupon',
+      error: err.message
+    });
+  }
+});
+
+// Check a coupon at the counter without using it up
+app.get('/api/coupons/check/:code', authorize(ROLES.CASHIER), validate({ params: { code: field.string({ max: 20 }) } }), async (req, res) => {
+  try {
+    const now = new Date();
+    const coupon = await Coupon.findOne({ code: req.params.code.trim().toUpperCase() }).lean();
+
+    let reason = null;
+    if (!coupon || !coupon.active) reason = 'Coupon not found or inactive';
+    else if (coupon.validFrom && coupon.validFrom > now) reason = 'Coupon is not valid yet';
+    else if (coupon.validTo && coupon.validTo < now) reason = 'Coupon has expired';
+    else if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) reason = 'Coupon usage limit reached';
+
+    res.json({
+      success: true,
+      valid: !reason,
+      reason,
+      coupon: reason ? undefined : {
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discountType,
+        value: coupon.value,
+        maxDiscount: coupon.maxDiscount,
+        minBillAmount: coupon.minBillAmount
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check coupon',
+      error: err.message
+    });
+  }
+});
+
+// List GST tax categories for product forms
+app.get('/api/tax-categories', validate({}), (req, res) => {
+  res.json({
+    success: true,
+    shopStateCode: SHOP_STATE_CODE,
+    taxCategories: Object.entries(TAX_CATEGORIES).map(([code, category]) => ({
+      code,
+      ...category
+    }))
+  });
+});
+
+// GSTR-1 style tax summary for a date range
+app.get('/api/reports/gstr1', authorize(ROLES.OWNER), validate({ query: DAY_RANGE_QUERY }), async (req, res) => {
+  try {
+    let range;
+    try {
+      range = await businessDayRange(req.query);
+    } catch (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError.message,
+        errorType: rangeError.errorType
+      });
+    }
+    const { startDate, endDate } = range;
+
+    const match = { $match: { ...ACTIVE_BILL_FILTER, date: { $gte: startDate, $lt: endDate } } };
+
+    // Bills saved before GST support have no tax fields; treat them as exempt
+    const lineFields = {
+      $project: {
+        billId: '$_id',
+        supplyType: { $ifNull: ['$supplyType', 'intra-state'] },
+        placeOfSupply: { $ifNull: ['$placeOfSupply', SHOP_STATE_CODE] },
+        hsnCode: { $ifNull: ['$items.hsnCode', 'NA'] },
+        quantity: '$items.quantity',
+        taxRate: { $ifNull: ['$items.taxRate', 0] },
+        taxableValue: { $ifNull: ['$items.taxableValue', '$items.total'] },
+        cgst: { $ifNull: ['$items.cgst', 0] },
+        sgst: { $ifNull: ['$items.sgst', 0] },
+        igst: { $ifNull: ['$items.igst', 0] },
+        total: '$items.total'
+      }
+    };
+
+    const taxSums = {
+      taxableValue: { $sum: '$taxableValue' },
+      cgst: { $sum: '$cgst' },
+      sgst: { $sum: '$sgst' },
+      igst: { $sum: '$igst' }
+    };
+
+    const roundedTaxFields = {
+      taxableValue: { $round: ['$taxableValue', 2] },
+      cgst: { $round: ['$cgst', 2] },
+      sgst: { $round: ['$sgst', 2] },
+      igst: { $round: ['$igst', 2] }
+    };
+
+    const [rateSummary, hsnSummary, b2b, documents, creditNotes] = await Promise.all([
+      Bill.aggregate([
+        match,
+        { $unwind: '$items' },
+        lineFields,
+        {
+          $group: {
+            _id: { taxRate: '$taxRate', supplyType: '$supplyType', placeOfSupply: '$placeOfSupply' },
+            ...taxSums,
+            bills: { $addToSet: '$billId' }
+          }
+        },
+        { $sort: { '_id.taxRate': 1, '_id.placeOfSupply': 1 } },
+        {
+          $project: {
+            _id: 0,
+            taxRate: '$_id.taxRate',
+            supplyType: '$_id.supplyType',
+            placeOfSupply: '$_id.placeOfSupply',
+            ...roundedTaxFields,
+            billCount: { $size: '$bills' }
+          }
+        }
+      ]),
+      Bill.aggregate([
+        match,
+        { $unwind: '$items' },
+        lineFields,
+        {
+          $group: {
+            _id: { hsnCode: '$hsnCode', taxRate: '$taxRate' },
+            quantity: { $sum: '$quantity' },
+            totalValue: { $sum: '$total' },
+            ...taxSums
+          }
+        },
+        { $sort: { '_id.hsnCode': 1, '_id.taxRate': 1 } },
+        {
+          $project: {
+            _id: 0,
+            hsnCode: '$_id.hsnCode',
+            taxRate: '$_id.taxRate',
+            quantity: 1,
+            totalValue: { $round: ['$totalValue', 2] },
+            ...roundedTaxFields
+          }
+        }
+      ]),
+      Bill.find({ ...match.$match, customerGstin: { $exists: true, $nin: [null, ''] } })
+        .select('billNumber date customerName customerGstin placeOfSupply supplyType taxSummary grandTotal')
+        .sort({ date: 1 })
+        .lean(),
+      Bill.aggregate([
+        match,
+        {
+          $group: {
+            _id: null,
+            firstBillNumber: { $min: '$billNumber' },
+            lastBillNumber: { $max: '$billNumber' },
+            billCount: { $sum: 1 }
+          }
+        },
+        { $project: { _id: 0 } }
+      ]),
+      CreditNote.aggregate([
+        { $match: { date: { $gte: startDate, $lt: endDate } } },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: '$items.taxRate',
+            taxableValue: { $sum: '$items.taxableValue' },
+            cgst: { $sum: '$items.cgst' },
+            sgst: { $sum: '$items.sgst' },
+            igst: { $sum: '$items.igst' },
+            notes: { $addToSet: '$_id' }
+          }
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            taxRate: '$_id',
+            ...roundedTaxFields,
+            creditNoteCount: { $size: '$notes' }
+          }
+        }
+      ])
+    ]);
+
+    const totals = rateSummary.reduce((acc, row) => ({
+      taxableValue: roundMoney(acc.taxableValue + row.taxableValue),
+      cgst: roundMoney(acc.cgst + row.cgst),
+      sgst: roundMoney(acc.sgst + row.sgst),
+      igst: roundMoney(acc.igst + row.igst)
+    }), { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 });
+
+    res.json({
+      success: true,
+      period: { from: startDate, to: new Date(endDate.getTime() - 1) },
+      shopStateCode: SHOP_STATE_CODE,
+      totals,
+      rateSummary,
+      hsnSummary,
+      b2b,
+      creditNotes,
+      documents: documents[0] || { firstBillNumber: null, lastBillNumber: null, billCount: 0 }
+    });
+  } catch (err) {
+    console.error('Error building GSTR-1 summary:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build GSTR-1 summary',
+      error: err.message
+    });
+  }
+});
+
+// Margin per product: taxable sales value against the cost recorded on each bill line
+app.get('/api/reports/margins', authorize(ROLES.OWNER), validate({ query: DAY_RANGE_QUERY }), async (req, res) => {
+  try {
+    let range;
+    try {
+      range = await businessDayRange(req.query);
+    } catch (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError.message,
+        errorType: rangeError.errorType
+      });
+    }
+    const { startDate, endDate } = range;
+
+    const products = await Bill.aggregate([
+      { $match: { ...ACTIVE_BILL_FILTER, date: { $gte: startDate, $lt: endDate } } },
+      { $unwind: '$items' },
+      {
+        $project: {
+          productId: '$items.productId',
+          nameTamil: '$items.nameTamil',
+          quantity: '$items.quantity',
+          revenue: { $ifNull: ['$items.taxableValue', '$items.total'] },
+          hasCost: { $ne: [{ $ifNull: ['$items.costPrice', null] }, null] },
+          cost: { $multiply: [{ $ifNull: ['$items.costPrice', 0] }, '$items.quantity'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$productId',
+          nameTamil: { $last: '$nameTamil' },
+          quantity: { $sum: '$quantity' },
+          revenue: { $sum: '$revenue' },
+          costedRevenue: { $sum: { $cond: ['$hasCost', '$revenue', 0] } },
+          cost: { $sum: '$cost' },
+          uncostedQuantity: { $sum: { $cond: ['$hasCost', 0, '$quantity'] } }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          productId: '$_id',
+          nameTamil: 1,
+          quantity: 1,
+          revenue: { $round: ['$revenue', 2] },
+          cost: { $round: ['$cost', 2] },
+          margin: { $round: [{ $subtract: ['$costedRevenue', '$cost'] }, 2] },
+          marginPercent: {
+            $cond: [
+              { $gt: ['$costedRevenue', 0] },
+              { $round: [{ $multiply: [{ $divide: [{ $subtract: ['$costedRevenue', '$cost'] }, '$costedRevenue'] }, 100] }, 2] },
+              null
+            ]
+          },
+          uncostedQuantity: 1
+        }
+      },
+      { $sort: { margin: -1 } }
+    ]);
+
+    const totals = products.reduce((acc, row) => ({
+      revenue: roundMoney(acc.revenue + row.revenue),
+      cost: roundMoney(acc.cost + row.cost),
+      margin: roundMoney(acc.margin + row.margin)
+    }), { revenue: 0, cost: 0, margin: 0 });
+
+    res.json({
+      success: true,
+      period: { from: startDate, to: new Date(endDate.getTime() - 1) },
+      totals,
+      products
+    });
+  } catch (err) {
+    console.error('Error building margin report:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build margin report',
+      error: err.message
+    });
+  }
+});
+
+// Sales, returns and stock for every store side by side, with a combined total
+app.get('/api/reports/stores', authorize(ROLES.OWNER), validate({ query: DAY_RANGE_QUERY }), async (req, res) => {
+  try {
+    let range;
+    try {
+      range = await businessDayRange(req.query);
+    } catch (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError.message,
+        errorType: rangeError.errorType
+      });
+    }
+    const { startDate, endDate } = range;
+
+    const storeKey = { $ifNull: ['$store', DEFAULT_STORE_ID] };
+    const [stores, sales, returns, products] = await Promise.all([
+      Store.find().lean(),
+      Bill.aggregate([
+        { $match: { ...ACTIVE_BILL_FILTER, date: { $gte: startDate, $lt: endDate } } },
+        {
+          $group: {
+            _id: storeKey,
+            billCount: { $sum: 1 },
+            grossSales: { $sum: { $ifNull: ['$grossTotal', '$grandTotal'] } },
+            discountTotal: { $sum: { $ifNull: ['$discountTotal', 0] } },
+            taxTotal: { $sum: { $ifNull: ['$taxTotal', 0] } },
+            totalSales: { $sum: '$grandTotal' },
+            balanceDue: { $sum: { $ifNull: ['$balanceDue', 0] } }
+          }
+        }
+      ]),
+      CreditNote.aggregate([
+        { $match: { date: { $gte: startDate, $lt: endDate } } },
+        { $group: { _id: storeKey, returnsTotal: { $sum: '$total' }, returnCount: { $sum: 1 } } }
+      ]),
+      Product.find().select('stock storeStock costPrice').lean()
+    ]);
+
+    const rows = new Map();
+    const rowFor = (storeId) => {
+      if (!rows.has(storeId)) {
+        const store = stores.find(entry => entry._id === storeId) ||
+          (storeId === DEFAULT_STORE_ID ? DEFAULT_STORE : { _id: storeId });
+        rows.set(storeId, {
+          store: storeId,
+          name: store.name,
+          billCount: 0,
+          grossSales: 0,
+          discountTotal: 0,
+          taxTotal: 0,
+          totalSales: 0,
+          returnsTotal: 0,
+          returnCount: 0,
+          netSales: 0,
+          balanceDue: 0,
+          stockUnits: 0,
+          stockValue: 0
+        });
+      }
+      return rows.get(storeId);
+    };
+
+    rowFor(DEFAULT_STORE_ID);
+    stores.forEach(store => rowFor(store._id));
+    for (const { _id, ...totals } of sales) Object.assign(rowFor(_id), totals);
+    for (const { _id, returnsTotal, returnCount } of returns) {
+      Object.assign(rowFor(_id), { returnsTotal: -returnsTotal, returnCount });
+    }
+
+    // Stock is valued at weighted average cost; products with no cost count as zero
+    for (const product of products) {
+      const split = product.storeStock && product.storeStock.length > 0
+        ? product.storeStock
+        : [{ store: DEFAULT_STORE_ID, stock: product.stock }];
+      for (const { store, stock } of split) {
+        const row = rowFor(store);
+        row.stockUnits += stock;
+        row.stockValue += stock * (product.costPrice || 0);
+      }
+    }
+
+    const moneyFields = ['grossSales', 'discountTotal', 'taxTotal', 'totalSales', 'returnsTotal', 'netSales', 'balanceDue', 'stockValue'];
+    const storeRows = [...rows.values()].map(row => {
+      row.netSales = row.totalSales + row.returnsTotal;
+      moneyFields.forEach(field => { row[field] = roundMoney(row[field]); });
+      return row;
+    });
+
+    const totals = storeRows.reduce((acc, row) => {
+      for (const [field, value] of Object.entries(row)) {
+        if (typeof value === 'number') acc[field] = roundMoney((acc[field] || 0) + value);
+      }
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      period: { from: startDate, to: new Date(endDate.getTime() - 1) },
+      totals,
+      stores: storeRows
+    });
+  } catch (err) {
+    console.error('Error building store report:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build store report',
+      error: err.message
+    });
+  }
+});
+
+// Charged prices against the catalogue price in force when each bill was made,
+// which shows overrides and discounts separately from catalogue price changes
+app.get('/api/reports/price-realisation', authorize(ROLES.OWNER), validate({ query: DAY_RANGE_QUERY }), async (req, res) => {
+  try {
+    let range;
+    try {
+      range = await businessDayRange(req.query);
+    } catch (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError.message,
+        errorType: rangeError.errorType
+      });
+    }
+    const { startDate, endDate } = range;
+
+    const bills = await Bill.find({ ...ACTIVE_BILL_FILTER, date: { $gte: startDate, $lt: endDate } })
+      .select('date items.productId items.nameTamil items.quantity items.price items.lineDiscount items.billDiscount')
+      .lean();
+
+    const productIds = [...new Set(bills.flatMap(bill => bill.items.map(item => item.productId)))];
+    const priceAt = await loadPriceTimeline(productIds);
+
+    const rows = new Map();
+    for (const bill of bills) {
+      for (const item of bill.items) {
+        const catalogPrice = priceAt(item.productId, bill.date);
+        if (!rows.has(item.productId)) {
+          rows.set(item.productId, {
+            productId: item.productId,
+            nameTamil: item.nameTamil,
+            quantity: 0,
+            catalogValue: 0,
+            chargedValue: 0
+          });
+        }
+        const row = rows.get(item.productId);
+        row.quantity = roundQuantity(row.quantity + item.quantity);
+        row.catalogValue += (catalogPrice ?? item.price) * item.quantity;
+        row.chargedValue += item.price * item.quantity - (item.lineDiscount || 0) - (item.billDiscount || 0);
+      }
+    }
+
+    const products = [...rows.values()].map(row => ({
+      ...row,
+      catalogValue: roundMoney(row.catalogValue),
+      chargedValue: roundMoney(row.chargedValue),
+      difference: roundMoney(row.chargedValue - row.catalogValue)
+    })).sort((a, b) => a.difference - b.difference);
+
+    const totals = products.reduce((acc, row) => ({
+      catalogValue: roundMoney(acc.catalogValue + row.catalogValue),
+      chargedValue: roundMoney(acc.chargedValue + row.chargedValue),
+      difference: roundMoney(acc.difference + row.difference)
+    }), { catalogValue: 0, chargedValue: 0, difference: 0 });
+
+    res.json({
+      success: true,
+      period: { from: startDate, to: new Date(endDate.getTime() - 1) },
+      totals,
+      products
+    });
+  } catch (err) {
+    console.error('Error building price realisation report:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build price realisation report',
+      error: err.message
+    });
+  }
+});
+
+// Import and Export
+// Products, bills and contacts as CSV or XLSX. CSV is UTF-8 with a byte order
+// mark so Excel shows Tamil text correctly; imports accept it with or without.
+const SHEET_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+const IMPORT_ROW_LIMIT = 5000;
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Text a spreadsheet would run as a formula goes out with a leading ', which
+// the spreadsheet hides and readSheet strips again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const sheetText = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(sheetText(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// ExcelJS gives rich text, formulas and hyperlinks as objects
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+  }
+  return String(value);
+};
+
+// Headers are matched ignoring case, spaces and punctuation ("Name Tamil" = nameTamil)
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// First sheet of an uploaded file as objects keyed by headerKey, with the sheet row number
+const readSheet = async (buffer, format) => {
+  let table;
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    table = [];
+    if (sheet) {
+      sheet.eachRow({ includeEmpty: true }, (row) => {
+        table.push(row.values.slice(1).map(cellText));
+      });
+    }
+  } else {
+    let text;
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (decodeError) {
+      throw billingError('CSV files must be saved as UTF-8', 'INVALID_FILE');
+    }
+    table = parseCsv(text.replace(/^\uFEFF/, ''));
+  }
+
+  const [headers = [], ...rows] = table;
+  const keys = headers.map(headerKey);
+  return rows
+    .map((cells, index) => ({
+      rowNumber: index + 2,
+      values: Object.fromEntries(keys.map((key, column) => [
+        key,
+        String(cells[column] ?? '').replace(/^'(?=[=+\-@\t\r])/, '').trim()
+      ]))
+    }))
+    .filter(row => Object.values(row.values).some(Boolean));
+};
+
+// columns: [{ key, header }]; rows are plain objects
+const sendSheet = async (res, { format, filename, sheetName, columns, rows }) => {
+  const { contentType, extension } = SHEET_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(({ key, header }) => ({ key, header, width: Math.max(header.length + 2, 12) }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(Object.fromEntries(Object.entries(row).map(([key, value]) => [key, sheetText(value)]))));
+    return res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+  }
+
+  const lines = [columns.map(column => csvField(column.header)).join(',')];
+  for (const row of rows) lines.push(columns.map(column => csvField(row[column.key])).join(','));
+  res.send(`\uFEFF${lines.join('\r\n')}\r\n`);
+};
+
+// ?format=, falling back to the upload's content type, then CSV
+const sheetFormat = (req) => {
+  const requested = String(req.query.format || '').toLowerCase();
+  if (requested) return SHEET_FORMATS[requested] ? requested : null;
+  return /spreadsheetml|excel/.test(req.get('Content-Type') || '') ? 'xlsx' : 'csv';
+};
+
+const invalidFormat = (res) => res.status(400).json({
+  success: false,
+  message: 'Format must be csv or xlsx',
+  errorType: 'INVALID_FORMAT'
+});
+
+// Same columns are used for export and import, so an export can be edited and re-imported
+const PRODUCT_SHEET_COLUMNS = [
+  { key: 'id', header: 'id' },
+  { key: 'name', header: 'name' },
+  { key: 'nameTamil', header: 'nameTamil' },
+  { key: 'category', header: 'category' },
+  { key: 'unit', header: 'unit' },
+  { key: 'barcode', header: 'barcode' },
+  { key: 'sku', header: 'sku' },
+  { key: 'price', header: 'price' },
+  { key: 'stock', header: 'stock' },
+  { key: 'minStockLevel', header: 'minStockLevel' },
+  { key: 'hsnCode', header: 'hsnCode' },
+  { key: 'taxCategory', header: 'taxCategory' },
+  { key: 'priceIncludesTax', header: 'priceIncludesTax' },
+  { key: 'parentId', header: 'parentId' },
+  { key: 'variantName', header: 'variantName' }
+];
+
+const parseSheetBoolean = (value) => {
+  if (value === '') return undefined;
+  if (/^(true|yes|y|1)$/i.test(value)) return true;
+  if (/^(false|no|n|0)$/i.test(value)) return false;
+  return value;
+};
+
+// Blank cells are left out so they fall back to defaults (or stay unchanged on update)
+const productRowData = (values) => {
+  const optional = (key) => (values[key] === undefined || values[key] === '' ? undefined : values[key]);
+  const numeric = (key) => (optional(key) === undefined ? undefined : Number(values[key]));
+  return {
+    name: optional('name'),
+    nameTamil: optional('nametamil'),
+    category: optional('category'),
+    unit: optional('unit'),
+    barcode: optional('barcode'),
+    sku: optional('sku'),
+    price: numeric('price'),
+    stock: optional('stock') === undefined ? undefined : parseQuantity(values.stock),
+    minStockLevel: numeric('minstocklevel'),
+    hsnCode: optional('hsncode'),
+    taxCategory: optional('taxcategory'),
+    priceIncludesTax: parseSheetBoolean(values.priceincludestax || ''),
+    parentId: numeric('parentid'),
+    variantName: optional('variantname')
+  };
+};
+
+// Row problems name the column's field; location is the uploaded file
+const fileError = (path, message, errorType) => fieldError(path, message, errorType, 'file');
+const inFile = (errors) => errors.map(error => ({ ...error, location: 'file' }));
+
+// Works out what each row would do and what is wrong with it, without writing anything
+const planProductImport = async (rows) => {
+  const [products, categories] = await Promise.all([
+    Product.find().select('name nameTamil barcode sku unit price stock storeStock').lean(),
+    Category.find().select('name').lean()
+  ]);
+  const byName = new Map();
+  products.forEach(product => {
+    byName.set(product.name.toLowerCase(), product);
+    byName.set(product.nameTamil.toLowerCase(), product);
+  });
+  const byBarcode = new Map(products.filter(product => product.barcode).map(product => [product.barcode, product]));
+  const bySku = new Map(products.filter(product => product.sku).map(product => [product.sku, product]));
+  const categoryIds = new Map(categories.map(category => [category.name.toLowerCase(), category._id]));
+  const byId = new Map(products.map(product => [product._id, product]));
+
+  const seen = new Map();
+  const newCategories = new Set();
+
+  const plan = rows.map(({ rowNumber, values }) => {
+    const data = productRowData(values);
+
+    // An exported id identifies the product, then the barcode, then either name
+    const existing = (values.id && byId.get(Number(values.id))) ||
+      (data.barcode && byBarcode.get(data.barcode)) ||
+      (data.name && byName.get(data.name.toLowerCase())) ||
+      (data.nameTamil && byName.get(data.nameTamil.toLowerCase())) ||
+      null;
+
+    // Blank cells on an update row keep the product's current values
+    const merged = existing
+      ? {
+        name: existing.name,
+        nameTamil: existing.nameTamil,
+        price: existing.price,
+        unit: existing.unit,
+        ...Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined))
+      }
+      : data;
+    const errors = inFile(validateProductData(merged));
+    const unit = merged.unit || 'pcs';
+
+    if (data.stock !== undefined && (isNaN(data.stock) || data.stock < 0)) {
+      errors.push(fileError('stock', 'Stock must be a number of at least 0', 'OUT_OF_RANGE'));
+    } else if (data.stock !== undefined && !quantityFitsUnit(data.stock, unit)) {
+      errors.push(fileError('stock', `Stock must be a whole number for unit ${unit}`));
+    }
+    if (data.minStockLevel !== undefined && (isNaN(data.minStockLevel) || data.minStockLevel < 0)) {
+      errors.push(fileError('minStockLevel', 'Minimum stock level must be a number of at least 0', 'OUT_OF_RANGE'));
+    }
+    if (data.priceIncludesTax !== undefined && typeof data.priceIncludesTax !== 'boolean') {
+      errors.push(fileError('priceIncludesTax', 'priceIncludesTax must be true or false', 'INVALID_TYPE'));
+    }
+
+    if (existing && data.barcode && byBarcode.has(data.barcode) && byBarcode.get(data.barcode)._id !== existing._id) {
+      errors.push(fileError('barcode', `Barcode ${data.barcode} belongs to another product`, 'DUPLICATE_VALUE'));
+    }
+    if (data.sku && bySku.has(data.sku.toUpperCase()) &&
+      (!existing || bySku.get(data.sku.toUpperCase())._id !== existing._id)) {
+      errors.push(fileError('sku', `SKU ${data.sku} belongs to another product`, 'DUPLICATE_VALUE'));
+    }
+
+    const identity = existing ? `id:${existing._id}` : `name:${(data.name || '').toLowerCase()}`;
+    for (const key of [identity, data.barcode && `barcode:${data.barcode}`, data.sku && `sku:${data.sku.toUpperCase()}`]) {
+      if (!key) continue;
+      if (seen.has(key)) {
+        errors.push(fileError(key.slice(0, key.indexOf(':')), `Same product as row ${seen.get(key)}`, 'DUPLICATE_VALUE'));
+      } else {
+        seen.set(key, rowNumber);
+      }
+    }
+
+    if (data.category && !categoryIds.has(data.category.toLowerCase())) newCategories.add(data.category);
+
+    return {
+      row: rowNumber,
+      action: existing ? 'update' : 'create',
+      productId: existing ? existing._id : undefined,
+      name: merged.name,
+      errors,
+      data,
+      existing
+    };
+  });
+
+  // Same parent checks as a product saved through the API
+  for (const entry of plan) {
+    if (entry.data.parentId !== undefined && entry.errors.length === 0) {
+      entry.errors.push(...inFile(await validateCatalogueLinks({ parentId: entry.data.parentId }, entry.productId)));
+    }
+  }
+
+  return { plan, categoryIds, newCategories: [...newCategories] };
+};
+
+// CSV or XLSX upload as the raw request body. ?dryRun=true only validates.
+// Rows are matched to products by id, barcode, then name; the import is all or nothing.
+app.post(
+  '/api/products/import',
+  authorize(ROLES.STOCK_KEEPER),
+  express.raw({ type: () => true, limit: '5mb' }),
+  validate({
+    query: {
+      format: field.oneOf(Object.keys(SHEET_FORMATS)),
+      dryRun: field.boolean(),
+      store: STORE_CODE
+    },
+    // The file itself, read by readSheet
+    body: field.any()
+  }),
+  async (req, res) => {
+    const format = sheetFormat(req);
+    if (!format) return invalidFormat(res);
+
+    const dryRun = req.query.dryRun === 'true';
+    let store;
+    let rows;
+    try {
+      store = await requireStore(req.query.store);
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw billingError('Upload a CSV or XLSX file as the request body', 'INVALID_FILE');
+      }
+      rows = await readSheet(req.body, format);
+    } catch (fileError) {
+      return res.status(400).json({
+        success: false,
+        message: fileError.errorType ? fileError.message : 'Could not read the uploaded file',
+        errorType: fileError.errorType || 'INVALID_FILE',
+        error: fileError.errorType ? undefined : fileError.message
+      });
+    }
+
+    if (rows.length === 0 || rows.length > IMPORT_ROW_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `The file must have between 1 and ${IMPORT_ROW_LIMIT} product rows`,
+        errorType: 'INVALID_FILE'
+      });
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      const { plan, categoryIds, newCategories } = await planProductImport(rows);
+      const invalidRows = plan.filter(entry => entry.errors.length > 0);
+      const report = {
+        rowCount: plan.length,
+        createCount: plan.filter(entry => entry.action === 'create').length,
+        updateCount: plan.filter(entry => entry.action === 'update').length,
+        errorCount: invalidRows.length,
+        newCategories,
+        rows: plan.map(({ row, action, productId, name, errors }) => ({ row, action, productId, name, errors }))
+      };
+
+      if (dryRun || invalidRows.length > 0) {
+        return res.status(dryRun ? 200 : 400).json({
+          success: dryRun,
+          message: dryRun ? 'Dry run only; nothing was imported' : 'Fix the rows with errors and import again',
+          errorType: dryRun ? undefined : 'IMPORT_VALIDATION_FAILED',
+          report
+        });
+      }
+
+      session.startTransaction();
+
+      for (const categoryName of newCategories) {
+        const [category] = await Category.create([{ name: categoryName }], { session });
+        categoryIds.set(categoryName.toLowerCase(), category._id);
+      }
+
+      for (const entry of plan) {
+        const { stock, category, ...data } = entry.data;
+        const fields = Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+        if (category) fields.categoryId = categoryIds.get(category.toLowerCase());
+        const ref = { type: 'Product', id: entry.productId };
+
+        let product;
+        if (entry.action === 'create') {
+          product = new Product(fields);
+          await product.save({ session });
+          entry.product = product;
+          entry.productId = product._id;
+          ref.id = product._id;
+          await recordPriceChange({
+            productId: product._id,
+            price: product.price,
+            source: 'product-created',
+            note: 'Product import',
+            user: req.user,
+            session
+          });
+          if (stock > 0) {
+            await applyStockChange({
+              productId: product._id, store: store._id, quantity: stock, reason: 'opening-balance',
+              ref, note: 'Product import', user: req.user, session
+            });
+          }
+          continue;
+        }
+
+        entry.before = await Product.findById(entry.productId).session(session).lean();
+        product = await Product.findByIdAndUpdate(entry.productId, productFieldsUpdate(fields), { new: true, session });
+        entry.product = product;
+        if (fields.price !== undefined && fields.price !== entry.existing.price) {
+          await recordPriceChange({
+            productId: product._id,
+            price: product.price,
+            previousPrice: entry.existing.price,
+            source: 'product-update',
+            note: 'Product import',
+            user: req.user,
+            session
+          });
+        }
+
+        const currentStock = storeStockOf(product, store._id);
+        if (stock !== undefined && stock !== currentStock) {
+          await applyStockChange({
+            productId: product._id, store: store._id, quantity: roundQuantity(stock - currentStock),
+            reason: 'manual-correction', ref, note: 'Set by product import', user: req.user, session
+          });
+        }
+      }
+
+      await session.commitTransaction();
+      checkLowStock(plan.filter(entry => entry.action === 'update').map(entry => entry.productId), { type: 'Import' });
+      for (const entry of plan) {
+        auditChange(req, {
+          entity: 'Product',
+          entityId: entry.productId,
+          label: entry.product.name,
+          action: entry.action,
+          before: entry.before,
+          after: entry.product
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Imported ${plan.length} products`,
+        report: {
+          ...report,
+          rows: plan.map(({ row, action, productId, name }) => ({ row, action, productId, name, errors: [] }))
+        }
+      });
+    } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
+      console.error('Product import error:', err);
+      res.status(err.code === 11000 ? 409 : 500).json({
+        success: false,
+        message: err.code === 11000 ? 'A barcode or SKU in the file is already in use' : 'Failed to import products',
+        error: err.message
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+);
+
+app.get('/api/export/products', authorize(ROLES.STOCK_KEEPER), validate({ query: { format: field.oneOf(Object.keys(SHEET_FORMATS)), store: STORE_CODE } }), async (req, res) => {
+  try {
+    const format = sheetFormat(req);
+    if (!format) return invalidFormat(res);
+
+    const storeCode = req.query.store ? String(req.query.store).trim().toUpperCase() : null;
+    const [products, categories] = await Promise.all([
+      Product.find().sort({ _id: 1 }).lean(),
+      Category.find().select('name').lean()
+    ]);
+    const categoryNames = new Map(categories.map(category => [String(category._id), category.name]));
+
+    await sendSheet(res, {
+      format,
+      filename: storeCode ? `products-${storeCode}` : 'products',
+      sheetName: 'Products',
+      columns: PRODUCT_SHEET_COLUMNS,
+      rows: products.map(product => ({
+        ...product,
+        id: product._id,
+        category: product.categoryId ? categoryNames.get(String(product.categoryId)) : '',
+        stock: storeCode ? storeStockOf(product, storeCode) : product.stock,
+        priceIncludesTax: product.priceIncludesTax !== false
+      }))
+    });
+  } catch (err) {
+    console.error('Product export error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export products',
+      error: err.message
+    });
+  }
+});
+
+const BILL_SHEET_COLUMNS = [
+  { key: 'billNumber', header: 'billNumber' },
+  { key: 'date', header: 'date' },
+  { key: 'store', header: 'store' },
+  { key: 'status', header: 'status' },
+  { key: 'customerName', header: 'customerName' },
+  { key: 'mobileNumber', header: 'mobileNumber' },
+  { key: 'productId', header: 'productId' },
+  { key: 'nameTamil', header: 'nameTamil' },
+  { key: 'quantity', header: 'quantity' },
+  { key: 'unit', header: 'unit' },
+  { key: 'price', header: 'price' },
+  { key: 'discount', header: 'discount' },
+  { key: 'taxableValue', header: 'taxableValue' },
+  { key: 'taxRate', header: 'taxRate' },
+  { key: 'tax', header: 'tax' },
+  { key: 'lineTotal', header: 'lineTotal' },
+  { key: 'billTotal', header: 'billTotal' },
+  { key: 'paymentStatus', header: 'paymentStatus' }
+];
+
+// One row per bill line, bill details repeated on each line
+app.get('/api/export/bills', authorize(ROLES.OWNER), validate({ query: { ...DAY_RANGE_QUERY, format: field.oneOf(Object.keys(SHEET_FORMATS)), store: STORE_CODE } }), async (req, res) => {
+  try {
+    const format = sheetFormat(req);
+    if (!format) return invalidFormat(res);
+
+    let range;
+    try {
+      range = await businessDayRange(req.query);
+    } catch (rangeError) {
+      return res.status(400).json({
+        success: false,
+        message: rangeError.message,
+        errorType: rangeError.errorType
+      });
+    }
+    const { startDate, endDate } = range;
+
+    const bills = await Bill.find({ ...storeScope(req.query.store), date: { $gte: startDate, $lt: endDate } })
+      .sort({ date: 1 })
+      .lean();
+
+    const rows = bills.flatMap(bill => bill.items.map(item => ({
+      billNumber: bill.billNumber,
+      date: bill.date.toISOString(),
+      store: bill.store || DEFAULT_STORE_ID,
+      status: bill.status || 'active',
+      customerName: bill.customerName,
+      mobileNumber: bill.mobileNumber,
+      productId: item.productId,
+      nameTamil: item.nameTamil,
+      quantity: item.quantity,
+      unit: item.unit || 'pcs',
+      price: item.price,
+      discount: roundMoney((item.lineDiscount || 0) + (item.billDiscount || 0)),
+      taxableValue: item.taxableValue ?? item.total,
+      taxRate: item.taxRate || 0,
+      tax: roundMoney((item.cgst || 0) + (item.sgst || 0) + (item.igst || 0)),
+      lineTotal: item.total,
+      billTotal: bill.grandTotal,
+      paymentStatus: bill.paymentStatus || 'paid'
+    })));
+
+    await sendSheet(res, {
+      format,
+      filename: `bills-${range.from}-to-${range.to}`,
+      sheetName: 'Bills',
+      columns: BILL_SHEET_COLUMNS,
+      rows
+    });
+  } catch (err) {
+    console.error('Bill export error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export bills',
+      error: err.message
+    });
+  }
+});
+
+app.get('/api/export/contacts', authorize(ROLES.OWNER), validate({ query: { format: field.oneOf(Object.keys(SHEET_FORMATS)) } }), async (req, res) => {
+  try {
+    const format = sheetFormat(req);
+    if (!format) return invalidFormat(res);
+
+    const contacts = await Contact.find().sort({ name: 1 }).lean();
+
+    await sendSheet(res, {
+      format,
+      filename: 'contacts',
+      sheetName: 'Contacts',
+      columns: [
+        { key: 'name', header: 'name' },
+        { key: 'mobileNumber', header: 'mobileNumber' },
+        { key: 'email', header: 'email' },
+        { key: 'address', header: 'address' },
+        { key: 'outstandingBalance', header: 'outstandingBalance' },
+        { key: 'loyaltyPoints', header: 'loyaltyPoints' },
+        { key: 'lastUsed', header: 'lastUsed' }
+      ],
+      rows: contacts.map(contact => ({
+        ...contact,
+        loyaltyPoints: contact.loyaltyPoints || 0,
+        outstandingBalance: roundMoney(contact.outstandingBalance || 0),
+        lastUsed: contact.lastUsed ? contact.lastUsed.toISOString() : ''
+      }))
+    });
+  } catch (err) {
+    console.error('Contact export error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export contacts',
+      error: err.message
+    });
+  }
+});
+
+// Invoice Rendering
+// Noto Sans Tamil ships Tamil and Latin as separate subsets, so text is split
+// into script runs and each run is drawn with the font that has its glyphs
+const INVOICE_FONT_FILES = {
+  tamil: '@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-400-normal.woff',
+  tamilBold: '@fontsource/noto-sans-tamil/files/noto-sans-tamil-tamil-700-normal.woff',
+  latin: '@fontsource/noto-sans-tamil/files/noto-sans-tamil-latin-400-normal.woff',
+  latinBold: '@fontsource/noto-sans-tamil/files/noto-sans-tamil-latin-700-normal.woff'
+};
+
+// Tamil block, zero-width joiners and the rupee sign live in the Tamil subset
+const TAMIL_PATTERN = /[\u0B80-\u0BFF\u200C\u200D\u20B9]/;
+
+let invoiceFonts = null;
+
+// Loaded on first use; fontkit handles Tamil shaping (vowel sign reordering, ligatures)
+const loadInvoiceFonts = () => {
+  if (!invoiceFonts) {
+    invoiceFonts = Object.fromEntries(Object.entries(INVOICE_FONT_FILES).map(([key, file]) => {
+      const buffer = fs.readFileSync(require.resolve(file));
+      return [key, { buffer, font: fontkit.create(buffer) }];
+    }));
+  }
+  return invoiceFonts;
+};
+
+const scriptRuns = (text) => {
+  const runs = [];
+  for (const char of String(text ?? '')) {
+    const tamil = TAMIL_PATTERN.test(char);
+    const last = runs[runs.length - 1];
+    if (last && last.tamil === tamil) last.text += char;
+    else runs.push({ tamil, text: char });
+  }
+  return runs;
+};
+
+const hasTamil = (text) => TAMIL_PATTERN.test(String(text ?? ''));
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+// Pieces print as a bare count; weights and volumes carry their unit
+const formatQuantity = (item) =>
+  (item.unit && item.unit !== 'pcs' ? `${item.quantity} ${item.unit}` : String(item.quantity));
+
+// Wall-clock time in the shop's zone, whatever zone the server runs in
+const formatBillDate = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+  }).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+  return `${parts.day}/${parts.month}/${parts.year} ${parts.hour}:${parts.minute}`;
+};
+
+// Totals shown on both invoice formats, skipping lines that are zero
+const invoiceTotals = (bill) => [
+  ['Gross', bill.grossTotal ?? bill.grandTotal],
+  ['Discount', bill.discountTotal ? -bill.discountTotal : 0],
+  ['Taxable value', bill.taxableTotal],
+  ['CGST', bill.cgstTotal],
+  ['SGST', bill.sgstTotal],
+  ['IGST', bill.igstTotal],
+  ['Round off', bill.roundOff]
+].filter(([, value]) => value);
+
+// Draws text with per-script fonts; returns the width used
+const drawPdfText = (doc, text, x, y, { width, align = 'left', size = 9, bold = false } = {}) => {
+  const runs = scriptRuns(text).map(run => {
+    const fontName = `${run.tamil ? 'tamil' : 'latin'}${bold ? 'Bold' : ''}`;
+    doc.font(fontName).fontSize(size);
+    return { ...run, fontName, width: doc.widthOfString(run.text) };
+  });
+  const textWidth = runs.reduce((sum, run) => sum + run.width, 0);
+
+  let cursor = x;
+  if (width && align === 'right') cursor = x + width - textWidth;
+  if (width && align === 'center') cursor = x + (width - textWidth) / 2;
+
+  for (const run of runs) {
+    doc.font(run.fontName).fontSize(size).text(run.text, cursor, y, { lineBreak: false });
+    cursor += run.width;
+  }
+  return textWidth;
+};
+
+const INVOICE_COLUMNS = [
+  { key: 'index', label: '#', x: 40, width: 18 },
+  { key: 'name', label: 'Item', x: 58, width: 170 },
+  { key: 'hsnCode', label: 'HSN', x: 230, width: 48 },
+  { key: 'quantity', label: 'Qty', x: 278, width: 34, align: 'right' },
+  { key: 'price', label: 'Rate', x: 314, width: 50, align: 'right' },
+  { key: 'discount', label: 'Disc', x: 366, width: 44, align: 'right' },
+  { key: 'taxableValue', label: 'Taxable', x: 412, width: 54, align: 'right' },
+  { key: 'taxRate', label: 'GST%', x: 468, width: 32, align: 'right' },
+  { key: 'total', label: 'Amount', x: 502, width: 53, align: 'right' }
+];
+
+// A4 tax invoice streamed straight to the response
+const renderInvoicePdf = (bill, shop, stream, timeZone) => {
+  const fonts = loadInvoiceFonts();
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Invoice ${bill.billNumber}` } });
+  for (const [name, { buffer }] of Object.entries(fonts)) doc.registerFont(name, buffer);
+  doc.pipe(stream);
+
+  const pageWidth = doc.page.width - 80;
+  let y = 40;
+
+  drawPdfText(doc, shop.name, 40, y, { width: pageWidth, align: 'center', size: 16, bold: true });
+  y += 22;
+  if (shop.nameTamil) {
+    drawPdfText(doc, shop.nameTamil, 40, y, { width: pageWidth, align: 'center', size: 13, bold: true });
+    y += 20;
+  }
+  for (const line of [shop.address, [shop.phone, shop.email].filter(Boolean).join('  |  ')]) {
+    if (!line) continue;
+    drawPdfText(doc, line, 40, y, { width: pageWidth, align: 'center', size: 9 });
+    y += 13;
+  }
+  if (shop.gstin) {
+    drawPdfText(doc, `GSTIN: ${shop.gstin}`, 40, y, { width: pageWidth, align: 'center', size: 9, bold: true });
+    y += 13;
+  }
+
+  y += 6;
+  drawPdfText(doc, shop.gstin ? 'TAX INVOICE' : 'INVOICE', 40, y, { width: pageWidth, align: 'center', size: 12, bold: true });
+  if (bill.status === 'void') {
+    drawPdfText(doc, 'VOID', 40, y, { width: pageWidth, align: 'right', size: 12, bold: true });
+  }
+  y += 22;
+
+  drawPdfText(doc, `Bill No: ${bill.billNumber}`, 40, y, { bold: true });
+  drawPdfText(doc, `Date: ${formatBillDate(bill.date, timeZone)}`, 40, y, { width: pageWidth, align: 'right' });
+  y += 14;
+  drawPdfText(doc, `Customer: ${bill.customerName || ''}`, 40, y);
+  drawPdfText(doc, `Mobile: ${bill.mobileNumber || ''}`, 40, y, { width: pageWidth, align: 'right' });
+  y += 14;
+  if (bill.customerGstin) {
+    drawPdfText(doc, `Customer GSTIN: ${bill.customerGstin}`, 40, y);
+    y += 14;
+  }
+  drawPdfText(doc, `Place of supply: ${bill.placeOfSupply || SHOP_STATE_CODE}`, 40, y);
+  y += 20;
+
+  const drawHeaderRow = () => {
+    doc.moveTo(40, y - 4).lineTo(555, y - 4).stroke();
+    for (const column of INVOICE_COLUMNS) {
+      drawPdfText(doc, column.label, column.x, y, { width: column.width, align: column.align, bold: true });
+    }
+    y += 14;
+    doc.moveTo(40, y - 3).lineTo(555, y - 3).stroke();
+  };
+
+  drawHeaderRow();
+  bill.items.forEach((item, index) => {
+    if (y > doc.page.height - 120) {
+      doc.addPage();
+      y = 40;
+      drawHeaderRow();
+    }
+
+    const row = {
+      index: String(index + 1),
+      name: item.nameTamil,
+      hsnCode: item.hsnCode || '',
+      quantity: formatQuantity(item),
+      price: formatAmount(item.price),
+      discount: item.lineDiscount || item.billDiscount
+        ? formatAmount((item.lineDiscount || 0) + (item.billDiscount || 0))
+        : '',
+      taxableValue: formatAmount(item.taxableValue ?? item.total),
+      taxRate: String(item.taxRate || 0),
+      total: formatAmount(item.total)
+    };
+
+    for (const column of INVOICE_COLUMNS) {
+      drawPdfText(doc, row[column.key], column.x, y, { width: column.width, align: column.align });
+    }
+    y += 15;
+  });
+  doc.moveTo(40, y).lineTo(555, y).stroke();
+  y += 10;
+
+  // Totals on the right, GST breakdown per rate on the left
+  const totalsTop = y;
+  for (const [label, value] of invoiceTotals(bill)) {
+    drawPdfText(doc, label, 380, y, { width: 100 });
+    drawPdfText(doc, formatAmount(value), 480, y, { width: 75, align: 'right' });
+    y += 13;
+  }
+  drawPdfText(doc, 'Grand Total', 380, y, { width: 100, bold: true, size: 11 });
+  drawPdfText(doc, `₹ ${formatAmount(bill.grandTotal)}`, 455, y, { width: 100, align: 'right', bold: true, size: 11 });
+  y += 18;
+  if (bill.balanceDue > 0) {
+    drawPdfText(doc, 'Paid', 380, y, { width: 100 });
+    drawPdfText(doc, formatAmount(bill.amountPaid), 480, y, { width: 75, align: 'right' });
+    y += 13;
+    drawPdfText(doc, 'Balance due', 380, y, { width: 100, bold: true });
+    drawPdfText(doc, formatAmount(bill.balanceDue), 480, y, { width: 75, align: 'right', bold: true });
+    y += 13;
+  }
+
+  let taxY = totalsTop;
+  if (bill.taxSummary && bill.taxSummary.length > 0) {
+    const taxColumns = [['GST%', 40, 40], ['Taxable', 80, 70], ['CGST', 150, 55], ['SGST', 205, 55], ['IGST', 260, 55]];
+    taxColumns.forEach(([label, x, width]) => drawPdfText(doc, label, x, taxY, { width, align: 'right', bold: true }));
+    taxY += 13;
+    for (const tax of bill.taxSummary) {
+      [tax.taxRate, tax.taxableValue, tax.cgst, tax.sgst, tax.igst].forEach((value, i) => {
+        const [, x, width] = taxColumns[i];
+        drawPdfText(doc, i === 0 ? String(value) : formatAmount(value), x, taxY, { width, align: 'right' });
+      });
+      taxY += 13;
+    }
+  }
+
+  y = Math.max(y, taxY) + 20;
+  for (const line of [shop.footer, shop.footerTamil]) {
+    if (!line) continue;
+    drawPdfText(doc, line, 40, y, { width: pageWidth, align: 'center', size: 10 });
+    y += 15;
+  }
+
+  doc.end();
+};
+
+// Thermal receipts: 58mm paper prints 32 characters / 384 dots per line, 80mm 48 / 576
+const RECEIPT_WIDTHS = {
+  58: { chars: 32, dots: 384 },
+  80: { chars: 48, dots: 576 }
+};
+
+const padColumns = (left, right, width) => {
+  const leftText = String(left);
+  const rightText = String(right);
+  const gap = Math.max(width - leftText.length - rightText.length, 1);
+  return leftText + ' '.repeat(gap) + rightText;
+};
+
+// Receipt as a list of lines so the same layout renders to text or ESC/POS
+const buildReceiptLines = (bill, shop, width, timeZone) => {
+  const rule = { text: '-'.repeat(width) };
+  const lines = [{ text: shop.name, align: 'center', bold: true, large: true }];
+
+  if (shop.nameTamil) lines.push({ text: shop.nameTamil, align: 'center', bold: true });
+  if (shop.address) lines.push({ text: shop.address, align: 'center' });
+  if (shop.phone) lines.push({ text: `Ph: ${shop.phone}`, align: 'center' });
+  if (shop.gstin) lines.push({ text: `GSTIN: ${shop.gstin}`, align: 'center' });
+  if (bill.status === 'void') lines.push({ text: '*** VOID ***', align: 'center', bold: true });
+
+  lines.push(rule);
+  lines.push({ text: `Bill: ${bill.billNumber}` });
+  lines.push({ text: `Date: ${formatBillDate(bill.date, timeZone)}` });
+  if (bill.customerName) lines.push({ text: `Customer: ${bill.customerName}` });
+  if (bill.mobileNumber) lines.push({ text: `Mobile: ${bill.mobileNumber}` });
+  lines.push(rule);
+
+  for (const item of bill.items) {
+    lines.push({ text: item.nameTamil });
+    const discount = (item.lineDiscount || 0) + (item.billDiscount || 0);
+    lines.push({
+      text: padColumns(
+        `  ${formatQuantity(item)} x ${formatAmount(item.price)}${discount ? ` -${formatAmount(discount)}` : ''}`,
+        formatAmount(item.total),
+        width
+      )
+    });
+  }
+
+  lines.push(rule);
+  for (const [label, value] of invoiceTotals(bill)) {
+    lines.push({ text: padColumns(label, formatAmount(value), width) });
+  }
+  lines.push({ text: padColumns('TOTAL', formatAmount(bill.grandTotal), width), bold: true });
+  if (bill.balanceDue > 0) {
+    lines.push({ text: padColumns('Paid', formatAmount(bill.amountPaid), width) });
+    lines.push({ text: padColumns('Balance due', formatAmount(bill.balanceDue), width), bold: true });
+  }
+
+  const taxedRates = (bill.taxSummary || []).filter(tax => tax.taxRate > 0);
+  if (taxedRates.length > 0) {
+    lines.push(rule);
+    for (const tax of taxedRates) {
+      const taxAmount = formatAmount(tax.cgst + tax.sgst + tax.igst);
+      lines.push({ text: padColumns(`GST ${tax.taxRate}% on ${formatAmount(tax.taxableValue)}`, taxAmount, width) });
+    }
+  }
+
+  lines.push(rule);
+  if (shop.footer) lines.push({ text: shop.footer, align: 'center' });
+  if (shop.footerTamil) lines.push({ text: shop.footerTamil, align: 'center' });
+  return lines;
+};
+
+const renderReceiptText = (lines, width) => lines.map(line => {
+  if (line.align !== 'center') return line.text;
+  const padding = Math.max(Math.floor((width - [...line.text].length) / 2), 0);
+  return ' '.repeat(padding) + line.text;
+}).join('\n') + '\n';
+
+// Flattens a glyph outline into straight edges (curves split into short segments)
+const glyphEdges = (glyph, transform) => {
+  const edges = [];
+  let start = null;
+  let current = null;
+  const lineTo = (point) => {
+    edges.push([current, point]);
+    current = point;
+  };
+  const curve = (points) => {
+    const [p0] = [current];
+    for (let step = 1; step <= 8; step++) {
+      const t = step / 8;
+      const mt = 1 - t;
+      const point = points.length === 2
+        ? [mt * mt * p0[0] + 2 * mt * t * points[0][0] + t * t * points[1][0],
+          mt * mt * p0[1] + 2 * mt * t * points[0][1] + t * t * points[1][1]]
+        : [mt ** 3 * p0[0] + 3 * mt * mt * t * points[0][0] + 3 * mt * t * t * points[1][0] + t ** 3 * points[2][0],
+          mt ** 3 * p0[1] + 3 * mt * mt * t * points[0][1] + 3 * mt * t * t * points[1][1] + t ** 3 * points[2][1]];
+      lineTo(point);
+    }
+  };
+
+  for (const { command, args } of glyph.path.commands) {
+    const points = [];
+    for (let i = 0; i < args.length; i += 2) points.push(transform(args[i], args[i + 1]));
+
+    if (command === 'moveTo') {
+      if (current && start) lineTo(start);
+      start = current = points[0];
+    } else if (command === 'lineTo') {
+      lineTo(points[0]);
+    } else if (command === 'quadraticCurveTo' || command === 'bezierCurveTo') {
+      curve(points);
+    } else if (command === 'closePath' && current && start) {
+      lineTo(start);
+    }
+  }
+  if (current && start && (current[0] !== start[0] || current[1] !== start[1])) lineTo(start);
+  return edges;
+};
+
+// Renders a line of text to a 1-bit bitmap (row-major, MSB first) for ESC/POS
+// raster printing, which is how Tamil gets onto printers with no Tamil code page
+const rasterizeText = (text, { size = 24, bold = false, maxWidth }) => {
+  const fonts = loadInvoiceFonts();
+  const placed = [];
+  let penX = 0;
+  let ascent = 0;
+  let descent = 0;
+
+  for (const run of scriptRuns(text)) {
+    const { font } = fonts[`${run.tamil ? 'tamil' : 'latin'}${bold ? 'Bold' : ''}`];
+    const scale = size / font.unitsPerEm;
+    const layout = font.layout(run.text);
+    ascent = Math.max(ascent, font.ascent * scale);
+    descent = Math.min(descent, font.descent * scale);
+
+    layout.glyphs.forEach((glyph, i) => {
+      const position = layout.positions[i];
+      placed.push({ glyph, scale, x: penX + position.xOffset * scale, y: position.yOffset * scale });
+      penX += position.xAdvance * scale;
+    });
+  }
+
+  const width = Math.max(8, Math.min(Math.ceil(penX), maxWidth));
+  const widthBytes = Math.ceil(width / 8);
+  const height = Math.ceil(ascent - descent);
+  const data = Buffer.alloc(widthBytes * height);
+
+  const edges = placed.flatMap(({ glyph, scale, x, y }) =>
+    glyphEdges(glyph, (gx, gy) => [x + gx * scale, ascent - (gy * scale + y)]));
+
+  // Non-zero winding scanline fill, sampling each row through its centre
+  for (let row = 0; row < height; row++) {
+    const sampleY = row + 0.5;
+    const crossings = [];
+    for (const [[x0, y0], [x1, y1]] of edges) {
+      if (y0 === y1 || sampleY < Math.min(y0, y1) || sampleY >= Math.max(y0, y1)) continue;
+      crossings.push({ x: x0 + (sampleY - y0) * (x1 - x0) / (y1 - y0), dir: y1 > y0 ? 1 : -1 });
+    }
+    crossings.sort((a, b) => a.x - b.x);
+
+    let winding = 0;
+    for (let i = 0; i < crossings.length - 1; i++) {
+      winding += crossings[i].dir;
+      if (winding === 0) continue;
+      const from = Math.max(Math.round(crossings[i].x), 0);
+      const to = Math.min(Math.round(crossings[i + 1].x), width);
+      for (let col = from; col < to; col++) {
+        data[row * widthBytes + (col >> 3)] |= 0x80 >> (col & 7);
+      }
+    }
+  }
+
+  return { widthBytes, height, data };
+};
+
+const ESC_POS = {
+  init: [0x1b, 0x40],
+  align: { left: [0x1b, 0x61, 0], center: [0x1b, 0x61, 1], right: [0x1b, 0x61, 2] },
+  bold: (on) => [0x1b, 0x45, on ? 1 : 0],
+  size: (large) => [0x1d, 0x21, large ? 0x11 : 0x00],
+  feed: (lines) => [0x1b, 0x64, lines],
+  cut: [0x1d, 0x56, 0x42, 0x00]
+};
+
+// ESC/POS byte stream: Latin text goes out as text, any line containing Tamil
+// is sent as a GS v 0 raster image
+const renderReceiptEscPos = (lines, { dots }) => {
+  const chunks = [Buffer.from(ESC_POS.init)];
+
+  for (const line of lines) {
+    chunks.push(Buffer.from(ESC_POS.align[line.align || 'left']));
+
+    if (hasTamil(line.text)) {
+      const image = rasterizeText(line.text, { size: line.large ? 32 : 24, bold: line.bold, maxWidth: dots });
+      chunks.push(Buffer.from([
+        0x1d, 0x76, 0x30, 0x00,
+        image.widthBytes & 0xff, image.widthBytes >> 8,
+        image.height & 0xff, image.height >> 8
+      ]), image.data);
+      continue;
+    }
+
+    chunks.push(
+      Buffer.from([...ESC_POS.bold(line.bold), ...ESC_POS.size(line.large)]),
+      Buffer.from(`${line.text.replace(/[^\x20-\x7e]/g, '?')}\n`, 'latin1'),
+      Buffer.from([...ESC_POS.bold(false), ...ESC_POS.size(false)])
+    );
+  }
+
+  chunks.push(Buffer.from([...ESC_POS.align.left, ...ESC_POS.feed(4), ...ESC_POS.cut]));
+  return Buffer.concat(chunks);
+};
+
+app.get('/api/bills/:id/invoice', authorize(ROLES.CASHIER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const bill = await Bill.findById(req.params.id).lean();
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found'
+      });
+    }
+
+    const [shop, clock] = await Promise.all([getSetting('shop'), getBusinessClock()]);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="invoice-${bill.billNumber}.pdf"`);
+    renderInvoicePdf(bill, shop, res, clock.timeZone);
+  } catch (err) {
+    console.error('Invoice rendering error:', err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render invoice',
+      error: err.message
+    });
+  }
+});
+
+// Thermal receipt: ?width=58|80 and ?format=escpos (printer bytes) or text
+app.get('/api/bills/:id/receipt', authorize(ROLES.CASHIER), validate({
+  params: OBJECT_ID_PARAMS,
+  query: {
+    width: field.oneOf(Object.keys(RECEIPT_WIDTHS)),
+    format: field.oneOf(['escpos', 'text'])
+  }
+}), async (req, res) => {
+  try {
+    const paper = RECEIPT_WIDTHS[req.query.width || '80'];
+    const format = req.query.format || 'escpos';
+
+    const bill = await Bill.findById(req.params.id).lean();
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found'
+      });
+    }
+
+    const [shop, clock] = await Promise.all([getSetting('shop'), getBusinessClock()]);
+    const lines = buildReceiptLines(bill, shop, paper.chars, clock.timeZone);
+
+    if (format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(renderReceiptText(lines, paper.chars));
+    }
+
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${bill.billNumber}.bin"`);
+    res.send(renderReceiptEscPos(lines, paper));
+  } catch (err) {
+    console.error('Receipt rendering error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render receipt',
+      error: err.message
+    });
+  }
+});
+
+// Receipt Links
+// Customers open /receipts/<token> without logging in. The token is the link ID,
+// its expiry and an HMAC of both, so it cannot be altered or guessed; the link
+// record is still checked on every view so revoked links stop working at once.
+// Without RECEIPT_LINK_SECRET a key is derived from JWT_SECRET for this one use,
+// so receipt signatures and login tokens never share a key
+const RECEIPT_LINK_SECRET = process.env.RECEIPT_LINK_SECRET ||
+  crypto.createHmac('sha256', JWT_SECRET).update('receipt-links').digest('hex');
+const RECEIPT_LINK_DAYS = 30;
+const RECEIPT_LINK_MAX_DAYS = 365;
+
+const receiptLinkSignature = (linkId, expiry) => crypto
+  .createHmac('sha256', RECEIPT_LINK_SECRET)
+  .update(`${linkId}.${expiry}`)
+  .digest('base64url');
+
+const receiptLinkToken = (link) => {
+  const expiry = Math.floor(link.expiresAt.getTime() / 1000).toString(36);
+  return `${link._id}.${expiry}.${receiptLinkSignature(link._id, expiry)}`;
+};
+
+// Returns the link ID of a well-formed, correctly signed and unexpired token, or null
+const verifyReceiptLinkToken = (token) => {
+  const [linkId, expiry, signature, ...rest] = String(token).split('.');
+  if (rest.length > 0 || !mongoose.isValidObjectId(linkId) || !/^[0-9a-z]+$/.test(expiry || '') || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(receiptLinkSignature(linkId, expiry));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  if (parseInt(expiry, 36) * 1000 <= Date.now()) return null;
+  return linkId;
+};
+
+// PUBLIC_BASE_URL is the address customers reach the server at. Links are never
+// built from the request's Host or protocol headers, which any client can set;
+// without it no receipt links are made.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null;
+
+const receiptLinkUrl = (link) => `${PUBLIC_BASE_URL}/receipts/${receiptLinkToken(link)}`;
+
+const createReceiptLink = async (bill, { expiresInDays = RECEIPT_LINK_DAYS, user } = {}) => ReceiptLink.create({
+  billId: bill._id,
+  billNumber: bill.billNumber,
+  // Whole seconds, as carried in the token
+  expiresAt: new Date(Math.floor((Date.now() + expiresInDays * 86400000) / 1000) * 1000),
+  createdBy: user && user._id,
+  createdByName: user && user.username
+});
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const RECEIPT_PAGE_STYLE = `
+  body { margin: 0; background: #f4f4f4; color: #222; font-family: 'Noto Sans Tamil', 'Latha', system-ui, sans-serif; }
+  main { max-width: 480px; margin: 0 auto; padding: 16px; background: #fff; }
+  header, footer, figure { text-align: center; }
+  h1 { margin: 0; font-size: 1.3em; }
+  p { margin: 2px 0; }
+  table { width: 100%; border-collapse: collapse; margin: 12px 0; }
+  th, td { padding: 4px 2px; text-align: right; vertical-align: top; }
+  th:first-child, td:first-child { text-align: left; }
+  thead th { border-bottom: 1px solid #999; }
+  .total td { border-top: 1px solid #999; font-weight: bold; font-size: 1.1em; }
+  .muted { color: #666; font-size: 0.85em; }
+  .void { color: #b00; font-weight: bold; text-align: center; border: 2px solid #b00; padding: 4px; }
+  figure svg { width: 160px; height: 160px; }
+`;
+
+const renderReceiptHtml = (bill, shop, { timeZone, qrSvg }) => {
+  const money = (value) => escapeHtml(formatAmount(value));
+  const row = (cells, className) =>
+    `<tr${className ? ` class="${className}"` : ''}>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+
+  const items = bill.items.map(item => {
+    const discount = (item.lineDiscount || 0) + (item.billDiscount || 0);
+    return row([
+      `${escapeHtml(item.nameTamil)}${discount ? `<br><span class="muted">Discount -${money(discount)}</span>` : ''}`,
+      escapeHtml(formatQuantity(item)),
+      money(item.price),
+      money(item.total)
+    ]);
+  }).join('');
+
+  const totals = invoiceTotals(bill).map(([label, value]) => row([escapeHtml(label), '', '', money(value)])).join('');
+  const dues = bill.balanceDue > 0
+    ? row(['Paid', '', '', money(bill.amountPaid)]) + row(['<strong>Balance due</strong>', '', '', `<strong>${money(bill.balanceDue)}</strong>`])
+    : '';
+  const taxes = (bill.taxSummary || [])
+    .filter(tax => tax.taxRate > 0)
+    .map(tax => `<p class="muted">GST ${escapeHtml(tax.taxRate)}% on ${money(tax.taxableValue)}: ${money(tax.cgst + tax.sgst + tax.igst)}</p>`)
+    .join('');
+  // Only the last digits of the customer's number appear on a shareable page
+  const mobile = bill.mobileNumber ? `******${escapeHtml(bill.mobileNumber.slice(-4))}` : '';
+
+  return `<!DOCTYPE html>
+<html lang="ta">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(shop.name)} - Bill ${escapeHtml(bill.billNumber)}</title>
+<style>${RECEIPT_PAGE_STYLE}</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${escapeHtml(shop.name)}</h1>
+${shop.nameTamil ? `<p><strong>${escapeHtml(shop.nameTamil)}</strong></p>` : ''}
+${shop.address ? `<p>${escapeHtml(shop.address)}</p>` : ''}
+${shop.phone ? `<p>Ph: ${escapeHtml(shop.phone)}</p>` : ''}
+${shop.gstin ? `<p>GSTIN: ${escapeHtml(shop.gstin)}</p>` : ''}
+</header>
+${bill.status === 'void' ? '<p class="void">VOID</p>' : ''}
+<p>Bill: <strong>${escapeHtml(bill.billNumber)}</strong></p>
+<p>Date: ${escapeHtml(formatBillDate(bill.date, timeZone))}</p>
+${bill.customerName ? `<p>Customer: ${escapeHtml(bill.customerName)} ${mobile}</p>` : ''}
+<table>
+<thead><tr><th>Item</th><th>Qty</th><th>Rate</th><th>Amount</th></tr></thead>
+<tbody>${items}</tbody>
+<tfoot>${totals}${row(['TOTAL', '', '', money(bill.grandTotal)], 'total')}${dues}</tfoot>
+</table>
+${taxes}
+<footer>
+${shop.footer ? `<p>${escapeHtml(shop.footer)}</p>` : ''}
+${shop.footerTamil ? `<p>${escapeHtml(shop.footerTamil)}</p>` : ''}
+</footer>
+${qrSvg ? `<figure>
+${qrSvg}
+<figcaption class="muted">Scan to open this receipt on another phone</figcaption>
+</figure>` : ''}
+</main>
+</body>
+</html>`;
+};
+
+const renderReceiptMessagePage = (title, text) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+<style>${RECEIPT_PAGE_STYLE}</style>
+</head>
+<body><main><header><h1>${escapeHtml(title)}</h1><p>${escapeHtml(text)}</p></header></main></body>
+</html>`;
+
+// Creates a link for the bill: expiresInDays (default 30, at most 365)
+app.post('/api/bills/:id/receipt-links', authorize(ROLES.CASHIER), validate({
+  params: OBJECT_ID_PARAMS,
+  body: { expiresInDays: field.integer({ min: 1, max: RECEIPT_LINK_MAX_DAYS }) }
+}), async (req, res) => {
+  try {
+    const expiresInDays = req.body.expiresInDays === undefined ? RECEIPT_LINK_DAYS : Number(req.body.expiresInDays);
+
+    if (!PUBLIC_BASE_URL) {
+      return res.status(409).json({
+        success: false,
+        message: 'Receipt links need PUBLIC_BASE_URL to be set',
+        errorType: 'RECEIPT_LINKS_NOT_CONFIGURED'
+      });
+    }
+
+    const bill = await Bill.findById(req.params.id).select('_id billNumber').lean();
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found'
+      });
+    }
+
+    const link = await createReceiptLink(bill, { expiresInDays, user: req.user });
+    auditChange(req, { entity: 'ReceiptLink', entityId: link._id, label: bill.billNumber, action: 'create', after: link });
+    const url = receiptLinkUrl(link);
+
+    res.status(201).json({
+      success: true,
+      message: 'Receipt link created',
+      link: { ...link.toObject(), url },
+      qrCode: await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1 })
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create receipt link',
+      error: err.message
+    });
+  }
+});
+
+app.get('/api/bills/:id/receipt-links', authorize(ROLES.CASHIER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const now = new Date();
+    const links = await ReceiptLink.find({ billId: req.params.id }).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      links: links.map(link => ({
+        ...link,
+        url: PUBLIC_BASE_URL ? receiptLinkUrl(link) : null,
+        active: !link.revokedAt && link.expiresAt > now
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt links',
+      error: err.message
+    });
+  }
+});
 
-      if (isNaN(productId) || isNaN(quantity)) {
-        results.push({
-          productId,
-          status: 'failed',
-          message: 'Invalid product ID or quantity'
+app.post('/api/receipt-links/:id/revoke', authorize(ROLES.CASHIER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const link = await ReceiptLink.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user._id, revokedByName: req.user.username } },
+      { new: true }
+    ).lean();
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt link not found or already revoked'
+      });
+    }
+    auditChange(req, {
+      entity: 'ReceiptLink',
+      entityId: link._id,
+      label: link.billNumber,
+      action: 'revoke',
+      before: { ...link, revokedAt: null, revokedBy: null, revokedByName: null },
+      after: link
+    });
+
+    res.json({
+      success: true,
+      message: 'Receipt link revoked',
+      link
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke receipt link',
+      error: err.message
+    });
+  }
+});
+
+// Public receipt page; outside /api, so no login is needed
+app.get('/receipts/:token', validate({ params: { token: field.string({ max: 200 }) } }), async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+
+  try {
+    const linkId = verifyReceiptLinkToken(req.params.token);
+    const link = linkId && await ReceiptLink.findOneAndUpdate(
+      { _id: linkId, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } },
+      { new: true }
+    ).lean();
+    const bill = link && await Bill.findById(link.billId).lean();
+
+    if (!bill) {
+      return res.status(404).type('html').send(renderReceiptMessagePage(
+        'Receipt not available',
+        'This receipt link is invalid, has expired or has been withdrawn. Please ask the shop for a new link.'
+      ));
+    }
+
+    const [shop, clock] = await Promise.all([getSetting('shop'), getBusinessClock()]);
+    const qrSvg = PUBLIC_BASE_URL
+      ? await QRCode.toString(receiptLinkUrl(link), { type: 'svg', errorCorrectionLevel: 'M', margin: 1 })
+      : '';
+
+    res.type('html').send(renderReceiptHtml(bill, shop, { timeZone: clock.timeZone, qrSvg }));
+  } catch (err) {
+    console.error('Receipt page error:', err);
+    res.status(500).type('html').send(renderReceiptMessagePage(
+      'Something went wrong',
+      'The receipt could not be shown right now. Please try again later.'
+    ));
+  }
+});
+
+// Audit Log
+// Write requests, newest first: ?entity=&entityId=&user=&method= and an
+// optional from/to day range in the shop's time zone. entity is any model name
+// a change was logged against (Bill, Product, Coupon, DayClose...)
+app.get('/api/audit-logs', authorize(ROLES.OWNER), validate({
+  query: {
+    ...PAGE_QUERY,
+    ...DAY_RANGE_QUERY,
+    entity: field.string({ max: 50 }),
+    entityId: field.string({ max: 50 }),
+    user: field.string({ max: 50 }),
+    method: field.oneOf(AUDITED_METHODS)
+  }
+}), async (req, res) => {
+  try {
+    const { page, limit, skip } = pageParams(req.query);
+    const filter = {};
+
+    if (req.query.entity || req.query.entityId) {
+      filter.changes = {
+        $elemMatch: {
+          ...(req.query.entity ? { entity: req.query.entity } : {}),
+          ...(req.query.entityId ? { entityId: String(req.query.entityId) } : {})
+        }
+      };
+    }
+    if (req.query.user) {
+      filter.$or = [
+        { username: req.query.user },
+        ...(mongoose.isValidObjectId(req.query.user) ? [{ userId: req.query.user }] : [])
+      ];
+    }
+    if (req.query.method) filter.method = req.query.method;
+
+    if (req.query.from || req.query.to) {
+      let range;
+      try {
+        range = await businessDayRange(req.query);
+      } catch (rangeError) {
+        return res.status(400).json({
+          success: false,
+          message: rangeError.message,
+          errorType: rangeError.errorType
         });
-        continue;
       }
+      filter.createdAt = { $gte: range.startDate, $lt: range.endDate };
+    }
+
+    // Bill snapshots are left to the revision history
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter).select('-changes.snapshot').sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      logs,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit log',
+      error: err.message
+    });
+  }
+});
+
+// Every saved version of a bill, oldest first, with who saved it and what
+// changed. Bills made before the audit log start at their first logged change.
+app.get('/api/bills/:id/revisions', authorize(ROLES.OWNER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const [bill, logs] = await Promise.all([
+      Bill.findById(id).select('billNumber').lean(),
+      AuditLog.find({ changes: { $elemMatch: { entity: 'Bill', entityId: id } } })
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+    ]);
+
+    if (!bill && logs.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found'
+      });
+    }
+
+    const revisions = logs
+      .flatMap(log => log.changes
+        .filter(change => change.entity === 'Bill' && change.entityId === id)
+        .map(change => ({
+          savedAt: log.createdAt,
+          userId: log.userId,
+          username: log.username,
+          route: `${log.method} ${log.route || log.path}`,
+          ip: log.ip,
+          action: change.action,
+          changes: change.diff,
+          bill: change.snapshot
+        })))
+      .map((revision, index) => ({ revision: index + 1, ...revision }));
+
+    res.json({
+      success: true,
+      billId: id,
+      billNumber: bill ? bill.billNumber : revisions[revisions.length - 1].bill.billNumber,
+      revisions
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bill revisions',
+      error: err.message
+    });
+  }
+});
+
+// Day Close
+// A store's trading day is opened with a cash float and closed with the cash
+// counted in the drawer. Expected cash is the float plus cash taken on bills
+// that day, less cash refunded on voids, edits and returns.
+
+// Everything the Z-report shows for one store's business day
+const buildDayReport = async (day, store, clock) => {
+  const { startDate, endDate } = parseDayRange(
+    { from: day, to: day },
+    { defaultTimeZone: clock.timeZone, dayStartHour: clock.dayStartHour }
+  );
+  const scope = storeFilter(store);
+  const inDay = { $gte: startDate, $lt: endDate };
+
+  const [sales, voids, tenders, returns] = await Promise.all([
+    Bill.aggregate([
+      { $match: { ...ACTIVE_BILL_FILTER, ...scope, date: inDay } },
+      { $sort: { date: 1, _id: 1 } },
+      {
+        $group: {
+          _id: null,
+          billCount: { $sum: 1 },
+          firstBillNumber: { $first: '$billNumber' },
+          lastBillNumber: { $last: '$billNumber' },
+          grossSales: { $sum: { $ifNull: ['$grossTotal', '$grandTotal'] } },
+          discountTotal: { $sum: { $ifNull: ['$discountTotal', 0] } },
+          taxableTotal: { $sum: { $ifNull: ['$taxableTotal', '$grandTotal'] } },
+          cgstTotal: { $sum: { $ifNull: ['$cgstTotal', 0] } },
+          sgstTotal: { $sum: { $ifNull: ['$sgstTotal', 0] } },
+          igstTotal: { $sum: { $ifNull: ['$igstTotal', 0] } },
+          roundOff: { $sum: { $ifNull: ['$roundOff', 0] } },
+          totalSales: { $sum: '$grandTotal' },
+          onCredit: { $sum: { $ifNull: ['$balanceDue', 0] } }
+        }
+      }
+    ]),
+    Bill.aggregate([
+      { $match: { ...scope, status: 'void', voidedAt: inDay } },
+      { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$grandTotal' } } }
+    ]),
+    // Payments are counted on the day they were taken, including dues settled
+    // on older bills and refunds made when a bill was voided or edited down
+    Bill.aggregate([
+      { $match: { ...scope, 'payments.receivedAt': inDay } },
+      { $unwind: '$payments' },
+      { $match: { 'payments.receivedAt': inDay } },
+      {
+        $group: {
+          _id: { mode: '$payments.mode', kind: { $ifNull: ['$payments.kind', 'payment'] } },
+          amount: { $sum: '$payments.amount' }
+        }
+      }
+    ]),
+    CreditNote.aggregate([
+      { $match: { ...scope, date: inDay } },
+      {
+        $group: {
+          _id: '$refundMode',
+          count: { $sum: 1 },
+          total: { $sum: '$total' },
+          refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const payments = PAYMENT_MODES.map(mode => {
+    const tendered = (kind) => tenders
+      .filter(row => row._id.mode === mode && row._id.kind === kind)
+      .reduce((sum, row) => sum + row.amount, 0);
+    const returnRefunds = returns
+      .filter(row => row._id === mode)
+      .reduce((sum, row) => sum + row.refunded, 0);
+    const received = roundMoney(tendered('payment'));
+    const refunded = roundMoney(tendered('refund') + returnRefunds);
+    return { mode, received, refunded, net: roundMoney(received - refunded) };
+  });
+
+  const totals = sales[0] || {};
+  const money = (value) => roundMoney(value || 0);
+  const returnsTotal = money(returns.reduce((sum, row) => sum + row.total, 0));
+
+  return {
+    day,
+    store,
+    timeZone: clock.timeZone,
+    dayStartHour: clock.dayStartHour,
+    from: startDate,
+    to: new Date(endDate.getTime() - 1),
+    bills: {
+      count: totals.billCount || 0,
+      firstBillNumber: totals.firstBillNumber || null,
+      lastBillNumber: totals.lastBillNumber || null
+    },
+    sales: {
+      grossSales: money(totals.grossSales),
+      discountTotal: money(totals.discountTotal),
+      taxableTotal: money(totals.taxableTotal),
+      cgstTotal: money(totals.cgstTotal),
+      sgstTotal: money(totals.sgstTotal),
+      igstTotal: money(totals.igstTotal),
+      roundOff: money(totals.roundOff),
+      totalSales: money(totals.totalSales),
+      onCredit: money(totals.onCredit)
+    },
+    voids: {
+      count: voids.length > 0 ? voids[0].count : 0,
+      total: money(voids.length > 0 && voids[0].total)
+    },
+    returns: {
+      count: returns.reduce((sum, row) => sum + row.count, 0),
+      total: returnsTotal,
+      refunded: money(returns.reduce((sum, row) => sum + row.refunded, 0))
+    },
+    netSales: money(totals.totalSales - returnsTotal),
+    payments
+  };
+};
+
+const cashSummary = (report, openingFloat, countedCash) => {
+  const cash = report.payments.find(row => row.mode === 'cash');
+  const expected = roundMoney(openingFloat + cash.net);
+  return {
+    openingFloat,
+    received: cash.received,
+    refunded: cash.refunded,
+    expected,
+    counted: countedCash ?? null,
+    variance: countedCash === undefined ? null : roundMoney(countedCash - expected)
+  };
+};
+
+// Bills of a closed day stay as they were counted until an owner reopens it
+const findClosedDay = async (bill, session) => {
+  const day = businessDayOf(bill.date, await getBusinessClock());
+  return DayClose.findOne({ day, store: bill.store || DEFAULT_STORE_ID, status: 'closed' })
+    .session(session)
+    .lean();
+};
+
+// Resolves the store for :day, or answers 400 and returns null
+const dayCloseTarget = async (req, res) => {
+  try {
+    const store = await requireStore(storeForUser(req.user, (req.body && req.body.store) || req.query.store));
+    return { day: req.params.day, store: store._id };
+  } catch (storeError) {
+    res.status(400).json({
+      success: false,
+      message: storeError.message,
+      errorType: storeError.errorType
+    });
+    return null;
+  }
+};
+
+const parseCashAmount = (value, field) => {
+  const amount = Number(value);
+  if (value === undefined || value === null || value === '' || isNaN(amount) || amount < 0) {
+    throw billingError(`${field} must be an amount of zero or more`, 'INVALID_AMOUNT');
+  }
+  return roundMoney(amount);
+};
+
+// Z-report in the receipt layout so it prints on the counter printer
+const buildZReportLines = (dayClose, shop, width, timeZone) => {
+  const { report } = dayClose;
+  const rule = { text: '-'.repeat(width) };
+  const row = (label, value) => ({ text: padColumns(label, value, width) });
+  const lines = [{ text: shop.name, align: 'center', bold: true, large: true }];
+
+  if (shop.address) lines.push({ text: shop.address, align: 'center' });
+  if (shop.gstin) lines.push({ text: `GSTIN: ${shop.gstin}`, align: 'center' });
+  lines.push({ text: `Z-REPORT ${dayClose.zReportNumber}`, align: 'center', bold: true });
+  lines.push(rule);
+  lines.push({ text: `Day: ${dayClose.day}  Store: ${dayClose.store}` });
+  lines.push({ text: `Closed: ${formatBillDate(dayClose.closedAt, timeZone)}` });
+  if (dayClose.closedByName) lines.push({ text: `By: ${dayClose.closedByName}` });
+  if (report.bills.count > 0) {
+    lines.push({ text: `Bills: ${report.bills.firstBillNumber} - ${report.bills.lastBillNumber}` });
+  }
+  lines.push(rule);
+
+  lines.push(row('Bills', report.bills.count));
+  lines.push(row('Gross sales', formatAmount(report.sales.grossSales)));
+  if (report.sales.discountTotal) lines.push(row('Discounts', `-${formatAmount(report.sales.discountTotal)}`));
+  lines.push(row('Taxable value', formatAmount(report.sales.taxableTotal)));
+  if (report.sales.cgstTotal) lines.push(row('CGST', formatAmount(report.sales.cgstTotal)));
+  if (report.sales.sgstTotal) lines.push(row('SGST', formatAmount(report.sales.sgstTotal)));
+  if (report.sales.igstTotal) lines.push(row('IGST', formatAmount(report.sales.igstTotal)));
+  if (report.sales.roundOff) lines.push(row('Round off', formatAmount(report.sales.roundOff)));
+  lines.push({ ...row('Total sales', formatAmount(report.sales.totalSales)), bold: true });
+  lines.push(row(`Returns (${report.returns.count})`, `-${formatAmount(report.returns.total)}`));
+  lines.push({ ...row('Net sales', formatAmount(report.netSales)), bold: true });
+  if (report.voids.count > 0) lines.push(row(`Voided (${report.voids.count})`, formatAmount(report.voids.total)));
+  if (report.sales.onCredit) lines.push(row('On credit', formatAmount(report.sales.onCredit)));
+  lines.push(rule);
+
+  for (const payment of report.payments) {
+    if (!payment.received && !payment.refunded) continue;
+    lines.push(row(payment.mode.toUpperCase(), formatAmount(payment.net)));
+    if (payment.refunded) lines.push(row('  refunded', `-${formatAmount(payment.refunded)}`));
+  }
+  lines.push(rule);
+
+  lines.push(row('Opening float', formatAmount(report.cash.openingFloat)));
+  lines.push(row('Expected cash', formatAmount(report.cash.expected)));
+  lines.push(row('Counted cash', formatAmount(report.cash.counted)));
+  lines.push({ ...row('Variance', formatAmount(report.cash.variance)), bold: true });
+  if (dayClose.note) lines.push({ text: `Note: ${dayClose.note}` });
+  lines.push(rule);
+  return lines;
+};
+
+app.get('/api/day-close', authorize(ROLES.OWNER), validate({
+  query: {
+    from: field.day(),
+    to: field.day(),
+    status: field.oneOf(['open', 'closed']),
+    store: STORE_CODE,
+    limit: field.integer({ min: 1 })
+  }
+}), async (req, res) => {
+  try {
+    const filter = { ...storeScope(req.query.store) };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      filter.day = {};
+      if (req.query.from) filter.day.$gte = req.query.from;
+      if (req.query.to) filter.day.$lte = req.query.to;
+    }
+
+    const days = await DayClose.find(filter)
+      .select('-report')
+      .sort({ day: -1, store: 1 })
+      .limit(Math.min(parseInt(req.query.limit) || 31, 366))
+      .lean();
+
+    res.json({
+      success: true,
+      days
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch day closes',
+      error: err.message
+    });
+  }
+});
+
+// A closed day returns its Z-report; an open day returns the figures so far
+app.get('/api/day-close/:day', authorize(ROLES.CASHIER), validate({ params: { day: field.day() }, query: { store: STORE_CODE } }), async (req, res) => {
+  try {
+    const target = await dayCloseTarget(req, res);
+    if (!target) return;
+
+    const dayClose = await DayClose.findOne(target).lean();
+    if (dayClose && dayClose.status === 'closed') {
+      return res.json({
+        success: true,
+        dayClose,
+        report: dayClose.report
+      });
+    }
+
+    const report = await buildDayReport(target.day, target.store, await getBusinessClock());
+    report.cash = cashSummary(report, dayClose ? dayClose.openingFloat : 0);
+
+    res.json({
+      success: true,
+      dayClose,
+      report
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch day',
+      error: err.message
+    });
+  }
+});
+
+app.post('/api/day-close/:day/open', authorize(ROLES.CASHIER), validate({
+  params: { day: field.day() },
+  query: { store: STORE_CODE },
+  body: { openingFloat: field.number({ min: 0 }), store: STORE_CODE }
+}), idempotent, async (req, res) => {
+  try {
+    const target = await dayCloseTarget(req, res);
+    if (!target) return;
+
+    let openingFloat;
+    try {
+      openingFloat = parseCashAmount(req.body.openingFloat, 'Opening float');
+    } catch (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError.message,
+        errorType: amountError.errorType
+      });
+    }
+
+    if (target.day > businessDayOf(new Date(), await getBusinessClock())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days ahead of today cannot be opened',
+        errorType: 'INVALID_DAY'
+      });
+    }
+
+    const dayClose = await DayClose.create({
+      ...target,
+      openingFloat,
+      openedBy: req.user._id,
+      openedByName: req.user.username
+    });
+    auditChange(req, { entity: 'DayClose', entityId: dayClose._id, label: `${dayClose.day} ${dayClose.store}`, action: 'open', after: dayClose });
+
+    res.status(201).json({
+      success: true,
+      message: `Day ${target.day} opened`,
+      dayClose
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `Day ${req.params.day} is already open`,
+        errorType: 'DAY_ALREADY_OPEN'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open day',
+      error: err.message
+    });
+  }
+});
+
+// Counts the drawer and stores the Z-report. A day that was never opened is
+// opened on the spot with the openingFloat sent (or none).
+app.post('/api/day-close/:day/close', authorize(ROLES.CASHIER), validate({
+  params: { day: field.day() },
+  query: { store: STORE_CODE },
+  body: {
+    countedCash: field.number({ required: true, min: 0 }),
+    openingFloat: field.number({ min: 0 }),
+    note: field.string({ max: 500 }),
+    store: STORE_CODE
+  }
+}), idempotent, async (req, res) => {
+  try {
+    const target = await dayCloseTarget(req, res);
+    if (!target) return;
+
+    let countedCash;
+    let openingFloat;
+    try {
+      countedCash = parseCashAmount(req.body.countedCash, 'Counted cash');
+      openingFloat = req.body.openingFloat === undefined
+        ? undefined
+        : parseCashAmount(req.body.openingFloat, 'Opening float');
+    } catch (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError.message,
+        errorType: amountError.errorType
+      });
+    }
+
+    const clock = await getBusinessClock();
+    if (target.day > businessDayOf(new Date(), clock)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days ahead of today cannot be closed',
+        errorType: 'INVALID_DAY'
+      });
+    }
+
+    const existing = await DayClose.findOneAndUpdate(
+      target,
+      {
+        $setOnInsert: {
+          openingFloat: openingFloat || 0,
+          openedBy: req.user._id,
+          openedByName: req.user.username,
+          openedAt: new Date()
+        }
+      },
+      { new: true, upsert: true }
+    ).lean();
+
+    if (existing.status === 'closed') {
+      return res.status(409).json({
+        success: false,
+        message: `Day ${target.day} is already closed`,
+        errorType: 'DAY_CLOSED'
+      });
+    }
+
+    const report = await buildDayReport(target.day, target.store, clock);
+    report.cash = cashSummary(report, existing.openingFloat, countedCash);
+
+    // Reclosing after a reopen keeps the Z-report number
+    let { zReportNumber } = existing;
+    if (!zReportNumber) {
+      const counter = await Counter.findByIdAndUpdate(
+        { _id: 'zReport' },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      zReportNumber = `Z-${counter.seq.toString().padStart(5, '0')}`;
+    }
+
+    // Only the request that finds the day still open gets to close it
+    const dayClose = await DayClose.findOneAndUpdate(
+      { _id: existing._id, status: 'open' },
+      {
+        $set: {
+          status: 'closed',
+          zReportNumber,
+          expectedCash: report.cash.expected,
+          countedCash,
+          variance: report.cash.variance,
+          note: req.body.note || '',
+          report,
+          closedBy: req.user._id,
+          closedByName: req.user.username,
+          closedAt: new Date()
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (!dayClose) {
+      return res.status(409).json({
+        success: false,
+        message: `Day ${target.day} is already closed`,
+        errorType: 'DAY_CLOSED'
+      });
+    }
+    auditChange(req, {
+      entity: 'DayClose',
+      entityId: dayClose._id,
+      label: `${dayClose.day} ${dayClose.store}`,
+      action: 'close',
+      before: existing,
+      // The Z-report is kept on the day close itself
+      after: { ...dayClose, report: existing.report }
+    });
+
+    res.json({
+      success: true,
+      message: report.cash.variance === 0
+        ? `Day ${target.day} closed; cash matches`
+        : `Day ${target.day} closed with a variance of ${formatAmount(report.cash.variance)}`,
+      dayClose
+    });
+  } catch (err) {
+    console.error('Day close error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close day',
+      error: err.message
+    });
+  }
+});
+
+// Lets the day's bills be edited or voided again; it has to be closed once more afterwards
+app.post('/api/day-close/:day/reopen', authorize(ROLES.OWNER), validate({
+  params: { day: field.day() },
+  query: { store: STORE_CODE },
+  body: { reason: field.string({ required: true, max: 500 }), store: STORE_CODE }
+}), async (req, res) => {
+  try {
+    const target = await dayCloseTarget(req, res);
+    if (!target) return;
+
+    const reason = req.body.reason && String(req.body.reason).trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reopen a day',
+        errorType: 'REOPEN_REASON_REQUIRED'
+      });
+    }
+
+    const closed = await DayClose.findOne({ ...target, status: 'closed' }).lean();
+    if (!closed) {
+      return res.status(409).json({
+        success: false,
+        message: `Day ${target.day} is not closed`,
+        errorType: 'DAY_NOT_CLOSED'
+      });
+    }
 
-      bulkOperations.push({
-        updateOne: {
-          filter: { _id: productId },
-          update: { $inc: { stock: quantity } }
+    const dayClose = await DayClose.findOneAndUpdate(
+      { _id: closed._id, status: 'closed' },
+      {
+        $set: { status: 'open' },
+        $push: {
+          reopenings: {
+            reason,
+            zReportNumber: closed.zReportNumber,
+            countedCash: closed.countedCash,
+            variance: closed.variance,
+            reopenedBy: req.user._id,
+            reopenedByName: req.user.username,
+            reopenedAt: new Date()
+          }
         }
+      },
+      { new: true }
+    ).lean();
+    if (dayClose) {
+      auditChange(req, {
+        entity: 'DayClose',
+        entityId: dayClose._id,
+        label: `${dayClose.day} ${dayClose.store}`,
+        action: 'reopen',
+        before: closed,
+        after: dayClose
       });
     }
 
-    let bulkResult = null;
-    if (bulkOperations.length > 0) {
-      bulkResult = await Product.bulkWrite(bulkOperations, { session });
+    res.json({
+      success: true,
+      message: `Day ${target.day} reopened`,
+      dayClose
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reopen day',
+      error: err.message
+    });
+  }
+});
+
+// Z-report of a closed day: ?format=json, text or escpos, ?width=58|80 for the printed forms
+app.get('/api/day-close/:day/z-report', authorize(ROLES.CASHIER), validate({
+  params: { day: field.day() },
+  query: {
+    width: field.oneOf(Object.keys(RECEIPT_WIDTHS)),
+    format: field.oneOf(['json', 'text', 'escpos']),
+    store: STORE_CODE
+  }
+}), async (req, res) => {
+  try {
+    const paper = RECEIPT_WIDTHS[req.query.width || '80'];
+    const format = req.query.format || 'json';
+
+    const target = await dayCloseTarget(req, res);
+    if (!target) return;
+
+    const dayClose = await DayClose.findOne({ ...target, status: 'closed' }).lean();
+    if (!dayClose) {
+      return res.status(404).json({
+        success: false,
+        message: `Day ${target.day} has not been closed`,
+        errorType: 'DAY_NOT_CLOSED'
+      });
     }
 
-    const updatedProductIds = updates
-      .map(u => parseInt(u.productId))
-      .filter(id => !isNaN(id));
-    
-    const updatedProducts = await Product.find(
-      { _id: { $in: updatedProductIds } },
-      { _id: 1, stock: 1, nameTamil: 1 }
-    ).session(session);
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        zReportNumber: dayClose.zReportNumber,
+        closedAt: dayClose.closedAt,
+        closedByName: dayClose.closedByName,
+        note: dayClose.note,
+        report: dayClose.report
+      });
+    }
 
-    const response = {
-      success: true,
-      message: 'Bulk update processed',
-      results: updates.map(update => {
-        const productId = parseInt(update.productId);
-        const product = updatedProducts.find(p => p._id === productId);
-        
-        if (!product) {
-          return {
-            productId,
-            status: 'failed',
-            message: 'Product not found'
-          };
-        }
+    const [shop, clock] = await Promise.all([getSetting('shop'), getBusinessClock()]);
+    const lines = buildZReportLines(dayClose, shop, paper.chars, clock.timeZone);
 
-        return {
-          productId,
-          productName: product.nameTamil,
-          newStock: product.stock,
-          status: 'success',
-          message: 'Stock updated successfully'
-        };
-      })
-    };
+    if (format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(renderReceiptText(lines, paper.chars));
+    }
 
-    await session.commitTransaction();
-    res.json(response);
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="z-report-${dayClose.zReportNumber}.bin"`);
+    res.send(renderReceiptEscPos(lines, paper));
   } catch (err) {
-    await session.abortTransaction();
-    console.error('Bulk update error:', err);
-    res.status(400).json({ 
+    console.error('Z-report rendering error:', err);
+    res.status(500).json({
       success: false,
-      message: 'Failed to process bulk update',
-      error: err.message 
+      message: 'Failed to render Z-report',
+      error: err.message
     });
-  } finally {
-    session.endSession();
   }
 });
 
-// Billing System
-// Enhanced Billing Endpoint with better error handling
-app.post('/api/bills', async (req, res) => {
+// Get bill by ID
+app.get('/api/bills/:id', authorize(ROLES.CASHIER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const bill = await Bill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ message: 'Bill not found' });
+    res.json(bill);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Update bill
+app.put('/api/bills/:id', authorize(ROLES.OWNER), validate({
+  params: OBJECT_ID_PARAMS,
+  body: {
+    items: BILL_FIELDS.items,
+    customerName: BILL_FIELDS.customerName,
+    mobileNumber: BILL_FIELDS.mobileNumber,
+    placeOfSupply: BILL_FIELDS.placeOfSupply,
+    customerGstin: BILL_FIELDS.customerGstin,
+    discountType: BILL_FIELDS.discountType,
+    discountValue: BILL_FIELDS.discountValue,
+    discountReason: BILL_FIELDS.discountReason
+  }
+}), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
-  
+
   try {
-    const { billNumber, items, customerName, mobileNumber } = req.body;
+    const { items, customerName, mobileNumber, placeOfSupply, customerGstin } = req.body;
     
-    // Check if the bill number is unique to prevent duplicate key error during concurrency
-    let finalBillNumber = billNumber;
-    if (finalBillNumber) {
-      const existingBill = await Bill.findOne({ billNumber: finalBillNumber }).session(session);
-      if (existingBill) {
-        finalBillNumber = undefined; // trigger hook to generate next sequential unique number
-      }
-    }
-    
-    // Validate required fields
-    if (!items || !Array.isArray(items) || items.length === 0) {
+    const oldBill = await Bill.findById(req.params.id).session(session);
+    if (!oldBill) {
       await session.abortTransaction();
-      return res.status(400).json({ 
-        success: false,
-        message: 'At least one bill item is required',
-        errorType: 'NO_ITEMS'
-      });
+      return res.status(404).json({ message: 'Bill not found' });
     }
 
-    if (!customerName || !mobileNumber) {
+    if (oldBill.status === 'void' || oldBill.returnedTotal > 0) {
       await session.abortTransaction();
-      return res.status(400).json({ 
-        success: false,
-        message: 'Customer name and mobile number are required',
-        errorType: 'MISSING_CUSTOMER_INFO'
+      return res.status(409).json({
+        message: oldBill.status === 'void'
+          ? 'Voided bills cannot be edited'
+          : 'Bills with returns cannot be edited',
+        errorType: oldBill.status === 'void' ? 'BILL_VOID' : 'BILL_HAS_RETURNS'
       });
     }
 
-    // Validate mobile number format
-    if (!/^\d{10}$/.test(mobileNumber)) {
+    const closedDay = await findClosedDay(oldBill, session);
+    if (closedDay) {
       await session.abortTransaction();
-      return res.status(400).json({ 
-        success: false,
-        message: 'Mobile number must be 10 digits',
-        errorType: 'INVALID_MOBILE_NUMBER'
+      return res.status(409).json({
+        message: `Day ${closedDay.day} is closed; an owner must reopen it before its bills can be edited`,
+        errorType: 'DAY_CLOSED'
       });
     }
 
-    let grandTotal = 0;
-    const billItems = [];
-    const stockUpdates = [];
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      throw new Error('At least one bill item is required');
+    }
+
+    const supply = resolvePlaceOfSupply({
+      placeOfSupply: placeOfSupply || (customerGstin ? undefined : oldBill.placeOfSupply),
+      customerGstin: customerGstin !== undefined ? customerGstin : oldBill.customerGstin
+    });
+
+    // Rebuild priced lines from items and validate products
+    const pricingEntries = [];
     const productCache = {};
-    
-    // Process each item with detailed validation
-    for (const [index, item] of items.entries()) {
-      try {
-        const productId = parseInt(item.productId);
-        const quantity = parseInt(item.quantity);
-        
-        if (isNaN(productId) || productId <= 0) {
-          throw new Error(`Invalid product ID at position ${index}`);
-        }
-        
-        if (isNaN(quantity) || quantity <= 0) {
-          throw new Error(`Invalid quantity at position ${index}`);
-        }
+    const stockChanges = {}; // productId -> quantity change (positive is return to stock, negative is take from stock)
+
+    // Add back old quantities (return to stock)
+    for (const item of oldBill.items) {
+      const pid = item.productId;
+      stockChanges[pid] = (stockChanges[pid] || 0) + item.quantity;
+    }
 
-        // Check product cache first
-        let product = productCache[productId];
+    // Subtract new quantities (take from stock) and compute tax per line
+    for (const item of items) {
+      const pid = parseInt(item.productId);
+      const quantity = parseQuantity(item.quantity);
+      if (isNaN(pid)) {
+        throw new Error('Invalid product ID');
+      }
+      if (isNaN(quantity) || quantity <= 0) {
+        throw new Error(`Invalid quantity for product ${pid}`);
+      }
+
+      if (!productCache[pid]) {
+        const product = await Product.findById(pid).session(session);
         if (!product) {
-          product = await Product.findOne({ _id: productId }).session(session);
-          if (!product) {
-            throw new Error(`Product ${productId} not found at position ${index}`);
-          }
-          productCache[productId] = product;
-        }
-        
-        if (product.stock < quantity) {
-          throw new Error(
-            `Insufficient stock for ${product.nameTamil} (Available: ${product.stock}, Requested: ${quantity}) at position ${index}`
-          );
+          throw new Error(`Product ${pid} not found`);
         }
-        
-        const itemTotal = quantity * product.price;
-        grandTotal += itemTotal;
-        
-        billItems.push({
-          productId: product._id,
-          nameTamil: product.nameTamil,
-          quantity,
-          price: product.price,
-          total: itemTotal
-        });
-        
-        stockUpdates.push({
-          updateOne: {
-            filter: { _id: product._id },
-            update: { $inc: { stock: -quantity } }
-          }
+        productCache[pid] = product;
+      }
+      
+      const product = productCache[pid];
+      if (!quantityFitsUnit(quantity, product.unit)) {
+        throw new Error(`${product.nameTamil} is sold in whole ${product.unit}`);
+      }
+      pricingEntries.push({
+        product,
+        quantity,
+        price: item.price,
+        discountType: item.discountType,
+        discountValue: item.discountValue
+      });
+      stockChanges[pid] = roundQuantity((stockChanges[pid] || 0) - quantity);
+    }
+
+    // Keep the bill-level discount unless the edit changes it; a coupon stays
+    // with its original terms and is not redeemed again
+    const billDiscounts = [];
+    if (req.body.discountType !== undefined) {
+      if (req.body.discountType) {
+        billDiscounts.push({
+          scope: 'bill',
+          discountType: req.body.discountType,
+          value: req.body.discountValue,
+          reason: req.body.discountReason
         });
-      } catch (itemError) {
+      }
+    } else {
+      const previousBillDiscount = oldBill.discounts.find(d => d.scope === 'bill');
+      if (previousBillDiscount) billDiscounts.push(previousBillDiscount.toObject());
+    }
+    const previousCoupon = oldBill.discounts.find(d => d.scope === 'coupon');
+    if (previousCoupon) billDiscounts.push(previousCoupon.toObject());
+    // Points already spent keep discounting the bill, up to its new total
+    const previousLoyalty = oldBill.discounts.find(d => d.scope === 'loyalty');
+    if (previousLoyalty) billDiscounts.push(previousLoyalty.toObject());
+
+    const pricing = priceBillItems(pricingEntries, {
+      supplyType: supply.supplyType,
+      billDiscounts,
+      appliedBy: req.user,
+      maxManualPercent: manualDiscountLimit(req.user, await getSetting('discounts'))
+    });
+    const billTotals = summarizeBillTax(pricing.items);
+
+    // Refund anything paid beyond the new total, then move the customer's
+    // dues by however much the balance changed
+    // Bills from before payment tracking were settled in cash at the counter
+    const billPayments = oldBill.payments.length > 0 || oldBill.balanceDue > 0
+      ? oldBill.payments.map(payment => payment.toObject())
+      : [{ mode: 'cash', kind: 'payment', amount: oldBill.grandTotal, receivedAt: oldBill.date }];
+    const paidBefore = summarizePayments(billPayments, oldBill.grandTotal);
+    if (paidBefore.amountPaid > billTotals.grandTotal) {
+      // The refund is paid out today, so today must still be open
+      const refundDay = await findClosedDay({ date: new Date(), store: oldBill.store }, session);
+      if (refundDay) {
         await session.abortTransaction();
-        return res.status(400).json({
-          success: false,
-          message: itemError.message,
-          errorType: 'INVALID_ITEM',
-          itemIndex: index
+        return res.status(409).json({
+          message: `Day ${refundDay.day} is closed; an owner must reopen it before refunds can be paid`,
+          errorType: 'DAY_CLOSED'
         });
       }
+      billPayments.push({
+        mode: 'cash',
+        kind: 'refund',
+        amount: roundMoney(paidBefore.amountPaid - billTotals.grandTotal),
+        reference: 'Bill edit',
+        receivedBy: req.user._id,
+        receivedByName: req.user.username,
+        receivedAt: new Date()
+      });
     }
-    
-    // Process stock updates in bulk
-    try {
-      if (stockUpdates.length > 0) {
-        await Product.bulkWrite(stockUpdates, { session });
+    const paymentTotals = summarizePayments(billPayments, billTotals.grandTotal);
+    const previousBalanceDue = oldBill.balanceDue || 0;
+
+    // Points earned follow the new total; the customer is the one the bill was made for
+    const loyalty = await getSetting('loyalty');
+    const pointsEarned = loyalty.enabled
+      ? pointsEarnedOn(billTotals.grandTotal, loyalty)
+      : oldBill.loyaltyPointsEarned || 0;
+    const pointsChange = pointsEarned - (oldBill.loyaltyPointsEarned || 0);
+
+    // Apply stock changes
+    for (const [productIdStr, change] of Object.entries(stockChanges)) {
+      if (change === 0) continue;
+
+      const productId = parseInt(productIdStr);
+      let product = productCache[productId];
+      if (!product) {
+        product = await Product.findById(productId).session(session);
+        if (!product) {
+          throw new Error(`Product ${productId} not found during stock adjustment`);
+        }
+        productCache[productId] = product;
       }
-    } catch (bulkWriteError) {
-      await session.abortTransaction();
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to update product stock',
-        error: bulkWriteError.message,
-        errorType: 'STOCK_UPDATE_FAILED'
+
+      // If change is negative (we need more stock), verify availability
+      const available = storeStockOf(product, oldBill.store || DEFAULT_STORE_ID);
+      if (change < 0 && (available + change) < 0) {
+        throw new Error(`Insufficient stock for ${product.nameTamil} (Available: ${available}, Additional needed: ${-change})`);
+      }
+
+      await applyStockChange({
+        productId,
+        store: oldBill.store || DEFAULT_STORE_ID,
+        quantity: change,
+        reason: 'bill-edit',
+        ref: { type: 'Bill', id: oldBill._id, number: oldBill.billNumber },
+        user: req.user,
+        session
       });
     }
-    
-    // Create and save the bill
-    const bill = new Bill({
-      billNumber: finalBillNumber,
-      items: billItems,
-      grandTotal,
-      customerName,
-      mobileNumber
-    });
-    
-    const savedBill = await bill.save({ session });
 
-    // Save contact if doesn't exist (but don't fail bill creation if this fails)
-    try {
-      const existingContact = await Contact.findOne({ mobileNumber }).session(session);
-      if (!existingContact) {
-        const newContact = new Contact({
-          name: customerName,
+    const updatedBill = await Bill.findByIdAndUpdate(
+      req.params.id,
+      { 
+        $set: {
+          items: pricing.items,
+          ...supply,
+          customerGstin: customerGstin !== undefined ? customerGstin : oldBill.customerGstin,
+          discounts: pricing.discounts,
+          ...billTotals,
+          payments: billPayments,
+          ...paymentTotals,
+          loyaltyPointsEarned: pointsEarned,
+          customerName,
           mobileNumber
+        }
+      },
+      { new: true, session }
+    );
+
+    if (pointsChange > 0) {
+      await postLoyaltyEntry({
+        mobileNumber: oldBill.mobileNumber,
+        customerName: oldBill.customerName,
+        entryType: 'earn',
+        points: pointsChange,
+        bill: updatedBill,
+        note: 'Bill edited',
+        user: req.user,
+        session
+      });
+    } else if (pointsChange < 0) {
+      await reverseEarnedPoints({
+        mobileNumber: oldBill.mobileNumber,
+        points: -pointsChange,
+        bill: updatedBill,
+        note: 'Bill edited',
+        user: req.user,
+        session
+      });
+    }
+
+    // A bill moved to another mobile number takes its dues with it
+    if (mobileNumber !== oldBill.mobileNumber) {
+      if (previousBalanceDue !== 0) {
+        await postLedgerEntry({
+          mobileNumber: oldBill.mobileNumber,
+          customerName: oldBill.customerName,
+          entryType: 'adjustment',
+          amount: -previousBalanceDue,
+          bill: updatedBill,
+          note: `Bill moved to ${mobileNumber}`,
+          user: req.user,
+          session
+        });
+      }
+      if (paymentTotals.balanceDue !== 0) {
+        await postLedgerEntry({
+          mobileNumber,
+          customerName,
+          entryType: 'adjustment',
+          amount: paymentTotals.balanceDue,
+          bill: updatedBill,
+          note: `Bill moved from ${oldBill.mobileNumber}`,
+          user: req.user,
+          session
         });
-        await newContact.save({ session });
       }
-    } catch (contactError) {
-      console.error('Failed to save contact:', contactError);
-      // Continue with bill creation even if contact save fails
+    }
+
+    const balanceChange = roundMoney(paymentTotals.balanceDue - previousBalanceDue);
+    if (mobileNumber === oldBill.mobileNumber && balanceChange !== 0) {
+      await postLedgerEntry({
+        mobileNumber: oldBill.mobileNumber,
+        customerName: oldBill.customerName,
+        entryType: 'adjustment',
+        amount: balanceChange,
+        bill: updatedBill,
+        note: 'Bill edited',
+        user: req.user,
+        session
+      });
     }
 
     await session.commitTransaction();
-    
-    return res.status(201).json({
-      success: true,
-      message: 'Bill created successfully',
-      bill: savedBill
-    });
-  } catch (err) {
+    auditChange(req, { entity: 'Bill', entityId: updatedBill._id, label: updatedBill.billNumber, action: 'update', before: oldBill, after: updatedBill });
+
+    checkLowStock(
+      Object.entries(stockChanges)
+        .filter(([, change]) => change < 0)
+        .map(([productId]) => parseInt(productId)),
+      { type: 'Bill', id: updatedBill._id, number: updatedBill.billNumber }
+    );
+
+    res.json(updatedBill);
+  } catch (error) {
     await session.abortTransaction();
-    console.error('Bill creation error:', err);
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error during bill creation',
-      error: err.message,
-      errorType: 'INTERNAL_SERVER_ERROR'
+    console.error('Update bill error:', error);
+    res.status(400).json({ message: error.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+// Customer Messaging
+// Bills are sent to the customer's mobile number through a provider chosen with
+// MESSAGING_PROVIDER. A provider is { name, send({ channel, to, text }) } that
+// resolves with { providerMessageId } or throws; errors marked permanent (a bad
+// number, a blocked sender) are not retried.
+const MESSAGE_LOCK = 'messaging';
+const MESSAGE_BATCH_SIZE = 20;
+// A send still marked as sending after this is assumed lost and tried again
+const MESSAGE_SEND_TIMEOUT = 2 * 60 * 1000;
+const MESSAGING_COUNTRY_CODE = process.env.MESSAGING_COUNTRY_CODE || '91';
+
+const messagingError = (message, { permanent = false } = {}) =>
+  Object.assign(new Error(message), { permanent });
+
+// Local stand-in that keeps messages in memory instead of sending them, for
+// development and tests. It is only used when MESSAGING_PROVIDER=fake, and its
+// messages are logged as simulated rather than sent. Numbers ending in 0000 are
+// rejected permanently and numbers ending in 9999 fail temporarily, so both
+// failure paths can be tried.
+const createFakeProvider = () => {
+  const outbox = [];
+  return {
+    name: 'fake',
+    simulated: true,
+    outbox,
+    send: async ({ channel, to, text }) => {
+      if (to.endsWith('0000')) throw messagingError(`Fake provider rejects ${to}`, { permanent: true });
+      if (to.endsWith('9999')) throw messagingError(`Fake provider is unavailable for ${to}`);
+
+      const providerMessageId = `fake-${crypto.randomBytes(6).toString('hex')}`;
+      outbox.push({ providerMessageId, channel, to, text, sentAt: new Date() });
+      if (outbox.length > 100) outbox.shift();
+      return { providerMessageId };
+    }
+  };
+};
+
+// Posts { channel, to, text } as JSON to an HTTP gateway (e.g. a relay in front
+// of an SMS or WhatsApp Business API). 4xx answers other than 429 are permanent.
+const createWebhookProvider = ({ url, token }) => ({
+  name: 'webhook',
+  send: async ({ channel, to, text }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ channel, to: `+${MESSAGING_COUNTRY_CODE}${to}`, text }),
+      signal: AbortSignal.timeout(15000)
+    });
+
+    if (!response.ok) {
+      throw messagingError(`Gateway answered ${response.status}`, {
+        permanent: response.status >= 400 && response.status < 500 && response.status !== 429
+      });
+    }
+    const body = await response.json().catch(() => ({}));
+    return { providerMessageId: body.id || body.messageId };
+  }
+});
+
+const MESSAGE_PROVIDERS = {
+  fake: createFakeProvider,
+  webhook: () => (process.env.MESSAGING_WEBHOOK_URL
+    ? createWebhookProvider({ url: process.env.MESSAGING_WEBHOOK_URL, token: process.env.MESSAGING_WEBHOOK_TOKEN })
+    : null)
+};
+
+// null when no provider is configured; nothing is queued or sent then
+const messagingProvider = (() => {
+  const name = process.env.MESSAGING_PROVIDER;
+  if (!name) return null;
+  const provider = MESSAGE_PROVIDERS[name] && MESSAGE_PROVIDERS[name]();
+  if (provider) return provider;
+  console.warn(`⚠️ Messaging provider ${name} is unknown or not configured, customer messaging is off`);
+  return null;
+})();
+
+const BILL_MESSAGE_WORDS = {
+  en: {
+    bill: 'Bill',
+    items: 'Items',
+    total: 'Total',
+    paid: 'Paid',
+    due: 'Balance due',
+    pointsEarned: 'Points earned',
+    pointsBalance: 'Points balance',
+    receipt: 'View your bill'
+  },
+  ta: {
+    bill: 'பில்',
+    items: 'பொருட்கள்',
+    total: 'மொத்தம்',
+    paid: 'செலுத்தியது',
+    due: 'நிலுவை',
+    pointsEarned: 'பெற்ற புள்ளிகள்',
+    pointsBalance: 'மொத்த புள்ளிகள்',
+    receipt: 'உங்கள் பில்'
+  }
+};
+
+const renderBillMessage = (bill, { shop, language, timeZone, loyaltyPoints, receiptUrl }) => {
+  const words = BILL_MESSAGE_WORDS[language];
+  const lines = [
+    language === 'ta' && shop.nameTamil ? shop.nameTamil : shop.name,
+    `${words.bill} ${bill.billNumber} - ${formatBillDate(bill.date, timeZone)}`,
+    `${words.items}: ${bill.items.length}, ${words.total}: Rs.${formatAmount(bill.grandTotal)}`
+  ];
+
+  if (bill.balanceDue > 0) {
+    lines.push(`${words.paid}: Rs.${formatAmount(bill.amountPaid)}, ${words.due}: Rs.${formatAmount(bill.balanceDue)}`);
+  }
+  if (bill.loyaltyPointsEarned > 0) {
+    lines.push(`${words.pointsEarned}: ${bill.loyaltyPointsEarned}` +
+      (loyaltyPoints !== undefined ? `, ${words.pointsBalance}: ${loyaltyPoints}` : ''));
+  }
+
+  if (receiptUrl) lines.push(`${words.receipt}: ${receiptUrl}`);
+
+  const footer = language === 'ta' ? shop.footerTamil || shop.footer : shop.footer;
+  if (footer) lines.push(footer);
+  return lines.join('\n');
+};
+
+// Queues the bill's message for its customer. Customers who opted out get a
+// skipped entry in the log instead. automatic is set for the send after billing,
+// which only happens when sendOnBill is on. The receipt link is added when
+// PUBLIC_BASE_URL is set. Returns null when messaging is off or no provider is configured.
+const queueBillMessage = async (bill, { channel, language, user, automatic = false } = {}) => {
+  const [settings, shop, clock, contact] = await Promise.all([
+    getSetting('messaging'),
+    getSetting('shop'),
+    getBusinessClock(),
+    Contact.findOne({ mobileNumber: bill.mobileNumber }).lean()
+  ]);
+  if (!messagingProvider || !settings.enabled || (automatic && !settings.sendOnBill)) return null;
+
+  const messageLanguage = language || (contact && contact.language) || settings.language;
+  const optedOut = Boolean(contact && contact.messagingOptOut);
+  const receiptLink = settings.includeReceiptLink && PUBLIC_BASE_URL && !optedOut
+    ? await createReceiptLink(bill, { user })
+    : null;
+  const status = optedOut ? 'skipped' : 'queued';
+  const reason = optedOut ? 'Customer opted out of messages' : undefined;
+
+  const message = await Message.create({
+    channel: channel || (contact && contact.channel) || settings.channel,
+    to: bill.mobileNumber,
+    language: messageLanguage,
+    template: 'bill',
+    text: renderBillMessage(bill, {
+      shop,
+      language: messageLanguage,
+      timeZone: clock.timeZone,
+      loyaltyPoints: contact ? contact.loyaltyPoints : undefined,
+      receiptUrl: receiptLink ? receiptLinkUrl(receiptLink) : undefined
+    }),
+    billId: bill._id,
+    billNumber: bill.billNumber,
+    status,
+    lastError: reason,
+    events: [{ status, error: reason }],
+    createdBy: user && user._id
+  });
+
+  if (!optedOut) {
+    processMessageQueue().catch(err => console.error('Message sending failed:', err.message));
+  }
+  return message;
+};
+
+// Waits 1, 2, 4, 8... minutes between attempts, at most an hour
+const messageRetryDelay = (attempts) => Math.min(2 ** (attempts - 1), 60) * 60 * 1000;
+
+const deliverMessage = async (message, settings) => {
+  // The customer may have opted out since the message was queued
+  const contact = await Contact.findOne({ mobileNumber: message.to }).select('messagingOptOut').lean();
+  if (contact && contact.messagingOptOut) {
+    const reason = 'Customer opted out of messages';
+    await Message.updateOne({ _id: message._id }, {
+      $set: { status: 'skipped', lastError: reason },
+      $unset: { lockedUntil: 1 },
+      $push: { events: { status: 'skipped', error: reason } }
+    });
+    return;
+  }
+
+  try {
+    const { providerMessageId } = await messagingProvider.send({
+      channel: message.channel,
+      to: message.to,
+      text: message.text
+    });
+    const status = messagingProvider.simulated ? 'simulated' : 'sent';
+    await Message.updateOne({ _id: message._id }, {
+      $set: {
+        status,
+        provider: messagingProvider.name,
+        providerMessageId,
+        sentAt: new Date(),
+        lastError: null
+      },
+      $unset: { lockedUntil: 1 },
+      $push: { events: { status } }
     });
+  } catch (err) {
+    const giveUp = err.permanent || message.attempts >= settings.maxAttempts;
+    await Message.updateOne({ _id: message._id }, {
+      $set: {
+        status: giveUp ? 'failed' : 'queued',
+        provider: messagingProvider.name,
+        lastError: err.message,
+        nextAttemptAt: new Date(Date.now() + messageRetryDelay(message.attempts))
+      },
+      $unset: { lockedUntil: 1 },
+      $push: { events: { status: giveUp ? 'failed' : 'retrying', error: err.message } }
+    });
+  }
+};
+
+// Sends due messages one at a time, claiming each so no other instance sends it too
+const processMessageQueue = async () => {
+  if (!messagingProvider || !await acquireLock(MESSAGE_LOCK, 5 * 60 * 1000)) return;
+  try {
+    const settings = await getSetting('messaging');
+    if (!settings.enabled) return;
+
+    for (let sent = 0; sent < MESSAGE_BATCH_SIZE; sent++) {
+      const now = new Date();
+      const message = await Message.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'queued', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedUntil: { $lt: now } }
+          ]
+        },
+        {
+          $set: { status: 'sending', lockedUntil: new Date(now.getTime() + MESSAGE_SEND_TIMEOUT) },
+          $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      ).lean();
+      if (!message) break;
+
+      await deliverMessage(message, settings);
+    }
   } finally {
-    session.endSession();
+    await releaseLock(MESSAGE_LOCK);
   }
-});
-// Stock Management Endpoint
-// Add this with your other product routes
-app.post('/api/products/stock', async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+};
 
+// Sends (or resends) a bill to its customer; channel and language in the body override the defaults
+app.post('/api/bills/:id/messages', authorize(ROLES.CASHIER), validate({
+  params: OBJECT_ID_PARAMS,
+  body: { channel: field.oneOf(MESSAGE_CHANNELS), language: field.oneOf(MESSAGE_LANGUAGES) }
+}), async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { channel, language } = req.body;
 
-    // Validate input
-    if (!productId || isNaN(quantity)) {
-      await session.abortTransaction();
-      return res.status(400).json({ 
+    const bill = await Bill.findById(req.params.id).lean();
+    if (!bill) {
+      return res.status(404).json({
         success: false,
-        message: 'Product ID and valid quantity are required' 
+        message: 'Bill not found'
       });
     }
 
-    // Find and update the product
-    const product = await Product.findOneAndUpdate(
-      { _id: productId },
-      { $inc: { stock: quantity } },
-      { new: true, session }
-    );
-
-    if (!product) {
-      await session.abortTransaction();
-      return res.status(404).json({ 
+    const message = await queueBillMessage(bill, { channel, language, user: req.user });
+    if (!message) {
+      return res.status(409).json({
         success: false,
-        message: 'Product not found' 
+        message: messagingProvider ? 'Customer messaging is turned off' : 'No messaging provider is configured',
+        errorType: messagingProvider ? 'MESSAGING_DISABLED' : 'MESSAGING_NOT_CONFIGURED'
+      });
+    }
+    // The text is left out; it may carry a receipt link
+    auditChange(req, {
+      entity: 'Message',
+      entityId: message._id,
+      label: bill.billNumber,
+      action: 'create',
+      after: { to: message.to, channel: message.channel, language: message.language, status: message.status }
+    });
+    if (message.status === 'skipped') {
+      return res.status(409).json({
+        success: false,
+        message: 'Customer has opted out of messages',
+        errorType: 'CUSTOMER_OPTED_OUT',
+        messageId: message._id
       });
     }
 
-    await session.commitTransaction();
-    
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Stock updated successfully',
-      product: {
-        _id: product._id,
-        name: product.name,
-        nameTamil: product.nameTamil,
-        stock: product.stock
-      }
+      message: 'Message queued',
+      queued: message
     });
   } catch (err) {
-    await session.abortTransaction();
-    console.error('Stock update error:', err);
-    res.status(500).json({ 
+    res.status(500).json({
       success: false,
-      message: 'Failed to update stock',
-      error: err.message 
+      message: 'Failed to queue message',
+      error: err.message
     });
-  } finally {
-    session.endSession();
   }
 });
-// Contact Management
-app.post('/api/contacts', async (req, res) => {
-  try {
-    const { name, mobileNumber } = req.body;
-    
-    if (!name || !mobileNumber) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Name and mobile number are required'
-      });
-    }
 
-    const existingContact = await Contact.findOne({ mobileNumber });
-    if (existingContact) {
-      return res.status(200).json({
-        success: true,
-        message: 'Contact already exists',
-        isNew: false
-      });
-    }
+// Delivery log: ?status=, ?mobileNumber=, ?billId=, ?page=&limit=
+app.get('/api/messages', authorize(ROLES.OWNER), validate({
+  query: {
+    ...PAGE_QUERY,
+    status: field.oneOf(MESSAGE_STATUSES),
+    mobileNumber: MOBILE_NUMBER,
+    billId: field.objectId()
+  }
+}), async (req, res) => {
+  try {
+    const { page, limit, skip } = pageParams(req.query);
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.mobileNumber) filter.to = req.query.mobileNumber;
+    if (req.query.billId) filter.billId = req.query.billId;
 
-    const newContact = new Contact({
-      name,
-      mobileNumber
-    });
+    const [messages, total] = await Promise.all([
+      Message.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).lean(),
+      Message.countDocuments(filter)
+    ]);
 
-    await newContact.save();
-    
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Contact saved successfully',
-      isNew: true,
-      contact: newContact
+      messages,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
     });
   } catch (err) {
-    if (err.code === 11000) {
-      return res.status(200).json({
-        success: true,
-        message: 'Contact already exists',
-        isNew: false
-      });
-    }
     res.status(500).json({
       success: false,
-      message: 'Failed to save contact',
+      message: 'Failed to fetch messages',
       error: err.message
     });
   }
 });
-// Get bills with date filtering
-app.get('/api/bills', async (req, res) => {
+
+// Provider in use and the queue by status; the fake provider also shows what it "sent"
+app.get('/api/messages/status', authorize(ROLES.OWNER), validate({}), async (req, res) => {
   try {
-    const { date } = req.query;
-    
-    let filter = {};
-    if (date) {
-      const startDate = new Date(date);
-      startDate.setHours(0, 0, 0, 0);
-      
-      const endDate = new Date(date);
-      endDate.setHours(23, 59, 59, 999);
-      
-      filter.date = { $gte: startDate, $lte: endDate };
-    }
-    
-    const bills = await Bill.find(filter)
-      .sort({ date: -1 })
-      .lean(); // Use lean() for faster queries
-    
+    const [settings, counts] = await Promise.all([
+      getSetting('messaging'),
+      Message.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
     res.json({
       success: true,
-      bills
+      provider: messagingProvider ? messagingProvider.name : null,
+      settings,
+      counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      ...(messagingProvider && messagingProvider.outbox ? { outbox: messagingProvider.outbox.slice(-20).reverse() } : {})
     });
   } catch (err) {
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch bills',
+      message: 'Failed to fetch messaging status',
       error: err.message
     });
   }
 });
-// Get daily summary statistics
-app.get('/api/bills/summary', async (req, res) => {
+
+// Puts a failed message back in the queue with a fresh set of attempts
+app.post('/api/messages/:id/retry', authorize(ROLES.OWNER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
   try {
-    const { date } = req.query;
-    
-    if (!date) {
-      return res.status(400).json({
+    const message = await Message.findOneAndUpdate(
+      { _id: req.params.id, status: 'failed' },
+      {
+      $set: { status: 'queued', attempts: 0, nextAttemptAt: new Date() },
+      $push: { events: { status: 'queued', error: `Retried by ${req.user.username}` } }
+      },
+      { new: true }
+    ).lean();
+
+    if (!message) {
+      return res.status(404).json({
         success: false,
-        message: 'Date parameter is required'
+        message: 'No failed message with that ID'
       });
     }
-    
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-    
-    const endDate = new Date(date);
-    endDate.setHours(23, 59, 59, 999);
-    
-    const result = await Bill.aggregate([
-      {
-        $match: {
-          date: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalAmount: { $sum: "$grandTotal" },
-          billCount: { $sum: 1 },
-          averageBill: { $avg: "$grandTotal" }
-        }
-      }
-    ]);
-    
-    const summary = result.length > 0 
-      ? result[0] 
-      : { totalAmount: 0, billCount: 0, averageBill: 0 };
-    
+    auditChange(req, {
+      entity: 'Message',
+      entityId: message._id,
+      label: message.billNumber,
+      action: 'retry',
+      before: { status: 'failed' },
+      after: { status: message.status }
+    });
+
+    processMessageQueue().catch(err => console.error('Message sending failed:', err.message));
+
     res.json({
       success: true,
-      summary
+      message: 'Message queued again',
+      queued: message
     });
   } catch (err) {
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch summary',
+      message: 'Failed to retry message',
       error: err.message
     });
   }
 });
-// In billingserver/server/index.js, add these endpoints:
 
-// Get sales history for analysis
-app.get('/api/sales/history', async (req, res) => {
+// Send queued messages and retries every 30 seconds
+if (isMainModule) {
+  setInterval(() => {
+    processMessageQueue().catch(err => console.error('Message sending failed:', err.message));
+  }, 30 * 1000);
+}
+
+// Data Retention
+const RETENTION_LOCK = 'bill-retention';
+const RETENTION_LOCK_TTL = 30 * 60 * 1000;
+const { EJSON } = mongoose.mongo.BSON;
+
+// Retention works in whole months of the shop's calendar so each period is archived exactly once
+const periodOf = (date, clock) => businessDayOf(date, clock).slice(0, 7);
+
+const shiftPeriod = (period, months) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 7);
+};
+
+const periodRange = (period, clock) => ({
+  start: zonedStartOfDay(`${period}-01`, clock.timeZone, clock.dayStartHour),
+  end: zonedStartOfDay(`${shiftPeriod(period, 1)}-01`, clock.timeZone, clock.dayStartHour)
+});
+
+const retentionCutoff = (retainMonths, clock) =>
+  periodRange(shiftPeriod(periodOf(new Date(), clock), -retainMonths), clock).start;
+
+// File archives only go to ARCHIVE_ROOT, which must be durable storage such as
+// a mounted persistent disk; the app's own folder is wiped on every deploy
+const ARCHIVE_ROOT = process.env.ARCHIVE_ROOT ? path.resolve(process.env.ARCHIVE_ROOT) : null;
+
+const archiveDirPath = (policy) => {
+  if (!ARCHIVE_ROOT) {
+    throw billingError('File archives need ARCHIVE_ROOT set to a persistent disk', 'ARCHIVE_NOT_CONFIGURED');
+  }
+  const dir = path.resolve(ARCHIVE_ROOT, policy.archiveDir);
+  if (dir !== ARCHIVE_ROOT && !dir.startsWith(ARCHIVE_ROOT + path.sep)) {
+    throw billingError('archiveDir must be inside ARCHIVE_ROOT', 'ARCHIVE_NOT_CONFIGURED');
+  }
+  return dir;
+};
+
+const archiveFilePath = (policy, period) =>
+  path.join(archiveDirPath(policy), `bills-${period}.ndjson.gz`);
+
+// Bills still owed money or held after a restore stay in the live collection
+const retentionEligibleFilter = (cutoff) => ({
+  date: { $lt: cutoff },
+  balanceDue: { $not: { $gt: 0 } },
+  $or: [{ retentionHoldUntil: null }, { retentionHoldUntil: { $lt: new Date() } }]
+});
+
+const archiveBills = async (policy, period, bills) => {
+  if (policy.archiveTarget === 'file') {
+    const filePath = archiveFilePath(policy, period);
+    const ndjson = bills.map(bill => EJSON.stringify(bill, { relaxed: true })).join('\n') + '\n';
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // Each run appends a gzip member; gunzip reads concatenated members back as one stream
+    await fs.promises.appendFile(filePath, zlib.gzipSync(ndjson));
+    return filePath;
+  }
+
   try {
-    const range = req.query.range || 'month';
-    const startDate = new Date();
-    
-    if (range === 'week') {
-      startDate.setDate(startDate.getDate() - 7);
-    } else if (range === 'year') {
-      startDate.setMonth(startDate.getMonth() - 12);
-    } else { // month
-      startDate.setDate(startDate.getDate() - 30);
+    await ArchivedBill.collection.insertMany(
+      bills.map(bill => ({ ...bill, archivePeriod: period, archivedAt: new Date() })),
+      { ordered: false }
+    );
+  } catch (err) {
+    // Already archived by an interrupted earlier run
+    if (err.code !== 11000) throw err;
+  }
+  return ArchivedBill.collection.collectionName;
+};
+
+// Archives bills older than the retention window month by month, deleting
+// each month's bills only after its archive has been written
+const cleanupOldBills = async ({ trigger = 'schedule', user } = {}) => {
+  const policy = await getSetting('retention');
+  if (!policy.enabled) return null;
+
+  if (!await acquireLock(RETENTION_LOCK, RETENTION_LOCK_TTL)) {
+    console.log('Bill retention is already running on another instance, skipping');
+    return RetentionRun.create({ trigger, triggeredBy: user && user._id, status: 'skipped', finishedAt: new Date() });
+  }
+
+  const clock = await getBusinessClock();
+  const cutoff = retentionCutoff(policy.retainMonths, clock);
+  const run = await RetentionRun.create({
+    trigger,
+    triggeredBy: user && user._id,
+    target: policy.archiveTarget,
+    cutoffDate: cutoff
+  });
+
+  try {
+    const oldest = await Bill.findOne(retentionEligibleFilter(cutoff)).sort({ date: 1 }).lean();
+
+    for (let period = oldest && periodOf(oldest.date, clock);
+      period && periodRange(period, clock).start < cutoff;
+      period = shiftPeriod(period, 1)) {
+      const { start, end } = periodRange(period, clock);
+      const filter = { ...retentionEligibleFilter(cutoff), date: { $gte: start, $lt: end } };
+
+      const bills = await Bill.collection.find(filter).toArray();
+      if (bills.length === 0) continue;
+
+      const location = await archiveBills(policy, period, bills);
+      await Bill.deleteMany({ _id: { $in: bills.map(bill => bill._id) } });
+
+      run.periods.push({ period, billCount: bills.length, location });
+      console.log(`Archived ${bills.length} bills from ${period} to ${location}`);
     }
-    startDate.setHours(0, 0, 0, 0);
 
-    const isYearly = range === 'year';
-    
-    const salesData = await Bill.aggregate([
-      {
-        $match: {
-          date: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: {
-              format: isYearly ? "%Y-%m" : "%Y-%m-%d",
-              date: "$date"
-            }
-          },
-          totalSales: { $sum: "$grandTotal" },
-          billCount: { $sum: 1 },
-          averageBill: { $avg: "$grandTotal" }
-        }
-      },
-      {
-        $sort: { _id: 1 }
-      },
-      {
-        $project: {
-          _id: 0,
-          date: "$_id",
-          totalSales: 1,
-          billCount: 1,
-          averageBill: { $round: ["$averageBill", 2] }
-        }
-      }
+    run.status = 'completed';
+  } catch (err) {
+    run.status = 'failed';
+    run.error = err.message;
+    console.error('Bill retention failed:', err.message);
+  } finally {
+    run.finishedAt = new Date();
+    await run.save();
+    await releaseLock(RETENTION_LOCK);
+  }
+
+  return run;
+};
+
+// Puts an archived month back into the live collection and holds it there
+// for restoreHoldDays so the next retention run doesn't archive it again
+const restoreArchivedPeriod = async (period, policy) => {
+  const holdUntil = new Date(Date.now() + policy.restoreHoldDays * 24 * 60 * 60 * 1000);
+  let bills;
+
+  if (policy.archiveTarget === 'file') {
+    const filePath = archiveFilePath(policy, period);
+    const content = zlib.gunzipSync(await fs.promises.readFile(filePath)).toString('utf8');
+    const byId = new Map();
+    for (const line of content.split('\n').filter(Boolean)) {
+      const bill = EJSON.parse(line, { relaxed: true });
+      byId.set(bill._id.toString(), bill);
+    }
+    bills = [...byId.values()];
+  } else {
+    bills = await ArchivedBill.collection.find({ archivePeriod: period }).toArray();
+    bills = bills.map(({ archivePeriod, archivedAt, ...bill }) => bill);
+  }
+
+  if (bills.length === 0) return 0;
+
+  try {
+    await Bill.collection.insertMany(
+      bills.map(bill => ({ ...bill, retentionHoldUntil: holdUntil })),
+      { ordered: false }
+    );
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  if (policy.archiveTarget === 'file') {
+    await fs.promises.rename(archiveFilePath(policy, period), `${archiveFilePath(policy, period)}.restored`);
+  } else {
+    await ArchivedBill.deleteMany({ archivePeriod: period });
+  }
+
+  return bills.length;
+};
+
+const listArchivedPeriods = async (policy) => {
+  if (policy.archiveTarget === 'file') {
+    if (!ARCHIVE_ROOT) return [];
+    const dir = archiveDirPath(policy);
+    const files = await fs.promises.readdir(dir).catch(() => []);
+    return Promise.all(files
+      .filter(file => /^bills-\d{4}-\d{2}\.ndjson\.gz$/.test(file))
+      .sort()
+      .map(async (file) => ({
+        period: file.slice(6, 13),
+        location: path.join(dir, file),
+        sizeBytes: (await fs.promises.stat(path.join(dir, file))).size
+      })));
+  }
+
+  const periods = await ArchivedBill.aggregate([
+    { $group: { _id: '$archivePeriod', billCount: { $sum: 1 }, archivedAt: { $max: '$archivedAt' } } },
+    { $sort: { _id: 1 } }
+  ]);
+  return periods.map(({ _id, ...rest }) => ({ period: _id, ...rest }));
+};
+
+app.get('/api/retention/status', authorize(ROLES.OWNER), validate({}), async (req, res) => {
+  try {
+    const policy = await getSetting('retention');
+    const cutoff = retentionCutoff(policy.retainMonths, await getBusinessClock());
+
+    const [eligibleCount, oldestBill, lock, archivedPeriods, recentRuns] = await Promise.all([
+      Bill.countDocuments(retentionEligibleFilter(cutoff)),
+      Bill.findOne().sort({ date: 1 }).select('billNumber date').lean(),
+      Lock.findById(RETENTION_LOCK).lean(),
+      listArchivedPeriods(policy),
+      RetentionRun.find().sort({ startedAt: -1 }).limit(10).lean()
     ]);
 
     res.json({
       success: true,
-      salesData
+      policy,
+      cutoffDate: cutoff,
+      eligibleCount,
+      oldestBill,
+      running: Boolean(lock && lock.expiresAt > new Date()),
+      archivedPeriods,
+      recentRuns
     });
   } catch (err) {
-    console.error('Error fetching sales history:', err);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch sales history',
+      message: 'Failed to fetch retention status',
       error: err.message
     });
   }
 });
 
-// Get bill by ID
-app.get('/api/bills/:id', async (req, res) => {
+app.post('/api/retention/run', authorize(ROLES.OWNER), validate({}), async (req, res) => {
   try {
-    const bill = await Bill.findById(req.params.id);
-    if (!bill) return res.status(404).json({ message: 'Bill not found' });
-    res.json(bill);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+    const run = await cleanupOldBills({ trigger: 'manual', user: req.user });
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Retention is disabled',
+        errorType: 'RETENTION_DISABLED'
+      });
+    }
+    auditChange(req, { entity: 'RetentionRun', entityId: run._id, label: 'manual', action: 'run', after: run });
+
+    res.json({
+      success: run.status === 'completed',
+      message: `Retention run ${run.status}`,
+      run
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run retention',
+      error: err.message
+    });
   }
 });
 
-// Update bill
-app.put('/api/bills/:id', async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const { items, customerName, mobileNumber } = req.body;
-    
-    const oldBill = await Bill.findById(req.params.id).session(session);
-    if (!oldBill) {
-      await session.abortTransaction();
-      return res.status(404).json({ message: 'Bill not found' });
-    }
+app.post('/api/retention/restore', authorize(ROLES.OWNER), validate({ body: { period: field.string({ required: true, pattern: /^\d{4}-(0[1-9]|1[0-2])$/, format: 'a month (YYYY-MM)' }) } }), async (req, res) => {
+  const { period } = req.body;
 
-    // Calculate grandTotal from items and validate products
-    let grandTotal = 0;
-    const productCache = {};
-    const stockChanges = {}; // productId -> quantity change (positive is return to stock, negative is take from stock)
+  if (!await acquireLock(RETENTION_LOCK, RETENTION_LOCK_TTL)) {
+    return res.status(409).json({
+      success: false,
+      message: 'Retention is running, try again shortly',
+      errorType: 'RETENTION_LOCKED'
+    });
+  }
 
-    // Add back old quantities (return to stock)
-    for (const item of oldBill.items) {
-      const pid = item.productId;
-      stockChanges[pid] = (stockChanges[pid] || 0) + item.quantity;
-    }
+  try {
+    const policy = await getSetting('retention');
+    const billCount = await restoreArchivedPeriod(period, policy);
 
-    // Subtract new quantities (take from stock) and compute grandTotal
-    for (const item of items) {
-      const pid = parseInt(item.productId);
-      if (isNaN(pid)) {
-        throw new Error('Invalid product ID');
-      }
+    const run = await RetentionRun.create({
+      trigger: 'restore',
+      triggeredBy: req.user._id,
+      target: policy.archiveTarget,
+      periods: [{ period, billCount, location: 'bills' }],
+      status: 'completed',
+      finishedAt: new Date()
+    });
+    auditChange(req, { entity: 'RetentionRun', entityId: run._id, label: period, action: 'restore', after: run });
 
-      if (!productCache[pid]) {
-        const product = await Product.findById(pid).session(session);
-        if (!product) {
-          throw new Error(`Product ${pid} not found`);
-        }
-        productCache[pid] = product;
-      }
-      
-      const product = productCache[pid];
-      grandTotal += item.quantity * product.price;
-      stockChanges[pid] = (stockChanges[pid] || 0) - item.quantity;
+    res.json({
+      success: true,
+      message: billCount > 0 ? `Restored ${billCount} bills from ${period}` : `No archived bills for ${period}`,
+      billCount
+    });
+  } catch (err) {
+    if (err.errorType) {
+      return res.status(409).json({
+        success: false,
+        message: err.message,
+        errorType: err.errorType
+      });
     }
+    res.status(err.code === 'ENOENT' ? 404 : 500).json({
+      success: false,
+      message: err.code === 'ENOENT' ? `No archive file for ${period}` : 'Failed to restore archived bills',
+      error: err.message
+    });
+  } finally {
+    await releaseLock(RETENTION_LOCK);
+  }
+});
 
-    // Apply stock changes
-    for (const [productIdStr, change] of Object.entries(stockChanges)) {
-      if (change === 0) continue;
+// Run retention daily, and once on server start
+if (isMainModule) {
+  setInterval(() => {
+    cleanupOldBills().catch(err => console.error('Bill retention failed:', err.message));
+  }, 24 * 60 * 60 * 1000);
+  cleanupOldBills().catch(err => console.error('Bill retention failed:', err.message));
+}
 
-      const productId = parseInt(productIdStr);
-      let product = productCache[productId];
-      if (!product) {
-        product = await Product.findById(productId).session(session);
-        if (!product) {
-          throw new Error(`Product ${productId} not found during stock adjustment`);
-        }
-        productCache[productId] = product;
-      }
+// Daily stock ledger check: products that predate the ledger get their opening
+// balance recorded, other drift is only reported for an owner to review
+const runStockReconciliation = async () => {
+  try {
+    const report = await reconcileStockLedger();
+    const openingOnly = report.discrepancies.every(d => d.reason === 'opening-balance');
 
-      // If change is negative (we need more stock), verify availability
-      if (change < 0 && (product.stock + change) < 0) {
-        throw new Error(`Insufficient stock for ${product.nameTamil} (Available: ${product.stock}, Additional needed: ${-change})`);
+    if (report.discrepancyCount > 0 && openingOnly) {
+      lastStockReconciliation = await reconcileStockLedger({ fix: true });
+      console.log(`Recorded opening stock balances for ${report.discrepancyCount} products`);
+    } else {
+      lastStockReconciliation = report;
+      if (report.discrepancyCount > 0) {
+        console.warn(`⚠️ Stock ledger differs from product stock for ${report.discrepancyCount} products`);
       }
-
-      await Product.findByIdAndUpdate(
-        productId,
-        { $inc: { stock: change } },
-        { session }
-      );
     }
+  } catch (err) {
+    console.error('Stock reconciliation failed:', err.message);
+  }
+};
 
-    const updatedBill = await Bill.findByIdAndUpdate(
-      req.params.id,
-      { 
-        $set: {
-          items,
-          grandTotal,
-          customerName,
-          mobileNumber
-        }
-      },
-      { new: true, session }
-    );
+if (isMainModule) {
+  setInterval(runStockReconciliation, 24 * 60 * 60 * 1000);
+  runStockReconciliation();
+}
 
-    await session.commitTransaction();
-    res.json(updatedBill);
-  } catch (error) {
-    await session.abortTransaction();
-    console.error('Update bill error:', error);
-    res.status(400).json({ message: error.message });
+// Scheduled price changes are checked every minute
+const PRICE_CHANGE_LOCK = 'price-changes';
+
+const runPriceChanges = async () => {
+  if (!await acquireLock(PRICE_CHANGE_LOCK, 5 * 60 * 1000)) return;
+  try {
+    const applied = await applyDuePriceChanges();
+    if (applied > 0) console.log(`Applied ${applied} scheduled price changes`);
+  } catch (err) {
+    console.error('Scheduled price changes failed:', err.message);
   } finally {
-    session.endSession();
+    await releaseLock(PRICE_CHANGE_LOCK);
   }
-});
-
-// Schedule cleanup of old bills (runs once per day)
-const cleanupOldBills = async () => {
-  const threeMonthsAgo = new Date();
-  threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-  
-  await Bill.deleteMany({ 
-    date: { $lt: threeMonthsAgo } 
-  });
-  console.log('Cleaned up old bills');
 };
 
-// Run cleanup daily
-setInterval(cleanupOldBills, 24 * 60 * 60 * 1000);
-
-// Initial cleanup on server start
-cleanupOldBills();
-app.get('/api/contacts', async (req, res) => {
+if (isMainModule) {
+  setInterval(() => {
+    runPriceChanges().catch(err => console.error('Scheduled price changes failed:', err.message));
+  }, 60 * 1000);
+  runPriceChanges().catch(err => console.error('Scheduled price changes failed:', err.message));
+}
+// Most recent customers first; ?search= matches the name or the start of the
+// mobile number, ?page=&limit= pages through the rest
+app.get('/api/contacts', authorize(ROLES.CASHIER), validate({ query: { ...PAGE_QUERY, search: field.string({ max: 100 }) } }), async (req, res) => {
   try {
-    const contacts = await Contact.find()
-      .select('_id name mobileNumber lastUsed')
-      .lean()
-      .sort({ lastUsed: -1 })
-      .limit(20);
+    const { page, limit, skip } = pageParams(req.query);
+    const search = String(req.query.search || '').trim();
+    const filter = {};
+    if (search) {
+      filter.$or = [{ name: { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } }];
+      if (/^\d+$/.test(search)) filter.$or.push({ mobileNumber: { $regex: `^${search}` } });
+    }
+
+    const [contacts, total] = await Promise.all([
+      Contact.find(filter)
+        .select('_id name mobileNumber lastUsed outstandingBalance loyaltyPoints')
+        .sort({ lastUsed: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Contact.countDocuments(filter)
+    ]);
+
     res.json({
       success: true,
-      contacts
+      contacts,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
     });
   } catch (err) {
     res.status(500).json({
@@ -1051,7 +10776,7 @@ app.get('/api/contacts', async (req, res) => {
 });
 
 // Delete Product
-app.delete('/api/products/:id', async (req, res) => {
+app.delete('/api/products/:id', authorize(ROLES.STOCK_KEEPER), validate({ params: PRODUCT_ID_PARAMS }), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -1069,7 +10794,14 @@ app.delete('/api/products/:id', async (req, res) => {
       });
     }
 
+    await DeletedProduct.updateOne(
+      { _id: deletedProduct._id },
+      { $set: { deletedAt: new Date() } },
+      { upsert: true, session }
+    );
+
     await session.commitTransaction();
+    auditChange(req, { entity: 'Product', entityId: deletedProduct._id, label: deletedProduct.name, action: 'delete', before: deletedProduct });
     
     res.json({
       success: true,
@@ -1089,99 +10821,419 @@ app.delete('/api/products/:id', async (req, res) => {
   }
 });
 
-// Get next bill number
-app.get('/api/bills/next-number', async (req, res) => {
+// Void a bill: the document stays with a reason, stock comes back and any
+// payment is refunded in the mode it was taken
+app.delete('/api/bills/:id', authorize(ROLES.OWNER), validate({
+  params: OBJECT_ID_PARAMS,
+  query: { reason: field.string({ max: 200 }) },
+  body: { reason: field.string({ max: 200 }) }
+}), async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
-    const today = new Date();
-    const todayStr = today.toISOString().split('T')[0];
+    const { id } = req.params;
+    const reason = (req.body && req.body.reason) || req.query.reason;
+
+    if (!reason || !String(reason).trim()) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to void a bill',
+        errorType: 'VOID_REASON_REQUIRED'
+      });
+    }
     
-    // Find the highest bill number for today
-    const latestBill = await Bill.findOne({
-      date: {
-        $gte: new Date(todayStr + 'T00:00:00.000Z'),
-        $lt: new Date(todayStr + 'T23:59:59.999Z')
+    // Find the bill first to get items for stock replenishment
+    const bill = await Bill.findById(id).session(session);
+    if (!bill) {
+      await session.abortTransaction();
+      return res.status(404).json({ 
+        success: false,
+        message: 'Bill not found' 
+      });
+    }
+
+    if (bill.status === 'void') {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Bill is already void',
+        errorType: 'BILL_VOID'
+      });
+    }
+
+    if (bill.returnedTotal > 0) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Bill has returns; return the remaining items instead of voiding it',
+        errorType: 'BILL_HAS_RETURNS'
+      });
+    }
+
+    const closedDay = await findClosedDay(bill, session);
+    if (closedDay) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: `Day ${closedDay.day} is closed; an owner must reopen it before its bills can be voided`,
+        errorType: 'DAY_CLOSED'
+      });
+    }
+
+    const before = auditValue(bill);
+
+    // Replenish stock for all items in the voided bill
+    for (const item of bill.items) {
+      try {
+        await applyStockChange({
+          productId: item.productId,
+          store: bill.store || DEFAULT_STORE_ID,
+          quantity: item.quantity,
+          reason: 'bill-void',
+          ref: { type: 'Bill', id: bill._id, number: bill.billNumber },
+          note: reason,
+          user: req.user,
+          session
+        });
+      } catch (stockError) {
+        // Products removed since the sale have no stock to return
+        if (stockError.errorType !== 'PRODUCT_NOT_FOUND') throw stockError;
       }
-    }).sort({ billNumber: -1 });
-    
-    let nextNumber = '001';
-    if (latestBill && latestBill.billNumber) {
-      // Extract last 3 digits and increment
-      const currentNum = parseInt(latestBill.billNumber.slice(-3));
-      nextNumber = String(currentNum + 1).padStart(3, '0');
     }
-    
-    // Generate full bill number
-    const day = String(today.getDate()).padStart(2, '0');
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const year = today.getFullYear().toString();
-    const billNumber = `${day}${month}${year}${nextNumber}`;
+
+    // Clear whatever the customer still owed on this bill
+    if (bill.balanceDue > 0) {
+      await postLedgerEntry({
+        mobileNumber: bill.mobileNumber,
+        customerName: bill.customerName,
+        entryType: 'adjustment',
+        amount: -bill.balanceDue,
+        bill,
+        note: `Bill voided: ${reason}`,
+        user: req.user,
+        session
+      });
+    }
+
+    // Give back the points spent on the bill, then take back what it earned
+    if (bill.loyaltyPointsRedeemed > 0) {
+      await postLoyaltyEntry({
+        mobileNumber: bill.mobileNumber,
+        customerName: bill.customerName,
+        entryType: 'reversal',
+        points: bill.loyaltyPointsRedeemed,
+        bill,
+        note: 'Bill voided',
+        user: req.user,
+        session
+      });
+    }
+    if (bill.loyaltyPointsEarned > 0) {
+      await reverseEarnedPoints({
+        mobileNumber: bill.mobileNumber,
+        points: bill.loyaltyPointsEarned,
+        bill,
+        note: 'Bill voided',
+        user: req.user,
+        session
+      });
+    }
+
+    // Refund what was paid, per payment mode
+    const paidByMode = {};
+    for (const payment of bill.payments) {
+      const signed = payment.kind === 'refund' ? -payment.amount : payment.amount;
+      paidByMode[payment.mode] = roundMoney((paidByMode[payment.mode] || 0) + signed);
+    }
+    for (const [mode, amount] of Object.entries(paidByMode)) {
+      if (amount <= 0) continue;
+      bill.payments.push({
+        mode,
+        kind: 'refund',
+        amount,
+        reference: 'Bill voided',
+        receivedBy: req.user._id,
+        receivedByName: req.user.username,
+        receivedAt: new Date()
+      });
+    }
+
+    if (bill.couponCode) {
+      await Coupon.updateOne(
+        { code: bill.couponCode, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 } },
+        { session }
+      );
+    }
+
+    bill.status = 'void';
+    bill.voidReason = String(reason).trim();
+    bill.voidedAt = new Date();
+    bill.voidedBy = req.user._id;
+    bill.voidedByName = req.user.username;
+    bill.amountPaid = 0;
+    bill.balanceDue = 0;
+    await bill.save({ session });
+
+    await session.commitTransaction();
+    auditChange(req, { entity: 'Bill', entityId: bill._id, label: bill.billNumber, action: 'void', before, after: bill });
     
     res.json({
       success: true,
-      billNumber
+      message: 'Bill voided successfully',
+      billId: id,
+      bill
     });
-  } catch (error) {
-    console.error('Error getting next bill number:', error);
-    res.status(500).json({
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('Void bill error:', err);
+    res.status(500).json({ 
       success: false,
-      message: 'Failed to get next bill number'
+      message: 'Failed to void bill',
+      error: err.message 
     });
+  } finally {
+    session.endSession();
   }
 });
 
-// Delete a bill
-app.delete('/api/bills/:id', async (req, res) => {
+// Sales return: credit note for part of a bill. Items are picked by lineIndex
+// (or productId), only returned quantities are restocked, and the refund first
+// clears any dues on the bill before being paid out in refundMode.
+app.post('/api/bills/:id/returns', authorize(ROLES.OWNER), validate({
+  params: OBJECT_ID_PARAMS,
+  body: {
+    items: field.array(field.object({
+      lineIndex: field.integer({ min: 0 }),
+      productId: field.integer({ min: 1 }),
+      quantity: field.number({ required: true, positive: true })
+    }), { required: true, min: 1 }),
+    reason: field.string({ required: true, max: 200 }),
+    refundMode: field.oneOf(PAYMENT_MODES)
+  }
+}), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
-    const { id } = req.params;
-    
-    // Find the bill first to get items for stock replenishment
-    const bill = await Bill.findById(id).session(session);
+    const { items, reason, refundMode = 'cash' } = req.body;
+
+    const bill = await Bill.findById(req.params.id).session(session);
     if (!bill) {
       await session.abortTransaction();
-      return res.status(404).json({ 
+      return res.status(404).json({
         success: false,
-        message: 'Bill not found' 
+        message: 'Bill not found'
+      });
+    }
+
+    if (bill.status === 'void') {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: 'Voided bills cannot have returns',
+        errorType: 'BILL_VOID'
+      });
+    }
+
+    // The credit note and its refund belong to today, at the bill's store
+    const closedDay = await findClosedDay({ date: new Date(), store: bill.store }, session);
+    if (closedDay) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: `Day ${closedDay.day} is closed; an owner must reopen it before returns can be taken`,
+        errorType: 'DAY_CLOSED'
+      });
+    }
+
+    const before = auditValue(bill);
+    const noteItems = [];
+    for (const [index, item] of items.entries()) {
+      const lineIndex = item.lineIndex !== undefined
+        ? parseInt(item.lineIndex)
+        : bill.items.findIndex(line => line.productId === parseInt(item.productId) &&
+          line.quantity > line.returnedQuantity);
+      const line = bill.items[lineIndex];
+      const quantity = parseQuantity(item.quantity);
+
+      if (!line) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Return item at position ${index} does not match a bill line`,
+          errorType: 'INVALID_ITEM',
+          itemIndex: index
+        });
+      }
+
+      const returnable = roundQuantity(line.quantity - line.returnedQuantity);
+      if (isNaN(quantity) || quantity <= 0 || quantity > returnable || !quantityFitsUnit(quantity, line.unit)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Return quantity for ${line.nameTamil} must be more than 0 and at most ${returnable}`,
+          errorType: 'INVALID_ITEM',
+          itemIndex: index
+        });
+      }
+
+      // Returned value is the same share of the line as the quantity returned
+      const share = quantity / line.quantity;
+      const taxableValue = roundMoney((line.taxableValue ?? line.total) * share);
+      const cgst = roundMoney((line.cgst || 0) * share);
+      const sgst = roundMoney((line.sgst || 0) * share);
+      const igst = roundMoney((line.igst || 0) * share);
+
+      line.returnedQuantity = roundQuantity(line.returnedQuantity + quantity);
+      noteItems.push({
+        lineIndex,
+        productId: line.productId,
+        nameTamil: line.nameTamil,
+        quantity,
+        price: line.price,
+        taxRate: line.taxRate || 0,
+        taxableValue,
+        cgst,
+        sgst,
+        igst,
+        total: roundMoney(taxableValue + cgst + sgst + igst)
       });
     }
 
-    // Replenish stock for all items in the deleted bill
-    const stockReplenishments = bill.items.map(item => ({
-      updateOne: {
-        filter: { _id: item.productId },
-        update: { $inc: { stock: item.quantity } }
+    const creditNote = new CreditNote({
+      billId: bill._id,
+      billNumber: bill.billNumber,
+      store: bill.store || DEFAULT_STORE_ID,
+      customerName: bill.customerName,
+      mobileNumber: bill.mobileNumber,
+      items: noteItems,
+      taxableTotal: roundMoney(noteItems.reduce((sum, i) => sum + i.taxableValue, 0)),
+      cgstTotal: roundMoney(noteItems.reduce((sum, i) => sum + i.cgst, 0)),
+      sgstTotal: roundMoney(noteItems.reduce((sum, i) => sum + i.sgst, 0)),
+      igstTotal: roundMoney(noteItems.reduce((sum, i) => sum + i.igst, 0)),
+      total: roundMoney(noteItems.reduce((sum, i) => sum + i.total, 0)),
+      reason: String(reason).trim(),
+      createdBy: req.user._id,
+      createdByName: req.user.username
+    });
+
+    creditNote.adjustedAgainstDues = roundMoney(Math.min(creditNote.total, bill.balanceDue || 0));
+    creditNote.refundedAmount = roundMoney(creditNote.total - creditNote.adjustedAgainstDues);
+    if (creditNote.refundedAmount > 0) creditNote.refundMode = refundMode;
+    await creditNote.save({ session });
+
+    for (const noteItem of noteItems) {
+      try {
+        await applyStockChange({
+          productId: noteItem.productId,
+          store: creditNote.store,
+          quantity: noteItem.quantity,
+          reason: 'sales-return',
+          ref: { type: 'CreditNote', id: creditNote._id, number: creditNote.creditNoteNumber },
+          note: `Return against bill ${bill.billNumber}`,
+          user: req.user,
+          session
+        });
+      } catch (stockError) {
+        if (stockError.errorType !== 'PRODUCT_NOT_FOUND') throw stockError;
       }
-    }));
+    }
 
-    if (stockReplenishments.length > 0) {
-      await Product.bulkWrite(stockReplenishments, { session });
+    if (creditNote.adjustedAgainstDues > 0) {
+      bill.balanceDue = roundMoney(bill.balanceDue - creditNote.adjustedAgainstDues);
+      if (bill.balanceDue === 0) bill.paymentStatus = 'paid';
+      await postLedgerEntry({
+        mobileNumber: bill.mobileNumber,
+        customerName: bill.customerName,
+        entryType: 'adjustment',
+        amount: -creditNote.adjustedAgainstDues,
+        bill,
+        note: `Credit note ${creditNote.creditNoteNumber}`,
+        user: req.user,
+        session
+      });
     }
-    
-    // Delete the bill
-    await Bill.findByIdAndDelete(id).session(session);
+
+    // Points follow the returned share of the bill. Shares are taken on the
+    // running returned total so a bill returned in parts ends up fully reversed.
+    const returnedBefore = bill.returnedTotal || 0;
+    const returnedAfter = roundMoney(returnedBefore + creditNote.total);
+    const pointsShare = (points, returned) => (bill.grandTotal > 0
+      ? Math.floor(points * Math.min(returned / bill.grandTotal, 1))
+      : 0);
+    const sharePointsReturned = (points) =>
+      pointsShare(points || 0, returnedAfter) - pointsShare(points || 0, returnedBefore);
+
+    const pointsRestored = sharePointsReturned(bill.loyaltyPointsRedeemed);
+    if (pointsRestored > 0) {
+      await postLoyaltyEntry({
+        mobileNumber: bill.mobileNumber,
+        customerName: bill.customerName,
+        entryType: 'reversal',
+        points: pointsRestored,
+        bill,
+        note: `Credit note ${creditNote.creditNoteNumber}`,
+        user: req.user,
+        session
+      });
+    }
+    const pointsReversed = sharePointsReturned(bill.loyaltyPointsEarned);
+    if (pointsReversed > 0) {
+      await reverseEarnedPoints({
+        mobileNumber: bill.mobileNumber,
+        points: pointsReversed,
+        bill,
+        note: `Credit note ${creditNote.creditNoteNumber}`,
+        user: req.user,
+        session
+      });
+    }
+
+    bill.returnedTotal = returnedAfter;
+    await bill.save({ session });
 
     await session.commitTransaction();
-    
-    res.json({
+    auditChange(req, { entity: 'Bill', entityId: bill._id, label: bill.billNumber, action: 'return', before, after: bill });
+
+    res.status(201).json({
       success: true,
-      message: 'Bill deleted successfully',
-      billId: id
+      message: 'Return recorded successfully',
+      creditNote
     });
   } catch (err) {
     await session.abortTransaction();
-    console.error('Delete bill error:', err);
-    res.status(500).json({ 
+    console.error('Sales return error:', err);
+    res.status(500).json({
       success: false,
-      message: 'Failed to delete bill',
-      error: err.message 
+      message: 'Failed to record return',
+      error: err.message
     });
   } finally {
     session.endSession();
   }
 });
 
+app.get('/api/bills/:id/returns', authorize(ROLES.CASHIER), validate({ params: OBJECT_ID_PARAMS }), async (req, res) => {
+  try {
+    const creditNotes = await CreditNote.find({ billId: req.params.id })
+      .sort({ date: 1 })
+      .lean();
+    res.json({
+      success: true,
+      creditNotes
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch returns',
+      error: err.message
+    });
+  }
+});
+
 // Error Handling
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -1201,12 +11253,90 @@ app.use((req, res) => {
 });
 
 // Server Startup
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-});
+if (isMainModule) {
+  // Bill messages carry receipt links, so customers' address for the server must be known
+  if (messagingProvider && !PUBLIC_BASE_URL) {
+    console.error('❌ PUBLIC_BASE_URL must be set when MESSAGING_PROVIDER is');
+    process.exit(1);
+  }
+  if (PUBLIC_BASE_URL && !/^https?:\/\/[^/]+/.test(PUBLIC_BASE_URL)) {
+    console.error('❌ PUBLIC_BASE_URL must be an http(s) address, e.g. https://shop.example.com');
+    process.exit(1);
+  }
+
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+
+  process.on('SIGINT', async () => {
+    await mongoose.connection.close();
+    process.exit(0);
+  });
+}
 
-process.on('SIGINT', async () => {
-  await mongoose.connection.close();
-  process.exit(0);
-});
\ No newline at end of file
+// For the tests in test/
+module.exports = {
+  app,
+  issueToken,
+  AuditLog,
+  Bill,
+  CreditNote,
+  DayClose,
+  Setting,
+  User,
+  BillSeries,
+  Counter,
+  IdempotencyKey,
+  Store,
+  StockTransfer,
+  idempotent,
+  applyLineTax,
+  resolvePlaceOfSupply,
+  summarizeBillTax,
+  ROLES,
+  priceBillItems,
+  manualDiscountLimit,
+  Contact,
+  LedgerEntry,
+  normalizePayments,
+  summarizePayments,
+  postLedgerEntry,
+  Product,
+  StockMovement,
+  applyStockChange,
+  reconcileStockLedger,
+  billPeriodKey,
+  takeBillNumber,
+  billNumberIssued,
+  billPrefixesOverlap,
+  parseQuantity,
+  quantityFitsUnit,
+  Category,
+  parseCsv,
+  readSheet,
+  planProductImport,
+  zonedStartOfDay,
+  businessDayOf,
+  parseDayRange,
+  shiftDay,
+  sameDayLastYear,
+  isCalendarDay,
+  buildDayReport,
+  cashSummary,
+  Lock,
+  Message,
+  messagingProvider,
+  queueBillMessage,
+  deliverMessage,
+  processMessageQueue,
+  messageRetryDelay,
+  ReceiptLink,
+  receiptLinkToken,
+  verifyReceiptLinkToken,
+  checkField,
+  validate,
+  field,
+  SETTING_FIELDS,
+  SETTING_CHECKS
+};
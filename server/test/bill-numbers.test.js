@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Counter, Setting, billPeriodKey, takeBillNumber, billNumberIssued, billPrefixesOverlap } = require('../index');
+const { query } = require('./helpers');
+
+const DEFAULT = { _id: 'DEFAULT', prefix: '', resetPeriod: 'daily', padding: 3 };
+const SERIES_B2 = { _id: 'B2', prefix: 'B2-', resetPeriod: 'monthly', padding: 4 };
+
+let business;
+beforeEach(() => {
+  business = null;
+  mock.method(Setting, 'findById', (key) => query(key === 'business' && business ? { _id: key, value: business } : null));
+});
+afterEach(() => mock.restoreAll());
+
+describe('billPeriodKey', () => {
+  it('keys each reset period', () => {
+    assert.strictEqual(billPeriodKey('daily', '2026-10-19'), '19102026');
+    assert.strictEqual(billPeriodKey('monthly', '2026-10-19'), '102026');
+    assert.strictEqual(billPeriodKey('never', '2026-10-19'), '');
+  });
+
+  it('runs financial years from April to March', () => {
+    assert.strictEqual(billPeriodKey('financial-year', '2026-03-31'), '2526');
+    assert.strictEqual(billPeriodKey('financial-year', '2026-04-01'), '2627');
+  });
+});
+
+describe('takeBillNumber', () => {
+  const counterReturning = (seq) => mock.method(Counter, 'findByIdAndUpdate', async () => ({ seq }));
+
+  it("takes the next number from the series' counter for the period", async () => {
+    const counter = counterReturning(17);
+
+    const billNumber = await takeBillNumber(SERIES_B2, new Date('2026-10-19T06:00:00Z'));
+
+    assert.strictEqual(billNumber, 'B2-1020260017');
+    const [filter, update, options] = counter.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { _id: 'billNumber_B2_102026' });
+    assert.deepStrictEqual(update, { $inc: { seq: 1 } });
+    assert.strictEqual(options.upsert, true);
+  });
+
+  it('keeps the counter name of bills from before series', async () => {
+    const counter = counterReturning(5);
+
+    assert.strictEqual(await takeBillNumber(DEFAULT, new Date('2026-10-19T06:00:00Z')), '19102026005');
+    assert.deepStrictEqual(counter.mock.calls[0].arguments[0], { _id: 'billNumber_19102026' });
+  });
+
+  it('grows past the padding instead of wrapping', async () => {
+    counterReturning(1234);
+
+    assert.strictEqual(await takeBillNumber(DEFAULT, new Date('2026-10-19T06:00:00Z')), '191020261234');
+  });
+
+  it("numbers bills by the shop's business day", async () => {
+    counterReturning(1);
+    // 00:30 on 1 November in India
+    const lateNight = new Date('2026-10-31T19:00:00Z');
+
+    assert.strictEqual(await takeBillNumber(SERIES_B2, lateNight), 'B2-1120260001');
+
+    business = { timeZone: 'Asia/Kolkata', dayStartHour: 4 };
+    assert.strictEqual(await takeBillNumber(SERIES_B2, lateNight), 'B2-1020260001');
+  });
+});
+
+describe('billNumberIssued', () => {
+  beforeEach(() => {
+    mock.method(Counter, 'findById', (id) => query(id === 'billNumber_B2_102026' ? { seq: 17 } : null));
+  });
+
+  it('accepts numbers the series has handed out', async () => {
+    assert.strictEqual(await billNumberIssued(SERIES_B2, 'B2-1020260001'), true);
+    assert.strictEqual(await billNumberIssued(SERIES_B2, 'B2-1020260017'), true);
+  });
+
+  it('refuses numbers past the counter or from periods it has not reached', async () => {
+    assert.strictEqual(await billNumberIssued(SERIES_B2, 'B2-1020260018'), false);
+    assert.strictEqual(await billNumberIssued(SERIES_B2, 'B2-1120260001'), false);
+    assert.strictEqual(await billNumberIssued(SERIES_B2, 'B2-1020260000'), false);
+  });
+
+  it('refuses numbers that do not have the series layout', async () => {
+    assert.strictEqual(await billNumberIssued(SERIES_B2, 'B3-1020260001'), false);
+    assert.strictEqual(await billNumberIssued(SERIES_B2, 'B2-10202601'), false);
+    assert.strictEqual(await billNumberIssued(SERIES_B2, 'B2-10X0260001'), false);
+  });
+});
+
+describe('billPrefixesOverlap', () => {
+  it('finds prefixes whose numbers could collide', () => {
+    assert.strictEqual(billPrefixesOverlap('B', 'B2'), true);
+    assert.strictEqual(billPrefixesOverlap('', '1'), true);
+    assert.strictEqual(billPrefixesOverlap('A-', 'A-'), true);
+  });
+
+  it('allows prefixes that only share letters', () => {
+    assert.strictEqual(billPrefixesOverlap('B', 'BX'), false);
+    assert.strictEqual(billPrefixesOverlap('', 'A'), false);
+    assert.strictEqual(billPrefixesOverlap('A-', 'B-'), false);
+  });
+});
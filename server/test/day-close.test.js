@@ -0,0 +1,155 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Bill, Counter, CreditNote, DayClose, Product, Setting, Store, buildDayReport, cashSummary } = require('../index');
+const { query, mockSession, users, listen, request } = require('./helpers');
+
+const clock = { timeZone: 'Asia/Kolkata', dayStartHour: 0 };
+
+// Bill.aggregate answers in the order buildDayReport asks: sales, voids, payments taken
+const mockDayTotals = ({ sales = [], voids = [], tenders = [], returns = [] }) => {
+  const answers = [sales, voids, tenders];
+  mock.method(Bill, 'aggregate', async () => answers.shift());
+  mock.method(CreditNote, 'aggregate', async () => returns);
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('buildDayReport', () => {
+  it('nets refunds against each payment mode and returns against sales', async () => {
+    mockDayTotals({
+      sales: [{ billCount: 3, firstBillNumber: 'INV-1', lastBillNumber: 'INV-3', grossSales: 1050, discountTotal: 50, totalSales: 1000, onCredit: 100 }],
+      voids: [{ count: 1, total: 200 }],
+      tenders: [
+        { _id: { mode: 'cash', kind: 'payment' }, amount: 700 },
+        { _id: { mode: 'cash', kind: 'refund' }, amount: 200 },
+        { _id: { mode: 'upi', kind: 'payment' }, amount: 200 }
+      ],
+      returns: [{ _id: 'cash', count: 1, total: 60, refunded: 60 }]
+    });
+
+    const report = await buildDayReport('2026-03-02', 'MAIN', clock);
+
+    assert.strictEqual(report.from.toISOString(), '2026-03-01T18:30:00.000Z');
+    assert.deepStrictEqual(report.bills, { count: 3, firstBillNumber: 'INV-1', lastBillNumber: 'INV-3' });
+    assert.strictEqual(report.netSales, 940);
+    assert.deepStrictEqual(report.voids, { count: 1, total: 200 });
+    assert.deepStrictEqual(report.payments.find(row => row.mode === 'cash'), { mode: 'cash', received: 700, refunded: 260, net: 440 });
+    assert.deepStrictEqual(report.payments.find(row => row.mode === 'upi'), { mode: 'upi', received: 200, refunded: 0, net: 200 });
+  });
+
+  it('reports a day without sales as zeros', async () => {
+    mockDayTotals({});
+
+    const report = await buildDayReport('2026-03-02', 'MAIN', clock);
+
+    assert.strictEqual(report.bills.count, 0);
+    assert.strictEqual(report.sales.totalSales, 0);
+    assert.ok(report.payments.every(row => row.net === 0));
+  });
+});
+
+describe('cashSummary', () => {
+  const report = { payments: [{ mode: 'cash', received: 700, refunded: 260, net: 440 }] };
+
+  it('expects the opening float plus net cash and reports the variance', () => {
+    assert.deepStrictEqual(cashSummary(report, 500, 930), {
+      openingFloat: 500, received: 700, refunded: 260, expected: 940, counted: 930, variance: -10
+    });
+  });
+
+  it('leaves the variance out until the cash is counted', () => {
+    const summary = cashSummary(report, 500);
+
+    assert.strictEqual(summary.counted, null);
+    assert.strictEqual(summary.variance, null);
+  });
+});
+
+describe('day close routes', () => {
+  let server;
+  before(async () => { server = await listen(); });
+  after(() => server.close());
+
+  let dayClose;
+  beforeEach(() => {
+    dayClose = { _id: 'd1', day: '2026-03-02', store: 'MAIN', status: 'open', openingFloat: 500 };
+    mock.method(Store, 'findById', () => query(null));
+    mock.method(Setting, 'findById', () => query(null));
+    mock.method(DayClose, 'findOneAndUpdate', (filter, update) => {
+      if (update.$set) {
+        if (dayClose.status !== filter.status) return query(null);
+        Object.assign(dayClose, update.$set);
+      }
+      return query({ ...dayClose });
+    });
+    mock.method(Counter, 'findByIdAndUpdate', async () => ({ seq: 3 }));
+    mockDayTotals({ tenders: [{ _id: { mode: 'cash', kind: 'payment' }, amount: 440 }] });
+  });
+
+  const closeDay = (day, body) => request(server, 'POST', `/api/day-close/${day}/close`, { user: users.cashier, body });
+
+  it('closes the day with a Z-report number and the cash variance', async () => {
+    const { status, body } = await closeDay('2026-03-02', { countedCash: 930 });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.dayClose.status, 'closed');
+    assert.strictEqual(body.dayClose.zReportNumber, 'Z-00003');
+    assert.strictEqual(body.dayClose.expectedCash, 940);
+    assert.strictEqual(body.dayClose.variance, -10);
+  });
+
+  it('refuses to close a day twice', async () => {
+    dayClose.status = 'closed';
+
+    const { status, body } = await closeDay('2026-03-02', { countedCash: 930 });
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.errorType, 'DAY_CLOSED');
+  });
+
+  it('refuses days that have not happened yet', async () => {
+    const { status, body } = await closeDay('2999-01-01', { countedCash: 0 });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errorType, 'INVALID_DAY');
+  });
+});
+
+describe('editing a bill after the day is closed', () => {
+  let server;
+  before(async () => { server = await listen(); });
+  after(() => server.close());
+
+  it("refuses to pay a refund while today's day is closed", async () => {
+    const session = mockSession();
+    // The bill is from two days ago, which is still open; today is closed
+    const bill = new Bill({
+      billNumber: 'INV-1001',
+      store: 'MAIN',
+      customerName: 'Kumar',
+      mobileNumber: '9876543210',
+      items: [{ productId: 1, nameTamil: 'அரிசி', quantity: 2, unit: 'pcs', price: 50, total: 100 }],
+      grandTotal: 100,
+      amountPaid: 100,
+      payments: [{ mode: 'cash', amount: 100 }],
+      date: new Date(Date.now() - 2 * 86400000)
+    });
+    mock.method(Bill, 'findById', () => query(bill));
+    mock.method(Setting, 'findById', () => query(null));
+    mock.method(Product, 'findById', () => query({ _id: 1, nameTamil: 'அரிசி', unit: 'pcs', price: 50, stock: 10 }));
+    const billDay = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(bill.date);
+    mock.method(DayClose, 'findOne', (filter) => query(filter.day === billDay ? null : { day: filter.day, status: 'closed' }));
+    const stock = mock.method(Product, 'findOneAndUpdate', () => query(null));
+
+    const { status, body } = await request(server, 'PUT', `/api/bills/${bill._id}`, {
+      user: users.owner,
+      body: { items: [{ productId: 1, quantity: 1 }], customerName: 'Kumar', mobileNumber: '9876543210' }
+    });
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.errorType, 'DAY_CLOSED');
+    assert.match(body.message, /before refunds can be paid$/);
+    assert.strictEqual(session.aborted, 1);
+    assert.strictEqual(stock.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { zonedStartOfDay, businessDayOf, parseDayRange, shiftDay, sameDayLastYear, isCalendarDay } = require('../index');
+
+const hours = (range) => (range.endDate - range.startDate) / 3600000;
+
+describe('zonedStartOfDay', () => {
+  it("starts the day at the zone's midnight, or at the trading day's first hour", () => {
+    assert.strictEqual(zonedStartOfDay('2026-03-02', 'Asia/Kolkata').toISOString(), '2026-03-01T18:30:00.000Z');
+    assert.strictEqual(zonedStartOfDay('2026-03-02', 'Asia/Kolkata', 4).toISOString(), '2026-03-01T22:30:00.000Z');
+  });
+
+  it('follows daylight saving changes', () => {
+    assert.strictEqual(zonedStartOfDay('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.strictEqual(zonedStartOfDay('2026-03-09', 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  });
+});
+
+describe('businessDayOf', () => {
+  it("gives the day in the shop's zone rather than UTC's", () => {
+    assert.strictEqual(businessDayOf(new Date('2026-03-01T20:00:00Z'), { timeZone: 'Asia/Kolkata' }), '2026-03-02');
+  });
+
+  it('counts sales before the trading day starts towards the day before', () => {
+    const clock = { timeZone: 'Asia/Kolkata', dayStartHour: 4 };
+
+    assert.strictEqual(businessDayOf(new Date('2026-03-01T21:00:00Z'), clock), '2026-03-01');
+    assert.strictEqual(businessDayOf(new Date('2026-03-01T23:00:00Z'), clock), '2026-03-02');
+  });
+});
+
+describe('parseDayRange', () => {
+  it('covers whole days, end exclusive', () => {
+    const range = parseDayRange({ from: '2026-03-01', to: '2026-03-07' }, { defaultTimeZone: 'Asia/Kolkata' });
+
+    assert.strictEqual(range.startDate.toISOString(), '2026-02-28T18:30:00.000Z');
+    assert.strictEqual(range.endDate.toISOString(), '2026-03-07T18:30:00.000Z');
+    assert.strictEqual(range.days, 7);
+  });
+
+  it('gives days of 23 and 25 hours when clocks change', () => {
+    assert.strictEqual(hours(parseDayRange({ from: '2026-03-08', to: '2026-03-08', timezone: 'America/New_York' })), 23);
+    assert.strictEqual(hours(parseDayRange({ from: '2026-10-25', to: '2026-10-25', timezone: 'Europe/London' })), 25);
+  });
+
+  it('lets ?timezone= override the default zone', () => {
+    const range = parseDayRange({ from: '2026-03-02', to: '2026-03-02', timezone: 'UTC' }, { defaultTimeZone: 'Asia/Kolkata' });
+
+    assert.strictEqual(range.startDate.toISOString(), '2026-03-02T00:00:00.000Z');
+  });
+
+  it('refuses unknown zones, impossible days and reversed ranges', () => {
+    assert.throws(() => parseDayRange({ from: '2026-03-01', to: '2026-03-01', timezone: 'Mars/Base' }), { errorType: 'INVALID_TIMEZONE' });
+    assert.throws(() => parseDayRange({ from: '2025-02-30', to: '2025-03-01' }), { errorType: 'INVALID_DATE_RANGE' });
+    assert.throws(() => parseDayRange({ from: '2026-03-02', to: '2026-03-01' }), { errorType: 'INVALID_DATE_RANGE' });
+  });
+});
+
+describe('calendar days', () => {
+  it('shifts across month and year ends and leap days', () => {
+    assert.strictEqual(shiftDay('2028-02-28', 1), '2028-02-29');
+    assert.strictEqual(shiftDay('2026-03-01', -1), '2026-02-28');
+    assert.strictEqual(shiftDay('2026-12-31', 1), '2027-01-01');
+  });
+
+  it('maps 29 February to the 28th of the year before', () => {
+    assert.strictEqual(sameDayLastYear('2028-02-29'), '2027-02-28');
+    assert.strictEqual(sameDayLastYear('2026-03-02'), '2025-03-02');
+  });
+
+  it('accepts only real days written as YYYY-MM-DD', () => {
+    assert.strictEqual(isCalendarDay('2024-02-29'), true);
+    assert.strictEqual(isCalendarDay('2025-02-29'), false);
+    assert.strictEqual(isCalendarDay('2025-2-3'), false);
+    assert.strictEqual(isCalendarDay(undefined), false);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { ROLES, priceBillItems, manualDiscountLimit } = require('../index');
+
+const product = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  nameTamil: 'அரிசி',
+  unit: 'pcs',
+  taxCategory: 'gst18',
+  ...fields
+});
+
+describe('priceBillItems', () => {
+  it('spreads a bill discount across lines by their value after line discounts', () => {
+    const { items, discounts } = priceBillItems([
+      { product: product({ price: 100, taxCategory: 'exempt' }), quantity: 3, discountType: 'percent', discountValue: 10 },
+      { product: product({ price: 30, taxCategory: 'exempt' }), quantity: 1 }
+    ], { billDiscounts: [{ scope: 'bill', discountType: 'flat', value: 30 }] });
+
+    assert.strictEqual(items[0].lineDiscount, 30);
+    assert.strictEqual(items[0].billDiscount, 27);
+    assert.strictEqual(items[1].billDiscount, 3);
+    assert.strictEqual(items[0].netAmount + items[1].netAmount, 270);
+    assert.deepStrictEqual(discounts.map(discount => [discount.scope, discount.amount]), [['line', 30], ['bill', 30]]);
+  });
+
+  it('lets the largest line absorb rounding, so small lines are never discounted below zero', () => {
+    const entries = [1, 1, 1, 0.01].map(price => ({ product: product({ price, taxCategory: 'exempt' }), quantity: 1 }));
+
+    const { items } = priceBillItems(entries, { billDiscounts: [{ scope: 'bill', discountType: 'flat', value: 1.52 }] });
+
+    assert.deepStrictEqual(items.map(item => item.billDiscount), [0.51, 0.5, 0.5, 0.01]);
+    assert.ok(items.every(item => item.netAmount >= 0 && item.taxableValue >= 0));
+  });
+
+  it('records price overrides and refuses ones above the list price', () => {
+    const rice = product({ price: 50 });
+    const { discounts } = priceBillItems([{ product: rice, quantity: 2, price: 45 }]);
+    assert.strictEqual(discounts[0].scope, 'price-override');
+    assert.strictEqual(discounts[0].amount, 10);
+
+    assert.throws(
+      () => priceBillItems([{ product: rice, quantity: 1, price: 60 }]),
+      { errorType: 'INVALID_PRICE' }
+    );
+  });
+
+  it('limits manual discounts to maxManualPercent of the bill at list prices', () => {
+    const entries = [{ product: product({ price: 100 }), quantity: 1, discountType: 'percent', discountValue: 15 }];
+
+    assert.throws(
+      () => priceBillItems(entries, { maxManualPercent: 10 }),
+      { errorType: 'DISCOUNT_LIMIT_EXCEEDED' }
+    );
+    assert.doesNotThrow(() => priceBillItems(entries, { maxManualPercent: 15 }));
+  });
+
+  it('does not count coupons towards the manual discount limit', () => {
+    const entries = [{ product: product({ price: 100 }), quantity: 1 }];
+    const coupon = { scope: 'coupon', couponCode: 'DIWALI', discountType: 'percent', value: 50 };
+
+    const { items } = priceBillItems(entries, { billDiscounts: [coupon], maxManualPercent: 0 });
+    assert.strictEqual(items[0].netAmount, 50);
+  });
+
+  it('refuses coupons on bills under their minimum amount', () => {
+    const entries = [{ product: product({ price: 100 }), quantity: 1 }];
+    const coupon = { scope: 'coupon', couponCode: 'BIG', discountType: 'flat', value: 20, minBillAmount: 500 };
+
+    assert.throws(
+      () => priceBillItems(entries, { billDiscounts: [coupon] }),
+      { errorType: 'COUPON_MIN_AMOUNT_NOT_MET' }
+    );
+  });
+});
+
+describe('manualDiscountLimit', () => {
+  const settings = { cashierMaxPercent: 10 };
+
+  it('leaves owners unlimited', () => {
+    assert.strictEqual(manualDiscountLimit({ role: ROLES.OWNER }, settings), undefined);
+  });
+
+  it('holds cashiers to the configured percentage', () => {
+    assert.strictEqual(manualDiscountLimit({ role: ROLES.CASHIER }, settings), 10);
+  });
+
+  it('gives other roles no manual discounts', () => {
+    assert.strictEqual(manualDiscountLimit({ role: ROLES.STOCK_KEEPER }, settings), 0);
+  });
+});
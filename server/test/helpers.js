@@ -0,0 +1,70 @@
+// Shared by the tests: stand-ins for mongoose queries and transactions, and
+// requests to the app as a signed-in user. Nothing here reaches a database.
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { app, issueToken, AuditLog, User } = require('../index');
+
+// Stands in for a mongoose query: chainable, and resolves to value when awaited
+const query = (value) => {
+  const chain = { then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+  for (const method of ['lean', 'select', 'session', 'sort', 'limit', 'skip']) chain[method] = () => chain;
+  return chain;
+};
+
+// Makes mongoose.startSession hand out a session that only counts its commits and aborts
+const mockSession = () => {
+  const session = {
+    committed: 0,
+    aborted: 0,
+    startTransaction: () => {},
+    commitTransaction: async () => { session.committed++; },
+    abortTransaction: async () => { session.aborted++; },
+    endSession: () => {},
+    withTransaction: async (work) => {
+      const result = await work(session);
+      session.committed++;
+      return result;
+    }
+  };
+  mock.method(mongoose, 'startSession', async () => session);
+  return session;
+};
+
+// Saving a document resolves to the document without writing it
+const mockSave = (Model) => mock.method(Model.prototype, 'save', async function() { return this; });
+
+const users = {
+  owner: { _id: new mongoose.Types.ObjectId(), username: 'owner', role: 'owner', store: 'MAIN', active: true },
+  cashier: { _id: new mongoose.Types.ObjectId(), username: 'cashier', role: 'cashier', store: 'MAIN', active: true }
+};
+
+// Serves the app on a free port
+const listen = () => new Promise((resolve) => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// Sends a JSON request as user (one of users) and returns the status, headers and parsed body
+const request = async (server, method, path, { user, body, headers = {} } = {}) => {
+  if (user) mock.method(User, 'findById', () => query(user));
+  mock.method(AuditLog, 'create', async (entry) => entry);
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(user ? { Authorization: `Bearer ${issueToken(user)}` } : {}),
+      ...headers
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    // Not JSON, e.g. a receipt; the text is returned as it is
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+};
+
+module.exports = { query, mockSession, mockSave, users, listen, request };
@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { Bill, BillSeries, Counter, DayClose, IdempotencyKey, Product, Setting, Store, idempotent } = require('../index');
+const { query, mockSession, users, listen, request } = require('./helpers');
+
+// IdempotencyKey kept in memory, with the unique index on key and user
+const mockKeyStore = () => {
+  const records = new Map();
+  const recordId = ({ key, userId }) => `${key}:${userId}`;
+
+  mock.method(IdempotencyKey, 'findOneAndUpdate', async (filter, update) => {
+    const existing = records.get(recordId(filter));
+    const now = new Date();
+    const free = !existing || existing.expiresAt < now ||
+      (existing.status === 'pending' && existing.lockedUntil < now && existing.requestHash === update.$set.requestHash);
+    if (!free) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+    const record = { _id: recordId(filter), key: filter.key, userId: filter.userId, ...update.$set };
+    records.set(record._id, record);
+    return record;
+  });
+  mock.method(IdempotencyKey, 'findOne', (filter) => query(records.get(recordId(filter)) || null));
+  mock.method(IdempotencyKey, 'updateOne', async (filter, update) => {
+    const record = records.get(filter._id);
+    Object.assign(record, update.$set);
+    for (const name of Object.keys(update.$unset || {})) delete record[name];
+  });
+  mock.method(IdempotencyKey, 'deleteOne', async (filter) => { records.delete(filter._id); });
+  return records;
+};
+
+describe('idempotent', () => {
+  let server;
+  let handled;
+  let status;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = users.cashier;
+      next();
+    });
+    app.post('/api/things', idempotent, (req, res) => {
+      handled++;
+      res.status(status).json({ success: status < 400, handled, ...req.body });
+    });
+    app.get('/api/receipt', idempotent, (req, res) => {
+      handled++;
+      res.type('text/plain').send(`Receipt ${handled}`);
+    });
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+  });
+  after(() => server.close());
+
+  let records;
+  beforeEach(() => {
+    handled = 0;
+    status = 201;
+    records = mockKeyStore();
+  });
+  afterEach(() => mock.restoreAll());
+
+  const send = (key, body, path = '/api/things') => fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: path === '/api/things' ? 'POST' : 'GET',
+    headers: { 'Content-Type': 'application/json', ...(key !== undefined ? { 'Idempotency-Key': key } : {}) },
+    body: path === '/api/things' ? JSON.stringify(body) : undefined
+  });
+
+  it('replays the stored response to a retry without running the handler again', async () => {
+    const first = await send('k1', { amount: 10 });
+    const retry = await send('k1', { amount: 10 });
+
+    assert.strictEqual(first.status, 201);
+    assert.strictEqual(retry.status, 201);
+    assert.strictEqual(retry.headers.get('Idempotent-Replayed'), 'true');
+    assert.deepStrictEqual(await retry.json(), await first.json());
+    assert.strictEqual(handled, 1);
+  });
+
+  it('hashes the body independently of key order', async () => {
+    await send('k1', { amount: 10, note: 'x' });
+    const retry = await send('k1', { note: 'x', amount: 10 });
+
+    assert.strictEqual(retry.headers.get('Idempotent-Replayed'), 'true');
+    assert.strictEqual(handled, 1);
+  });
+
+  it('replays responses that are not JSON with their content type', async () => {
+    await send('k1', undefined, '/api/receipt');
+    const retry = await send('k1', undefined, '/api/receipt');
+
+    assert.match(retry.headers.get('Content-Type'), /^text\/plain/);
+    assert.strictEqual(await retry.text(), 'Receipt 1');
+    assert.strictEqual(handled, 1);
+  });
+
+  it('replays client errors as they were answered', async () => {
+    status = 400;
+    await send('k1', { amount: -1 });
+    status = 201;
+    const retry = await send('k1', { amount: -1 });
+
+    assert.strictEqual(retry.status, 400);
+    assert.strictEqual(handled, 1);
+  });
+
+  it('releases the key after a server error so the client can retry', async () => {
+    status = 500;
+    await send('k1', { amount: 10 });
+    assert.strictEqual(records.size, 0);
+
+    status = 201;
+    const retry = await send('k1', { amount: 10 });
+    assert.strictEqual(retry.status, 201);
+    assert.strictEqual(retry.headers.get('Idempotent-Replayed'), null);
+    assert.strictEqual(handled, 2);
+  });
+
+  it('refuses a key reused with a different body', async () => {
+    await send('k1', { amount: 10 });
+    const reused = await send('k1', { amount: 20 });
+
+    assert.strictEqual(reused.status, 422);
+    assert.strictEqual((await reused.json()).errorType, 'IDEMPOTENCY_KEY_REUSED');
+    assert.strictEqual(handled, 1);
+  });
+
+  it('answers 409 while the first request is still being handled', async () => {
+    await send('k1', { amount: 10 });
+    // As if the first request were still running
+    Object.assign(records.get(`k1:${users.cashier._id}`), { status: 'pending', lockedUntil: new Date(Date.now() + 60000) });
+
+    const pending = await send('k1', { amount: 10 });
+
+    assert.strictEqual(pending.status, 409);
+    assert.strictEqual((await pending.json()).errorType, 'REQUEST_IN_PROGRESS');
+    assert.strictEqual(handled, 1);
+  });
+
+  it('leaves requests without the header alone', async () => {
+    await send(undefined, { amount: 10 });
+    await send(undefined, { amount: 10 });
+
+    assert.strictEqual(handled, 2);
+    assert.strictEqual(IdempotencyKey.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('refuses empty and overlong keys', async () => {
+    assert.strictEqual((await send(' ', { amount: 10 })).status, 400);
+    assert.strictEqual((await send('k'.repeat(256), { amount: 10 })).status, 400);
+    assert.strictEqual(handled, 0);
+  });
+});
+
+describe('bill numbers sent by the client', () => {
+  let server;
+  before(async () => { server = await listen(); });
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  it('refuses a number already on a bill instead of giving the bill a new one', async () => {
+    const session = mockSession();
+    mock.method(BillSeries, 'findById', () => query(null));
+    mock.method(Store, 'findById', () => query(null));
+    mock.method(Setting, 'findById', () => query(null));
+    mock.method(DayClose, 'findOne', () => query(null));
+    mock.method(Counter, 'findById', () => query({ seq: 50 }));
+    mock.method(Bill, 'findOne', () => query({ _id: 'existing' }));
+    const takeStock = mock.method(Product, 'findOneAndUpdate', () => query(null));
+
+    const { status, body } = await request(server, 'POST', '/api/bills', {
+      user: users.cashier,
+      body: {
+        billNumber: '02032026005',
+        items: [{ productId: 1, quantity: 1 }],
+        customerName: 'Kumar',
+        mobileNumber: '9876543210'
+      }
+    });
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.errorType, 'DUPLICATE_BILL_NUMBER');
+    assert.strictEqual(session.aborted, 1);
+    assert.strictEqual(takeStock.mock.callCount(), 0);
+  });
+});
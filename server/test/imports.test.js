@@ -0,0 +1,88 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Category, Product, parseCsv, readSheet, planProductImport } = require('../index');
+const { query } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+describe('parseCsv', () => {
+  it('splits rows on LF and CRLF and keeps a last row without a line break', () => {
+    assert.deepStrictEqual(parseCsv('a,b\r\n1,2\n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('keeps commas, line breaks and doubled quotes inside quoted fields', () => {
+    assert.deepStrictEqual(parseCsv('name,note\n"Rice, raw","5 kg\r\nbag ""A"""\n'), [
+      ['name', 'note'],
+      ['Rice, raw', '5 kg\r\nbag "A"']
+    ]);
+  });
+
+  it('keeps empty fields', () => {
+    assert.deepStrictEqual(parseCsv(',x,\n'), [['', 'x', '']]);
+  });
+});
+
+describe('readSheet', () => {
+  const csv = (text) => readSheet(Buffer.from(text, 'utf-8'), 'csv');
+
+  it('keys cells by header ignoring case and punctuation, and drops the byte order mark', async () => {
+    const rows = await csv('\uFEFFName,Name Tamil,min_stock_level\nRice,அரிசி,5\n');
+
+    assert.deepStrictEqual(rows, [{ rowNumber: 2, values: { name: 'Rice', nametamil: 'அரிசி', minstocklevel: '5' } }]);
+  });
+
+  it('skips blank rows but keeps the sheet row numbers', async () => {
+    const rows = await csv('name\nRice\n,\n\nOil\n');
+
+    assert.deepStrictEqual(rows.map(row => [row.rowNumber, row.values.name]), [[2, 'Rice'], [5, 'Oil']]);
+  });
+
+  it('strips the quote an export puts before formula-like text', async () => {
+    const rows = await csv("name,note\nRice,'=1+1\n");
+
+    assert.strictEqual(rows[0].values.note, '=1+1');
+  });
+
+  it('refuses files that are not UTF-8', async () => {
+    await assert.rejects(readSheet(Buffer.from([0x6e, 0x61, 0x6d, 0x65, 0x0a, 0xe9, 0x0a]), 'csv'), { errorType: 'INVALID_FILE' });
+  });
+});
+
+describe('planProductImport', () => {
+  const plan = async (rows) => {
+    mock.method(Product, 'find', () => query([
+      { _id: 7, name: 'Rice', nameTamil: 'அரிசி', barcode: '8901234', unit: 'kg', price: 60, stock: 10 }
+    ]));
+    mock.method(Category, 'find', () => query([{ _id: 'c1', name: 'Grains' }]));
+    return planProductImport(rows.map((values, index) => ({ rowNumber: index + 2, values })));
+  };
+
+  it('updates products matched by Tamil name or barcode and creates the rest', async () => {
+    const { plan: entries, newCategories } = await plan([
+      { nametamil: 'அரிசி', price: '62' },
+      { barcode: '8901234', stock: '12.5' },
+      { name: 'Oil', nametamil: 'எண்ணெய்', price: '150', unit: 'l', category: 'Oils' }
+    ]);
+
+    assert.deepStrictEqual(entries.map(({ action, productId, errors }) => [action, productId, errors.length]), [
+      ['update', 7, 0],
+      ['update', 7, 1],
+      ['create', undefined, 0]
+    ]);
+    assert.strictEqual(entries[1].errors[0].message, 'Same product as row 2');
+    assert.deepStrictEqual(newCategories, ['Oils']);
+  });
+
+  it('reports row errors against the file', async () => {
+    const { plan: entries } = await plan([
+      { name: 'Soap', price: '30', stock: '1.5' },
+      { name: 'Salt', nametamil: 'உப்பு', price: '20', unit: 'kg', stock: '-1', priceincludestax: 'maybe' }
+    ]);
+
+    assert.deepStrictEqual(entries[0].errors.map(({ path, location }) => [path, location]), [['nameTamil', 'file'], ['stock', 'file']]);
+    assert.deepStrictEqual(entries[1].errors.map(({ path, errorType }) => [path, errorType]), [
+      ['stock', 'OUT_OF_RANGE'],
+      ['priceIncludesTax', 'INVALID_TYPE']
+    ]);
+  });
+});
@@ -0,0 +1,220 @@
+// The fake provider is chosen when the server loads
+process.env.MESSAGING_PROVIDER = 'fake';
+delete process.env.PUBLIC_BASE_URL;
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const {
+  Contact,
+  Lock,
+  Message,
+  Setting,
+  messagingProvider,
+  queueBillMessage,
+  deliverMessage,
+  processMessageQueue,
+  messageRetryDelay
+} = require('../index');
+const { query } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+const bill = {
+  _id: new mongoose.Types.ObjectId(),
+  billNumber: 'INV-1001',
+  date: new Date('2026-03-02T05:30:00Z'),
+  items: [{ nameTamil: 'அரிசி' }],
+  grandTotal: 250,
+  amountPaid: 250,
+  balanceDue: 0,
+  loyaltyPointsEarned: 0,
+  mobileNumber: '9876543210'
+};
+
+// Stored settings by key; anything else falls back to the defaults
+let settings;
+let contact;
+
+beforeEach(() => {
+  settings = { messaging: { enabled: true, sendOnBill: true, maxAttempts: 3 } };
+  contact = null;
+  mock.method(Setting, 'findById', (key) => query(settings[key] ? { _id: key, value: settings[key] } : null));
+  mock.method(Contact, 'findOne', () => query(contact));
+});
+
+afterEach(() => mock.restoreAll());
+
+// Updates deliverMessage made to the message, in order
+const recordUpdates = () => {
+  const updates = [];
+  mock.method(Message, 'updateOne', (filter, update) => {
+    updates.push(update);
+    return query({ acknowledged: true });
+  });
+  return updates;
+};
+
+describe('messageRetryDelay', () => {
+  it('doubles the wait after each attempt, up to an hour', () => {
+    assert.strictEqual(messageRetryDelay(1), MINUTE);
+    assert.strictEqual(messageRetryDelay(2), 2 * MINUTE);
+    assert.strictEqual(messageRetryDelay(4), 8 * MINUTE);
+    assert.strictEqual(messageRetryDelay(7), 60 * MINUTE);
+    assert.strictEqual(messageRetryDelay(12), 60 * MINUTE);
+  });
+});
+
+describe('queueBillMessage', () => {
+  beforeEach(() => {
+    // Another instance is sending, so queueing does not start a send here
+    mock.method(Lock, 'findOneAndUpdate', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+  });
+
+  it("queues the bill's message for its customer", async () => {
+    const create = mock.method(Message, 'create', async (doc) => doc);
+
+    const message = await queueBillMessage(bill, { automatic: true });
+
+    assert.strictEqual(create.mock.callCount(), 1);
+    assert.strictEqual(message.status, 'queued');
+    assert.strictEqual(message.to, '9876543210');
+    assert.strictEqual(message.channel, 'sms');
+    assert.strictEqual(message.language, 'ta');
+    assert.strictEqual(message.billNumber, 'INV-1001');
+    assert.match(message.text, /INV-1001/);
+    assert.deepStrictEqual(message.events, [{ status: 'queued', error: undefined }]);
+  });
+
+  it("uses the customer's channel and language", async () => {
+    contact = { mobileNumber: bill.mobileNumber, channel: 'whatsapp', language: 'en', loyaltyPoints: 40 };
+    mock.method(Message, 'create', async (doc) => doc);
+
+    const message = await queueBillMessage(bill);
+
+    assert.strictEqual(message.channel, 'whatsapp');
+    assert.strictEqual(message.language, 'en');
+    assert.match(message.text, /^Bill INV-1001/m);
+  });
+
+  it('logs a skipped message for customers who opted out', async () => {
+    contact = { mobileNumber: bill.mobileNumber, messagingOptOut: true };
+    const create = mock.method(Message, 'create', async (doc) => doc);
+
+    const message = await queueBillMessage(bill, { automatic: true });
+
+    assert.strictEqual(create.mock.callCount(), 1);
+    assert.strictEqual(message.status, 'skipped');
+    assert.strictEqual(message.lastError, 'Customer opted out of messages');
+    assert.strictEqual(Lock.findOneAndUpdate.mock.callCount(), 0);
+  });
+
+  it('queues nothing after billing when sendOnBill is off', async () => {
+    settings.messaging.sendOnBill = false;
+    const create = mock.method(Message, 'create', async (doc) => doc);
+
+    assert.strictEqual(await queueBillMessage(bill, { automatic: true }), null);
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+
+  it('queues nothing while messaging is off', async () => {
+    settings.messaging.enabled = false;
+    const create = mock.method(Message, 'create', async (doc) => doc);
+
+    assert.strictEqual(await queueBillMessage(bill), null);
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+});
+
+describe('deliverMessage', () => {
+  const message = (fields) => ({ _id: new mongoose.Types.ObjectId(), channel: 'sms', text: 'Bill INV-1001', ...fields });
+
+  it('marks fake sends as simulated', async () => {
+    const updates = recordUpdates();
+
+    await deliverMessage(message({ to: '9876543210', attempts: 1 }), settings.messaging);
+
+    assert.strictEqual(updates.length, 1);
+    assert.strictEqual(updates[0].$set.status, 'simulated');
+    assert.strictEqual(updates[0].$set.provider, 'fake');
+    assert.match(updates[0].$set.providerMessageId, /^fake-/);
+    assert.deepStrictEqual(updates[0].$push, { events: { status: 'simulated' } });
+  });
+
+  it('puts temporary failures back in the queue with a growing wait', async () => {
+    const updates = recordUpdates();
+
+    const before = Date.now();
+    await deliverMessage(message({ to: '9876549999', attempts: 1 }), settings.messaging);
+    await deliverMessage(message({ to: '9876549999', attempts: 2 }), settings.messaging);
+
+    assert.deepStrictEqual(updates.map(update => update.$set.status), ['queued', 'queued']);
+    assert.deepStrictEqual(updates.map(update => update.$push.events.status), ['retrying', 'retrying']);
+    const waits = updates.map(update => update.$set.nextAttemptAt.getTime() - before);
+    assert.ok(waits[0] >= MINUTE && waits[0] < 2 * MINUTE, `first retry after ${waits[0]}ms`);
+    assert.ok(waits[1] >= 2 * MINUTE && waits[1] < 3 * MINUTE, `second retry after ${waits[1]}ms`);
+  });
+
+  it('gives up once the attempts run out', async () => {
+    const updates = recordUpdates();
+
+    await deliverMessage(message({ to: '9876549999', attempts: 3 }), settings.messaging);
+
+    assert.strictEqual(updates[0].$set.status, 'failed');
+    assert.strictEqual(updates[0].$push.events.status, 'failed');
+  });
+
+  it('gives up straight away on a permanent failure', async () => {
+    const updates = recordUpdates();
+
+    await deliverMessage(message({ to: '9876540000', attempts: 1 }), settings.messaging);
+
+    assert.strictEqual(updates[0].$set.status, 'failed');
+    assert.match(updates[0].$set.lastError, /rejects 9876540000/);
+  });
+
+  it('skips customers who opted out after the message was queued', async () => {
+    contact = { messagingOptOut: true };
+    const updates = recordUpdates();
+    const send = mock.method(messagingProvider, 'send');
+
+    await deliverMessage(message({ to: '9876543210', attempts: 1 }), settings.messaging);
+
+    assert.strictEqual(send.mock.callCount(), 0);
+    assert.strictEqual(updates[0].$set.status, 'skipped');
+    assert.deepStrictEqual(updates[0].$unset, { lockedUntil: 1 });
+  });
+});
+
+describe('processMessageQueue', () => {
+  it('sends due messages one at a time and releases its lock', async () => {
+    mock.method(Lock, 'findOneAndUpdate', () => query({}));
+    const release = mock.method(Lock, 'deleteOne', () => query({ deletedCount: 1 }));
+    const due = [
+      { _id: new mongoose.Types.ObjectId(), channel: 'sms', to: '9876543210', text: 'one', attempts: 1 },
+      { _id: new mongoose.Types.ObjectId(), channel: 'sms', to: '9876549999', text: 'two', attempts: 1 }
+    ];
+    const claim = mock.method(Message, 'findOneAndUpdate', () => query(due.shift() || null));
+    const updates = recordUpdates();
+
+    await processMessageQueue();
+
+    assert.strictEqual(claim.mock.callCount(), 3);
+    assert.deepStrictEqual(claim.mock.calls[0].arguments[1].$inc, { attempts: 1 });
+    assert.deepStrictEqual(updates.map(update => update.$set.status), ['simulated', 'queued']);
+    assert.strictEqual(release.mock.callCount(), 1);
+  });
+
+  it('sends nothing while messaging is off', async () => {
+    settings.messaging.enabled = false;
+    mock.method(Lock, 'findOneAndUpdate', () => query({}));
+    mock.method(Lock, 'deleteOne', () => query({ deletedCount: 1 }));
+    const claim = mock.method(Message, 'findOneAndUpdate', () => query(null));
+
+    await processMessageQueue();
+
+    assert.strictEqual(claim.mock.callCount(), 0);
+  });
+});
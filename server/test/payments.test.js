@@ -0,0 +1,79 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Contact, LedgerEntry, normalizePayments, summarizePayments, postLedgerEntry } = require('../index');
+
+afterEach(() => mock.restoreAll());
+
+describe('normalizePayments', () => {
+  it('rounds amounts and stamps who received each tender', () => {
+    const [upi, cash] = normalizePayments(
+      [{ mode: 'upi', amount: '119.999', reference: 'UTR1' }, { mode: 'cash', amount: 30 }],
+      { _id: 'u1', username: 'cashier' }
+    );
+
+    assert.strictEqual(upi.amount, 120);
+    assert.strictEqual(upi.kind, 'payment');
+    assert.strictEqual(upi.reference, 'UTR1');
+    assert.strictEqual(upi.receivedByName, 'cashier');
+    assert.ok(upi.receivedAt instanceof Date);
+    assert.strictEqual(cash.amount, 30);
+  });
+
+  it('refuses unknown modes and amounts that are not positive', () => {
+    assert.throws(() => normalizePayments([{ mode: 'cheque', amount: 10 }]), { errorType: 'INVALID_PAYMENT' });
+    assert.throws(() => normalizePayments([{ mode: 'cash', amount: 0 }]), { errorType: 'INVALID_PAYMENT' });
+    assert.throws(() => normalizePayments([{ mode: 'cash', amount: 'ten' }]), { errorType: 'INVALID_PAYMENT' });
+    assert.throws(() => normalizePayments({ mode: 'cash', amount: 10 }), { errorType: 'INVALID_PAYMENT' });
+  });
+});
+
+describe('summarizePayments', () => {
+  it('marks bills paid in full as paid', () => {
+    assert.deepStrictEqual(
+      summarizePayments([{ kind: 'payment', amount: 60 }, { kind: 'payment', amount: 40 }], 100),
+      { amountPaid: 100, balanceDue: 0, paymentStatus: 'paid' }
+    );
+  });
+
+  it('leaves the rest of a partly paid bill due', () => {
+    assert.deepStrictEqual(
+      summarizePayments([{ kind: 'payment', amount: 30.5 }], 100),
+      { amountPaid: 30.5, balanceDue: 69.5, paymentStatus: 'partial' }
+    );
+    assert.strictEqual(summarizePayments([], 100).paymentStatus, 'unpaid');
+  });
+
+  it('counts refunds against what was paid', () => {
+    assert.deepStrictEqual(
+      summarizePayments([{ kind: 'payment', amount: 100 }, { kind: 'refund', amount: 25 }], 100),
+      { amountPaid: 75, balanceDue: 25, paymentStatus: 'partial' }
+    );
+  });
+
+  it('never shows a negative balance for overpaid bills', () => {
+    assert.strictEqual(summarizePayments([{ kind: 'payment', amount: 120 }], 100).balanceDue, 0);
+  });
+});
+
+describe('postLedgerEntry', () => {
+  it("moves the customer's balance and records it with the balance after", async () => {
+    const findOneAndUpdate = mock.method(Contact, 'findOneAndUpdate', async () => ({ outstandingBalance: 150.5 }));
+    const create = mock.method(LedgerEntry, 'create', async ([entry]) => [entry]);
+
+    const entry = await postLedgerEntry({
+      mobileNumber: '9876543210',
+      customerName: 'Kumar',
+      entryType: 'charge',
+      amount: 50.5,
+      bill: { _id: 'b1', billNumber: 'INV-7' }
+    });
+
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter, { mobileNumber: '9876543210' });
+    assert.deepStrictEqual(update, { $setOnInsert: { name: 'Kumar' }, $inc: { outstandingBalance: 50.5 } });
+    assert.strictEqual(options.upsert, true);
+    assert.strictEqual(create.mock.callCount(), 1);
+    assert.strictEqual(entry.balanceAfter, 150.5);
+    assert.strictEqual(entry.billNumber, 'INV-7');
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Bill, ReceiptLink, Setting, receiptLinkToken, verifyReceiptLinkToken } = require('../index');
+const { query, listen, request } = require('./helpers');
+
+const link = (expiresAt = new Date(Date.now() + 86400000)) => ({ _id: new mongoose.Types.ObjectId(), expiresAt });
+
+// Swaps one character of a token part for another that is valid in it
+const alter = (token, part) => {
+  const parts = token.split('.');
+  const last = parts[part].slice(-1);
+  parts[part] = parts[part].slice(0, -1) + (last === 'a' ? 'b' : 'a');
+  return parts.join('.');
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('receipt link tokens', () => {
+  it('verify to the link they were made for', () => {
+    const receiptLink = link();
+
+    assert.strictEqual(verifyReceiptLinkToken(receiptLinkToken(receiptLink)), String(receiptLink._id));
+  });
+
+  it('stop verifying once any part is altered', () => {
+    const token = receiptLinkToken(link());
+
+    assert.strictEqual(verifyReceiptLinkToken(alter(token, 0)), null);
+    assert.strictEqual(verifyReceiptLinkToken(alter(token, 1)), null);
+    assert.strictEqual(verifyReceiptLinkToken(alter(token, 2)), null);
+  });
+
+  it('stop verifying once they expire', () => {
+    assert.strictEqual(verifyReceiptLinkToken(receiptLinkToken(link(new Date(Date.now() - 1000)))), null);
+  });
+
+  it('refuse anything that is not a token', () => {
+    const token = receiptLinkToken(link());
+
+    for (const value of ['', 'abc', `${token}.extra`, token.split('.').slice(0, 2).join('.'), undefined]) {
+      assert.strictEqual(verifyReceiptLinkToken(value), null);
+    }
+  });
+});
+
+describe('receipt page', () => {
+  let server;
+  before(async () => { server = await listen(); });
+  after(() => server.close());
+
+  const bill = new Bill({
+    billNumber: 'INV-1001',
+    customerName: 'Kumar',
+    mobileNumber: '9876543210',
+    items: [{ productId: 1, nameTamil: 'அரிசி', quantity: 2, unit: 'pcs', price: 50, total: 100 }],
+    grandTotal: 100,
+    date: new Date()
+  }).toObject();
+
+  const view = (storedLink) => {
+    mock.method(ReceiptLink, 'findOneAndUpdate', () => query(storedLink));
+    mock.method(Bill, 'findById', () => query(bill));
+    mock.method(Setting, 'findById', () => query(null));
+    return request(server, 'GET', `/receipts/${receiptLinkToken(link())}`);
+  };
+
+  it('shows the bill to anyone with a valid link', async () => {
+    const { status, headers, body } = await view({ billId: bill._id });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(headers.get('Cache-Control'), 'no-store');
+    assert.match(body, /INV-1001/);
+  });
+
+  it('shows nothing for revoked links', async () => {
+    // Revoked links do not match the lookup
+    const { status, body } = await view(null);
+
+    assert.strictEqual(ReceiptLink.findOneAndUpdate.mock.calls[0].arguments[0].revokedAt, null);
+    assert.strictEqual(status, 404);
+    assert.doesNotMatch(body, /INV-1001/);
+    assert.strictEqual(Bill.findById.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Bill, Contact, CreditNote, DayClose, LedgerEntry, Product, Setting, StockMovement } = require('../index');
+const { query, mockSession, mockSave, users, listen, request } = require('./helpers');
+
+let server;
+before(async () => { server = await listen(); });
+after(() => server.close());
+
+const saleBill = (fields) => new Bill({
+  billNumber: 'INV-1001',
+  store: 'MAIN',
+  customerName: 'Kumar',
+  mobileNumber: '9876543210',
+  items: [
+    { productId: 1, nameTamil: 'அரிசி', quantity: 2, unit: 'pcs', price: 59, taxRate: 18, taxableValue: 100, cgst: 9, sgst: 9, total: 118 },
+    { productId: 2, nameTamil: 'எண்ணெய்', quantity: 1.5, unit: 'l', price: 100, taxableValue: 150, total: 150 }
+  ],
+  grandTotal: 268,
+  amountPaid: 268,
+  payments: [{ mode: 'cash', amount: 200 }, { mode: 'upi', amount: 68 }],
+  date: new Date(),
+  ...fields
+});
+
+let session;
+let bill;
+let closedDay;
+// Stock changes as [productId, quantity, reason]
+let stockChanges;
+
+beforeEach(() => {
+  session = mockSession();
+  bill = saleBill();
+  closedDay = null;
+  stockChanges = [];
+
+  mock.method(Bill, 'findById', () => query(bill));
+  mock.method(Setting, 'findById', () => query(null));
+  mock.method(DayClose, 'findOne', () => query(closedDay));
+  mock.method(Product, 'findOneAndUpdate', (filter) => query({
+    _id: filter._id, stock: 10, minStockLevel: 0, storeStock: [{ store: 'MAIN', stock: 10 }]
+  }));
+  mock.method(StockMovement, 'create', async ([movement]) => {
+    stockChanges.push([movement.productId, movement.quantity, movement.reason]);
+    return [movement];
+  });
+  mockSave(Bill);
+  mockSave(CreditNote);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('voiding a bill', () => {
+  const voidBill = (body) => request(server, 'DELETE', `/api/bills/${bill._id}`, { user: users.owner, body });
+
+  it('keeps the bill, restocks its items and refunds each payment mode', async () => {
+    const { status, body } = await voidBill({ reason: 'Wrong customer' });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.bill.status, 'void');
+    assert.strictEqual(body.bill.voidReason, 'Wrong customer');
+    assert.strictEqual(body.bill.amountPaid, 0);
+    assert.deepStrictEqual(
+      body.bill.payments.filter(payment => payment.kind === 'refund').map(({ mode, amount }) => [mode, amount]),
+      [['cash', 200], ['upi', 68]]
+    );
+    assert.deepStrictEqual(stockChanges, [[1, 2, 'bill-void'], [2, 1.5, 'bill-void']]);
+    assert.strictEqual(session.committed, 1);
+  });
+
+  it('needs a reason', async () => {
+    const { status, body } = await voidBill({});
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errorType, 'VOID_REASON_REQUIRED');
+    assert.strictEqual(session.aborted, 1);
+  });
+
+  it('refuses bills that already have returns', async () => {
+    bill = saleBill({ returnedTotal: 59 });
+
+    const { status, body } = await voidBill({ reason: 'Wrong customer' });
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.errorType, 'BILL_HAS_RETURNS');
+    assert.deepStrictEqual(stockChanges, []);
+  });
+
+  it('refuses bills of a closed day', async () => {
+    closedDay = { day: '2026-03-02', store: 'MAIN', status: 'closed' };
+
+    const { status, body } = await voidBill({ reason: 'Wrong customer' });
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.errorType, 'DAY_CLOSED');
+  });
+});
+
+describe('sales returns', () => {
+  const returnItems = (body) => request(server, 'POST', `/api/bills/${bill._id}/returns`, { user: users.owner, body });
+
+  it("credits the returned share of the line's value and tax and restocks it", async () => {
+    const { status, body } = await returnItems({ items: [{ lineIndex: 0, quantity: 1 }], reason: 'Damaged', refundMode: 'upi' });
+
+    assert.strictEqual(status, 201);
+    const [item] = body.creditNote.items;
+    assert.deepStrictEqual([item.quantity, item.taxableValue, item.cgst, item.sgst, item.total], [1, 50, 4.5, 4.5, 59]);
+    assert.strictEqual(body.creditNote.total, 59);
+    assert.strictEqual(body.creditNote.refundedAmount, 59);
+    assert.strictEqual(body.creditNote.refundMode, 'upi');
+    assert.strictEqual(bill.items[0].returnedQuantity, 1);
+    assert.strictEqual(bill.returnedTotal, 59);
+    assert.deepStrictEqual(stockChanges, [[1, 1, 'sales-return']]);
+  });
+
+  it('finds the line by product and takes part quantities of loose goods', async () => {
+    const { status, body } = await returnItems({ items: [{ productId: 2, quantity: 0.5 }], reason: 'Leaking' });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.creditNote.items[0].lineIndex, 1);
+    assert.strictEqual(body.creditNote.total, 50);
+    assert.strictEqual(body.creditNote.refundMode, 'cash');
+  });
+
+  it("clears the bill's dues before refunding the rest", async () => {
+    bill = saleBill({ amountPaid: 168, balanceDue: 100, paymentStatus: 'partial' });
+    mock.method(Contact, 'findOneAndUpdate', async () => ({ outstandingBalance: 0 }));
+    const ledger = mock.method(LedgerEntry, 'create', async ([entry]) => [entry]);
+
+    const { status, body } = await returnItems({ items: [{ lineIndex: 0, quantity: 2 }], reason: 'Damaged' });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.creditNote.adjustedAgainstDues, 100);
+    assert.strictEqual(body.creditNote.refundedAmount, 18);
+    assert.strictEqual(ledger.mock.calls[0].arguments[0][0].amount, -100);
+    assert.strictEqual(bill.balanceDue, 0);
+    assert.strictEqual(bill.paymentStatus, 'paid');
+  });
+
+  it('refuses more than is left to return', async () => {
+    bill.items[0].returnedQuantity = 1;
+
+    const { status, body } = await returnItems({ items: [{ lineIndex: 0, quantity: 2 }], reason: 'Damaged' });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errorType, 'INVALID_ITEM');
+    assert.match(body.message, /at most 1$/);
+    assert.strictEqual(session.aborted, 1);
+    assert.deepStrictEqual(stockChanges, []);
+  });
+
+  it('refuses part quantities of goods counted in pieces', async () => {
+    const { status, body } = await returnItems({ items: [{ lineIndex: 0, quantity: 0.5 }], reason: 'Damaged' });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errorType, 'INVALID_ITEM');
+  });
+
+  it('refuses returns against voided bills', async () => {
+    bill = saleBill({ status: 'void' });
+
+    const { status, body } = await returnItems({ items: [{ lineIndex: 0, quantity: 1 }], reason: 'Damaged' });
+
+    assert.strictEqual(status, 409);
+    assert.strictEqual(body.errorType, 'BILL_VOID');
+  });
+});
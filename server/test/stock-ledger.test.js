@@ -0,0 +1,95 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Product, StockMovement, applyStockChange, reconcileStockLedger } = require('../index');
+const { query } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+describe('applyStockChange', () => {
+  it('takes stock from the store and records the movement in the ledger', async () => {
+    const updated = { _id: 7, stock: 8, minStockLevel: 2, storeStock: [{ store: 'MAIN', stock: 8 }] };
+    const findOneAndUpdate = mock.method(Product, 'findOneAndUpdate', () => query(updated));
+    const create = mock.method(StockMovement, 'create', async ([movement]) => [movement]);
+
+    const { product, movement } = await applyStockChange({
+      productId: 7,
+      quantity: -2,
+      reason: 'sale',
+      ref: { type: 'Bill', id: 'abc', number: 'INV-1' },
+      user: { _id: 'u1', username: 'cashier' }
+    });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepStrictEqual(filter.storeStock, { $elemMatch: { store: 'MAIN', stock: { $gte: 2 } } });
+    assert.deepStrictEqual(update, { $inc: { stock: -2, 'storeStock.$.stock': -2 } });
+
+    assert.strictEqual(product, updated);
+    assert.strictEqual(create.mock.callCount(), 1);
+    assert.strictEqual(movement.reason, 'sale');
+    assert.strictEqual(movement.quantity, -2);
+    assert.strictEqual(movement.balanceAfter, 8);
+    assert.strictEqual(movement.storeBalanceAfter, 8);
+    assert.strictEqual(movement.refNumber, 'INV-1');
+    assert.strictEqual(movement.createdByName, 'cashier');
+  });
+
+  it('refuses to take more than the store has, without touching the ledger', async () => {
+    mock.method(Product, 'findOneAndUpdate', () => query(null));
+    mock.method(Product, 'findById', () => query({
+      _id: 7, nameTamil: 'அரிசி', unit: 'pcs', stock: 1, storeStock: [{ store: 'MAIN', stock: 1 }]
+    }));
+    const create = mock.method(StockMovement, 'create', async (movements) => movements);
+
+    await assert.rejects(
+      applyStockChange({ productId: 7, quantity: -3, reason: 'sale' }),
+      { errorType: 'INSUFFICIENT_STOCK' }
+    );
+    assert.strictEqual(create.mock.callCount(), 0);
+  });
+
+  it('refuses part quantities of products counted in whole units', async () => {
+    mock.method(Product, 'findOneAndUpdate', () => query(null));
+    mock.method(Product, 'findById', () => query({
+      _id: 7, nameTamil: 'சோப்பு', unit: 'pcs', stock: 5, storeStock: [{ store: 'MAIN', stock: 5 }]
+    }));
+
+    await assert.rejects(
+      applyStockChange({ productId: 7, quantity: -0.5, reason: 'sale' }),
+      { errorType: 'INVALID_QUANTITY' }
+    );
+  });
+
+  it('reports unknown products', async () => {
+    mock.method(Product, 'findOneAndUpdate', () => query(null));
+    mock.method(Product, 'findById', () => query(null));
+
+    await assert.rejects(
+      applyStockChange({ productId: 99, quantity: 1, reason: 'adjustment' }),
+      { errorType: 'PRODUCT_NOT_FOUND' }
+    );
+  });
+});
+
+describe('reconcileStockLedger', () => {
+  it('reports products whose stock differs from their ledger', async () => {
+    mock.method(Product, 'find', () => query([
+      { _id: 1, nameTamil: 'அரிசி', stock: 10 },
+      { _id: 2, nameTamil: 'பருப்பு', stock: 5 },
+      { _id: 3, nameTamil: 'எண்ணெய்', stock: 7 },
+      { _id: 4, nameTamil: 'உப்பு', stock: 0 }
+    ]));
+    mock.method(StockMovement, 'aggregate', () => query([
+      { _id: 1, ledgerStock: 10, movementCount: 3 },
+      { _id: 2, ledgerStock: 3, movementCount: 2 }
+    ]));
+
+    const report = await reconcileStockLedger();
+
+    assert.strictEqual(report.productCount, 4);
+    assert.strictEqual(report.fixed, false);
+    assert.deepStrictEqual(report.discrepancies.map(({ productId, difference, reason }) => [productId, difference, reason]), [
+      [2, 2, 'reconciliation'],
+      [3, 7, 'opening-balance']
+    ]);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Bill, CreditNote, Product, Setting, StockMovement, StockTransfer, Store } = require('../index');
+const { query, mockSession, mockSave, users, listen, request } = require('./helpers');
+
+let server;
+before(async () => { server = await listen(); });
+after(() => server.close());
+
+const stores = {
+  B2: { _id: 'B2', name: 'Town branch', active: true },
+  OLD: { _id: 'OLD', name: 'Closed branch', active: false }
+};
+
+let session;
+let rice;
+beforeEach(() => {
+  session = mockSession();
+  rice = {
+    _id: 1, nameTamil: 'அரிசி', unit: 'kg', stock: 30, minStockLevel: 2,
+    storeStock: [{ store: 'MAIN', stock: 28 }, { store: 'B2', stock: 2 }]
+  };
+  mock.method(Store, 'findById', (id) => query(stores[id] || null));
+  mock.method(Setting, 'findById', () => query(null));
+});
+afterEach(() => mock.restoreAll());
+
+describe('stock transfers', () => {
+  let movements;
+
+  // Applies stock updates to rice the way MongoDB would
+  beforeEach(() => {
+    movements = [];
+    mock.method(Product, 'findOneAndUpdate', (filter, update) => {
+      const match = filter.storeStock.$elemMatch;
+      const row = rice.storeStock.find(entry => entry.store === match.store);
+      if (!row || (match.stock && row.stock < match.stock.$gte)) return query(null);
+      row.stock += update.$inc['storeStock.$.stock'];
+      rice.stock += update.$inc.stock;
+      return query(structuredClone(rice));
+    });
+    mock.method(Product, 'findById', () => query(structuredClone(rice)));
+    mock.method(StockMovement, 'create', async ([movement]) => {
+      movements.push([movement.store, movement.quantity, movement.reason, movement.storeBalanceAfter]);
+      return [movement];
+    });
+    mockSave(StockTransfer);
+  });
+
+  const transfer = (body) => request(server, 'POST', '/api/stock/transfers', { user: users.owner, body });
+
+  it('moves stock from one store to another and leaves the total alone', async () => {
+    const { status, body } = await transfer({ fromStore: 'MAIN', toStore: 'B2', items: [{ productId: 1, quantity: 4.5 }] });
+
+    assert.strictEqual(status, 201);
+    assert.deepStrictEqual(body.transfer.items.map(({ productId, quantity }) => [productId, quantity]), [[1, 4.5]]);
+    assert.deepStrictEqual(movements, [['MAIN', -4.5, 'transfer-out', 23.5], ['B2', 4.5, 'transfer-in', 6.5]]);
+    assert.strictEqual(rice.stock, 30);
+    assert.strictEqual(session.committed, 1);
+  });
+
+  it('refuses to move more than the source store has', async () => {
+    const { status, body } = await transfer({ fromStore: 'B2', toStore: 'MAIN', items: [{ productId: 1, quantity: 3 }] });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errorType, 'INSUFFICIENT_STOCK');
+    assert.strictEqual(body.itemIndex, 0);
+    assert.strictEqual(session.aborted, 1);
+  });
+
+  it('refuses unknown, closed and identical stores', async () => {
+    const items = [{ productId: 1, quantity: 1 }];
+
+    assert.strictEqual((await transfer({ fromStore: 'MAIN', toStore: 'NOPE', items })).body.errorType, 'INVALID_STORE');
+    assert.strictEqual((await transfer({ fromStore: 'MAIN', toStore: 'OLD', items })).body.errorType, 'INVALID_STORE');
+    assert.strictEqual((await transfer({ fromStore: 'MAIN', toStore: 'MAIN', items })).body.errorType, 'INVALID_STORE');
+    assert.deepStrictEqual(movements, []);
+  });
+});
+
+describe('reorder suggestions', () => {
+  let billMatch;
+  beforeEach(() => {
+    mock.method(Product, 'find', () => query([rice]));
+    // 30 kg sold over the 30 day window: 1 kg a day
+    mock.method(Bill, 'aggregate', (pipeline) => {
+      billMatch = pipeline[0].$match;
+      return query([{ _id: 1, quantitySold: 30 }]);
+    });
+    mock.method(CreditNote, 'aggregate', () => query([]));
+  });
+
+  const suggest = (search) => request(server, 'GET', `/api/products/reorder-suggestions${search}`, { user: users.owner });
+
+  it("works from one store's stock and sales with ?store=", async () => {
+    const { status, body } = await suggest('?store=b2');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.parameters.store, 'B2');
+    assert.strictEqual(billMatch.store, 'B2');
+    const [suggestion] = body.suggestions;
+    assert.strictEqual(suggestion.stock, 2);
+    assert.strictEqual(suggestion.dailyVelocity, 1);
+    assert.strictEqual(suggestion.daysOfStockLeft, 2);
+    // Lead time 7 days and 14 days of cover on top of the minimum of 2
+    assert.strictEqual(suggestion.reorderPoint, 9);
+    assert.strictEqual(suggestion.suggestedQuantity, 21);
+  });
+
+  it('counts bills from before stores towards the main store', async () => {
+    await suggest('?store=MAIN');
+
+    assert.deepStrictEqual(billMatch.store, { $in: ['MAIN', null] });
+  });
+
+  it('works from the totals across stores without ?store=', async () => {
+    const { body } = await suggest('?all=true');
+
+    assert.strictEqual(billMatch.store, undefined);
+    assert.strictEqual(body.suggestions[0].stock, 30);
+    assert.strictEqual(body.suggestions[0].suggestedQuantity, 0);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { applyLineTax, resolvePlaceOfSupply, summarizeBillTax } = require('../index');
+
+const line = (netAmount) => ({ grossAmount: netAmount, lineDiscount: 0, billDiscount: 0, netAmount });
+
+describe('applyLineTax', () => {
+  it('takes GST out of tax-inclusive prices', () => {
+    const taxed = applyLineTax(line(105), { taxCategory: 'gst5', hsnCode: '1006' }, 'intra-state');
+
+    assert.strictEqual(taxed.taxRate, 5);
+    assert.strictEqual(taxed.hsnCode, '1006');
+    assert.strictEqual(taxed.taxableValue, 100);
+    assert.strictEqual(taxed.cgst, 2.5);
+    assert.strictEqual(taxed.sgst, 2.5);
+    assert.strictEqual(taxed.igst, 0);
+    assert.strictEqual(taxed.total, 105);
+  });
+
+  it('gives SGST what is left after rounding CGST, so the halves add up to the tax', () => {
+    const taxed = applyLineTax(line(100), { taxCategory: 'gst18' }, 'intra-state');
+
+    assert.strictEqual(taxed.taxableValue, 84.75);
+    assert.strictEqual(taxed.cgst, 7.63);
+    assert.strictEqual(taxed.sgst, 7.62);
+    assert.strictEqual(taxed.total, 100);
+  });
+
+  it('adds GST on top of prices that exclude it', () => {
+    const taxed = applyLineTax(line(100), { taxCategory: 'gst12', priceIncludesTax: false }, 'intra-state');
+
+    assert.strictEqual(taxed.taxableValue, 100);
+    assert.strictEqual(taxed.cgst + taxed.sgst, 12);
+    assert.strictEqual(taxed.total, 112);
+  });
+
+  it('charges IGST alone on inter-state supplies', () => {
+    const taxed = applyLineTax(line(128), { taxCategory: 'gst28' }, 'inter-state');
+
+    assert.strictEqual(taxed.igst, 28);
+    assert.strictEqual(taxed.cgst, 0);
+    assert.strictEqual(taxed.sgst, 0);
+  });
+
+  it('treats products without a tax category as exempt', () => {
+    const taxed = applyLineTax(line(40), {}, 'intra-state');
+
+    assert.strictEqual(taxed.taxCategory, 'exempt');
+    assert.strictEqual(taxed.taxableValue, 40);
+    assert.strictEqual(taxed.cgst + taxed.sgst + taxed.igst, 0);
+  });
+});
+
+describe('resolvePlaceOfSupply', () => {
+  it("defaults to the shop's own state", () => {
+    assert.deepStrictEqual(resolvePlaceOfSupply({}), { placeOfSupply: '33', supplyType: 'intra-state' });
+  });
+
+  it("takes the state from the customer's GSTIN", () => {
+    assert.deepStrictEqual(
+      resolvePlaceOfSupply({ customerGstin: '29ABCDE1234F1Z5' }),
+      { placeOfSupply: '29', supplyType: 'inter-state' }
+    );
+  });
+
+  it('prefers an explicit place of supply', () => {
+    assert.strictEqual(resolvePlaceOfSupply({ placeOfSupply: '33', customerGstin: '29ABCDE1234F1Z5' }).supplyType, 'intra-state');
+  });
+
+  it('refuses malformed GSTINs and state codes', () => {
+    assert.throws(() => resolvePlaceOfSupply({ customerGstin: '29ABC' }), /GSTIN must be 15 characters/);
+    assert.throws(() => resolvePlaceOfSupply({ placeOfSupply: '3' }), /2 digit state code/);
+  });
+});
+
+describe('summarizeBillTax', () => {
+  it('groups tax by rate and rounds the payable amount to the rupee', () => {
+    const lines = [
+      applyLineTax(line(105), { taxCategory: 'gst5' }, 'intra-state'),
+      applyLineTax(line(100.4), {}, 'intra-state'),
+      applyLineTax(line(52.5), { taxCategory: 'gst5' }, 'intra-state')
+    ];
+
+    const summary = summarizeBillTax(lines);
+
+    assert.deepStrictEqual(summary.taxSummary.map(({ taxRate, taxableValue }) => [taxRate, taxableValue]), [
+      [0, 100.4],
+      [5, 150]
+    ]);
+    assert.strictEqual(summary.taxableTotal, 250.4);
+    assert.strictEqual(summary.cgstTotal, 3.75);
+    assert.strictEqual(summary.sgstTotal, 3.75);
+    assert.strictEqual(summary.taxTotal, 7.5);
+    assert.strictEqual(summary.grossTotal, 257.9);
+    assert.strictEqual(summary.grandTotal, 258);
+    assert.strictEqual(summary.roundOff, 0.1);
+  });
+});
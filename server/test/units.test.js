@@ -0,0 +1,108 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { Product, StockMovement, Store, parseQuantity, quantityFitsUnit, reconcileStockLedger } = require('../index');
+const { query, mockSession, users, listen, request } = require('./helpers');
+
+afterEach(() => mock.restoreAll());
+
+describe('parseQuantity', () => {
+  it('reads numbers and text with up to 3 decimals', () => {
+    assert.strictEqual(parseQuantity('0.25'), 0.25);
+    assert.strictEqual(parseQuantity(1.5), 1.5);
+    assert.strictEqual(parseQuantity(0.1 + 0.2), 0.3);
+    assert.strictEqual(parseQuantity(-2), -2);
+  });
+
+  it('refuses finer quantities and anything that is not a number', () => {
+    for (const value of [0.1234, '', null, 'abc', undefined, Infinity]) {
+      assert.ok(Number.isNaN(parseQuantity(value)), `${value} is not a quantity`);
+    }
+  });
+});
+
+describe('quantityFitsUnit', () => {
+  it('allows part quantities only of goods sold by weight or volume', () => {
+    assert.strictEqual(quantityFitsUnit(0.5, 'kg'), true);
+    assert.strictEqual(quantityFitsUnit(0.5, 'l'), true);
+    assert.strictEqual(quantityFitsUnit(0.5, 'pcs'), false);
+    assert.strictEqual(quantityFitsUnit(0.5, 'g'), false);
+    assert.strictEqual(quantityFitsUnit(250, 'g'), true);
+  });
+});
+
+describe('stock updates in fractional units', () => {
+  let server;
+  before(async () => { server = await listen(); });
+  after(() => server.close());
+
+  let product;
+  let updates;
+  beforeEach(() => {
+    mockSession();
+    updates = [];
+    mock.method(Store, 'findById', () => query(null));
+    // Applies $inc and $set the way MongoDB would, floating point noise included
+    mock.method(Product, 'findOneAndUpdate', (filter, update) => {
+      updates.push(update);
+      if (filter.unit && !filter.unit.$in.includes(product.unit)) return query(null);
+      const row = product.storeStock[0];
+      if (update.$inc) {
+        product.stock += update.$inc.stock;
+        row.stock += update.$inc['storeStock.$.stock'];
+      } else {
+        product.stock = update.$set.stock;
+        row.stock = update.$set['storeStock.$.stock'];
+      }
+      return query(structuredClone(product));
+    });
+    mock.method(Product, 'findById', () => query(structuredClone(product)));
+    mock.method(StockMovement, 'create', async ([movement]) => [movement]);
+  });
+
+  const addStock = (quantity) => request(server, 'POST', '/api/products/stock', {
+    user: users.owner,
+    body: { productId: 1, quantity, reason: 'restock' }
+  });
+
+  it('adds part quantities and snaps the stock back to 3 decimals', async () => {
+    product = { _id: 1, nameTamil: 'சர்க்கரை', unit: 'kg', stock: 0.2, minStockLevel: 0, storeStock: [{ store: 'MAIN', stock: 0.2 }] };
+
+    const { status, body } = await addStock('0.1');
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(updates[0].$inc.stock, 0.1);
+    assert.strictEqual(body.product.stock, 0.3);
+    assert.strictEqual(body.product.storeStock, 0.3);
+  });
+
+  it('refuses quantities finer than 3 decimals', async () => {
+    product = { _id: 1, nameTamil: 'சர்க்கரை', unit: 'kg', stock: 1, minStockLevel: 0, storeStock: [{ store: 'MAIN', stock: 1 }] };
+
+    const { status, body } = await addStock(0.1234);
+
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.errors.map(({ path, errorType }) => [path, errorType]), [['quantity', 'INVALID_FORMAT']]);
+    assert.deepStrictEqual(updates, []);
+  });
+
+  it('refuses part quantities of goods counted in pieces', async () => {
+    product = { _id: 1, nameTamil: 'சோப்பு', unit: 'pcs', stock: 5, minStockLevel: 0, storeStock: [{ store: 'MAIN', stock: 5 }] };
+
+    const { status, body } = await addStock(0.5);
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errorType, 'INVALID_QUANTITY');
+    assert.strictEqual(product.stock, 5);
+  });
+});
+
+describe('ledger drift in fractional units', () => {
+  it('reports differences finer than money rounding would keep', async () => {
+    mock.method(Product, 'find', () => query([{ _id: 1, nameTamil: 'சர்க்கரை', stock: 1.004 }]));
+    mock.method(StockMovement, 'aggregate', () => query([{ _id: 1, ledgerStock: 1, movementCount: 1 }]));
+
+    const report = await reconcileStockLedger();
+
+    assert.deepStrictEqual(report.discrepancies.map(({ difference }) => difference), [0.004]);
+  });
+});
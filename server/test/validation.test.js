@@ -0,0 +1,182 @@
+// Without a messaging provider, messaging may not be turned on
+delete process.env.MESSAGING_PROVIDER;
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { AuditLog, checkField, validate, field, SETTING_FIELDS, SETTING_CHECKS } = require('../index');
+const { query, mockSession, users, listen, request } = require('./helpers');
+
+// Runs the middleware on a request, returning the 400 body or null if it passed
+const run = (schema, req) => {
+  let sent = null;
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      sent = { statusCode: this.statusCode, ...body };
+      return this;
+    }
+  };
+  let passed = false;
+  validate(schema)({ params: {}, query: {}, body: {}, ...req }, res, () => { passed = true; });
+  assert.strictEqual(passed, sent === null);
+  return sent;
+};
+
+const check = (rule, value) => {
+  const errors = [];
+  checkField(rule, value, 'body', '', errors);
+  return errors;
+};
+
+describe('validate', () => {
+  const schema = {
+    params: { id: field.objectId() },
+    query: { page: field.integer({ min: 1 }) },
+    body: {
+      mobileNumber: field.string({ required: true, pattern: /^\d{10}$/, format: '10 digits' }),
+      items: field.array(field.object({
+        productId: field.integer({ required: true, min: 1 }),
+        quantity: field.number({ positive: true })
+      }), { min: 1 })
+    }
+  };
+
+  it('passes requests that follow the rules, with numbers sent as text', () => {
+    assert.strictEqual(run(schema, {
+      params: { id: '65f1c0ffee0000000000abcd' },
+      query: { page: '2' },
+      body: { mobileNumber: '9876543210', items: [{ productId: '5', quantity: 1.5 }] }
+    }), null);
+  });
+
+  it('answers 400 listing every problem with its location, path and errorType', () => {
+    const sent = run(schema, {
+      params: { id: 'nope' },
+      query: { page: '0', sort: 'name' },
+      body: { items: [{ quantity: -1 }], note: 'hi' }
+    });
+
+    assert.strictEqual(sent.statusCode, 400);
+    assert.strictEqual(sent.errorType, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(sent.errors.map(({ location, path, errorType }) => [location, path, errorType]), [
+      ['params', 'id', 'INVALID_ID'],
+      ['query', 'sort', 'UNKNOWN_FIELD'],
+      ['query', 'page', 'OUT_OF_RANGE'],
+      ['body', 'note', 'UNKNOWN_FIELD'],
+      ['body', 'mobileNumber', 'REQUIRED_FIELD'],
+      ['body', 'items[0].productId', 'REQUIRED_FIELD'],
+      ['body', 'items[0].quantity', 'OUT_OF_RANGE']
+    ]);
+  });
+
+  it('treats an empty query value as left out', () => {
+    assert.strictEqual(run({ query: { page: field.integer({ required: true }) } }, { query: { page: '' } }).errors[0].errorType, 'REQUIRED_FIELD');
+    assert.strictEqual(run({ query: { store: field.string() } }, { query: { store: '' } }), null);
+  });
+});
+
+describe('checkField', () => {
+  it('describes lengths with their unit', () => {
+    const [error] = check(field.string({ min: 8 }), 'short');
+    assert.strictEqual(error.message, 'body must have at least 8 characters');
+  });
+
+  it('accepts booleans only as true or false in the body', () => {
+    assert.strictEqual(check(field.boolean(), 'true')[0].errorType, 'INVALID_TYPE');
+    assert.deepStrictEqual(check(field.boolean(), false), []);
+  });
+
+  it('rejects null unless the rule is nullable', () => {
+    assert.strictEqual(check(field.number(), null)[0].errorType, 'INVALID_TYPE');
+    assert.deepStrictEqual(check(field.number({ nullable: true }), null), []);
+  });
+
+  it('checks calendar days and one-of values', () => {
+    assert.strictEqual(check(field.day(), '2026-02-30')[0].errorType, 'INVALID_DATE');
+    assert.strictEqual(check(field.oneOf(['sms', 'whatsapp']), 'email')[0].errorType, 'INVALID_VALUE');
+  });
+});
+
+describe('settings rules', () => {
+  const checkSetting = (key, value) => {
+    const errors = check(field.object(SETTING_FIELDS[key]), value);
+    return errors.length > 0 || !SETTING_CHECKS[key] ? errors : SETTING_CHECKS[key](value);
+  };
+
+  it('accepts valid settings', () => {
+    assert.deepStrictEqual(checkSetting('discounts', { cashierMaxPercent: 12.5 }), []);
+    assert.deepStrictEqual(checkSetting('business', { timeZone: 'Asia/Kolkata', dayStartHour: 4 }), []);
+  });
+
+  it('rejects unknown fields and values out of range', () => {
+    assert.deepStrictEqual(checkSetting('discounts', { cashierMaxPercent: 150, maxPercent: 5 }).map(({ path, errorType }) => [path, errorType]), [
+      ['maxPercent', 'UNKNOWN_FIELD'],
+      ['cashierMaxPercent', 'OUT_OF_RANGE']
+    ]);
+    assert.strictEqual(checkSetting('messaging', { maxAttempts: 0 })[0].path, 'maxAttempts');
+  });
+
+  it('refuses to turn messaging on without a provider', () => {
+    const [error] = checkSetting('messaging', { enabled: true });
+    assert.strictEqual(error.path, 'enabled');
+    assert.strictEqual(error.errorType, 'INVALID_VALUE');
+  });
+
+  it('refuses unknown time zones', () => {
+    const [error] = checkSetting('business', { timeZone: 'Mars/Olympus' });
+    assert.strictEqual(error.path, 'timeZone');
+    assert.strictEqual(error.errorType, 'INVALID_FORMAT');
+  });
+
+  it('keeps the archive folder inside ARCHIVE_ROOT', () => {
+    assert.strictEqual(checkSetting('retention', { archiveDir: '../elsewhere' })[0].path, 'archiveDir');
+    assert.strictEqual(checkSetting('retention', { archiveDir: '/var/backups' })[0].path, 'archiveDir');
+  });
+});
+
+describe('route rules', () => {
+  let server;
+  before(async () => { server = await listen(); });
+  after(() => server.close());
+  afterEach(() => mock.restoreAll());
+
+  const fieldsOf = (body) => body.errors.map(({ location, path, errorType }) => [location, path, errorType]);
+
+  it('answers problems the handler used to check itself in the shared shape', async () => {
+    const session = mockSession();
+
+    const { status, body } = await request(server, 'POST', '/api/bills/65f1c0ffee0000000000abcd/returns', {
+      user: users.owner,
+      body: { items: [], refundMode: 'cheque' }
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.errorType, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(fieldsOf(body), [
+      ['body', 'items', 'OUT_OF_RANGE'],
+      ['body', 'reason', 'REQUIRED_FIELD'],
+      ['body', 'refundMode', 'INVALID_VALUE']
+    ]);
+    assert.strictEqual(session.aborted, 0);
+  });
+
+  it('refuses malformed IDs before looking anything up', async () => {
+    const { status, body } = await request(server, 'GET', '/api/bills/nope/receipt-links', { user: users.owner });
+
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(fieldsOf(body), [['params', 'id', 'INVALID_ID']]);
+  });
+
+  it('filters the audit log by any audited entity', async () => {
+    const find = mock.method(AuditLog, 'find', () => query([]));
+    mock.method(AuditLog, 'countDocuments', async () => 0);
+
+    const { status } = await request(server, 'GET', '/api/audit-logs?entity=Coupon', { user: users.owner });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(find.mock.calls[0].arguments[0], { changes: { $elemMatch: { entity: 'Coupon' } } });
+  });
+});